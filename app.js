@@ -0,0 +1,58 @@
+// Express application: middleware and routes, without starting a server.
+// index.js listens on a port; the test suite imports this directly.
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const cookieParser = require('cookie-parser');
+const routes = require('./routes/routes');
+const health = require('./routes/health');
+const { requestMetrics } = require('./middleware/metrics');
+const { REQUEST_ID_HEADER, requestId, accessLog } = require('./middleware/requestId');
+const { IDEMPOTENCY_KEY_HEADER, REPLAYED_HEADER } = require('./middleware/idempotency');
+const { CAPTCHA_HEADER } = require('./middleware/captcha');
+const { rateLimitPolicy } = require('./middleware/rateLimit');
+
+const app = express();
+
+// Trust proxy for accurate IP detection (needed for rate limiting behind proxies)
+app.set('trust proxy', 1);
+
+// Middleware
+app.use(requestId); // correlation id for logs and the X-Request-Id response header
+app.use(accessLog);
+app.use(requestMetrics); // request counts and latencies for GET /metrics
+app.use(helmet()); // security headers
+app.use(compression()); // gzip responses
+// CORS configuration
+const corsOptions = {
+  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', REQUEST_ID_HEADER, IDEMPOTENCY_KEY_HEADER, CAPTCHA_HEADER],
+  exposedHeaders: [REQUEST_ID_HEADER, REPLAYED_HEADER],
+  credentials: true,
+  optionsSuccessStatus: 200
+};
+app.use(cors(corsOptions));
+// Keep the raw request body around so webhook signatures can be verified
+// against the exact bytes Razorpay signed.
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
+app.use(express.urlencoded({ extended: false }));
+app.use(cookieParser());
+
+// Health checks and metrics are polled by infrastructure, so they sit before the rate limit
+app.use('/', health);
+
+// App-wide limit per IP. Organizer and volunteer routes have their own, higher
+// limit (see middleware/rateLimit.js) and Razorpay's signed webhooks aren't limited.
+app.use(rateLimitPolicy('default', {
+    skip: req => /^\/(admin|checkin)(\/|$)/.test(req.path) || req.path === '/razorpay/webhook',
+}));
+
+app.use('/', routes);
+
+module.exports = app;
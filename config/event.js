@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+
+// Event configuration: domains, team sizes, pricing and registration windows.
+// Loaded from config/event.json, or from the file named by EVENT_CONFIG_PATH.
+//
+// Each domain:
+//   name          - as stored in teams.domain
+//   minTeamSize   - inclusive
+//   maxTeamSize   - inclusive
+//   pricing       - { type: 'per_member' | 'flat', amount: rupees }
+//   maxTeams      - seat limit (Completed + in-flight teams), null for unlimited
+//   registration  - optional { opensAt, closesAt } overriding the event-wide window
+//
+// Automatic discounts (see services/discounts.js), all optional:
+//   discounts.earlyBird - [{ endsAt, type: 'percentage' | 'flat', value, label? }]
+//                         the tier with the earliest endsAt still in the future applies
+//   discounts.group     - [{ minMembers, type: 'percentage' | 'flat', value, label? }]
+//                         the tier with the largest minMembers the team reaches applies
+//
+// Products sold outside team registration (optional), payable through POST /razorpay/create-order:
+//   products - [{ id, name, amount: rupees }]
+//
+// Team Lead portal:
+//   portal.editableFields - member fields a Team Lead may change ('name', 'email', 'phone')
+//   portal.editsCloseAt   - after this date the portal is read-only (null: always editable)
+
+const PRICING_TYPES = ['per_member', 'flat'];
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+const PORTAL_EDITABLE_FIELDS = ['name', 'email', 'phone'];
+
+function parseWindow(window = {}, where) {
+  const parsed = {};
+  for (const key of ['opensAt', 'closesAt']) {
+    if (window[key] === undefined || window[key] === null) continue;
+    const date = new Date(window[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`[config/event] ${where}.${key} is not a valid date`);
+    }
+    parsed[key] = date;
+  }
+  return parsed;
+}
+
+function validateDomain(domain, index) {
+  const where = `domains[${index}]`;
+  if (!domain.name || typeof domain.name !== 'string') {
+    throw new Error(`[config/event] ${where}.name is required`);
+  }
+
+  const { minTeamSize, maxTeamSize, pricing = {} } = domain;
+  if (!Number.isInteger(minTeamSize) || !Number.isInteger(maxTeamSize) || minTeamSize < 1 || maxTeamSize < minTeamSize) {
+    throw new Error(`[config/event] ${where} needs integer minTeamSize >= 1 and maxTeamSize >= minTeamSize`);
+  }
+
+  if (!PRICING_TYPES.includes(pricing.type) || typeof pricing.amount !== 'number' || pricing.amount < 0) {
+    throw new Error(`[config/event] ${where}.pricing needs type (${PRICING_TYPES.join(' | ')}) and a non-negative amount`);
+  }
+
+  if (domain.maxTeams !== undefined && domain.maxTeams !== null && (!Number.isInteger(domain.maxTeams) || domain.maxTeams < 0)) {
+    throw new Error(`[config/event] ${where}.maxTeams must be a non-negative integer or null`);
+  }
+
+  return {
+    name: domain.name,
+    minTeamSize,
+    maxTeamSize,
+    pricing: { type: pricing.type, amount: pricing.amount },
+    maxTeams: domain.maxTeams ?? null,
+    registration: domain.registration ? parseWindow(domain.registration, `${where}.registration`) : null,
+  };
+}
+
+function validateDiscountTier(tier, where) {
+  if (!DISCOUNT_TYPES.includes(tier.type) || typeof tier.value !== 'number' || tier.value < 0) {
+    throw new Error(`[config/event] ${where} needs type (${DISCOUNT_TYPES.join(' | ')}) and a non-negative value`);
+  }
+  if (tier.type === 'percentage' && tier.value > 100) {
+    throw new Error(`[config/event] ${where}.value cannot exceed 100 for percentage discounts`);
+  }
+  return { type: tier.type, value: tier.value, label: tier.label };
+}
+
+function parseDiscounts(discounts = {}) {
+  const earlyBird = (discounts.earlyBird || []).map((tier, i) => {
+    const where = `discounts.earlyBird[${i}]`;
+    const { closesAt: endsAt } = parseWindow({ closesAt: tier.endsAt }, where);
+    if (!endsAt) throw new Error(`[config/event] ${where}.endsAt is required`);
+    return { ...validateDiscountTier(tier, where), label: tier.label || 'Early bird', endsAt };
+  }).sort((a, b) => a.endsAt - b.endsAt);
+
+  const group = (discounts.group || []).map((tier, i) => {
+    const where = `discounts.group[${i}]`;
+    if (!Number.isInteger(tier.minMembers) || tier.minMembers < 1) {
+      throw new Error(`[config/event] ${where}.minMembers must be a positive integer`);
+    }
+    return { ...validateDiscountTier(tier, where), label: tier.label || 'Group discount', minMembers: tier.minMembers };
+  }).sort((a, b) => b.minMembers - a.minMembers);
+
+  return { earlyBird, group };
+}
+
+function parsePortal(portal = {}) {
+  const editableFields = portal.editableFields || ['phone'];
+  const unknown = editableFields.filter(field => !PORTAL_EDITABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`[config/event] portal.editableFields may only contain: ${PORTAL_EDITABLE_FIELDS.join(', ')}`);
+  }
+  const { closesAt: editsCloseAt } = parseWindow({ closesAt: portal.editsCloseAt }, 'portal.editsCloseAt');
+  return { editableFields, editsCloseAt: editsCloseAt || null };
+}
+
+function parseProducts(products = []) {
+  const parsed = products.map((product, i) => {
+    const where = `products[${i}]`;
+    if (!product.id || typeof product.id !== 'string' || !/^[A-Za-z0-9_-]{1,50}$/.test(product.id)) {
+      throw new Error(`[config/event] ${where}.id must be 1-50 letters, digits, - or _`);
+    }
+    if (typeof product.amount !== 'number' || product.amount <= 0) {
+      throw new Error(`[config/event] ${where}.amount must be a positive number of rupees`);
+    }
+    return { id: product.id, name: product.name || product.id, amount: product.amount };
+  });
+
+  if (new Set(parsed.map(p => p.id)).size !== parsed.length) {
+    throw new Error('[config/event] product ids must be unique');
+  }
+  return parsed;
+}
+
+function loadEventConfig(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(raw.domains) || raw.domains.length === 0) {
+    throw new Error('[config/event] at least one domain is required');
+  }
+
+  const domains = raw.domains.map(validateDomain);
+  const names = new Set(domains.map(d => d.name));
+  if (names.size !== domains.length) {
+    throw new Error('[config/event] domain names must be unique');
+  }
+
+  return {
+    name: raw.name || 'ZIGNASA',
+    currency: raw.currency || 'INR',
+    registration: parseWindow(raw.registration, 'registration'),
+    domains,
+    discounts: parseDiscounts(raw.discounts),
+    portal: parsePortal(raw.portal),
+    products: parseProducts(raw.products),
+  };
+}
+
+const configPath = path.resolve(process.env.EVENT_CONFIG_PATH || path.join(__dirname, 'event.json'));
+const eventConfig = loadEventConfig(configPath);
+
+function getDomainNames() {
+  return eventConfig.domains.map(d => d.name);
+}
+
+function getDomainConfig(name) {
+  return eventConfig.domains.find(d => d.name === name) || null;
+}
+
+function getProduct(id) {
+  return eventConfig.products.find(p => p.id === id) || null;
+}
+
+// { open: boolean, opensAt, closesAt } for a domain at `now`
+function getRegistrationWindow(domainConfig, now = new Date()) {
+  const window = { ...eventConfig.registration, ...(domainConfig && domainConfig.registration) };
+  const open = (!window.opensAt || now >= window.opensAt) && (!window.closesAt || now < window.closesAt);
+  return { open, opensAt: window.opensAt || null, closesAt: window.closesAt || null };
+}
+
+// Price for `memberCount` members of a domain
+function calculatePrice(domainConfig, memberCount) {
+  const { type, amount } = domainConfig.pricing;
+  const amountInRupees = type === 'flat' ? amount : amount * memberCount;
+  return {
+    amountInRupees,
+    amountInPaise: Math.round(amountInRupees * 100),
+    chargePerMember: type === 'per_member' ? amount : null,
+    pricingType: type,
+  };
+}
+
+// The parts of the configuration the frontend needs (GET /config)
+function getPublicConfig(now = new Date()) {
+  return {
+    name: eventConfig.name,
+    currency: eventConfig.currency,
+    domains: eventConfig.domains.map(domain => {
+      const window = getRegistrationWindow(domain, now);
+      return {
+        name: domain.name,
+        minTeamSize: domain.minTeamSize,
+        maxTeamSize: domain.maxTeamSize,
+        pricing: domain.pricing,
+        registrationOpen: window.open,
+        opensAt: window.opensAt,
+        closesAt: window.closesAt,
+      };
+    }),
+    discounts: {
+      earlyBird: eventConfig.discounts.earlyBird.find(tier => now < tier.endsAt) || null,
+      group: eventConfig.discounts.group,
+    },
+    products: eventConfig.products,
+  };
+}
+
+module.exports = {
+  eventConfig,
+  getDomainNames,
+  getDomainConfig,
+  getProduct,
+  getRegistrationWindow,
+  calculatePrice,
+  getPublicConfig,
+};
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('../services/logger');
+
+// Pick the mail transport from MAIL_TRANSPORT:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - write each message as JSON into MAIL_FILE_DIR (local testing)
+//   console - log the subject through services/logger, leaving the body out
+//             (default outside production)
+// MAIL_TRANSPORT must be set explicitly when NODE_ENV=production.
+// Every transport exposes the same sendMail(message) => Promise<{ messageId }>.
+
+function createSmtpTransport() {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+  }
+
+  const port = parseInt(process.env.SMTP_PORT || 587, 10);
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+}
+
+function createFileTransport() {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || 'logs/mail');
+  fs.mkdirSync(dir, { recursive: true });
+
+  return {
+    async sendMail(message) {
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ messageId, ...message }, null, 2)
+      );
+      return { messageId };
+    },
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async sendMail(message) {
+      const messageId = `console-${Date.now()}`;
+      logger.info('Mail not delivered (console transport)', {
+        messageId,
+        to: message.to,
+        subject: message.subject,
+      });
+      return { messageId };
+    },
+  };
+}
+
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+  throw new Error(`MAIL_TRANSPORT must be set when NODE_ENV=production. Expected one of: ${Object.keys(transports).join(', ')}`);
+}
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Expected one of: ${Object.keys(transports).join(', ')}`);
+}
+
+const transport = transports[transportName]();
+const from = process.env.MAIL_FROM || 'ZIGNASA <no-reply@zignasa.local>';
+
+module.exports = {
+  transportName,
+  sendMail: (message) => transport.sendMail({ from, ...message }),
+};
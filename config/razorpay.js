@@ -1,19 +1,32 @@
 const Razorpay = require('razorpay');
+const { logger } = require('../services/logger');
 
 // Support several common env var names so this works regardless of small naming differences
 const key_id = process.env.RAZORPAY_KEY_ID;
 const key_secret = process.env.RAZORPAY_SECRET;
 
+let instance = null;
+
 if (!key_id || !key_secret) {
   // Don't throw here to avoid crashing apps that don't need Razorpay at runtime,
   // but warn loudly so it's easy to detect misconfiguration.
-  console.warn('[config/razorpay] Razorpay API keys not found in environment. Expected RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET (or variants). Razorpay will not be initialized.');
-  module.exports = null;
+  logger.warn('Razorpay API keys not found in environment. Expected RAZORPAY_KEY_ID and RAZORPAY_SECRET. Razorpay will not be initialized.');
 } else {
-  const instance = new Razorpay({
+  instance = new Razorpay({
     key_id,
     key_secret,
   });
-  console.log('Razorpay initialized successfully.');
-  module.exports = instance;
+  logger.info('Razorpay initialized successfully');
+}
+
+// The Razorpay instance, or null when the keys are not configured. Looked up on
+// every use so setRazorpay() can replace it (the test suite uses a stand-in).
+function getRazorpay() {
+  return instance;
 }
+
+function setRazorpay(replacement) {
+  instance = replacement;
+}
+
+module.exports = { getRazorpay, setRazorpay };
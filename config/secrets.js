@@ -0,0 +1,28 @@
+// Keys and secrets the app authenticates callers or signs tokens with. Each one is
+// optional: the feature it enables stays off while it's empty. A value that is set
+// must be at least MIN_SECRET_LENGTH characters and not a placeholder, so a copied
+// .env.example or a guessable value is never accepted as a credential.
+const SECRET_ENV_NAMES = [
+  'ADMIN_API_KEY',
+  'ADMIN_JWT_SECRET',
+  'METRICS_API_KEY',
+  'CHECKIN_API_KEY',
+  'STATUS_TOKEN_SECRET',
+  'PASS_SIGNING_SECRET',
+];
+
+const MIN_SECRET_LENGTH = 32;
+const PLACEHOLDERS = new Set(['change-me']);
+
+function isStrongSecret(value) {
+  return typeof value === 'string'
+    && value.length >= MIN_SECRET_LENGTH
+    && !PLACEHOLDERS.has(value.trim().toLowerCase());
+}
+
+// Names of the secrets in `env` that are set but too weak to use
+function weakSecrets(env = process.env) {
+  return SECRET_ENV_NAMES.filter(name => env[name] && !isStrongSecret(env[name]));
+}
+
+module.exports = { SECRET_ENV_NAMES, MIN_SECRET_LENGTH, isStrongSecret, weakSecrets };
@@ -0,0 +1,26 @@
+const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('../services/logger');
+
+// Service-role Supabase client, used for every query the server makes (the anon key
+// can't reach any table; see migrations/016). It bypasses row level security,
+// so it must never be exposed to clients or used with caller-supplied tokens.
+// Without SUPABASE_SERVICE_ROLE_KEY this exports null; index.js then refuses to start.
+let supabaseAdmin = null;
+
+if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    supabaseAdmin = createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_ROLE_KEY,
+        {
+            auth: {
+                autoRefreshToken: false,
+                persistSession: false,
+                detectSessionInUrl: false
+            }
+        }
+    );
+} else if (process.env.SUPABASE_URL) {
+    logger.warn('Missing SUPABASE_SERVICE_ROLE_KEY; privileged queries will fail');
+}
+
+module.exports = supabaseAdmin;
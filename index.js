@@ -1,64 +1,42 @@
 // Load environment variables early
 require('dotenv').config();
 
-const path = require('path');
-const express = require('express');
-const cors = require('cors');
-const morgan = require('morgan');
-const helmet = require('helmet');
-const compression = require('compression');
-const cookieParser = require('cookie-parser');
-const rateLimit = require('express-rate-limit');
-const routes = require('./routes/routes');
-const { testConnection } = require('./services/database');
-
-const app = express();
-
-// Trust proxy for accurate IP detection (needed for rate limiting behind proxies)
-app.set('trust proxy', 1);
-
-// Middleware
-app.use(helmet()); // security headers
-app.use(compression()); // gzip responses
-app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
-// CORS configuration
-const corsOptions = {
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  credentials: true,
-  optionsSuccessStatus: 200
-};
-app.use(cors(corsOptions));
-app.use(express.json());
-app.use(express.urlencoded({ extended: false }));
-app.use(cookieParser());
-
-// Basic rate limiting
-const limiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100, // limit each IP to 100 requests per window
-});
-app.use(limiter);
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-    const health = {
-        status: 'ok',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString(),
-        env: process.env.NODE_ENV || 'dev',
-    };
-    res.status(200).json(health);
-});
-
-app.use('/', routes);
+const app = require('./app');
+const { logger } = require('./services/logger');
+const { isSupabaseConfigured, testConnection } = require('./services/database');
+const { weakSecrets, MIN_SECRET_LENGTH } = require('./config/secrets');
+const { startReconciliationInterval } = require('./services/reconciliation');
+const { startOutboxInterval } = require('./services/outbox');
+
+if (!isSupabaseConfigured()) {
+    logger.error('Cannot start without Supabase. Set SUPABASE_URL, SUPABASE_ANON_KEY and SUPABASE_SERVICE_ROLE_KEY.');
+    process.exit(1);
+}
+
+const weak = weakSecrets();
+if (weak.length > 0) {
+    logger.error(`Refusing to start with weak secrets. Leave them empty or set at least ${MIN_SECRET_LENGTH} random characters.`, { secrets: weak });
+    process.exit(1);
+}
 
 const PORT = process.env.PORT || 3000;
 
 // Test Supabase connection at server startup
 testConnection();
 
+// Periodically reconcile abandoned checkouts with Razorpay (disabled unless configured)
+const reconcileIntervalMinutes = parseInt(process.env.RECONCILE_INTERVAL_MINUTES, 10);
+if (reconcileIntervalMinutes > 0) {
+    startReconciliationInterval(reconcileIntervalMinutes);
+    logger.info('Order reconciliation scheduled', { intervalMinutes: reconcileIntervalMinutes });
+}
+
+// Retry queued emails that couldn't be delivered right away (set to 0 to disable)
+const outboxIntervalSeconds = parseInt(process.env.OUTBOX_INTERVAL_SECONDS || 60, 10);
+if (outboxIntervalSeconds > 0) {
+    startOutboxInterval(outboxIntervalSeconds);
+}
+
 app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
+    logger.info('Server is running', { port: PORT });
 });
\ No newline at end of file
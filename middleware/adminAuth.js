@@ -0,0 +1,58 @@
+const { authenticateToken } = require('../services/adminAuth');
+const { logger } = require('../services/logger');
+
+// What each role may do. admin can do everything, finance can read whatever a
+// viewer can, and all three can read metrics. The metrics role is only held by
+// METRICS_API_KEY (see services/adminAuth.js).
+const ROLE_GRANTS = {
+	admin: ['admin', 'finance', 'viewer', 'checkin', 'metrics'],
+	finance: ['finance', 'viewer', 'metrics'],
+	viewer: ['viewer', 'metrics'],
+	checkin: ['checkin'],
+	metrics: ['metrics'],
+};
+
+function bearerToken(req) {
+	const header = req.get('authorization') || '';
+	return header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+}
+
+// Builds middleware that accepts an organizer credential (an API key, a JWT or an
+// environment key; see services/adminAuth.js) whose role grants `role`, and sets
+// req.admin to the caller { type, id, name, role }. A caller authenticated on an
+// earlier route or router is not looked up again.
+function requireRole(role) {
+	return async (req, res, next) => {
+		let principal = req.admin;
+		if (!principal) {
+			try {
+				principal = await authenticateToken(bearerToken(req));
+			} catch (error) {
+				logger.error('Failed to authenticate organizer', { err: error });
+				return res.status(500).json({
+					success: false,
+					message: 'Failed to authenticate',
+				});
+			}
+		}
+
+		if (!principal) {
+			return res.status(401).json({
+				success: false,
+				message: 'Unauthorized',
+			});
+		}
+
+		req.admin = principal;
+		if (!ROLE_GRANTS[principal.role].includes(role)) {
+			return res.status(403).json({
+				success: false,
+				message: 'Forbidden',
+			});
+		}
+
+		next();
+	};
+}
+
+module.exports = { ROLE_GRANTS, requireRole };
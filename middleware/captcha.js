@@ -0,0 +1,44 @@
+const { getCaptchaVerifier } = require('../services/captcha');
+const { logger } = require('../services/logger');
+
+const CAPTCHA_HEADER = 'X-Captcha-Token';
+
+// Requires a CAPTCHA token in the X-Captcha-Token header when a verifier is
+// configured (see services/captcha.js); does nothing otherwise. The token is sent
+// as a header so it stays out of the body compared by idempotent(). Tokens are
+// single-use, so a retry needs a fresh one.
+async function requireCaptcha(req, res, next) {
+	const verifier = getCaptchaVerifier();
+	if (!verifier) return next();
+
+	const token = req.get(CAPTCHA_HEADER);
+	if (!token) {
+		return res.status(400).json({
+			success: false,
+			message: 'CAPTCHA token is required',
+		});
+	}
+
+	let result;
+	try {
+		result = await verifier.verify(token, { ip: req.ip });
+	} catch (error) {
+		logger.error('CAPTCHA verification failed to run', { err: error });
+		return res.status(503).json({
+			success: false,
+			message: 'CAPTCHA verification is unavailable, please try again',
+		});
+	}
+
+	if (!result || !result.success) {
+		logger.warn('CAPTCHA rejected', { errorCodes: result && result.errorCodes });
+		return res.status(400).json({
+			success: false,
+			message: 'CAPTCHA verification failed',
+		});
+	}
+
+	next();
+}
+
+module.exports = { CAPTCHA_HEADER, requireCaptcha };
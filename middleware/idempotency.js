@@ -0,0 +1,81 @@
+const { hashRequest, claimKey, completeKey, releaseKey } = require('../services/idempotency');
+const { logger } = require('../services/logger');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const VALID_KEY = /^[A-Za-z0-9._:-]{8,255}$/;
+
+// Makes a route safe to retry. A request sent with an Idempotency-Key header is
+// processed once; repeats with the same key and payload get the stored response
+// (with Idempotent-Replayed: true), a repeat with a different payload gets 422
+// and one sent while the first is still running gets 409. Responses of 500 and
+// above are not stored, so those requests can be retried. Requests without the
+// header are processed as usual.
+//
+// Mount after validateBody() so the payload is compared in its normalized form.
+function idempotent(scope) {
+	return async (req, res, next) => {
+		const key = req.get(IDEMPOTENCY_KEY_HEADER);
+		if (key === undefined) return next();
+
+		if (!VALID_KEY.test(key)) {
+			return res.status(400).json({
+				success: false,
+				message: `${IDEMPOTENCY_KEY_HEADER} must be 8-255 letters, digits, '.', '_', ':' or '-'`,
+			});
+		}
+
+		let claim;
+		try {
+			claim = await claimKey(scope, key, hashRequest(req.body));
+		} catch (error) {
+			logger.error('Failed to claim idempotency key', { scope, err: error });
+			return res.status(500).json({ success: false, message: 'Failed to process request' });
+		}
+
+		if (claim.status === 'mismatch') {
+			return res.status(422).json({
+				success: false,
+				message: `This ${IDEMPOTENCY_KEY_HEADER} was already used for a different request`,
+			});
+		}
+
+		if (claim.status === 'in_progress') {
+			res.set('Retry-After', '2');
+			return res.status(409).json({
+				success: false,
+				message: `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed`,
+			});
+		}
+
+		if (claim.status === 'replay') {
+			res.set(REPLAYED_HEADER, 'true');
+			return res.status(claim.responseStatus).json(claim.responseBody);
+		}
+
+		// Store the response before it is sent, so an immediate retry already sees it
+		let settled = false;
+		const sendJson = res.json.bind(res);
+		res.json = body => {
+			res.json = sendJson;
+			settled = true;
+			const store = res.statusCode < 500
+				? completeKey(scope, key, res.statusCode, body)
+				: releaseKey(scope, key);
+			store
+				.catch(error => logger.error('Failed to store idempotent response', { scope, err: error }))
+				.finally(() => sendJson(body));
+			return res;
+		};
+
+		// Handler ended without a JSON response (e.g. an unhandled error): free the key
+		res.on('close', () => {
+			if (settled) return;
+			releaseKey(scope, key).catch(error => logger.error('Failed to release idempotency key', { scope, err: error }));
+		});
+
+		next();
+	};
+}
+
+module.exports = { IDEMPOTENCY_KEY_HEADER, REPLAYED_HEADER, idempotent };
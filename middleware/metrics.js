@@ -0,0 +1,25 @@
+const { httpRequests, httpRequestDuration } = require('../services/metrics');
+
+// Route pattern that handled the request (e.g. /registration/:teamId/status), so
+// ids in paths don't create a time series each. Unmatched requests share one label.
+function routeLabel(req) {
+	if (!req.route) return 'unmatched';
+	const path = Array.isArray(req.route.path) ? req.route.path.join('|') : req.route.path;
+	return `${req.baseUrl || ''}${path}` || '/';
+}
+
+// Counts each request and times it until the response is sent
+function requestMetrics(req, res, next) {
+	const start = process.hrtime.bigint();
+
+	res.on('finish', () => {
+		const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+		const route = routeLabel(req);
+		httpRequests.inc({ method: req.method, route, status: res.statusCode });
+		httpRequestDuration.observe({ method: req.method, route }, seconds);
+	});
+
+	next();
+}
+
+module.exports = { requestMetrics };
@@ -0,0 +1,50 @@
+const { findSession } = require('../services/portalAuth');
+const { logger } = require('../services/logger');
+
+const SESSION_COOKIE = 'portal_session';
+
+// Cookie settings for the portal session. The frontend is on another origin in
+// production, which needs SameSite=None (and therefore Secure).
+function sessionCookieOptions(maxAgeMs) {
+	const production = process.env.NODE_ENV === 'production';
+	return {
+		httpOnly: true,
+		secure: production,
+		sameSite: production ? 'none' : 'lax',
+		path: '/portal',
+		maxAge: maxAgeMs,
+	};
+}
+
+// Requires a Team Lead portal session; sets req.portal = { sessionId, teamId, email }
+async function requirePortalSession(req, res, next) {
+	const token = req.cookies && req.cookies[SESSION_COOKIE];
+	if (!token) {
+		return res.status(401).json({
+			success: false,
+			message: 'Not signed in',
+		});
+	}
+
+	try {
+		const session = await findSession(token);
+		if (!session) {
+			res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+			return res.status(401).json({
+				success: false,
+				message: 'Session expired. Please sign in again.',
+			});
+		}
+
+		req.portal = session;
+		next();
+	} catch (error) {
+		logger.error('Portal session lookup failed', { err: error });
+		res.status(500).json({
+			success: false,
+			message: 'Failed to verify session',
+		});
+	}
+}
+
+module.exports = { SESSION_COOKIE, sessionCookieOptions, requirePortalSession };
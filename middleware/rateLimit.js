@@ -0,0 +1,92 @@
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStores');
+
+// Named limits, each counted separately. `key` says what a client is:
+//   ip    - the caller's address
+//   email - the Team Lead's email of a validated registration body, or the
+//           participant's email of a solo or join body, normalized to lower case
+//   team  - teamId from the validated body or the route
+// The email and team keys are counted across every address, so rotating addresses
+// doesn't buy more attempts at the same email or team.
+// A policy with failuresOnly counts only responses with an error status, so callers
+// that authenticate aren't slowed down while credential guessing is.
+// Override a policy with RATE_LIMIT_<NAME>=<max>/<minutes>, e.g. RATE_LIMIT_VERIFY_PAYMENT=20/15.
+const POLICIES = {
+	default: { max: 300, windowMinutes: 15, key: 'ip', message: 'Too many requests, please try again later' },
+	registration: { max: 10, windowMinutes: 15, key: 'ip', message: 'Too many registration attempts, please try again later' },
+	registrationEmail: { max: 5, windowMinutes: 60, key: 'email', message: 'Too many registration attempts for this email, please try again later' },
+	verifyPayment: { max: 20, windowMinutes: 15, key: 'ip', message: 'Too many payment verification attempts, please try again later' },
+	verifyPaymentTeam: { max: 10, windowMinutes: 15, key: 'team', message: 'Too many payment verification attempts for this team, please try again later' },
+	paymentStatus: { max: 120, windowMinutes: 15, key: 'team', message: 'Too many status checks for this team, please try again later' },
+	createOrder: { max: 10, windowMinutes: 15, key: 'ip', message: 'Too many order requests, please try again later' },
+	admin: { max: 2000, windowMinutes: 15, key: 'ip', message: 'Too many requests, please try again later' },
+	metricsAuth: { max: 20, windowMinutes: 15, key: 'ip', failuresOnly: true, message: 'Too many failed attempts, please try again later' },
+};
+
+function envName(policyName) {
+	return `RATE_LIMIT_${policyName.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+}
+
+function policySettings(name) {
+	const policy = POLICIES[name];
+	if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+
+	const override = process.env[envName(name)];
+	if (!override) return policy;
+
+	const match = /^(\d+)\s*\/\s*(\d+)$/.exec(override.trim());
+	if (!match || Number(match[2]) === 0) {
+		throw new Error(`${envName(name)} must look like <max>/<minutes>, e.g. 20/15`);
+	}
+	return { ...policy, max: Number(match[1]), windowMinutes: Number(match[2]) };
+}
+
+const KEYS = {
+	ip: req => `ip:${ipKeyGenerator(req.ip)}`,
+	email: req => {
+		const members = Array.isArray(req.body && req.body.members) ? req.body.members : [];
+		const lead = members.find(m => m && m.role === 'Team Lead');
+		const address = lead ? lead.email : req.body && req.body.email;
+		return address ? `email:${String(address).trim().toLowerCase()}` : null;
+	},
+	team: req => {
+		const teamId = (req.body && req.body.teamId) ?? (req.params && req.params.teamId);
+		return teamId !== undefined && teamId !== null ? `team:${teamId}` : null;
+	},
+};
+
+const limiters = new Map();
+
+// Middleware enforcing a policy from POLICIES. Each policy has one limiter (and store),
+// however many routes use it. Requests without the policy's key (e.g. no email) are
+// counted by IP instead.
+function rateLimitPolicy(name, { skip } = {}) {
+	const cacheKey = skip ? null : name;
+	if (cacheKey && limiters.has(cacheKey)) return limiters.get(cacheKey).middleware;
+
+	const policy = policySettings(name);
+	const store = createRateLimitStore(name);
+	const middleware = rateLimit({
+		windowMs: policy.windowMinutes * 60 * 1000,
+		max: policy.max,
+		standardHeaders: 'draft-6',
+		legacyHeaders: false,
+		store,
+		skip,
+		skipSuccessfulRequests: !!policy.failuresOnly,
+		keyGenerator: req => KEYS[policy.key](req) || KEYS.ip(req),
+		message: { success: false, message: policy.message },
+	});
+
+	limiters.set(cacheKey || `${name}:${limiters.size}`, { middleware, store });
+	return middleware;
+}
+
+// Forget every counted hit (tests)
+async function resetRateLimits() {
+	for (const { store } of limiters.values()) {
+		if (store.resetAll) await store.resetAll();
+	}
+}
+
+module.exports = { POLICIES, rateLimitPolicy, resetRateLimits };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../services/logger');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Accept a caller-supplied id only if it looks like an id, not arbitrary text
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,128}$/;
+
+// Assigns each request a correlation id (reusing a valid incoming X-Request-Id),
+// echoes it in the response headers and attaches it to every log entry written
+// while the request is handled.
+function requestId(req, res, next) {
+	const incoming = req.get(REQUEST_ID_HEADER);
+	const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+	req.id = id;
+	res.set(REQUEST_ID_HEADER, id);
+
+	runWithContext({ requestId: id }, next);
+}
+
+// One structured access-log entry per request, replacing morgan
+function accessLog(req, res, next) {
+	const start = process.hrtime.bigint();
+
+	res.on('finish', () => {
+		const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+		const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+		logger[level]('request completed', {
+			requestId: req.id,
+			method: req.method,
+			path: req.originalUrl.split('?')[0],
+			status: res.statusCode,
+			durationMs: Math.round(durationMs * 10) / 10,
+			ip: req.ip,
+			userAgent: req.get('user-agent'),
+		});
+	});
+
+	next();
+}
+
+module.exports = { REQUEST_ID_HEADER, requestId, accessLog };
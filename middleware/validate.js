@@ -0,0 +1,25 @@
+const { validate } = require('../services/validation');
+
+// 400 listing every invalid field, e.g.
+// { success: false, message: 'Validation failed', errors: [{ path: 'members[2].email', message: '...' }] }
+function sendValidationErrors(res, errors) {
+	return res.status(400).json({
+		success: false,
+		message: 'Validation failed',
+		errors,
+	});
+}
+
+// Validates req.body against a schema from services/validation.js and replaces it
+// with the normalized value, so handlers only ever see clean input.
+function validateBody(schema) {
+	return (req, res, next) => {
+		const { value, errors } = validate(schema, req.body ?? {});
+		if (errors.length > 0) return sendValidationErrors(res, errors);
+
+		req.body = value;
+		next();
+	};
+}
+
+module.exports = { validateBody, sendValidationErrors };
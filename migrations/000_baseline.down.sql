@@ -0,0 +1,2 @@
+drop table if exists public.registrations;
+drop table if exists public.teams;
@@ -0,0 +1,46 @@
+-- The teams and registrations tables as they stood before the numbered migrations,
+-- previously kept only as a comment in config/supabase.js. Safe to run against a
+-- database that already has them; roll_number is added if it is missing.
+create table if not exists public.teams (
+  id bigserial not null,
+  team_name text not null,
+  domain text not null,
+  payment_status text not null default 'Pending'::text,
+  created_at timestamp without time zone null default now(),
+  razorpay_order_id text null,
+  razorpay_payment_id text null,
+  amount_in_paise integer null,
+  team_size integer not null default 0,
+  payment_initiated_at timestamp without time zone null,
+  payment_verified_at timestamp without time zone null,
+  constraint teams_pkey primary key (id),
+  constraint teams_razorpay_order_id_unique unique (razorpay_order_id),
+  constraint teams_domain_check check (
+    domain = any (array['Web Dev'::text, 'Agentic AI'::text, 'UI/UX'::text])
+  ),
+  constraint teams_payment_status_check check (
+    payment_status = any (
+      array['Pending'::text, 'Initiated'::text, 'Completed'::text, 'Failed'::text, 'Refunded'::text]
+    )
+  )
+);
+
+create table if not exists public.registrations (
+  id bigserial not null,
+  team_id bigint null,
+  name text not null,
+  email text not null,
+  phone text not null,
+  college text not null,
+  role text not null,
+  roll_number text null,
+  created_at timestamp without time zone null default now(),
+  constraint registrations_pkey primary key (id),
+  constraint registrations_team_id_fkey foreign key (team_id) references teams (id) on delete cascade,
+  constraint registrations_role_check check (
+    role = any (array['Team Lead'::text, 'Member'::text])
+  )
+);
+
+alter table public.registrations
+  add column if not exists roll_number text null;
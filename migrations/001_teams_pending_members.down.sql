@@ -0,0 +1,2 @@
+alter table public.teams
+  drop column if exists pending_members;
@@ -0,0 +1,4 @@
+-- Validated roster captured by POST /registration. Payment finalization inserts
+-- registrations from this copy instead of trusting the client.
+alter table public.teams
+  add column if not exists pending_members jsonb null;
@@ -0,0 +1,5 @@
+drop function if exists public.finalize_team_payment(bigint, text, jsonb);
+
+alter table public.teams
+  drop column if exists finalization_failed_at,
+  drop column if exists finalization_error;
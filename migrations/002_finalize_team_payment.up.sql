@@ -0,0 +1,68 @@
+-- Finalize a paid team in a single transaction: flip it to 'Completed' and insert
+-- its members, or do neither.
+--
+-- If the member insert hits a unique violation (e.g. a roll number registered by
+-- another team) everything is rolled back, the team keeps its previous status and
+-- the error is recorded in finalization_error. Once the conflicting registration
+-- has been resolved, calling the function again (verify-payment retry, webhook
+-- redelivery or an organizer) completes the team normally.
+
+alter table public.teams
+  add column if not exists finalization_error text null,
+  add column if not exists finalization_failed_at timestamp without time zone null;
+
+create or replace function public.finalize_team_payment(
+  p_team_id bigint,
+  p_payment_id text,
+  p_members jsonb default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_team public.teams%rowtype;
+  v_members jsonb;
+  v_member_count integer;
+begin
+  select * into v_team from public.teams where id = p_team_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  if v_team.payment_status = 'Completed' then
+    -- Completed by this same payment without members (e.g. a webhook for a team
+    -- registered before rosters were stored) can still be finished here.
+    select count(*) into v_member_count from public.registrations where team_id = p_team_id;
+    if v_team.razorpay_payment_id is distinct from p_payment_id or v_member_count > 0 then
+      return jsonb_build_object('status', 'already_completed', 'member_count', v_member_count);
+    end if;
+  elsif v_team.payment_status not in ('Initiated', 'Failed') then
+    return jsonb_build_object('status', 'invalid_status', 'payment_status', v_team.payment_status);
+  end if;
+
+  v_members := coalesce(p_members, v_team.pending_members, '[]'::jsonb);
+
+  begin
+    update public.teams
+       set payment_status = 'Completed',
+           razorpay_payment_id = p_payment_id,
+           payment_verified_at = now(),
+           finalization_error = null,
+           finalization_failed_at = null
+     where id = p_team_id;
+
+    insert into public.registrations (team_id, name, email, phone, college, role, roll_number)
+    select p_team_id, m->>'name', m->>'email', m->>'phone', m->>'college', m->>'role', m->>'roll_number'
+      from jsonb_array_elements(v_members) as m;
+    get diagnostics v_member_count = row_count;
+  exception when unique_violation then
+    update public.teams
+       set razorpay_payment_id = p_payment_id,
+           finalization_error = sqlerrm,
+           finalization_failed_at = now()
+     where id = p_team_id;
+    return jsonb_build_object('status', 'member_conflict', 'message', sqlerrm);
+  end;
+
+  return jsonb_build_object('status', 'completed', 'member_count', v_member_count);
+end;
+$$;
@@ -0,0 +1,11 @@
+alter table public.teams
+  drop constraint if exists teams_refund_status_check;
+
+alter table public.teams
+  drop column if exists members_released_at,
+  drop column if exists refunded_at,
+  drop column if exists refund_requested_at,
+  drop column if exists refund_reason,
+  drop column if exists refund_amount_in_paise,
+  drop column if exists razorpay_refund_id,
+  drop column if exists refund_status;
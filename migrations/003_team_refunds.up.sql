@@ -0,0 +1,15 @@
+-- Refund bookkeeping for teams. refund_status is 'Processing' while the Razorpay
+-- refund call is in flight so concurrent requests can't refund the same team twice.
+alter table public.teams
+  add column if not exists refund_status text null,
+  add column if not exists razorpay_refund_id text null,
+  add column if not exists refund_amount_in_paise integer null,
+  add column if not exists refund_reason text null,
+  add column if not exists refund_requested_at timestamp without time zone null,
+  add column if not exists refunded_at timestamp without time zone null,
+  add column if not exists members_released_at timestamp without time zone null;
+
+alter table public.teams
+  add constraint teams_refund_status_check check (
+    refund_status is null or refund_status = any (array['Processing'::text, 'Processed'::text])
+  );
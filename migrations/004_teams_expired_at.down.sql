@@ -0,0 +1,5 @@
+drop index if exists public.teams_payment_status_initiated_at_idx;
+
+alter table public.teams
+  drop column if exists reconciled_at,
+  drop column if exists expired_at;
@@ -0,0 +1,8 @@
+-- Set by the reconciliation job when an unpaid order outlives its TTL. Expired
+-- teams stay as 'Failed' for the record but no longer reserve their team name.
+alter table public.teams
+  add column if not exists expired_at timestamp without time zone null,
+  add column if not exists reconciled_at timestamp without time zone null;
+
+create index if not exists teams_payment_status_initiated_at_idx
+  on public.teams (payment_status, payment_initiated_at);
@@ -0,0 +1,29 @@
+-- Outgoing emails are queued here and delivered by services/outbox.js, so a mail
+-- failure never affects the registration that triggered it. dedupe_key keeps the
+-- same email from being queued twice when finalization is retried.
+create table if not exists public.email_outbox (
+  id bigserial not null,
+  team_id bigint null,
+  dedupe_key text not null,
+  template text not null,
+  to_email text not null,
+  subject text not null,
+  text_body text not null,
+  html_body text null,
+  status text not null default 'pending'::text,
+  attempts integer not null default 0,
+  last_error text null,
+  next_attempt_at timestamp without time zone not null default now(),
+  claimed_at timestamp without time zone null,
+  sent_at timestamp without time zone null,
+  created_at timestamp without time zone not null default now(),
+  constraint email_outbox_pkey primary key (id),
+  constraint email_outbox_dedupe_key_unique unique (dedupe_key),
+  constraint email_outbox_team_id_fkey foreign key (team_id) references teams (id) on delete set null,
+  constraint email_outbox_status_check check (
+    status = any (array['pending'::text, 'sending'::text, 'sent'::text, 'failed'::text])
+  )
+);
+
+create index if not exists email_outbox_status_next_attempt_idx
+  on public.email_outbox (status, next_attempt_at);
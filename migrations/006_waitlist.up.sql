@@ -0,0 +1,18 @@
+-- Teams that registered while their domain was at capacity. No Razorpay order is
+-- created for them; organizers invite them in order of created_at when seats free up.
+create table if not exists public.waitlist (
+  id bigserial not null,
+  team_name text not null,
+  domain text not null,
+  members jsonb not null,
+  contact_email text not null,
+  status text not null default 'Waiting'::text,
+  created_at timestamp without time zone not null default now(),
+  constraint waitlist_pkey primary key (id),
+  constraint waitlist_status_check check (
+    status = any (array['Waiting'::text, 'Invited'::text, 'Removed'::text])
+  )
+);
+
+create index if not exists waitlist_domain_status_created_at_idx
+  on public.waitlist (domain, status, created_at);
@@ -0,0 +1,4 @@
+alter table public.teams
+  add constraint teams_domain_check check (
+    domain = any (array['Web Dev'::text, 'Agentic AI'::text, 'UI/UX'::text])
+  );
@@ -0,0 +1,4 @@
+-- Domains are defined in the event configuration (config/event.json) and validated
+-- by the API, so the hard-coded list no longer lives in the schema.
+alter table public.teams
+  drop constraint if exists teams_domain_check;
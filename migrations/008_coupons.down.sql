@@ -0,0 +1,10 @@
+drop function if exists public.release_coupon(text);
+drop function if exists public.redeem_coupon(text);
+
+alter table public.teams
+  drop column if exists discounts,
+  drop column if exists discount_in_paise,
+  drop column if exists original_amount_in_paise,
+  drop column if exists coupon_code;
+
+drop table if exists public.coupons;
@@ -0,0 +1,59 @@
+-- Discount codes and the pricing breakdown stored on each team.
+create table if not exists public.coupons (
+  id bigserial not null,
+  code text not null,
+  description text null,
+  discount_type text not null,
+  discount_value numeric not null default 0,
+  max_redemptions integer null,
+  redemption_count integer not null default 0,
+  valid_from timestamp without time zone null,
+  expires_at timestamp without time zone null,
+  domains text[] null,
+  colleges text[] null,
+  active boolean not null default true,
+  created_at timestamp without time zone not null default now(),
+  constraint coupons_pkey primary key (id),
+  constraint coupons_discount_type_check check (
+    discount_type = any (array['percentage'::text, 'flat'::text, 'free'::text])
+  ),
+  constraint coupons_redemptions_check check (
+    redemption_count >= 0 and (max_redemptions is null or redemption_count <= max_redemptions)
+  )
+);
+
+create unique index if not exists coupons_code_lower_unique on public.coupons (lower(code));
+
+alter table public.teams
+  add column if not exists coupon_code text null,
+  add column if not exists original_amount_in_paise integer null,
+  add column if not exists discount_in_paise integer null,
+  add column if not exists discounts jsonb null;
+
+-- Take one redemption of a code if it is still usable. The row lock taken by the
+-- update keeps concurrent registrations from exceeding max_redemptions.
+-- Returns the coupon, or no rows when the code can't be redeemed.
+create or replace function public.redeem_coupon(p_code text)
+returns setof public.coupons
+language sql
+as $$
+  update public.coupons
+     set redemption_count = redemption_count + 1
+   where lower(code) = lower(p_code)
+     and active
+     and (max_redemptions is null or redemption_count < max_redemptions)
+     and (valid_from is null or valid_from <= now())
+     and (expires_at is null or expires_at > now())
+  returning *;
+$$;
+
+-- Give back a redemption taken for a checkout that never completed
+create or replace function public.release_coupon(p_code text)
+returns void
+language sql
+as $$
+  update public.coupons
+     set redemption_count = redemption_count - 1
+   where lower(code) = lower(p_code)
+     and redemption_count > 0;
+$$;
@@ -0,0 +1,3 @@
+drop table if exists public.portal_audit_log;
+drop table if exists public.portal_sessions;
+drop table if exists public.portal_login_tokens;
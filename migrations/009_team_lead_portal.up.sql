@@ -0,0 +1,42 @@
+-- Passwordless Team Lead portal: one-time magic-link tokens, cookie sessions and
+-- an audit trail of every change made through it. Only SHA-256 hashes of tokens
+-- are stored.
+create table if not exists public.portal_login_tokens (
+  id bigserial not null,
+  token_hash text not null,
+  team_id bigint not null,
+  email text not null,
+  expires_at timestamp without time zone not null,
+  used_at timestamp without time zone null,
+  created_at timestamp without time zone not null default now(),
+  constraint portal_login_tokens_pkey primary key (id),
+  constraint portal_login_tokens_token_hash_unique unique (token_hash),
+  constraint portal_login_tokens_team_id_fkey foreign key (team_id) references teams (id) on delete cascade
+);
+
+create table if not exists public.portal_sessions (
+  id bigserial not null,
+  token_hash text not null,
+  team_id bigint not null,
+  email text not null,
+  expires_at timestamp without time zone not null,
+  created_at timestamp without time zone not null default now(),
+  constraint portal_sessions_pkey primary key (id),
+  constraint portal_sessions_token_hash_unique unique (token_hash),
+  constraint portal_sessions_team_id_fkey foreign key (team_id) references teams (id) on delete cascade
+);
+
+create table if not exists public.portal_audit_log (
+  id bigserial not null,
+  team_id bigint not null,
+  registration_id bigint null,
+  actor_email text not null,
+  action text not null,
+  changes jsonb null,
+  ip text null,
+  created_at timestamp without time zone not null default now(),
+  constraint portal_audit_log_pkey primary key (id),
+  constraint portal_audit_log_team_id_fkey foreign key (team_id) references teams (id) on delete cascade
+);
+
+create index if not exists portal_audit_log_team_id_idx on public.portal_audit_log (team_id, created_at);
@@ -0,0 +1,5 @@
+drop index if exists public.registrations_checked_in_at_idx;
+
+alter table public.registrations
+  drop column if exists checked_in_by,
+  drop column if exists checked_in_at;
@@ -0,0 +1,8 @@
+-- Event-day check-in, recorded per member by scanning their signed pass.
+alter table public.registrations
+  add column if not exists checked_in_at timestamp without time zone null,
+  add column if not exists checked_in_by text null;
+
+create index if not exists registrations_checked_in_at_idx
+  on public.registrations (checked_in_at)
+  where checked_in_at is not null;
@@ -0,0 +1,21 @@
+-- Responses stored per Idempotency-Key so a retried or double-submitted request is
+-- answered with the original response instead of being processed again.
+-- request_hash is a SHA-256 of the normalized request body; reusing a key with a
+-- different body is rejected. Rows past expires_at may be deleted or reused.
+create table if not exists public.idempotency_keys (
+  scope text not null,
+  key text not null,
+  request_hash text not null,
+  status text not null default 'processing'::text,
+  response_status integer null,
+  response_body jsonb null,
+  created_at timestamp without time zone not null default now(),
+  completed_at timestamp without time zone null,
+  expires_at timestamp without time zone not null,
+  constraint idempotency_keys_pkey primary key (scope, key),
+  constraint idempotency_keys_status_check check (
+    status = any (array['processing'::text, 'completed'::text])
+  )
+);
+
+create index if not exists idempotency_keys_expires_at_idx on public.idempotency_keys (expires_at);
@@ -0,0 +1,7 @@
+drop trigger if exists registrations_sync_email_claims on public.registrations;
+drop function if exists public.sync_registration_email_claims();
+drop trigger if exists teams_release_expired_claims on public.teams;
+drop function if exists public.release_expired_team_claims();
+drop function if exists public.create_pending_team(jsonb);
+drop table if exists public.registration_email_claims;
+drop index if exists public.teams_active_team_name_unique;
@@ -0,0 +1,137 @@
+-- Race-safe uniqueness for registrations.
+--
+-- Team names: a partial unique index over the teams that still reserve their name
+-- (everything except expired checkouts), matching the check in POST /registration.
+-- Remove duplicate names among those teams before applying this migration.
+--
+-- Emails: every member email of a team that is in flight or registered is claimed
+-- in registration_email_claims, whose primary key makes a second claim fail even
+-- when two registrations are submitted at the same moment. Triggers keep the claims
+-- in step: they are dropped when a checkout expires or a registration is deleted
+-- (e.g. a refund that releases members) and follow email changes from the portal.
+create unique index if not exists teams_active_team_name_unique
+  on public.teams (team_name)
+  where expired_at is null or payment_status = 'Completed';
+
+create table if not exists public.registration_email_claims (
+  email text not null,
+  team_id bigint not null,
+  created_at timestamp without time zone not null default now(),
+  constraint registration_email_claims_pkey primary key (email),
+  constraint registration_email_claims_team_id_fkey foreign key (team_id) references teams (id) on delete cascade
+);
+
+create index if not exists registration_email_claims_team_id_idx on public.registration_email_claims (team_id);
+
+insert into public.registration_email_claims (email, team_id)
+select lower(r.email), r.team_id
+  from public.registrations r
+ where r.team_id is not null
+on conflict (email) do nothing;
+
+insert into public.registration_email_claims (email, team_id)
+select lower(m->>'email'), t.id
+  from public.teams t, jsonb_array_elements(t.pending_members) as m
+ where t.payment_status in ('Initiated', 'Failed')
+   and t.expired_at is null
+   and t.pending_members is not null
+on conflict (email) do nothing;
+
+-- Insert an Initiated team and claim its members' emails (from pending_members) in
+-- one transaction. Returns one of:
+--   { status: 'created', team }
+--   { status: 'team_name_taken' }
+--   { status: 'emails_taken', emails: [...] }
+create or replace function public.create_pending_team(p_team jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_emails text[];
+  v_taken text[];
+  v_team public.teams%rowtype;
+  v_constraint text;
+begin
+  select coalesce(array_agg(distinct lower(m->>'email')), '{}')
+    into v_emails
+    from jsonb_array_elements(coalesce(p_team->'pending_members', '[]'::jsonb)) as m;
+
+  begin
+    insert into public.teams (
+      team_name, domain, team_size, razorpay_order_id, amount_in_paise,
+      original_amount_in_paise, discount_in_paise, coupon_code, discounts,
+      payment_status, payment_initiated_at, pending_members
+    ) values (
+      p_team->>'team_name',
+      p_team->>'domain',
+      (p_team->>'team_size')::integer,
+      p_team->>'razorpay_order_id',
+      (p_team->>'amount_in_paise')::integer,
+      (p_team->>'original_amount_in_paise')::integer,
+      (p_team->>'discount_in_paise')::integer,
+      p_team->>'coupon_code',
+      p_team->'discounts',
+      coalesce(p_team->>'payment_status', 'Initiated'),
+      coalesce((p_team->>'payment_initiated_at')::timestamp, now()),
+      p_team->'pending_members'
+    )
+    returning * into v_team;
+
+    insert into public.registration_email_claims (email, team_id)
+    select unnest(v_emails), v_team.id;
+  exception when unique_violation then
+    get stacked diagnostics v_constraint = constraint_name;
+    if v_constraint = 'teams_active_team_name_unique' then
+      return jsonb_build_object('status', 'team_name_taken');
+    end if;
+
+    select coalesce(array_agg(email order by email), '{}')
+      into v_taken
+      from public.registration_email_claims
+     where email = any (v_emails);
+    return jsonb_build_object('status', 'emails_taken', 'emails', to_jsonb(v_taken));
+  end;
+
+  return jsonb_build_object('status', 'created', 'team', to_jsonb(v_team));
+end;
+$$;
+
+create or replace function public.release_expired_team_claims()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.expired_at is not null and old.expired_at is null and new.payment_status <> 'Completed' then
+    delete from public.registration_email_claims where team_id = new.id;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger teams_release_expired_claims
+  after update of expired_at on public.teams
+  for each row execute function public.release_expired_team_claims();
+
+create or replace function public.sync_registration_email_claims()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' then
+    delete from public.registration_email_claims
+     where email = lower(old.email) and team_id = old.team_id;
+    return old;
+  end if;
+
+  if lower(new.email) is distinct from lower(old.email) then
+    update public.registration_email_claims
+       set email = lower(new.email)
+     where email = lower(old.email) and team_id = new.team_id;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger registrations_sync_email_claims
+  after update of email or delete on public.registrations
+  for each row execute function public.sync_registration_email_claims();
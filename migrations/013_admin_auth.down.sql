@@ -0,0 +1,2 @@
+drop table if exists public.audit_log;
+drop table if exists public.admin_api_keys;
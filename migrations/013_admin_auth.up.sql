@@ -0,0 +1,45 @@
+-- Organizer credentials and the audit trail of privileged actions.
+-- API keys are random and only their SHA-256 hash is stored; key_prefix is kept
+-- so a key can be recognized in listings. Both tables have row level security
+-- enabled and no policies, so only the service-role client can read or write them.
+create table if not exists public.admin_api_keys (
+  id bigserial not null,
+  name text not null,
+  role text not null,
+  key_hash text not null,
+  key_prefix text not null,
+  created_at timestamp without time zone not null default now(),
+  expires_at timestamp without time zone null,
+  last_used_at timestamp without time zone null,
+  revoked_at timestamp without time zone null,
+  constraint admin_api_keys_pkey primary key (id),
+  constraint admin_api_keys_key_hash_unique unique (key_hash),
+  constraint admin_api_keys_role_check check (
+    role = any (array['admin'::text, 'finance'::text, 'viewer'::text, 'checkin'::text])
+  )
+);
+
+-- actor_type: api_key | jwt | env (ADMIN_API_KEY / CHECKIN_API_KEY) | cli
+-- diff: { column: { from, to } } for changed rows; details: other context (e.g. filters)
+create table if not exists public.audit_log (
+  id bigserial not null,
+  actor_type text not null,
+  actor_id text not null,
+  actor_name text null,
+  actor_role text null,
+  action text not null,
+  target_type text null,
+  target_id text null,
+  diff jsonb null,
+  details jsonb null,
+  request_id text null,
+  ip text null,
+  created_at timestamp without time zone not null default now(),
+  constraint audit_log_pkey primary key (id)
+);
+
+create index if not exists audit_log_created_at_idx on public.audit_log (created_at);
+create index if not exists audit_log_target_idx on public.audit_log (target_type, target_id, created_at);
+
+alter table public.admin_api_keys enable row level security;
+alter table public.audit_log enable row level security;
@@ -0,0 +1,2 @@
+drop index if exists public.registrations_roll_number_unique;
+drop index if exists public.registrations_email_lower_unique;
@@ -0,0 +1,10 @@
+-- One registration per email (case-insensitive) and per roll number.
+-- Remove duplicates before applying, e.g. find them with:
+--   select lower(email), count(*) from public.registrations group by 1 having count(*) > 1;
+--   select roll_number, count(*) from public.registrations group by 1 having count(*) > 1;
+create unique index if not exists registrations_email_lower_unique
+  on public.registrations (lower(email));
+
+create unique index if not exists registrations_roll_number_unique
+  on public.registrations (roll_number)
+  where roll_number is not null;
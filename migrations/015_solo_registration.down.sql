@@ -0,0 +1,16 @@
+drop function if exists public.promote_team_lead(bigint, bigint);
+drop function if exists public.complete_team_join(bigint, text, integer);
+drop function if exists public.request_team_join(text, jsonb, integer, integer, integer, text, integer);
+drop function if exists public.form_solo_team(jsonb, bigint[]);
+drop function if exists public.create_solo_registration(jsonb);
+drop table if exists public.team_join_requests;
+drop table if exists public.team_invites;
+alter table public.teams
+  drop column if exists prepaid_in_paise;
+delete from public.registration_email_claims where team_id is null;
+alter table public.registration_email_claims
+  drop constraint if exists registration_email_claims_owner_check,
+  drop constraint if exists registration_email_claims_solo_id_fkey,
+  drop column if exists solo_id,
+  alter column team_id set not null;
+drop table if exists public.solo_registrations;
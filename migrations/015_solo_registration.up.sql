@@ -0,0 +1,401 @@
+-- Solo participants, organizer-formed teams and invite codes.
+--
+-- solo_registrations is the pool of individuals looking for a team. A solo either
+-- pays their own share upfront (Initiated -> Paid) or only reserves a spot
+-- (Reserved); organizers then form teams from Paid and Reserved entries (Matched).
+-- A solo's email is claimed in registration_email_claims like a team member's, so
+-- the same person can't also register with a team. Forming a team moves the claims
+-- over to it.
+--
+-- team_invites let a registered team add members; each join is a
+-- team_join_requests row, Initiated until the price difference is paid.
+create table if not exists public.solo_registrations (
+  id bigserial not null,
+  name text not null,
+  email text not null,
+  phone text not null,
+  college text not null,
+  roll_number text null,
+  domain text not null,
+  skills text[] not null default '{}'::text[],
+  status text not null default 'Reserved'::text,
+  amount_in_paise integer not null default 0,
+  razorpay_order_id text null,
+  razorpay_payment_id text null,
+  team_id bigint null,
+  created_at timestamp without time zone not null default now(),
+  paid_at timestamp without time zone null,
+  matched_at timestamp without time zone null,
+  constraint solo_registrations_pkey primary key (id),
+  constraint solo_registrations_razorpay_order_id_unique unique (razorpay_order_id),
+  constraint solo_registrations_team_id_fkey foreign key (team_id) references teams (id) on delete set null,
+  constraint solo_registrations_status_check check (
+    status = any (array['Initiated'::text, 'Failed'::text, 'Paid'::text, 'Reserved'::text, 'Matched'::text])
+  )
+);
+
+create index if not exists solo_registrations_pool_idx
+  on public.solo_registrations (domain, status, created_at);
+
+alter table public.registration_email_claims
+  alter column team_id drop not null,
+  add column if not exists solo_id bigint null,
+  add constraint registration_email_claims_solo_id_fkey
+    foreign key (solo_id) references solo_registrations (id) on delete cascade,
+  add constraint registration_email_claims_owner_check check (num_nonnulls(team_id, solo_id) = 1);
+
+-- What the members of an organizer-formed team had already paid as solos
+alter table public.teams
+  add column if not exists prepaid_in_paise integer null;
+
+create table if not exists public.team_invites (
+  id bigserial not null,
+  team_id bigint not null,
+  code text not null,
+  created_by text not null,
+  max_uses integer not null default 1,
+  use_count integer not null default 0,
+  expires_at timestamp without time zone not null,
+  revoked_at timestamp without time zone null,
+  created_at timestamp without time zone not null default now(),
+  constraint team_invites_pkey primary key (id),
+  constraint team_invites_code_unique unique (code),
+  constraint team_invites_team_id_fkey foreign key (team_id) references teams (id) on delete cascade
+);
+
+create index if not exists team_invites_team_id_idx on public.team_invites (team_id);
+
+create table if not exists public.team_join_requests (
+  id bigserial not null,
+  team_id bigint not null,
+  invite_id bigint not null,
+  member jsonb not null,
+  amount_in_paise integer not null default 0,
+  razorpay_order_id text null,
+  razorpay_payment_id text null,
+  status text not null default 'Initiated'::text,
+  registration_id bigint null,
+  error text null,
+  created_at timestamp without time zone not null default now(),
+  completed_at timestamp without time zone null,
+  constraint team_join_requests_pkey primary key (id),
+  constraint team_join_requests_razorpay_order_id_unique unique (razorpay_order_id),
+  constraint team_join_requests_team_id_fkey foreign key (team_id) references teams (id) on delete cascade,
+  constraint team_join_requests_invite_id_fkey foreign key (invite_id) references team_invites (id) on delete cascade,
+  constraint team_join_requests_status_check check (
+    status = any (array['Initiated'::text, 'Failed'::text, 'Completed'::text])
+  )
+);
+
+create index if not exists team_join_requests_team_id_idx on public.team_join_requests (team_id, status);
+
+-- Insert a solo registration and claim its email in one transaction. Returns
+-- { status: 'created', solo } or { status: 'email_taken' }.
+create or replace function public.create_solo_registration(p_solo jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_solo public.solo_registrations%rowtype;
+begin
+  begin
+    insert into public.solo_registrations (
+      name, email, phone, college, roll_number, domain, skills, status,
+      amount_in_paise, razorpay_order_id
+    ) values (
+      p_solo->>'name',
+      p_solo->>'email',
+      p_solo->>'phone',
+      p_solo->>'college',
+      p_solo->>'roll_number',
+      p_solo->>'domain',
+      array(select jsonb_array_elements_text(coalesce(p_solo->'skills', '[]'::jsonb))),
+      p_solo->>'status',
+      coalesce((p_solo->>'amount_in_paise')::integer, 0),
+      p_solo->>'razorpay_order_id'
+    )
+    returning * into v_solo;
+
+    insert into public.registration_email_claims (email, solo_id)
+    values (lower(v_solo.email), v_solo.id);
+  exception when unique_violation then
+    return jsonb_build_object('status', 'email_taken');
+  end;
+
+  return jsonb_build_object('status', 'created', 'solo', to_jsonb(v_solo));
+end;
+$$;
+
+-- Insert a team formed from solo registrations, hand their email claims to it and
+-- mark them Matched, in one transaction. Every solo must still be Paid or Reserved
+-- in the team's domain. Returns one of:
+--   { status: 'created', team }
+--   { status: 'team_name_taken' }
+--   { status: 'unavailable', solo_ids: [...] }
+create or replace function public.form_solo_team(p_team jsonb, p_solo_ids bigint[])
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_unavailable bigint[];
+  v_team public.teams%rowtype;
+  v_constraint text;
+begin
+  perform 1 from public.solo_registrations where id = any (p_solo_ids) for update;
+
+  select coalesce(array_agg(requested.id order by requested.id), '{}')
+    into v_unavailable
+    from unnest(p_solo_ids) as requested(id)
+   where not exists (
+     select 1 from public.solo_registrations s
+      where s.id = requested.id
+        and s.status in ('Paid', 'Reserved')
+        and s.domain = p_team->>'domain'
+   );
+
+  if cardinality(v_unavailable) > 0 then
+    return jsonb_build_object('status', 'unavailable', 'solo_ids', to_jsonb(v_unavailable));
+  end if;
+
+  begin
+    insert into public.teams (
+      team_name, domain, team_size, razorpay_order_id, amount_in_paise,
+      original_amount_in_paise, discount_in_paise, discounts, prepaid_in_paise,
+      payment_status, payment_initiated_at, pending_members
+    ) values (
+      p_team->>'team_name',
+      p_team->>'domain',
+      (p_team->>'team_size')::integer,
+      p_team->>'razorpay_order_id',
+      (p_team->>'amount_in_paise')::integer,
+      (p_team->>'original_amount_in_paise')::integer,
+      (p_team->>'discount_in_paise')::integer,
+      p_team->'discounts',
+      (p_team->>'prepaid_in_paise')::integer,
+      'Initiated',
+      now(),
+      p_team->'pending_members'
+    )
+    returning * into v_team;
+  exception when unique_violation then
+    get stacked diagnostics v_constraint = constraint_name;
+    if v_constraint = 'teams_active_team_name_unique' then
+      return jsonb_build_object('status', 'team_name_taken');
+    end if;
+    raise;
+  end;
+
+  update public.registration_email_claims
+     set team_id = v_team.id, solo_id = null
+   where solo_id = any (p_solo_ids);
+
+  update public.solo_registrations
+     set status = 'Matched', team_id = v_team.id, matched_at = now()
+   where id = any (p_solo_ids);
+
+  return jsonb_build_object('status', 'created', 'team', to_jsonb(v_team));
+end;
+$$;
+
+-- Record a request to join a team through an invite code and claim the joiner's
+-- email. The team must still have p_expected_size members (the price difference
+-- was quoted for that size) and room for one more, counting joins started in the
+-- last p_hold_minutes that haven't been paid yet. Returns one of:
+--   { status: 'created', join }
+--   { status: 'invalid_invite' }  - unknown, revoked, expired or used up
+--   { status: 'team_not_active' } - the team isn't Completed
+--   { status: 'team_full' }
+--   { status: 'conflict' }        - the team's size changed since it was quoted
+--   { status: 'email_taken' }
+create or replace function public.request_team_join(
+  p_code text,
+  p_member jsonb,
+  p_expected_size integer,
+  p_max_size integer,
+  p_amount_in_paise integer,
+  p_order_id text,
+  p_hold_minutes integer
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_invite public.team_invites%rowtype;
+  v_team public.teams%rowtype;
+  v_held integer;
+  v_join public.team_join_requests%rowtype;
+begin
+  select * into v_invite from public.team_invites where code = upper(p_code) for update;
+  if not found
+     or v_invite.revoked_at is not null
+     or v_invite.expires_at <= now()
+     or v_invite.use_count >= v_invite.max_uses then
+    return jsonb_build_object('status', 'invalid_invite');
+  end if;
+
+  select * into v_team from public.teams where id = v_invite.team_id for update;
+  if v_team.payment_status <> 'Completed' then
+    return jsonb_build_object('status', 'team_not_active');
+  end if;
+
+  select count(*) into v_held
+    from public.team_join_requests
+   where team_id = v_team.id
+     and status = 'Initiated'
+     and created_at > now() - make_interval(mins => p_hold_minutes);
+
+  if v_team.team_size + v_held >= p_max_size then
+    return jsonb_build_object('status', 'team_full');
+  end if;
+  if v_team.team_size <> p_expected_size then
+    return jsonb_build_object('status', 'conflict');
+  end if;
+
+  begin
+    insert into public.registration_email_claims (email, team_id)
+    values (lower(p_member->>'email'), v_team.id);
+  exception when unique_violation then
+    return jsonb_build_object('status', 'email_taken');
+  end;
+
+  insert into public.team_join_requests (team_id, invite_id, member, amount_in_paise, razorpay_order_id)
+  values (v_team.id, v_invite.id, p_member, p_amount_in_paise, p_order_id)
+  returning * into v_join;
+
+  update public.team_invites set use_count = use_count + 1 where id = v_invite.id;
+
+  return jsonb_build_object('status', 'created', 'join', to_jsonb(v_join));
+end;
+$$;
+
+-- Add a paid (or free) joiner to their team: insert the registration, grow the
+-- team and mark the request Completed, or do none of it. Returns one of:
+--   { status: 'completed', registration_id }
+--   { status: 'already_completed', registration_id }
+--   { status: 'team_not_active' }
+--   { status: 'team_full' }
+--   { status: 'member_conflict', message } - a unique constraint failed; recorded in error
+--   { status: 'not_found' }
+create or replace function public.complete_team_join(
+  p_join_id bigint,
+  p_payment_id text,
+  p_max_size integer
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_join public.team_join_requests%rowtype;
+  v_team public.teams%rowtype;
+  v_registration_id bigint;
+begin
+  select * into v_join from public.team_join_requests where id = p_join_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_join.status = 'Completed' then
+    return jsonb_build_object('status', 'already_completed', 'registration_id', v_join.registration_id);
+  end if;
+
+  select * into v_team from public.teams where id = v_join.team_id for update;
+  if v_team.payment_status <> 'Completed' then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is not active'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_not_active');
+  end if;
+  if v_team.team_size >= p_max_size then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is full'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_full');
+  end if;
+
+  begin
+    insert into public.registrations (team_id, name, email, phone, college, role, roll_number)
+    values (
+      v_team.id,
+      v_join.member->>'name',
+      v_join.member->>'email',
+      v_join.member->>'phone',
+      v_join.member->>'college',
+      'Member',
+      v_join.member->>'roll_number'
+    )
+    returning id into v_registration_id;
+  exception when unique_violation then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = sqlerrm
+     where id = p_join_id;
+    return jsonb_build_object('status', 'member_conflict', 'message', sqlerrm);
+  end;
+
+  update public.teams
+     set team_size = team_size + 1,
+         pending_members = coalesce(pending_members, '[]'::jsonb) || jsonb_build_array(v_join.member)
+   where id = v_team.id;
+
+  update public.team_join_requests
+     set status = 'Completed',
+         razorpay_payment_id = p_payment_id,
+         registration_id = v_registration_id,
+         error = null,
+         completed_at = now()
+   where id = p_join_id;
+
+  return jsonb_build_object('status', 'completed', 'registration_id', v_registration_id);
+end;
+$$;
+
+-- Make a registered member their team's Team Lead; the previous lead becomes a
+-- Member. The stored roster (pending_members) is updated to match. Returns one of:
+--   { status: 'promoted', previous_lead_id }
+--   { status: 'already_lead' }
+--   { status: 'member_not_found' } - no such registration on this team
+--   { status: 'not_found' }
+create or replace function public.promote_team_lead(p_team_id bigint, p_registration_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_member public.registrations%rowtype;
+  v_previous_id bigint;
+begin
+  perform 1 from public.teams where id = p_team_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  select * into v_member
+    from public.registrations
+   where id = p_registration_id and team_id = p_team_id;
+  if not found then
+    return jsonb_build_object('status', 'member_not_found');
+  end if;
+  if v_member.role = 'Team Lead' then
+    return jsonb_build_object('status', 'already_lead');
+  end if;
+
+  select id into v_previous_id
+    from public.registrations
+   where team_id = p_team_id and role = 'Team Lead'
+   limit 1;
+
+  update public.registrations
+     set role = case when id = p_registration_id then 'Team Lead' else 'Member' end
+   where team_id = p_team_id
+     and (id = p_registration_id or role = 'Team Lead');
+
+  update public.teams
+     set pending_members = (
+       select jsonb_agg(
+                jsonb_set(m, '{role}', to_jsonb(case when lower(m->>'email') = lower(v_member.email) then 'Team Lead' else 'Member' end))
+                order by ord
+              )
+         from jsonb_array_elements(pending_members) with ordinality as e(m, ord)
+     )
+   where id = p_team_id
+     and jsonb_typeof(pending_members) = 'array'
+     and jsonb_array_length(pending_members) > 0;
+
+  return jsonb_build_object('status', 'promoted', 'previous_lead_id', v_previous_id);
+end;
+$$;
@@ -0,0 +1,25 @@
+alter table public.team_join_requests disable row level security;
+alter table public.team_invites disable row level security;
+alter table public.solo_registrations disable row level security;
+alter table public.registration_email_claims disable row level security;
+alter table public.coupons disable row level security;
+alter table public.idempotency_keys disable row level security;
+alter table public.email_outbox disable row level security;
+alter table public.portal_audit_log disable row level security;
+alter table public.portal_sessions disable row level security;
+alter table public.portal_login_tokens disable row level security;
+alter table public.waitlist disable row level security;
+alter table public.registrations disable row level security;
+alter table public.teams disable row level security;
+
+alter default privileges in schema public grant execute on functions to public;
+
+grant execute on function public.finalize_team_payment(bigint, text, jsonb) to public;
+grant execute on function public.redeem_coupon(text) to public;
+grant execute on function public.release_coupon(text) to public;
+grant execute on function public.create_pending_team(jsonb) to public;
+grant execute on function public.create_solo_registration(jsonb) to public;
+grant execute on function public.form_solo_team(jsonb, bigint[]) to public;
+grant execute on function public.request_team_join(text, jsonb, integer, integer, integer, text, integer) to public;
+grant execute on function public.complete_team_join(bigint, text, integer) to public;
+grant execute on function public.promote_team_lead(bigint, bigint) to public;
@@ -0,0 +1,44 @@
+-- Keep the public anon key away from every table and function.
+--
+-- Postgres lets PUBLIC execute new functions, and Supabase grants anon and
+-- authenticated on everything in public, so anyone holding the anon key could call
+-- finalize_team_payment, create_pending_team and the rest straight from the REST
+-- API, or set a team's payment_status directly. Only the service-role client
+-- (services/database.js supabaseAdmin) reads, writes and runs them now.
+revoke execute on function public.finalize_team_payment(bigint, text, jsonb) from public, anon, authenticated;
+revoke execute on function public.redeem_coupon(text) from public, anon, authenticated;
+revoke execute on function public.release_coupon(text) from public, anon, authenticated;
+revoke execute on function public.create_pending_team(jsonb) from public, anon, authenticated;
+revoke execute on function public.create_solo_registration(jsonb) from public, anon, authenticated;
+revoke execute on function public.form_solo_team(jsonb, bigint[]) from public, anon, authenticated;
+revoke execute on function public.request_team_join(text, jsonb, integer, integer, integer, text, integer) from public, anon, authenticated;
+revoke execute on function public.complete_team_join(bigint, text, integer) from public, anon, authenticated;
+revoke execute on function public.promote_team_lead(bigint, bigint) from public, anon, authenticated;
+
+grant execute on function public.finalize_team_payment(bigint, text, jsonb) to service_role;
+grant execute on function public.redeem_coupon(text) to service_role;
+grant execute on function public.release_coupon(text) to service_role;
+grant execute on function public.create_pending_team(jsonb) to service_role;
+grant execute on function public.create_solo_registration(jsonb) to service_role;
+grant execute on function public.form_solo_team(jsonb, bigint[]) to service_role;
+grant execute on function public.request_team_join(text, jsonb, integer, integer, integer, text, integer) to service_role;
+grant execute on function public.complete_team_join(bigint, text, integer) to service_role;
+grant execute on function public.promote_team_lead(bigint, bigint) to service_role;
+
+-- Functions added by later migrations start out private too
+alter default privileges in schema public revoke execute on functions from public, anon, authenticated;
+
+-- Row level security with no policies: only the service role can read or write
+alter table public.teams enable row level security;
+alter table public.registrations enable row level security;
+alter table public.waitlist enable row level security;
+alter table public.portal_login_tokens enable row level security;
+alter table public.portal_sessions enable row level security;
+alter table public.portal_audit_log enable row level security;
+alter table public.email_outbox enable row level security;
+alter table public.idempotency_keys enable row level security;
+alter table public.coupons enable row level security;
+alter table public.registration_email_claims enable row level security;
+alter table public.solo_registrations enable row level security;
+alter table public.team_invites enable row level security;
+alter table public.team_join_requests enable row level security;
@@ -0,0 +1,88 @@
+-- Enforce each domain's team limit inside create_pending_team.
+--
+-- Registration used to count a domain's teams before creating the Razorpay order,
+-- so two registrations arriving together could both see the last seat free. The
+-- count now happens in the same transaction as the insert, behind a per-domain
+-- advisory lock. It counts every team that can still complete: Completed teams,
+-- and Initiated or Failed teams whose checkout hasn't expired (a Failed team can
+-- pay again with a new order until reconciliation expires it).
+drop function if exists public.create_pending_team(jsonb);
+
+-- Returns one of:
+--   { status: 'created', team }
+--   { status: 'domain_full' }     - p_max_teams teams in the domain can still complete
+--   { status: 'team_name_taken' }
+--   { status: 'emails_taken', emails: [...] }
+-- p_max_teams null means the domain has no limit.
+create or replace function public.create_pending_team(p_team jsonb, p_max_teams integer default null)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_emails text[];
+  v_taken text[];
+  v_team public.teams%rowtype;
+  v_constraint text;
+  v_seats integer;
+begin
+  if p_max_teams is not null then
+    perform pg_advisory_xact_lock(hashtext('teams.domain:' || (p_team->>'domain')));
+
+    select count(*)
+      into v_seats
+      from public.teams
+     where domain = p_team->>'domain'
+       and (payment_status = 'Completed'
+            or (payment_status in ('Initiated', 'Failed') and expired_at is null));
+
+    if v_seats >= p_max_teams then
+      return jsonb_build_object('status', 'domain_full');
+    end if;
+  end if;
+
+  select coalesce(array_agg(distinct lower(m->>'email')), '{}')
+    into v_emails
+    from jsonb_array_elements(coalesce(p_team->'pending_members', '[]'::jsonb)) as m;
+
+  begin
+    insert into public.teams (
+      team_name, domain, team_size, razorpay_order_id, amount_in_paise,
+      original_amount_in_paise, discount_in_paise, coupon_code, discounts,
+      payment_status, payment_initiated_at, pending_members
+    ) values (
+      p_team->>'team_name',
+      p_team->>'domain',
+      (p_team->>'team_size')::integer,
+      p_team->>'razorpay_order_id',
+      (p_team->>'amount_in_paise')::integer,
+      (p_team->>'original_amount_in_paise')::integer,
+      (p_team->>'discount_in_paise')::integer,
+      p_team->>'coupon_code',
+      p_team->'discounts',
+      coalesce(p_team->>'payment_status', 'Initiated'),
+      coalesce((p_team->>'payment_initiated_at')::timestamp, now()),
+      p_team->'pending_members'
+    )
+    returning * into v_team;
+
+    insert into public.registration_email_claims (email, team_id)
+    select unnest(v_emails), v_team.id;
+  exception when unique_violation then
+    get stacked diagnostics v_constraint = constraint_name;
+    if v_constraint = 'teams_active_team_name_unique' then
+      return jsonb_build_object('status', 'team_name_taken');
+    end if;
+
+    select coalesce(array_agg(email order by email), '{}')
+      into v_taken
+      from public.registration_email_claims
+     where email = any (v_emails);
+    return jsonb_build_object('status', 'emails_taken', 'emails', to_jsonb(v_taken));
+  end;
+
+  return jsonb_build_object('status', 'created', 'team', to_jsonb(v_team));
+end;
+$$;
+
+revoke execute on function public.create_pending_team(jsonb, integer) from public, anon, authenticated;
+grant execute on function public.create_pending_team(jsonb, integer) to service_role;
@@ -0,0 +1,10 @@
+-- Every Razorpay refund recorded on a team. razorpay_refund_id only holds the latest
+-- one, so a redelivered webhook for an earlier partial refund would otherwise be
+-- counted again on top of refund_amount_in_paise.
+alter table public.teams
+  add column if not exists refund_ids text[] not null default '{}';
+
+update public.teams
+   set refund_ids = array[razorpay_refund_id]
+ where refund_status = 'Processed'
+   and razorpay_refund_id is not null;
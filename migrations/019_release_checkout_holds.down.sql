@@ -0,0 +1,78 @@
+drop function if exists public.complete_solo_payment(bigint, text);
+drop function if exists public.release_team_join(bigint);
+drop function if exists public.release_solo_checkout(bigint);
+alter table public.team_join_requests
+  drop column if exists released_at;
+alter table public.solo_registrations
+  drop column if exists released_at;
+
+-- complete_team_join as 015 defined it
+create or replace function public.complete_team_join(
+  p_join_id bigint,
+  p_payment_id text,
+  p_max_size integer
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_join public.team_join_requests%rowtype;
+  v_team public.teams%rowtype;
+  v_registration_id bigint;
+begin
+  select * into v_join from public.team_join_requests where id = p_join_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_join.status = 'Completed' then
+    return jsonb_build_object('status', 'already_completed', 'registration_id', v_join.registration_id);
+  end if;
+
+  select * into v_team from public.teams where id = v_join.team_id for update;
+  if v_team.payment_status <> 'Completed' then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is not active'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_not_active');
+  end if;
+  if v_team.team_size >= p_max_size then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is full'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_full');
+  end if;
+
+  begin
+    insert into public.registrations (team_id, name, email, phone, college, role, roll_number)
+    values (
+      v_team.id,
+      v_join.member->>'name',
+      v_join.member->>'email',
+      v_join.member->>'phone',
+      v_join.member->>'college',
+      'Member',
+      v_join.member->>'roll_number'
+    )
+    returning id into v_registration_id;
+  exception when unique_violation then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = sqlerrm
+     where id = p_join_id;
+    return jsonb_build_object('status', 'member_conflict', 'message', sqlerrm);
+  end;
+
+  update public.teams
+     set team_size = team_size + 1,
+         pending_members = coalesce(pending_members, '[]'::jsonb) || jsonb_build_array(v_join.member)
+   where id = v_team.id;
+
+  update public.team_join_requests
+     set status = 'Completed',
+         razorpay_payment_id = p_payment_id,
+         registration_id = v_registration_id,
+         error = null,
+         completed_at = now()
+   where id = p_join_id;
+
+  return jsonb_build_object('status', 'completed', 'registration_id', v_registration_id);
+end;
+$$;
@@ -0,0 +1,206 @@
+-- Give back what an unpaid solo or join checkout holds once its payment fails or it
+-- is abandoned: the email claim, and for a join the invite use. Until now both were
+-- kept forever, so one failed payment locked that email out of registering and used
+-- up the invite.
+--
+-- Razorpay still accepts another attempt on the same order after a failure, so a
+-- payment captured on a released checkout claims the email again before it is
+-- recorded, and is refused if someone else registered the email meanwhile.
+alter table public.solo_registrations
+  add column if not exists released_at timestamp without time zone null;
+alter table public.team_join_requests
+  add column if not exists released_at timestamp without time zone null;
+
+-- Mark an Initiated or Failed solo Failed and drop its email claim. Returns
+-- { status: 'released' } or { status: 'unchanged' } (paid, matched or already released).
+create or replace function public.release_solo_checkout(p_solo_id bigint)
+returns jsonb
+language plpgsql
+as $$
+begin
+  update public.solo_registrations
+     set status = 'Failed', released_at = now()
+   where id = p_solo_id
+     and status in ('Initiated', 'Failed')
+     and released_at is null;
+  if not found then
+    return jsonb_build_object('status', 'unchanged');
+  end if;
+
+  delete from public.registration_email_claims where solo_id = p_solo_id;
+  return jsonb_build_object('status', 'released');
+end;
+$$;
+
+-- Mark an Initiated or Failed join Failed, drop the joiner's email claim and give the
+-- invite use back. Returns { status: 'released' } or { status: 'unchanged' }.
+create or replace function public.release_team_join(p_join_id bigint)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_join public.team_join_requests%rowtype;
+begin
+  update public.team_join_requests
+     set status = 'Failed', released_at = now()
+   where id = p_join_id
+     and status in ('Initiated', 'Failed')
+     and released_at is null
+  returning * into v_join;
+  if not found then
+    return jsonb_build_object('status', 'unchanged');
+  end if;
+
+  delete from public.registration_email_claims
+   where email = lower(v_join.member->>'email')
+     and team_id = v_join.team_id;
+
+  update public.team_invites
+     set use_count = greatest(use_count - 1, 0)
+   where id = v_join.invite_id;
+
+  return jsonb_build_object('status', 'released');
+end;
+$$;
+
+-- Record a captured payment for a solo, claiming its email again if the checkout was
+-- released. Returns one of:
+--   { status: 'paid' }
+--   { status: 'already_paid' }
+--   { status: 'invalid_status' } - the solo is Reserved or Matched
+--   { status: 'email_taken' }    - released, and the email was registered elsewhere since
+--   { status: 'not_found' }
+create or replace function public.complete_solo_payment(p_solo_id bigint, p_payment_id text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_solo public.solo_registrations%rowtype;
+  v_owner bigint;
+begin
+  select * into v_solo from public.solo_registrations where id = p_solo_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_solo.status = 'Paid' or v_solo.paid_at is not null then
+    return jsonb_build_object('status', 'already_paid');
+  end if;
+  if v_solo.status not in ('Initiated', 'Failed') then
+    return jsonb_build_object('status', 'invalid_status');
+  end if;
+
+  if v_solo.released_at is not null then
+    insert into public.registration_email_claims (email, team_id, solo_id)
+    values (lower(v_solo.email), null, v_solo.id)
+    on conflict (email) do nothing;
+
+    select solo_id into v_owner from public.registration_email_claims where email = lower(v_solo.email);
+    if v_owner is distinct from v_solo.id then
+      update public.solo_registrations set razorpay_payment_id = p_payment_id where id = v_solo.id;
+      return jsonb_build_object('status', 'email_taken');
+    end if;
+  end if;
+
+  update public.solo_registrations
+     set status = 'Paid', razorpay_payment_id = p_payment_id, paid_at = now(), released_at = null
+   where id = v_solo.id;
+  return jsonb_build_object('status', 'paid');
+end;
+$$;
+
+-- As in 015, and a released join claims the joiner's email and its invite use again
+-- when the member is added; it fails with member_conflict if the email was registered
+-- elsewhere since.
+create or replace function public.complete_team_join(
+  p_join_id bigint,
+  p_payment_id text,
+  p_max_size integer
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_join public.team_join_requests%rowtype;
+  v_team public.teams%rowtype;
+  v_registration_id bigint;
+  v_owner bigint;
+begin
+  select * into v_join from public.team_join_requests where id = p_join_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_join.status = 'Completed' then
+    return jsonb_build_object('status', 'already_completed', 'registration_id', v_join.registration_id);
+  end if;
+
+  select * into v_team from public.teams where id = v_join.team_id for update;
+  if v_team.payment_status <> 'Completed' then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is not active'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_not_active');
+  end if;
+  if v_team.team_size >= p_max_size then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = 'Team is full'
+     where id = p_join_id;
+    return jsonb_build_object('status', 'team_full');
+  end if;
+
+  begin
+    if v_join.released_at is not null then
+      insert into public.registration_email_claims (email, team_id)
+      values (lower(v_join.member->>'email'), v_team.id)
+      on conflict (email) do nothing;
+
+      select team_id into v_owner from public.registration_email_claims where email = lower(v_join.member->>'email');
+      if v_owner is distinct from v_team.id then
+        raise unique_violation using message = 'Email is already registered elsewhere';
+      end if;
+    end if;
+
+    insert into public.registrations (team_id, name, email, phone, college, role, roll_number)
+    values (
+      v_team.id,
+      v_join.member->>'name',
+      v_join.member->>'email',
+      v_join.member->>'phone',
+      v_join.member->>'college',
+      'Member',
+      v_join.member->>'roll_number'
+    )
+    returning id into v_registration_id;
+  exception when unique_violation then
+    update public.team_join_requests
+       set razorpay_payment_id = p_payment_id, error = sqlerrm
+     where id = p_join_id;
+    return jsonb_build_object('status', 'member_conflict', 'message', sqlerrm);
+  end;
+
+  if v_join.released_at is not null then
+    update public.team_invites set use_count = use_count + 1 where id = v_join.invite_id;
+  end if;
+
+  update public.teams
+     set team_size = team_size + 1,
+         pending_members = coalesce(pending_members, '[]'::jsonb) || jsonb_build_array(v_join.member)
+   where id = v_team.id;
+
+  update public.team_join_requests
+     set status = 'Completed',
+         razorpay_payment_id = p_payment_id,
+         registration_id = v_registration_id,
+         error = null,
+         released_at = null,
+         completed_at = now()
+   where id = p_join_id;
+
+  return jsonb_build_object('status', 'completed', 'registration_id', v_registration_id);
+end;
+$$;
+
+revoke execute on function public.release_solo_checkout(bigint) from public, anon, authenticated;
+revoke execute on function public.release_team_join(bigint) from public, anon, authenticated;
+revoke execute on function public.complete_solo_payment(bigint, text) from public, anon, authenticated;
+grant execute on function public.release_solo_checkout(bigint) to service_role;
+grant execute on function public.release_team_join(bigint) to service_role;
+grant execute on function public.complete_solo_payment(bigint, text) to service_role;
@@ -0,0 +1,98 @@
+-- Enforce each domain's team limit inside form_solo_team, as 017 does for
+-- create_pending_team: forming a team from the solo pool counted the domain's teams
+-- beforehand, so it could take the last seat at the same moment as a registration.
+-- The count now happens behind the same per-domain advisory lock.
+drop function if exists public.form_solo_team(jsonb, bigint[]);
+
+-- Returns one of:
+--   { status: 'created', team }
+--   { status: 'domain_full' }     - p_max_teams teams in the domain can still complete
+--   { status: 'team_name_taken' }
+--   { status: 'unavailable', solo_ids: [...] }
+-- p_max_teams null means the domain has no limit.
+create or replace function public.form_solo_team(
+  p_team jsonb,
+  p_solo_ids bigint[],
+  p_max_teams integer default null
+) returns jsonb
+language plpgsql
+as $$
+declare
+  v_unavailable bigint[];
+  v_team public.teams%rowtype;
+  v_constraint text;
+  v_seats integer;
+begin
+  perform 1 from public.solo_registrations where id = any (p_solo_ids) for update;
+
+  select coalesce(array_agg(requested.id order by requested.id), '{}')
+    into v_unavailable
+    from unnest(p_solo_ids) as requested(id)
+   where not exists (
+     select 1 from public.solo_registrations s
+      where s.id = requested.id
+        and s.status in ('Paid', 'Reserved')
+        and s.domain = p_team->>'domain'
+   );
+
+  if cardinality(v_unavailable) > 0 then
+    return jsonb_build_object('status', 'unavailable', 'solo_ids', to_jsonb(v_unavailable));
+  end if;
+
+  if p_max_teams is not null then
+    perform pg_advisory_xact_lock(hashtext('teams.domain:' || (p_team->>'domain')));
+
+    select count(*)
+      into v_seats
+      from public.teams
+     where domain = p_team->>'domain'
+       and (payment_status = 'Completed'
+            or (payment_status in ('Initiated', 'Failed') and expired_at is null));
+
+    if v_seats >= p_max_teams then
+      return jsonb_build_object('status', 'domain_full');
+    end if;
+  end if;
+
+  begin
+    insert into public.teams (
+      team_name, domain, team_size, razorpay_order_id, amount_in_paise,
+      original_amount_in_paise, discount_in_paise, discounts, prepaid_in_paise,
+      payment_status, payment_initiated_at, pending_members
+    ) values (
+      p_team->>'team_name',
+      p_team->>'domain',
+      (p_team->>'team_size')::integer,
+      p_team->>'razorpay_order_id',
+      (p_team->>'amount_in_paise')::integer,
+      (p_team->>'original_amount_in_paise')::integer,
+      (p_team->>'discount_in_paise')::integer,
+      p_team->'discounts',
+      (p_team->>'prepaid_in_paise')::integer,
+      'Initiated',
+      now(),
+      p_team->'pending_members'
+    )
+    returning * into v_team;
+  exception when unique_violation then
+    get stacked diagnostics v_constraint = constraint_name;
+    if v_constraint = 'teams_active_team_name_unique' then
+      return jsonb_build_object('status', 'team_name_taken');
+    end if;
+    raise;
+  end;
+
+  update public.registration_email_claims
+     set team_id = v_team.id, solo_id = null
+   where solo_id = any (p_solo_ids);
+
+  update public.solo_registrations
+     set status = 'Matched', team_id = v_team.id, matched_at = now()
+   where id = any (p_solo_ids);
+
+  return jsonb_build_object('status', 'created', 'team', to_jsonb(v_team));
+end;
+$$;
+
+revoke execute on function public.form_solo_team(jsonb, bigint[], integer) from public, anon, authenticated;
+grant execute on function public.form_solo_team(jsonb, bigint[], integer) to service_role;
@@ -0,0 +1 @@
+drop function if exists public.dissolve_solo_team(bigint, jsonb);
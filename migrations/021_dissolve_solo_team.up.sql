@@ -0,0 +1,52 @@
+-- Undo form_solo_team for a team that never completed, e.g. a team with nothing left
+-- to pay whose members could not be registered. The email claims go back to its
+-- solos, the solos go back to the pool with the status they had (p_solos is
+-- [{ id, status }]), and the team is expired, which frees its name. Returns one of:
+--   { status: 'dissolved', solo_ids: [...] }
+--   { status: 'invalid_status' } - the team completed
+--   { status: 'not_found' }
+create or replace function public.dissolve_solo_team(p_team_id bigint, p_solos jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_team public.teams%rowtype;
+  v_solo_ids bigint[];
+begin
+  select * into v_team from public.teams where id = p_team_id for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_team.payment_status = 'Completed' then
+    return jsonb_build_object('status', 'invalid_status');
+  end if;
+
+  update public.registration_email_claims c
+     set solo_id = s.id, team_id = null
+    from public.solo_registrations s
+   where s.team_id = p_team_id
+     and s.status = 'Matched'
+     and c.email = lower(s.email)
+     and c.team_id = p_team_id;
+
+  with restored as (
+    update public.solo_registrations s
+       set status = r.status, team_id = null, matched_at = null
+      from jsonb_to_recordset(p_solos) as r(id bigint, status text)
+     where s.id = r.id
+       and s.team_id = p_team_id
+       and s.status = 'Matched'
+    returning s.id
+  )
+  select coalesce(array_agg(id order by id), '{}') into v_solo_ids from restored;
+
+  update public.teams
+     set payment_status = 'Failed', expired_at = now()
+   where id = p_team_id;
+
+  return jsonb_build_object('status', 'dissolved', 'solo_ids', to_jsonb(v_solo_ids));
+end;
+$$;
+
+revoke execute on function public.dissolve_solo_team(bigint, jsonb) from public, anon, authenticated;
+grant execute on function public.dissolve_solo_team(bigint, jsonb) to service_role;
@@ -0,0 +1,606 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/database');
+const { requireRole } = require('../middleware/adminAuth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const {
+	parseTeamFilters,
+	parsePagination,
+	resolveMemberMatches,
+	applyTeamFilters,
+} = require('../services/teamFilters');
+const { writeCsv, writeXlsx } = require('../services/exports');
+const { refundTeam } = require('../services/refunds');
+const { getStats } = require('../services/stats');
+const { listSolos, suggestTeams, formTeam } = require('../services/solo');
+const { createInvite } = require('../services/teamInvites');
+const { promoteTeamLead } = require('../services/registrations');
+const { createStatusToken } = require('../services/statusTokens');
+const { getDomainConfig } = require('../config/event');
+const { diffRows, recordAudit } = require('../services/audit');
+const { logger } = require('../services/logger');
+const { validateBody } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+
+const TEAM_SORT_FIELDS = ['created_at', 'team_name', 'domain', 'payment_status', 'team_size', 'amount_in_paise', 'payment_verified_at'];
+const REGISTRATION_SORT_FIELDS = ['created_at', 'name', 'email', 'college', 'role', 'roll_number'];
+const SOLO_STATUSES = ['Initiated', 'Failed', 'Paid', 'Reserved', 'Matched'];
+
+// Columns returned for a team. pending_members is left out of listings on purpose.
+const TEAM_COLUMNS = [
+	'id',
+	'team_name',
+	'domain',
+	'payment_status',
+	'team_size',
+	'amount_in_paise',
+	'razorpay_order_id',
+	'razorpay_payment_id',
+	'created_at',
+	'payment_initiated_at',
+	'payment_verified_at',
+	'finalization_error',
+	'finalization_failed_at',
+	'coupon_code',
+	'original_amount_in_paise',
+	'discount_in_paise',
+].join(', ');
+
+router.use(rateLimitPolicy('admin'));
+// Every organizer role except check-in can read; changes need finance (or admin)
+router.use(requireRole('viewer'));
+
+function paginated(items, pagination, total) {
+	return {
+		items,
+		pagination: {
+			page: pagination.page,
+			pageSize: pagination.pageSize,
+			total: total || 0,
+			totalPages: Math.ceil((total || 0) / pagination.pageSize),
+		},
+	};
+}
+
+function sendServerError(res, error, message) {
+	logger.error(message, { err: error });
+	return res.status(500).json({
+		success: false,
+		message,
+		error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+	});
+}
+
+// Dashboard metrics: teams per domain and status, revenue, checkout conversion and
+// abandonment, average team size, top colleges and registrations per day
+// GET /admin/stats?from=2025-01-01&to=2025-02-01&collegeLimit=10
+// from/to select teams by creation time. Results may be up to STATS_CACHE_SECONDS old.
+router.get('/stats', async (req, res) => {
+	const { filters, error: filterError } = parseTeamFilters({ from: req.query.from, to: req.query.to });
+	if (filterError) return res.status(400).json({ success: false, message: filterError });
+
+	const collegeLimit = req.query.collegeLimit === undefined ? 10 : Number(req.query.collegeLimit);
+	if (!Number.isInteger(collegeLimit) || collegeLimit < 1 || collegeLimit > 50) {
+		return res.status(400).json({ success: false, message: 'collegeLimit must be a whole number from 1 to 50' });
+	}
+
+	try {
+		const { stats, generatedAt, cached } = await getStats({ from: filters.from, to: filters.to, collegeLimit });
+		res.status(200).json({
+			success: true,
+			data: stats,
+			generatedAt,
+			cached,
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to compute stats');
+	}
+});
+
+// List teams
+// GET /admin/teams?page=1&pageSize=25&sort=created_at&order=desc
+//   &domain=Web Dev&paymentStatus=Completed&college=...&from=2025-01-01&to=2025-02-01&search=...
+// search matches team name, or a member's email, phone or roll number
+router.get('/teams', async (req, res) => {
+	const { filters, error: filterError } = parseTeamFilters(req.query);
+	if (filterError) return res.status(400).json({ success: false, message: filterError });
+
+	const { pagination, error: pageError } = parsePagination(req.query, TEAM_SORT_FIELDS);
+	if (pageError) return res.status(400).json({ success: false, message: pageError });
+
+	try {
+		const matches = await resolveMemberMatches(filters);
+		const query = applyTeamFilters(
+			supabaseAdmin.from('teams').select(`${TEAM_COLUMNS}, registrations(count)`, { count: 'exact' }),
+			filters,
+			matches
+		);
+
+		const { data, count, error } = await query
+			.order(pagination.sort, { ascending: pagination.ascending })
+			.range(pagination.rangeFrom, pagination.rangeTo);
+
+		if (error) throw error;
+
+		const items = data.map(({ registrations, ...team }) => ({
+			...team,
+			member_count: registrations?.[0]?.count ?? 0,
+		}));
+
+		res.status(200).json({ success: true, data: paginated(items, pagination, count) });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to list teams');
+	}
+});
+
+// Team detail with members, Razorpay ids and payment timestamps
+// GET /admin/teams/:id
+router.get('/teams/:id', async (req, res) => {
+	const teamId = parseInt(req.params.id, 10);
+	if (!Number.isInteger(teamId) || teamId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid team id' });
+	}
+
+	try {
+		const { data: team, error } = await supabaseAdmin
+			.from('teams')
+			.select(`${TEAM_COLUMNS}, pending_members, registrations(*)`)
+			.eq('id', teamId)
+			.maybeSingle();
+
+		if (error) throw error;
+		if (!team) {
+			return res.status(404).json({ success: false, message: 'Team not found' });
+		}
+
+		const { registrations, ...rest } = team;
+		res.status(200).json({
+			success: true,
+			data: {
+				...rest,
+				members: registrations || [],
+			},
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to fetch team');
+	}
+});
+
+// List registered members across teams
+// GET /admin/registrations?page=1&pageSize=25&sort=created_at&order=desc
+//   &domain=...&paymentStatus=...&college=...&from=...&to=...&search=...
+// domain and paymentStatus apply to the member's team; search matches name, email,
+// phone, roll number or team name
+router.get('/registrations', async (req, res) => {
+	const { filters, error: filterError } = parseTeamFilters(req.query);
+	if (filterError) return res.status(400).json({ success: false, message: filterError });
+
+	const { pagination, error: pageError } = parsePagination(req.query, REGISTRATION_SORT_FIELDS);
+	if (pageError) return res.status(400).json({ success: false, message: pageError });
+
+	try {
+		let query = supabaseAdmin
+			.from('registrations')
+			.select('*, team:teams!inner(id, team_name, domain, payment_status)', { count: 'exact' });
+
+		if (filters.domain) query = query.eq('team.domain', filters.domain);
+		if (filters.paymentStatus) query = query.eq('team.payment_status', filters.paymentStatus);
+		if (filters.college) query = query.ilike('college', `%${filters.college}%`);
+		if (filters.from) query = query.gte('created_at', filters.from);
+		if (filters.to) query = query.lte('created_at', filters.to);
+
+		if (filters.search) {
+			const { data: teams, error: teamsError } = await supabaseAdmin
+				.from('teams')
+				.select('id')
+				.ilike('team_name', `%${filters.search}%`);
+			if (teamsError) throw teamsError;
+
+			const conditions = ['name', 'email', 'phone', 'roll_number'].map(column => `${column}.ilike.%${filters.search}%`);
+			if (teams.length > 0) conditions.push(`team_id.in.(${teams.map(t => t.id).join(',')})`);
+			query = query.or(conditions.join(','));
+		}
+
+		const { data, count, error } = await query
+			.order(pagination.sort, { ascending: pagination.ascending })
+			.range(pagination.rangeFrom, pagination.rangeTo);
+
+		if (error) throw error;
+
+		res.status(200).json({ success: true, data: paginated(data, pagination, count) });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to list registrations');
+	}
+});
+
+// Refund a Completed team. A full refund marks it 'Refunded'; a partial refund keeps it
+// Completed and registered, with the refunded amount recorded.
+// POST /admin/teams/:id/refund
+// Body: { amount?: number (rupees, defaults to the full amount paid), reason: string, releaseMembers?: boolean }
+// releaseMembers (full refunds only) removes the team's registrations so the same
+// emails/roll numbers can register again.
+// Repeating the request for a refunded team returns the recorded refund.
+router.post('/teams/:id/refund', requireRole('finance'), validateBody(schemas.refund), async (req, res) => {
+	const teamId = parseInt(req.params.id, 10);
+	if (!Number.isInteger(teamId) || teamId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid team id' });
+	}
+
+	const { amount, reason, releaseMembers } = req.body;
+	const amountInPaise = amount === undefined ? undefined : Math.round(amount * 100);
+
+	try {
+		const outcome = await refundTeam(teamId, {
+			amountInPaise,
+			reason,
+			releaseMembers,
+		});
+
+		switch (outcome.status) {
+			case 'refunded':
+				await recordAudit(req, 'team.refund', {
+					targetType: 'team',
+					targetId: teamId,
+					diff: {
+						payment_status: { from: 'Completed', to: outcome.refund.paymentStatus },
+						refund_amount_in_paise: { from: null, to: outcome.refund.amountInPaise },
+					},
+					details: { ...outcome.refund, releaseMembers: !!releaseMembers },
+				});
+				return res.status(200).json({ success: true, message: 'Refund issued', data: outcome.refund });
+			case 'already_refunded':
+				return res.status(200).json({ success: true, message: 'Team already refunded', data: outcome.refund });
+			case 'not_found':
+				return res.status(404).json({ success: false, message: 'Team not found' });
+			case 'in_progress':
+				return res.status(409).json({ success: false, message: 'A refund for this team is already in progress' });
+			case 'not_refundable':
+				return res.status(409).json({
+					success: false,
+					message: `Only Completed teams can be refunded (current status: ${outcome.paymentStatus})`,
+				});
+			case 'release_needs_full_refund':
+				return res.status(400).json({
+					success: false,
+					message: 'releaseMembers needs a full refund; a partially refunded team stays registered',
+				});
+			case 'invalid_amount':
+				return res.status(400).json({
+					success: false,
+					message: `amount cannot exceed the ₹${outcome.maxAmountInPaise / 100} paid`,
+				});
+			default:
+				throw new Error(`Unexpected refund outcome: ${outcome.status}`);
+		}
+	} catch (error) {
+		sendServerError(res, error, 'Failed to refund team');
+	}
+});
+
+// Map a validated coupon body (schemas/admin.js) onto table columns
+function couponColumns(body) {
+	const columns = {
+		code: body.code && body.code.toUpperCase(),
+		discount_type: body.type,
+		discount_value: body.value,
+		description: body.description,
+		max_redemptions: body.maxRedemptions,
+		valid_from: body.validFrom,
+		expires_at: body.expiresAt,
+		domains: body.domains,
+		colleges: body.colleges,
+		active: body.active,
+	};
+	return Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== undefined));
+}
+
+// List coupons with their redemption counts
+// GET /admin/coupons
+router.get('/coupons', async (req, res) => {
+	try {
+		const { data, error } = await supabaseAdmin
+			.from('coupons')
+			.select('*')
+			.order('created_at', { ascending: false });
+
+		if (error) throw error;
+		res.status(200).json({ success: true, data });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to list coupons');
+	}
+});
+
+// Create a coupon
+// POST /admin/coupons
+// Body: { code, type: 'percentage' | 'flat' | 'free', value?, description?, maxRedemptions?,
+//         validFrom?, expiresAt?, domains?: string[], colleges?: string[] }
+// value is a percentage or an amount in rupees depending on type
+router.post('/coupons', requireRole('finance'), validateBody(schemas.couponCreate), async (req, res) => {
+	const values = couponColumns(req.body);
+
+	try {
+		const { data, error } = await supabaseAdmin
+			.from('coupons')
+			.insert([values])
+			.select()
+			.single();
+
+		if (error) {
+			if (error.code === '23505') {
+				return res.status(409).json({ success: false, message: 'A coupon with this code already exists' });
+			}
+			throw error;
+		}
+		await recordAudit(req, 'coupon.create', { targetType: 'coupon', targetId: data.id, diff: diffRows(null, data) });
+		res.status(201).json({ success: true, data });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to create coupon');
+	}
+});
+
+// Update a coupon (e.g. deactivate it or change its limits)
+// PATCH /admin/coupons/:id
+// Body: any of the POST fields, plus active: boolean
+router.patch('/coupons/:id', requireRole('finance'), validateBody(schemas.couponUpdate), async (req, res) => {
+	const couponId = parseInt(req.params.id, 10);
+	if (!Number.isInteger(couponId) || couponId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid coupon id' });
+	}
+
+	const values = couponColumns(req.body);
+	if (Object.keys(values).length === 0) {
+		return res.status(400).json({ success: false, message: 'Nothing to update' });
+	}
+
+	try {
+		const { data: before, error: beforeError } = await supabaseAdmin
+			.from('coupons')
+			.select('*')
+			.eq('id', couponId)
+			.maybeSingle();
+
+		if (beforeError) throw beforeError;
+		if (!before) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+		const { data, error } = await supabaseAdmin
+			.from('coupons')
+			.update(values)
+			.eq('id', couponId)
+			.select()
+			.maybeSingle();
+
+		if (error) throw error;
+		if (!data) return res.status(404).json({ success: false, message: 'Coupon not found' });
+		await recordAudit(req, 'coupon.update', { targetType: 'coupon', targetId: couponId, diff: diffRows(before, data) });
+		res.status(200).json({ success: true, data });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to update coupon');
+	}
+});
+
+// Solo participants waiting for a team, oldest first
+// GET /admin/solo?domain=Web Dev&status=Reserved
+router.get('/solo', async (req, res) => {
+	const { domain, status } = req.query;
+	if (domain !== undefined && !getDomainConfig(domain)) {
+		return res.status(400).json({ success: false, message: 'Unknown domain' });
+	}
+	if (status !== undefined && !SOLO_STATUSES.includes(status)) {
+		return res.status(400).json({ success: false, message: `status must be one of ${SOLO_STATUSES.join(', ')}` });
+	}
+
+	try {
+		res.status(200).json({ success: true, data: await listSolos({ domain, status }) });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to list solo registrations');
+	}
+});
+
+// Proposed teams from a domain's pool of Paid and Reserved solos; nothing is changed
+// GET /admin/solo/suggestions?domain=Web Dev
+router.get('/solo/suggestions', async (req, res) => {
+	const { domain } = req.query;
+	if (!domain || !getDomainConfig(domain)) {
+		return res.status(400).json({ success: false, message: 'domain is required and must be a configured domain' });
+	}
+
+	try {
+		res.status(200).json({ success: true, data: await suggestTeams(domain) });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to suggest teams');
+	}
+});
+
+// Form a team from solo registrations
+// POST /admin/solo/teams
+// Body: { domain, teamName, soloIds: number[], leadId: number (one of soloIds) }
+// The team is charged its price less what its members already paid. When something is
+// left to pay, the team is Initiated with a Razorpay order; otherwise it is Completed.
+router.post('/solo/teams', requireRole('finance'), validateBody(schemas.formTeam), async (req, res) => {
+	try {
+		const outcome = await formTeam(req.body);
+
+		switch (outcome.status) {
+			case 'created': {
+				const { team, order, quote, prepaidInPaise } = outcome;
+				await recordAudit(req, 'team.form', {
+					targetType: 'team',
+					targetId: team.id,
+					details: { soloIds: req.body.soloIds, leadId: req.body.leadId, orderId: order ? order.id : null },
+				});
+				return res.status(201).json({
+					success: true,
+					message: order ? 'Team formed; payment is due' : 'Team formed and registered',
+					data: {
+						teamId: team.id,
+						teamName: team.team_name,
+						domain: team.domain,
+						memberCount: team.team_size,
+						paymentStatus: team.payment_status,
+						paymentRequired: !!order,
+						paymentDetails: {
+							orderId: order ? order.id : null,
+							amountInPaise: team.amount_in_paise,
+							originalAmountInPaise: quote.originalAmountInPaise,
+							discountInPaise: quote.discountInPaise,
+							prepaidInPaise,
+						},
+						statusToken: order ? createStatusToken(team.id) : undefined,
+					},
+				});
+			}
+			case 'invalid_size':
+				return res.status(400).json({
+					success: false,
+					message: `A ${req.body.domain} team must have ${outcome.minTeamSize} to ${outcome.maxTeamSize} members`,
+				});
+			case 'unavailable':
+				return res.status(409).json({
+					success: false,
+					message: 'Some solo registrations are not available for this domain',
+					soloIds: outcome.soloIds,
+				});
+			case 'domain_full':
+				return res.status(409).json({ success: false, message: `${req.body.domain} is full` });
+			case 'team_name_taken':
+				return res.status(409).json({ success: false, message: 'Team name already exists' });
+			case 'member_conflict':
+				return res.status(409).json({
+					success: false,
+					message: 'The team could not be formed: its members could not be registered (unique constraint)',
+					teamId: outcome.team.id,
+					details: process.env.NODE_ENV === 'development' ? outcome.message : undefined,
+				});
+			case 'gateway_unavailable':
+				return res.status(500).json({
+					success: false,
+					message: 'Payment gateway not initialized. Check server configuration.',
+				});
+			default:
+				throw new Error(`Unexpected form team outcome: ${outcome.status}`);
+		}
+	} catch (error) {
+		sendServerError(res, error, 'Failed to form team');
+	}
+});
+
+// Make a registered member the Team Lead; the current lead becomes a Member
+// POST /admin/teams/:id/lead
+// Body: { registrationId }
+router.post('/teams/:id/lead', requireRole('finance'), validateBody(schemas.promoteLead), async (req, res) => {
+	const teamId = parseInt(req.params.id, 10);
+	if (!Number.isInteger(teamId) || teamId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid team id' });
+	}
+
+	const { registrationId } = req.body;
+	try {
+		const outcome = await promoteTeamLead(teamId, registrationId);
+
+		switch (outcome.status) {
+			case 'promoted': {
+				await recordAudit(req, 'team.promote_lead', {
+					targetType: 'registration',
+					targetId: registrationId,
+					diff: { role: { from: 'Member', to: 'Team Lead' } },
+					details: { teamId, previousLeadId: outcome.previousLeadId },
+				});
+				return res.status(200).json({
+					success: true,
+					message: 'Team Lead updated',
+					data: { teamId, leadId: registrationId, previousLeadId: outcome.previousLeadId },
+				});
+			}
+			case 'already_lead':
+				return res.status(200).json({
+					success: true,
+					message: 'This member is already the Team Lead',
+					data: { teamId, leadId: registrationId },
+				});
+			case 'member_not_found':
+				return res.status(404).json({ success: false, message: 'Member not found on this team' });
+			case 'not_found':
+				return res.status(404).json({ success: false, message: 'Team not found' });
+			default:
+				throw new Error(`Unexpected promote lead outcome: ${outcome.status}`);
+		}
+	} catch (error) {
+		sendServerError(res, error, 'Failed to update Team Lead');
+	}
+});
+
+// Create an invite code that lets someone join a Completed team
+// POST /admin/teams/:id/invites
+// Body: { maxUses?: number (default 1), expiresInHours?: number (default TEAM_INVITE_TTL_HOURS) }
+router.post('/teams/:id/invites', requireRole('finance'), validateBody(schemas.invite), async (req, res) => {
+	const teamId = parseInt(req.params.id, 10);
+	if (!Number.isInteger(teamId) || teamId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid team id' });
+	}
+
+	try {
+		const outcome = await createInvite(teamId, { ...req.body, createdBy: `organizer:${req.admin.name}` });
+
+		switch (outcome.status) {
+			case 'created':
+				await recordAudit(req, 'team.invite', {
+					targetType: 'team',
+					targetId: teamId,
+					details: { inviteId: outcome.invite.inviteId, maxUses: outcome.invite.maxUses, expiresAt: outcome.invite.expiresAt },
+				});
+				return res.status(201).json({ success: true, data: outcome.invite });
+			case 'not_found':
+				return res.status(404).json({ success: false, message: 'Team not found' });
+			case 'team_not_active':
+				return res.status(409).json({
+					success: false,
+					message: `Only Completed teams can invite members (current status: ${outcome.paymentStatus})`,
+				});
+			case 'team_full':
+				return res.status(409).json({ success: false, message: 'This team is full' });
+			default:
+				throw new Error(`Unexpected invite outcome: ${outcome.status}`);
+		}
+	} catch (error) {
+		sendServerError(res, error, 'Failed to create invite');
+	}
+});
+
+const EXPORT_FORMATS = {
+	csv: { contentType: 'text/csv; charset=utf-8', write: writeCsv },
+	xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', write: writeXlsx },
+};
+
+// Export teams joined with their members, one row per member
+// GET /admin/exports/registrations.csv
+// GET /admin/exports/registrations.xlsx  (one sheet per domain)
+// Accepts the same filters as GET /admin/teams; paymentStatus defaults to Completed.
+router.get('/exports/registrations.:format', async (req, res) => {
+	const format = EXPORT_FORMATS[req.params.format];
+	if (!format) {
+		return res.status(400).json({ success: false, message: "Invalid export format. Must be 'csv' or 'xlsx'" });
+	}
+
+	const { filters, error: filterError } = parseTeamFilters({ paymentStatus: 'Completed', ...req.query });
+	if (filterError) return res.status(400).json({ success: false, message: filterError });
+
+	await recordAudit(req, 'registrations.export', { details: { format: req.params.format, filters } });
+
+	const date = new Date().toISOString().slice(0, 10);
+	res.status(200);
+	res.set('Content-Type', format.contentType);
+	res.set('Content-Disposition', `attachment; filename="registrations-${date}.${req.params.format}"`);
+
+	try {
+		await format.write(res, filters);
+	} catch (error) {
+		// The client went away mid-download; there is nobody left to tell
+		if (res.destroyed) return logger.warn('Export abandoned by the client', { format: req.params.format });
+		logger.error('Export failed', { err: error });
+		// Headers are already sent once streaming starts; abort so the client sees a failed download
+		if (res.headersSent) return res.destroy(error);
+		sendServerError(res, error, 'Failed to export registrations');
+	}
+});
+
+module.exports = router;
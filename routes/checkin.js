@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/database');
+const { requireRole } = require('../middleware/adminAuth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const { verifyPassToken } = require('../services/passes');
+const { getDomainNames } = require('../config/event');
+const { recordAudit } = require('../services/audit');
+const { logger } = require('../services/logger');
+const { validateBody } = require('../middleware/validate');
+const schemas = require('../schemas/checkin');
+
+// Shares the organizer limit: every volunteer at the venue may be behind one address
+router.use(rateLimitPolicy('admin'));
+router.use(requireRole('checkin'));
+
+function sendServerError(res, error, message) {
+	logger.error(message, { err: error });
+	return res.status(500).json({
+		success: false,
+		message,
+		error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+	});
+}
+
+function memberSummary(member) {
+	return {
+		registrationId: member.id,
+		name: member.name,
+		role: member.role,
+		college: member.college,
+		teamId: member.team.id,
+		teamName: member.team.team_name,
+		domain: member.team.domain,
+		checkedInAt: member.checked_in_at,
+		checkedInBy: member.checked_in_by,
+	};
+}
+
+// Check a member in by scanning their pass
+// POST /checkin
+// Body: { token: string (from the QR code), volunteerId: string }
+// A second scan of the same pass is rejected with 409 and the original check-in details.
+router.post('/', validateBody(schemas.checkin), async (req, res) => {
+	const { token, volunteerId } = req.body;
+
+	const registrationId = verifyPassToken(token);
+	if (!registrationId) {
+		return res.status(400).json({ success: false, message: 'Invalid pass' });
+	}
+
+	try {
+		const { data: member, error: memberError } = await supabaseAdmin
+			.from('registrations')
+			.select('*, team:teams!inner(id, team_name, domain, payment_status)')
+			.eq('id', registrationId)
+			.maybeSingle();
+
+		if (memberError) throw memberError;
+		if (!member) {
+			return res.status(404).json({ success: false, message: 'Registration not found' });
+		}
+
+		if (member.team.payment_status !== 'Completed') {
+			return res.status(403).json({
+				success: false,
+				message: `Team registration is not active (status: ${member.team.payment_status})`,
+			});
+		}
+
+		// Only the first scan wins, even if two volunteers scan at the same moment
+		const { data: updated, error: updateError } = await supabaseAdmin
+			.from('registrations')
+			.update({ checked_in_at: new Date().toISOString(), checked_in_by: volunteerId })
+			.eq('id', registrationId)
+			.is('checked_in_at', null)
+			.select('id, checked_in_at, checked_in_by');
+
+		if (updateError) throw updateError;
+
+		if (!updated || updated.length === 0) {
+			const { data: current, error: currentError } = await supabaseAdmin
+				.from('registrations')
+				.select('checked_in_at, checked_in_by')
+				.eq('id', registrationId)
+				.single();
+			if (currentError) throw currentError;
+
+			return res.status(409).json({
+				success: false,
+				message: 'Already checked in',
+				data: memberSummary({ ...member, ...current }),
+			});
+		}
+
+		await recordAudit(req, 'registration.checkin', {
+			targetType: 'registration',
+			targetId: registrationId,
+			diff: {
+				checked_in_at: { from: null, to: updated[0].checked_in_at },
+				checked_in_by: { from: null, to: updated[0].checked_in_by },
+			},
+			details: { volunteerId },
+		});
+
+		res.status(200).json({
+			success: true,
+			message: 'Checked in',
+			data: memberSummary({ ...member, ...updated[0] }),
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to check in');
+	}
+});
+
+async function countMembers(domain, checkedInOnly) {
+	let query = supabaseAdmin
+		.from('registrations')
+		.select('id, team:teams!inner(domain, payment_status)', { count: 'exact', head: true })
+		.eq('team.domain', domain)
+		.eq('team.payment_status', 'Completed');
+
+	if (checkedInOnly) query = query.not('checked_in_at', 'is', null);
+
+	const { count, error } = await query;
+	if (error) throw error;
+	return count || 0;
+}
+
+// Live attendance per domain
+// GET /checkin/attendance
+router.get('/attendance', async (req, res) => {
+	try {
+		const domains = await Promise.all(getDomainNames().map(async domain => {
+			const [registered, checkedIn] = await Promise.all([
+				countMembers(domain, false),
+				countMembers(domain, true),
+			]);
+			return { domain, registered, checkedIn, remaining: registered - checkedIn };
+		}));
+
+		const totals = domains.reduce((sum, d) => ({
+			registered: sum.registered + d.registered,
+			checkedIn: sum.checkedIn + d.checkedIn,
+		}), { registered: 0, checkedIn: 0 });
+
+		res.set('Cache-Control', 'no-store');
+		res.status(200).json({
+			success: true,
+			data: {
+				domains,
+				totals: { ...totals, remaining: totals.registered - totals.checkedIn },
+				generatedAt: new Date().toISOString(),
+			},
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to fetch attendance');
+	}
+});
+
+module.exports = router;
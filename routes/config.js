@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getPublicConfig } = require('../config/event');
+
+// Public event configuration for the frontend (GET /config):
+// domains with team size limits, pricing and registration windows
+router.get('/', (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPublicConfig(),
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const { checkConnection, isSupabaseConfigured } = require('../services/database');
+const { getRazorpay } = require('../config/razorpay');
+const { requireRole } = require('../middleware/adminAuth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const { renderMetrics } = require('../services/metrics');
+
+// Liveness: the process is up and serving requests
+// GET /health
+router.get('/health', (req, res) => {
+	res.status(200).json({
+		status: 'ok',
+		uptime: process.uptime(),
+		timestamp: new Date().toISOString(),
+		env: process.env.NODE_ENV || 'dev',
+	});
+});
+
+// Readiness: the dependencies needed to take registrations are available.
+// Probes the database and checks that Razorpay is configured; 503 if either is not.
+// GET /health/ready
+router.get('/health/ready', async (req, res) => {
+	const database = isSupabaseConfigured()
+		? await checkConnection({ timeoutMs: parseInt(process.env.HEALTH_DB_TIMEOUT_MS || 2000, 10) })
+		: { ok: false, error: 'Not configured' };
+	const razorpay = getRazorpay() ? { ok: true } : { ok: false, error: 'Not configured' };
+
+	const ready = database.ok && razorpay.ok;
+	res.set('Cache-Control', 'no-store');
+	res.status(ready ? 200 : 503).json({
+		status: ready ? 'ok' : 'unavailable',
+		timestamp: new Date().toISOString(),
+		checks: {
+			database: {
+				status: database.ok ? 'up' : 'down',
+				latencyMs: database.latencyMs,
+				error: process.env.NODE_ENV === 'development' ? database.error : undefined,
+			},
+			razorpay: { status: razorpay.ok ? 'configured' : 'not_configured' },
+		},
+	});
+});
+
+// Prometheus scrape endpoint, for METRICS_API_KEY or any organizer but checkin.
+// This router sits before the app-wide rate limit, so failed attempts are limited here.
+// GET /metrics
+router.get('/metrics', rateLimitPolicy('metricsAuth'), requireRole('metrics'), (req, res) => {
+	res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+	res.set('Cache-Control', 'no-store');
+	res.status(200).send(renderMetrics());
+});
+
+module.exports = router;
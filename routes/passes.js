@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { verifyPassToken, renderPass } = require('../services/passes');
+const { logger } = require('../services/logger');
+
+// Event pass as a QR code image. The signed token itself is the credential,
+// so anyone holding the link can show the pass.
+// GET /passes/:token?format=png|svg
+router.get('/:token', async (req, res) => {
+	const format = req.query.format || 'png';
+	if (!['png', 'svg'].includes(format)) {
+		return res.status(400).json({ success: false, message: "Invalid format. Must be 'png' or 'svg'" });
+	}
+
+	try {
+		if (!verifyPassToken(req.params.token)) {
+			return res.status(404).json({ success: false, message: 'Pass not found' });
+		}
+
+		const image = await renderPass(req.params.token, format);
+		res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+		res.set('Cache-Control', 'private, max-age=86400');
+		res.status(200).send(image);
+	} catch (error) {
+		logger.error('Pass render error', { err: error });
+		res.status(500).json({
+			success: false,
+			message: 'Failed to render pass',
+			error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+		});
+	}
+});
+
+module.exports = router;
@@ -0,0 +1,289 @@
+const express = require('express');
+const router = express.Router();
+const { supabaseAdmin } = require('../services/database');
+const { eventConfig } = require('../config/event');
+const { paymentReceipt } = require('../services/emailTemplates');
+const { isPassSigningConfigured, createPassToken, passUrl } = require('../services/passes');
+const { requestLoginLink, redeemLoginToken, endSession, renameSessionEmail, SESSION_TTL_HOURS } = require('../services/portalAuth');
+const { createInvite, listInvites } = require('../services/teamInvites');
+const { SESSION_COOKIE, sessionCookieOptions, requirePortalSession } = require('../middleware/portalSession');
+const { logger } = require('../services/logger');
+const { validateBody } = require('../middleware/validate');
+const schemas = require('../schemas/portal');
+
+function sendServerError(res, error, message) {
+	logger.error(message, { err: error });
+	return res.status(500).json({
+		success: false,
+		message,
+		error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+	});
+}
+
+async function recordAudit(req, action, { registrationId = null, changes = null } = {}) {
+	const { error } = await supabaseAdmin
+		.from('portal_audit_log')
+		.insert([{
+			team_id: req.portal.teamId,
+			registration_id: registrationId,
+			actor_email: req.portal.email,
+			action,
+			changes,
+			ip: req.ip,
+		}]);
+
+	if (error) throw error;
+}
+
+async function fetchTeam(teamId) {
+	const { data, error } = await supabaseAdmin
+		.from('teams')
+		.select('id, team_name, domain, payment_status, team_size, amount_in_paise, original_amount_in_paise, discount_in_paise, coupon_code, razorpay_order_id, razorpay_payment_id, payment_verified_at, registrations(id, name, email, phone, college, role, roll_number)')
+		.eq('id', teamId)
+		.single();
+
+	if (error) throw error;
+	return data;
+}
+
+// Request a sign-in link
+// POST /portal/login
+// Body: { email: string }
+// Always answers the same way so it can't be used to discover registered emails.
+router.post('/login', validateBody(schemas.login), async (req, res) => {
+	try {
+		await requestLoginLink(req.body.email);
+	} catch (error) {
+		logger.error('Portal login link error', { err: error });
+	}
+
+	res.status(200).json({
+		success: true,
+		message: 'If this email belongs to a Team Lead, a sign-in link has been sent.',
+	});
+});
+
+// Exchange the token from the emailed link for a session cookie
+// POST /portal/verify
+// Body: { token: string }
+router.post('/verify', validateBody(schemas.verify), async (req, res) => {
+	try {
+		const session = await redeemLoginToken(req.body.token);
+		if (!session) {
+			return res.status(401).json({ success: false, message: 'This sign-in link is invalid or has expired' });
+		}
+
+		res.cookie(SESSION_COOKIE, session.sessionToken, sessionCookieOptions(SESSION_TTL_HOURS * 60 * 60 * 1000));
+
+		req.portal = { teamId: session.teamId, email: session.email };
+		await recordAudit(req, 'login');
+
+		res.status(200).json({
+			success: true,
+			message: 'Signed in',
+			data: { teamId: session.teamId, email: session.email, expiresAt: session.expiresAt },
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to sign in');
+	}
+});
+
+// POST /portal/logout
+router.post('/logout', requirePortalSession, async (req, res) => {
+	try {
+		await endSession(req.cookies[SESSION_COOKIE]);
+		res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+		res.status(200).json({ success: true, message: 'Signed out' });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to sign out');
+	}
+});
+
+// The signed-in Team Lead's team and members
+// GET /portal/team
+router.get('/team', requirePortalSession, async (req, res) => {
+	try {
+		const { registrations, ...team } = await fetchTeam(req.portal.teamId);
+		const { editableFields, editsCloseAt } = eventConfig.portal;
+
+		res.status(200).json({
+			success: true,
+			data: {
+				...team,
+				members: registrations || [],
+				editing: {
+					editableFields,
+					editsCloseAt,
+					open: !editsCloseAt || new Date() < editsCloseAt,
+				},
+			},
+		});
+	} catch (error) {
+		sendServerError(res, error, 'Failed to fetch team');
+	}
+});
+
+// Invite codes for adding members to the signed-in Team Lead's team
+// GET /portal/invites
+router.get('/invites', requirePortalSession, async (req, res) => {
+	try {
+		res.status(200).json({ success: true, data: await listInvites(req.portal.teamId) });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to list invites');
+	}
+});
+
+// Create an invite code; whoever joins with it pays what they add to the team's price
+// POST /portal/invites
+// Body: { maxUses?: number (default 1), expiresInHours?: number }
+router.post('/invites', requirePortalSession, validateBody(schemas.invite), async (req, res) => {
+	try {
+		const outcome = await createInvite(req.portal.teamId, { ...req.body, createdBy: `lead:${req.portal.email}` });
+
+		switch (outcome.status) {
+			case 'created':
+				return res.status(201).json({ success: true, data: outcome.invite });
+			case 'team_full':
+				return res.status(409).json({ success: false, message: 'Your team is full' });
+			case 'not_found':
+			case 'team_not_active':
+				return res.status(409).json({ success: false, message: 'Only registered teams can invite members' });
+			default:
+				throw new Error(`Unexpected invite outcome: ${outcome.status}`);
+		}
+	} catch (error) {
+		sendServerError(res, error, 'Failed to create invite');
+	}
+});
+
+// Update a member's contact details
+// PATCH /portal/members/:memberId
+// Body: any of the fields allowed by portal.editableFields in the event config, e.g. { phone: string }
+router.patch('/members/:memberId', requirePortalSession, validateBody(schemas.memberUpdate), async (req, res) => {
+	const memberId = parseInt(req.params.memberId, 10);
+	if (!Number.isInteger(memberId) || memberId <= 0) {
+		return res.status(400).json({ success: false, message: 'Invalid member id' });
+	}
+
+	const { editsCloseAt } = eventConfig.portal;
+	if (editsCloseAt && new Date() >= editsCloseAt) {
+		return res.status(403).json({ success: false, message: 'Member details can no longer be changed' });
+	}
+
+	const fields = Object.keys(req.body);
+
+	try {
+		const { data: member, error: memberError } = await supabaseAdmin
+			.from('registrations')
+			.select('*')
+			.eq('id', memberId)
+			.eq('team_id', req.portal.teamId)
+			.maybeSingle();
+
+		if (memberError) throw memberError;
+		if (!member) {
+			return res.status(404).json({ success: false, message: 'Member not found in your team' });
+		}
+
+		const updates = {};
+		const changes = {};
+		for (const field of fields) {
+			const value = req.body[field];
+			if (value !== member[field]) {
+				updates[field] = value;
+				changes[field] = { from: member[field], to: value };
+			}
+		}
+
+		if (Object.keys(updates).length === 0) {
+			return res.status(200).json({ success: true, message: 'No changes', data: member });
+		}
+
+		if (updates.email) {
+			const { data: taken, error: takenError } = await supabaseAdmin
+				.from('registrations')
+				.select('id')
+				.ilike('email', updates.email.replace(/[%_\\]/g, '\\$&'))
+				.neq('id', memberId)
+				.limit(1);
+
+			if (takenError) throw takenError;
+			if (taken.length > 0) {
+				return res.status(409).json({ success: false, message: 'This email is already registered' });
+			}
+		}
+
+		const { data: updated, error: updateError } = await supabaseAdmin
+			.from('registrations')
+			.update(updates)
+			.eq('id', memberId)
+			.eq('team_id', req.portal.teamId)
+			.select()
+			.single();
+
+		if (updateError) {
+			if (updateError.code === '23505') {
+				return res.status(409).json({ success: false, message: 'This email is already registered' });
+			}
+			throw updateError;
+		}
+
+		if (updates.email && member.role === 'Team Lead') {
+			await renameSessionEmail(req.portal.teamId, member.email, updates.email);
+		}
+
+		await recordAudit(req, 'member.update', { registrationId: memberId, changes });
+
+		res.status(200).json({ success: true, message: 'Member updated', data: updated });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to update member');
+	}
+});
+
+// Event passes for every member of the team
+// GET /portal/passes
+router.get('/passes', requirePortalSession, async (req, res) => {
+	if (!isPassSigningConfigured()) {
+		return res.status(503).json({ success: false, message: 'Event passes are not available yet' });
+	}
+
+	try {
+		const { registrations } = await fetchTeam(req.portal.teamId);
+		const passes = (registrations || []).map(member => {
+			const token = createPassToken(member.id);
+			return {
+				registrationId: member.id,
+				name: member.name,
+				role: member.role,
+				token,
+				pngUrl: passUrl(token, 'png'),
+				svgUrl: passUrl(token, 'svg'),
+			};
+		});
+
+		res.status(200).json({ success: true, data: passes });
+	} catch (error) {
+		sendServerError(res, error, 'Failed to fetch passes');
+	}
+});
+
+// Download the payment receipt as an HTML file
+// GET /portal/receipt
+router.get('/receipt', requirePortalSession, async (req, res) => {
+	try {
+		const { registrations, ...team } = await fetchTeam(req.portal.teamId);
+		const members = registrations || [];
+		const recipient = members.find(m => m.role === 'Team Lead') || { name: 'Team Lead' };
+		const { html } = paymentReceipt({ team, members, recipient });
+
+		await recordAudit(req, 'receipt.download');
+
+		res.set('Content-Type', 'text/html; charset=utf-8');
+		res.set('Content-Disposition', `attachment; filename="receipt-${team.id}.html"`);
+		res.status(200).send(html);
+	} catch (error) {
+		sendServerError(res, error, 'Failed to generate receipt');
+	}
+});
+
+module.exports = router;
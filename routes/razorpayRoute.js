@@ -1,185 +1,138 @@
 const express = require('express');
 const router = express.Router();
-const razorpayInstance = require('../config/razorpay');
-const { supabase } = require('../services/database');
+const { getRazorpay } = require('../config/razorpay');
+const { supabaseAdmin } = require('../services/database');
+const { completeTeamPayment, isValidCheckoutSignature } = require('../services/payments');
+const { createTeamOrder, createProductOrder } = require('../services/orders');
+const { findSoloByOrderId, completeSoloPayment, failSoloPayment } = require('../services/solo');
+const { findJoinByOrderId, completeJoin, failJoinPayment } = require('../services/teamInvites');
+const { requireRole } = require('../middleware/adminAuth');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const { rostersMatch, toRosterMember } = require('../services/roster');
+const { recordAudit } = require('../services/audit');
+const { recordRefund } = require('../services/refunds');
+const { logger } = require('../services/logger');
+const { paymentsVerified, paymentsFailed, signatureMismatches } = require('../services/metrics');
+const { validateBody } = require('../middleware/validate');
+const schemas = require('../schemas/payments');
 const crypto = require('crypto');
 
-// Example route to create a Razorpay order
+// Create a Razorpay order priced on the server. Finance organizers only, and rate
+// limited on top of the app-wide limit.
 // POST /razorpay/create-order
-// Body: { amount: number, currency?: string, receipt?: string }
-// amount is expected in rupees (e.g. 100 for ₹100). We'll convert to paise for Razorpay.
-router.post('/create-order', async (req, res) => {
-	if (!razorpayInstance) {
-		return res.status(500).json({ error: 'Razorpay not initialized. Check server environment variables.' });
+// Headers: { Authorization: Bearer <organizer API key or JWT> }
+// Body: { teamId: number } - a new order for the team's unpaid registration (replaces its current order)
+//    or { productId: string } - an order for a product listed in the event configuration
+router.post('/create-order', rateLimitPolicy('createOrder'), requireRole('finance'), validateBody(schemas.createOrder), async (req, res) => {
+	if (!getRazorpay()) {
+		return res.status(500).json({
+			success: false,
+			message: 'Razorpay not initialized. Check server environment variables.',
+		});
 	}
 
-	try {
-		const { amount, currency = 'INR', receipt } = req.body || {};
-
-		if (amount === undefined || amount === null) {
-			return res.status(400).json({ error: 'amount is required in request body (in rupees).' });
-		}
+	const { teamId, productId } = req.body;
 
-		// Accept amounts provided as either integer (rupees) or decimal (rupees). Convert to paise.
-		const amountNum = Number(amount);
-		if (!isFinite(amountNum) || amountNum <= 0) {
-			return res.status(400).json({ error: 'amount must be a positive number.' });
+	try {
+		const outcome = teamId !== undefined ? await createTeamOrder(teamId) : await createProductOrder(productId);
+
+		switch (outcome.status) {
+			case 'created':
+				logger.info('Razorpay order created', { teamId, productId, orderId: outcome.order.orderId });
+				await recordAudit(req, 'order.create', {
+					targetType: teamId !== undefined ? 'team' : 'product',
+					targetId: teamId !== undefined ? teamId : productId,
+					details: outcome.order,
+				});
+				return res.status(201).json({ success: true, data: outcome.order });
+			case 'not_found':
+				return res.status(404).json({
+					success: false,
+					message: teamId !== undefined ? 'Team not found' : 'Product not found',
+				});
+			case 'already_paid':
+				return res.status(409).json({
+					success: false,
+					message: 'This team has already paid',
+					paymentStatus: outcome.paymentStatus,
+				});
+			case 'payment_pending':
+				return res.status(409).json({
+					success: false,
+					message: 'A payment on the current order is still being processed; try again shortly',
+				});
+			case 'expired':
+				return res.status(409).json({
+					success: false,
+					message: 'This checkout has expired; the team must register again',
+				});
+			case 'nothing_to_pay':
+				return res.status(400).json({ success: false, message: 'This team has nothing to pay' });
+			default:
+				return res.status(409).json({
+					success: false,
+					message: 'The team changed while the order was being created; please retry',
+				});
 		}
-
-		const amountInPaise = Math.round(amountNum * 100);
-
-		const options = {
-			amount: amountInPaise,
-			currency,
-			receipt: receipt || `rcpt_${Date.now()}`,
-			payment_capture: 1, // auto-capture
-		};
-
-		const order = await razorpayInstance.orders.create(options);
-		return res.status(201).json(order);
 	} catch (err) {
-		console.error('Error creating Razorpay order:', err);
-		return res.status(500).json({ error: 'failed to create order', details: err.message });
+		logger.error('Error creating Razorpay order', { err, teamId, productId });
+		return res.status(500).json({
+			success: false,
+			message: 'Failed to create order',
+			error: process.env.NODE_ENV === 'development' ? err.message : undefined,
+		});
 	}
 });
 
 // Verify payment and finalize registration
 // POST /razorpay/verify-payment
 // Body: { teamId: number, razorpayPaymentId: string, razorpayOrderId: string, razorpaySignature: string, members: [...] }
-router.post('/verify-payment', async (req, res) => {
+// Rate limited per IP, and per team across all IPs.
+const verifyPaymentChecks = [
+	rateLimitPolicy('verifyPayment'),
+	validateBody(schemas.verifyPayment),
+	rateLimitPolicy('verifyPaymentTeam'),
+];
+
+router.post('/verify-payment', verifyPaymentChecks, async (req, res) => {
 	try {
-		console.log('=== Verify Payment Route Called ===');
-		console.log('Request Body:', JSON.stringify(req.body, null, 2));
-		console.log('Request Headers:', JSON.stringify(req.headers, null, 2));
-
 		const { teamId, razorpayPaymentId, razorpayOrderId, razorpaySignature, members } = req.body;
 
-		console.log('Extracted Data:', {
+		logger.info('verify-payment called', {
 			teamId,
 			razorpayPaymentId,
 			razorpayOrderId,
-			razorpaySignature: razorpaySignature ? `${razorpaySignature.substring(0, 10)}...` : 'missing',
-			membersCount: members?.length,
-		});
-
-		// Validate required fields
-		if (!teamId || !razorpayPaymentId || !razorpayOrderId || !razorpaySignature) {
-			console.error('Validation Error: Missing required fields', {
-				hasTeamId: !!teamId,
-				hasRazorpayPaymentId: !!razorpayPaymentId,
-				hasRazorpayOrderId: !!razorpayOrderId,
-				hasRazorpaySignature: !!razorpaySignature,
-			});
-			return res.status(400).json({
-				success: false,
-				message: 'Missing required payment verification fields',
-			});
-		}
-
-		if (!Array.isArray(members) || members.length === 0) {
-			console.error('Validation Error: Invalid members array', {
-				isArray: Array.isArray(members),
-				length: members?.length,
-				members: members,
-			});
-			return res.status(400).json({
-				success: false,
-				message: 'Members array is required',
-			});
-		}
-
-		// Validate each member has rollNumber (support snake_case)
-		for (let i = 0; i < members.length; i++) {
-			const m = members[i];
-			if (!m.rollNumber && m.roll_number) m.rollNumber = m.roll_number;
-			if (!m.rollNumber) {
-				console.error('Validation Error: Missing rollNumber for member', { index: i, member: m });
-				return res.status(400).json({
-					success: false,
-					message: `Member ${i + 1} is missing rollNumber`,
-				});
-			}
-		}
-
-		console.log('All validations passed');
-
-		// Verify signature
-		const body = razorpayOrderId + '|' + razorpayPaymentId;
-		console.log('Signature Verification:', {
-			body,
-			receivedSignature: razorpaySignature.substring(0, 20) + '...',
+			membersCount: members.length,
 		});
 
-		const expectedSignature = crypto
-			.createHmac('sha256', process.env.RAZORPAY_SECRET)
-			.update(body)
-			.digest('hex');
-
-		console.log('Signature Comparison:', {
-			expected: expectedSignature.substring(0, 20) + '...',
-			received: razorpaySignature.substring(0, 20) + '...',
-			match: expectedSignature === razorpaySignature,
-		});
-
-		if (expectedSignature !== razorpaySignature) {
-			console.error('Signature Mismatch Error:', {
-				expectedSignature: expectedSignature.substring(0, 30) + '...',
-				receivedSignature: razorpaySignature.substring(0, 30) + '...',
-				fullMatch: expectedSignature === razorpaySignature,
-			});
+		if (!isValidCheckoutSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+			logger.warn('verify-payment signature mismatch', { teamId, razorpayOrderId, razorpayPaymentId });
+			signatureMismatches.inc({ type: 'checkout' });
 			return res.status(400).json({
 				success: false,
 				message: 'Invalid payment signature. Possible fraud attempt.',
 			});
 		}
 
-		console.log('Signature verified successfully');
-
 		// Get team data to verify
-		console.log('Fetching team data for teamId:', teamId);
-		const { data: team, error: teamError } = await supabase
+		const { data: team, error: teamError } = await supabaseAdmin
 			.from('teams')
 			.select('*')
 			.eq('id', teamId)
 			.single();
 
-		console.log('Team Fetch Result:', {
-			teamFound: !!team,
-			teamError: teamError ? JSON.stringify(teamError, null, 2) : null,
-			teamData: team ? {
-				id: team.id,
-				payment_status: team.payment_status,
-				razorpay_order_id: team.razorpay_order_id,
-			} : null,
-		});
-
 		if (teamError || !team) {
-			console.error('Team Fetch Error:', {
-				error: teamError,
-				teamExists: !!team,
-			});
+			logger.warn('verify-payment team not found', { teamId, err: teamError });
 			return res.status(404).json({
 				success: false,
 				message: 'Team not found',
 			});
 		}
 
-		// Verify payment status is 'Initiated' (log only; enforce atomically below)
-		console.log('Checking payment status:', {
-			currentStatus: team.payment_status,
-			expectedStatus: 'Initiated',
-			match: team.payment_status === 'Initiated',
-		});
-
 		// Verify order IDs match
-		console.log('Verifying order IDs:', {
-			teamOrderId: team.razorpay_order_id,
-			receivedOrderId: razorpayOrderId,
-			match: team.razorpay_order_id === razorpayOrderId,
-		});
-
 		if (team.razorpay_order_id !== razorpayOrderId) {
-			console.error('Order ID Mismatch Error:', {
+			logger.warn('verify-payment order id mismatch', {
+				teamId,
 				teamOrderId: team.razorpay_order_id,
 				receivedOrderId: razorpayOrderId,
 			});
@@ -189,89 +142,67 @@ router.post('/verify-payment', async (req, res) => {
 			});
 		}
 
-		console.log('All verifications passed, updating team atomically...');
-
-		// Update team with payment completion details
-		const updateData = {
-			payment_status: 'Completed',
-			razorpay_payment_id: razorpayPaymentId,
-			payment_verified_at: new Date().toISOString(),
-		};
+		// Finalize from the roster stored at registration; the client copy must match it
+		const storedRoster = team.pending_members;
+		if (Array.isArray(storedRoster) && storedRoster.length > 0) {
+			if (!rostersMatch(storedRoster, members)) {
+				logger.warn('verify-payment roster mismatch', {
+					teamId,
+					storedCount: storedRoster.length,
+					receivedCount: members.length,
+				});
+				return res.status(400).json({
+					success: false,
+					message: 'Members do not match the registered team',
+				});
+			}
+		} else if (team.team_size && members.length !== team.team_size) {
+			// Teams registered before rosters were stored: at least hold the client to the paid size
+			return res.status(400).json({
+				success: false,
+				message: 'Members do not match the registered team size',
+			});
+		}
 
-		console.log('Updating team with data:', updateData);
+		const roster = Array.isArray(storedRoster) && storedRoster.length > 0
+			? storedRoster
+			: members.map(toRosterMember);
 
-		const { error: updateTeamError, data: updatedTeam } = await supabase
-			.from('teams')
-			.update(updateData)
-			.eq('id', teamId)
-			.eq('payment_status', 'Initiated')
-			.select();
+		const outcome = await completeTeamPayment(team, razorpayPaymentId, roster);
 
-		console.log('Team Update Result:', {
-			updateError: updateTeamError ? JSON.stringify(updateTeamError, null, 2) : null,
-			updatedRows: updatedTeam?.length || 0,
+		logger.info('verify-payment finalization result', {
+			teamId,
+			status: outcome.status,
+			memberCount: outcome.memberCount,
 		});
 
-		if (updateTeamError) {
-			console.error('Team Update Error:', JSON.stringify(updateTeamError, null, 2));
-			throw updateTeamError;
+		if (outcome.status === 'not_found') {
+			return res.status(404).json({
+				success: false,
+				message: 'Team not found',
+			});
 		}
 
-		// If no rows were updated, payment was already processed (handles concurrent requests safely)
-		if (!updatedTeam || updatedTeam.length === 0) {
-			console.warn('No team rows updated; payment likely already completed. Skipping registrations insert.');
+		// Payment was already processed (handles concurrent requests safely)
+		if (outcome.status === 'already_completed' || outcome.status === 'invalid_status') {
 			return res.status(409).json({
 				success: false,
 				message: 'Payment already verified for this team',
 			});
 		}
 
-		console.log('Team updated successfully');
-
-		// Prepare and insert member data
-		const memberData = members.map(member => ({
-			team_id: teamId,
-			name: member.name,
-			email: member.email,
-			phone: member.phone,
-			college: member.college,
-			role: member.role,
-			roll_number: member.rollNumber || member.roll_number
-		}));
-
-		console.log('Preparing to insert members:', {
-			memberCount: memberData.length,
-			memberData: memberData,
-		});
-
-		const { error: membersInsertError, data: insertedMembers } = await supabase
-			.from('registrations')
-			.insert(memberData)
-			.select();
-
-		console.log('Members Insert Result:', {
-			insertError: membersInsertError ? JSON.stringify(membersInsertError, null, 2) : null,
-			insertedCount: insertedMembers?.length,
-			insertedMembers: insertedMembers,
-		});
-
-		if (membersInsertError) {
-			console.error('Members Insert Error:', JSON.stringify(membersInsertError, null, 2));
-			// Handle unique violations (e.g., duplicate roll_number)
-			const errorMessage = (membersInsertError && membersInsertError.message) || '';
-			if (errorMessage.includes('duplicate key value') || errorMessage.includes('unique')) {
-				return res.status(409).json({
-					success: false,
-					message: 'Some registrations already exist (unique constraint)',
-					details: process.env.NODE_ENV === 'development' ? errorMessage : undefined,
-				});
-			}
-			throw membersInsertError;
+		// Handle unique violations (e.g., duplicate roll_number). The transaction was rolled back,
+		// so the team is still awaiting finalization and can be retried once the conflict is resolved.
+		if (outcome.status === 'member_conflict') {
+			logger.error('verify-payment members insert conflict', { teamId, detail: outcome.message });
+			return res.status(409).json({
+				success: false,
+				message: 'Some registrations already exist (unique constraint)',
+				details: process.env.NODE_ENV === 'development' ? outcome.message : undefined,
+			});
 		}
 
-		console.log('All operations completed successfully');
-		console.log('=== Verify Payment Route Success ===');
-
+		paymentsVerified.inc({ source: 'verify_payment' });
 		res.status(200).json({
 			success: true,
 			message: 'Payment verified and team registration completed',
@@ -280,17 +211,11 @@ router.post('/verify-payment', async (req, res) => {
 				paymentStatus: 'Completed',
 				paymentId: razorpayPaymentId,
 				orderId: razorpayOrderId,
-				memberCount: members.length,
+				memberCount: outcome.memberCount,
 			},
 		});
 	} catch (error) {
-		console.error('=== Payment Verification Error ===');
-		console.error('Error Type:', error.constructor.name);
-		console.error('Error Message:', error.message);
-		console.error('Error Stack:', error.stack);
-		console.error('Full Error Object:', JSON.stringify(error, Object.getOwnPropertyNames(error), 2));
-		console.error('Request Body at Error:', JSON.stringify(req.body, null, 2));
-		console.error('=== End Error Log ===');
+		logger.error('verify-payment failed', { err: error, teamId: req.body && req.body.teamId });
 
 		res.status(500).json({
 			success: false,
@@ -300,4 +225,217 @@ router.post('/verify-payment', async (req, res) => {
 	}
 });
 
+// Compare the X-Razorpay-Signature header against an HMAC of the raw request body
+function isValidWebhookSignature(rawBody, signature, secret) {
+	const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+	const expectedBuf = Buffer.from(expected);
+	const receivedBuf = Buffer.from(String(signature));
+	return expectedBuf.length === receivedBuf.length && crypto.timingSafeEqual(expectedBuf, receivedBuf);
+}
+
+async function findTeamByOrderId(orderId) {
+	if (!orderId) return null;
+	const { data: team, error } = await supabaseAdmin
+		.from('teams')
+		.select('*')
+		.eq('razorpay_order_id', orderId)
+		.maybeSingle();
+
+	if (error) throw error;
+	return team;
+}
+
+function isAmountMismatch(expectedInPaise, payment) {
+	return !!expectedInPaise && payment.amount !== undefined && Number(payment.amount) !== expectedInPaise;
+}
+
+// Orders that don't belong to a team: a solo participant's own share, or a member
+// joining a team with an invite code
+async function completeSoloOrJoinFromWebhook(orderId, payment) {
+	const solo = await findSoloByOrderId(orderId);
+	if (solo) {
+		if (isAmountMismatch(solo.amount_in_paise, payment)) {
+			logger.warn('Webhook amount mismatch', { soloId: solo.id, expected: solo.amount_in_paise, received: payment.amount });
+			return { result: 'ignored', soloId: solo.id, reason: 'Amount mismatch' };
+		}
+		const outcome = await completeSoloPayment(solo, payment.id);
+		if (outcome.status === 'email_taken') {
+			logger.error('Webhook could not complete solo payment', { soloId: solo.id, status: outcome.status });
+			return { result: outcome.status, soloId: solo.id };
+		}
+		if (outcome.status === 'paid') paymentsVerified.inc({ source: 'webhook' });
+		return { result: outcome.status === 'paid' ? 'updated' : 'unchanged', soloId: solo.id };
+	}
+
+	const join = await findJoinByOrderId(orderId);
+	if (join) {
+		if (join.status === 'Completed') return { result: 'unchanged', joinId: join.id };
+		if (isAmountMismatch(join.amount_in_paise, payment)) {
+			logger.warn('Webhook amount mismatch', { joinId: join.id, expected: join.amount_in_paise, received: payment.amount });
+			return { result: 'ignored', joinId: join.id, reason: 'Amount mismatch' };
+		}
+		// A join that can't complete records why on team_join_requests.error; redelivery won't change that
+		const outcome = await completeJoin(join, payment.id);
+		if (outcome.status !== 'completed') logger.error('Webhook could not complete team join', { joinId: join.id, status: outcome.status });
+		else paymentsVerified.inc({ source: 'webhook' });
+		return { result: outcome.status === 'completed' ? 'updated' : outcome.status, joinId: join.id };
+	}
+
+	return { result: 'ignored', reason: 'No team found for order' };
+}
+
+// Moves a team to 'Completed' for a captured/paid order and registers its stored roster.
+// Every transition is conditional on the current status, so replayed events leave the row untouched.
+async function completeTeamFromWebhook(orderId, payment) {
+	const team = await findTeamByOrderId(orderId);
+	if (!team) return completeSoloOrJoinFromWebhook(orderId, payment);
+
+	if (!['Initiated', 'Failed'].includes(team.payment_status)) {
+		return { result: 'unchanged', teamId: team.id, paymentStatus: team.payment_status };
+	}
+
+	if (isAmountMismatch(team.amount_in_paise, payment)) {
+		logger.warn('Webhook amount mismatch', {
+			teamId: team.id,
+			expected: team.amount_in_paise,
+			received: payment.amount,
+		});
+		return { result: 'ignored', teamId: team.id, reason: 'Amount mismatch' };
+	}
+
+	const outcome = await completeTeamPayment(team, payment.id, team.pending_members);
+	if (outcome.status === 'member_conflict') {
+		// Redelivery won't resolve a unique violation, so acknowledge it. The conflict is recorded on
+		// teams.finalization_error and the team can be finalized again once it is resolved.
+		logger.error('Webhook members insert conflict', { teamId: team.id, detail: outcome.message });
+	}
+	if (outcome.status === 'completed') paymentsVerified.inc({ source: 'webhook' });
+
+	return {
+		result: outcome.status === 'completed' ? 'updated' : outcome.status,
+		teamId: team.id,
+		memberCount: outcome.memberCount,
+	};
+}
+
+const webhookHandlers = {
+	'payment.captured': async (payload) => {
+		const payment = payload.payment?.entity || {};
+		return completeTeamFromWebhook(payment.order_id, payment);
+	},
+
+	'order.paid': async (payload) => {
+		const order = payload.order?.entity || {};
+		const payment = payload.payment?.entity || {};
+		return completeTeamFromWebhook(order.id || payment.order_id, payment);
+	},
+
+	'payment.failed': async (payload) => {
+		const payment = payload.payment?.entity || {};
+		const team = await findTeamByOrderId(payment.order_id);
+		if (!team) {
+			const solo = await findSoloByOrderId(payment.order_id);
+			if (solo) return { result: (await failSoloPayment(solo)) ? 'updated' : 'unchanged', soloId: solo.id };
+			const join = await findJoinByOrderId(payment.order_id);
+			if (join) return { result: (await failJoinPayment(join)) ? 'updated' : 'unchanged', joinId: join.id };
+			return { result: 'ignored', reason: 'No team found for order' };
+		}
+
+		const { data: updated, error } = await supabaseAdmin
+			.from('teams')
+			.update({ payment_status: 'Failed' })
+			.eq('id', team.id)
+			.eq('payment_status', 'Initiated')
+			.select('id');
+
+		if (error) throw error;
+		if (updated && updated.length > 0) paymentsFailed.inc({ source: 'webhook' });
+		return {
+			result: updated && updated.length > 0 ? 'updated' : 'unchanged',
+			teamId: team.id,
+			paymentStatus: updated && updated.length > 0 ? 'Failed' : team.payment_status,
+		};
+	},
+
+	'refund.processed': async (payload) => {
+		const refund = payload.refund?.entity || {};
+		const payment = payload.payment?.entity || {};
+		const team = await findTeamByOrderId(payment.order_id);
+		if (!team) return { result: 'ignored', reason: 'No team found for order' };
+
+		if (team.razorpay_payment_id && refund.payment_id && team.razorpay_payment_id !== refund.payment_id) {
+			return { result: 'ignored', teamId: team.id, reason: 'Refund is for a different payment' };
+		}
+
+		// Same rule as organizer refunds (services/refunds.js): a partial refund keeps the team
+		// registered, and a refund id already recorded is skipped. This also records refunds
+		// issued from the Razorpay dashboard, and ones refundTeam() issued but couldn't record
+		// (refund_status still 'Processing').
+		const updated = await recordRefund(team, {
+			refundId: refund.id,
+			amountInPaise: Number(refund.amount),
+			reason: refund.notes?.reason,
+		});
+
+		return {
+			result: updated ? 'updated' : 'unchanged',
+			teamId: team.id,
+			paymentStatus: updated ? updated.payment_status : team.payment_status,
+		};
+	},
+};
+
+// Razorpay webhook
+// POST /razorpay/webhook
+// Headers: { X-Razorpay-Signature: HMAC-SHA256 of the raw body using RAZORPAY_WEBHOOK_SECRET }
+// Handles payment.captured, payment.failed, order.paid and refund.processed. Unknown events are
+// acknowledged with 200 so Razorpay doesn't keep retrying them.
+router.post('/webhook', async (req, res) => {
+	const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+	if (!secret) {
+		logger.error('Webhook received but RAZORPAY_WEBHOOK_SECRET is not configured');
+		return res.status(500).json({
+			success: false,
+			message: 'Webhook secret not configured',
+		});
+	}
+
+	const signature = req.get('x-razorpay-signature');
+	if (!signature || !req.rawBody || !isValidWebhookSignature(req.rawBody, signature, secret)) {
+		logger.warn('Webhook signature verification failed');
+		signatureMismatches.inc({ type: 'webhook' });
+		return res.status(400).json({
+			success: false,
+			message: 'Invalid webhook signature',
+		});
+	}
+
+	const { event, payload } = req.body || {};
+	const handler = webhookHandlers[event];
+	if (!handler) {
+		return res.status(200).json({
+			success: true,
+			message: `Event ${event} ignored`,
+		});
+	}
+
+	try {
+		const outcome = await handler(payload || {});
+		logger.info('Webhook processed', { event, eventId: req.get('x-razorpay-event-id'), ...outcome });
+		return res.status(200).json({
+			success: true,
+			event,
+			data: outcome,
+		});
+	} catch (error) {
+		logger.error('Webhook processing error', { event, err: error });
+		// A non-2xx response makes Razorpay redeliver the event later
+		return res.status(500).json({
+			success: false,
+			message: 'An error occurred while processing the webhook',
+			error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+		});
+	}
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,224 +1,688 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../services/database');
-const razorpayInstance = require('../config/razorpay');
+const { supabaseAdmin } = require('../services/database');
+const { getRazorpay } = require('../config/razorpay');
+const { toRosterMember } = require('../services/roster');
+const { getDomainAvailability, getAllDomainAvailability, addToWaitlist } = require('../services/capacity');
+const { getDomainConfig, getRegistrationWindow } = require('../config/event');
+const { quoteRegistration, redeemCoupon, releaseCoupon } = require('../services/discounts');
+const { completeTeamPayment, isValidCheckoutSignature } = require('../services/payments');
+const { registerSolo, findSoloById, completeSoloPayment } = require('../services/solo');
+const { requestJoin, findJoinById, completeJoin } = require('../services/teamInvites');
+const { findTakenEmails, createPendingTeam } = require('../services/registrations');
+const { refreshTeamPayment } = require('../services/reconciliation');
+const { createStatusToken, verifyStatusToken } = require('../services/statusTokens');
+const { logger } = require('../services/logger');
+const { registrationsCreated } = require('../services/metrics');
+const { validateBody } = require('../middleware/validate');
+const { idempotent } = require('../middleware/idempotency');
+const { requireCaptcha } = require('../middleware/captcha');
+const { rateLimitPolicy } = require('../middleware/rateLimit');
+const schemas = require('../schemas/registration');
+
+// Remaining seats per domain (GET /registration/availability)
+router.get('/availability', async (req, res) => {
+  try {
+    const domains = await getAllDomainAvailability();
+    res.status(200).json({
+      success: true,
+      data: { domains },
+    });
+  } catch (error) {
+    logger.error('Availability error', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
 // Registration endpoint (POST /registration)
 /*{
 {
   "teamName": "string",
   "domain": "string",
+  "couponCode": "string (optional)",
   "members": [
     {
       "name": "string",
       "email": "string",
       "phone": "string",
       "college": "string",
-      "role": "Team Lead" | "Member"
+      "role": "Team Lead" | "Member",
+      "rollNumber": "string"
     },
     // ... more members (up to team size)
   ]
 }
 }*/
-router.post('/', async (req, res) => {
-  const { teamName, domain, members } = req.body;
+// Validated and normalized by schemas/registration.js; a 400 lists every invalid field.
+// Send an Idempotency-Key header to make retries safe (see middleware/idempotency.js), and
+// an X-Captcha-Token header when CAPTCHA is enabled (see middleware/captcha.js).
+// Rate limited per IP, and per Team Lead email across all IPs.
+const registrationChecks = [
+  rateLimitPolicy('registration'),
+  validateBody(schemas.registration),
+  rateLimitPolicy('registrationEmail'),
+  requireCaptcha,
+  idempotent('registration'),
+];
+
+router.post('/', registrationChecks, async (req, res) => {
+  const { teamName, domain, members, couponCode } = req.body;
   
   try {
+    const domainConfig = getDomainConfig(domain);
+    const teamLead = members.find(m => m.role === 'Team Lead');
 
-    // Validate required fields
-    if (!teamName || typeof teamName !== 'string' || teamName.trim().length === 0) {
-      return res.status(400).json({
+    // Registration window
+    const registrationWindow = getRegistrationWindow(domainConfig);
+    if (!registrationWindow.open) {
+      return res.status(403).json({
         success: false,
-        message: 'Missing or invalid teamName',
+        message: `Registration for ${domain} is closed`,
+        opensAt: registrationWindow.opensAt,
+        closesAt: registrationWindow.closesAt,
       });
     }
 
-    // Validate domain
-    const validDomains = ['Web Dev', 'Agentic AI', 'UI/UX'];
-    if (!domain || !validDomains.includes(domain)) {
+    // Check if team name already exists (expired checkouts no longer reserve their name)
+    const { data: existingTeam, error: teamError } = await supabaseAdmin
+      .from('teams')
+      .select('id')
+      .eq('team_name', teamName)
+      .or('expired_at.is.null,payment_status.eq.Completed')
+      .limit(1)
+      .maybeSingle();
+
+    if (existingTeam) {
       return res.status(400).json({
         success: false,
-        message: `Invalid domain. Must be one of: ${validDomains.join(', ')}`,
+        message: 'Team name already exists',
       });
     }
 
-    // Validate members array
-    if (!Array.isArray(members) || members.length < 1 || members.length > 5) {
+    // Check if any email is already registered or held by a team still paying.
+    // Both checks are repeated atomically when the team is created; doing them here
+    // first avoids creating a payment order for a registration that can't succeed.
+    const existingEmails = await findTakenEmails(members.map(m => m.email));
+    if (existingEmails.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Team must have 1 to 5 members',
+        message: 'Some emails are already registered',
+        existingEmails,
       });
     }
 
-    // Check for team lead
-    const teamLead = members.find(m => m.role === 'Team Lead');
-    if (!teamLead) {
+    const waitlistTeam = async () => {
+      const waitlistEntry = await addToWaitlist({
+        teamName,
+        domain,
+        members: members.map(toRosterMember),
+        contactEmail: teamLead.email,
+      });
+
+      return res.status(202).json({
+        success: true,
+        waitlisted: true,
+        message: `${domain} is full. Your team has been added to the waitlist.`,
+        data: {
+          waitlistId: waitlistEntry.id,
+          position: waitlistEntry.position,
+          teamName,
+          domain,
+          memberCount: members.length,
+        },
+      });
+    };
+
+    // Domain full: put the team on the waitlist instead of creating a payment order.
+    // create_pending_team checks again under a lock, in case the last seat goes meanwhile.
+    const availability = await getDomainAvailability(domain);
+    if (availability.full) return waitlistTeam();
+
+    // Price the registration: event discounts first, then the optional coupon
+    const { quote, error: couponError } = await quoteRegistration({
+      domainConfig,
+      memberCount: members.length,
+      college: teamLead.college,
+      couponCode,
+    });
+
+    if (couponError) {
       return res.status(400).json({
         success: false,
-        message: 'Team must have exactly one Team Lead',
+        message: couponError,
       });
     }
 
-    // Check for multiple team leads
-    if (members.filter(m => m.role === 'Team Lead').length > 1) {
-      return res.status(400).json({
+    const isFree = quote.amountInPaise === 0;
+    const razorpayInstance = getRazorpay();
+
+    // Create Razorpay order
+    if (!isFree && !razorpayInstance) {
+      return res.status(500).json({
         success: false,
-        message: 'Only one Team Lead is allowed per team',
+        message: 'Payment gateway not initialized. Check server configuration.',
       });
     }
 
-    // Validate each member
-    const emails = new Set();
-    const rollNumbers = new Set();
-    for (let i = 0; i < members.length; i++) {
-      const member = members[i];
-      // Normalize rollNumber to camelCase for validation logic
-      if (!member.rollNumber && member.roll_number) {
-        member.rollNumber = member.roll_number;
-      }
-      const memberNum = i + 1;
+    // Take the coupon redemption now so concurrent registrations can't exceed its limit
+    if (quote.couponCode && !(await redeemCoupon(quote.couponCode))) {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon is no longer available',
+      });
+    }
 
-      // Check for duplicate emails in the request
-      if (emails.has(member.email)) {
-        return res.status(400).json({
+    const releaseRedemption = async () => {
+      if (!quote.couponCode) return;
+      await releaseCoupon(quote.couponCode).catch(releaseError => {
+        logger.error('Failed to release coupon redemption', { err: releaseError });
+      });
+    };
+
+    let razorpayOrder = null;
+    if (!isFree) {
+      try {
+        razorpayOrder = await razorpayInstance.orders.create({
+          amount: quote.amountInPaise,
+          currency: 'INR',
+          receipt: `team_${teamName}_${Date.now()}`,
+          payment_capture: 1, // auto-capture
+        });
+      } catch (razorpayError) {
+        logger.error('Razorpay order creation error', { err: razorpayError });
+        await releaseRedemption();
+        return res.status(500).json({
           success: false,
-          message: `Duplicate email found: ${member.email}`,
+          message: 'Failed to create payment order',
+          error: process.env.NODE_ENV === 'development' ? razorpayError.message : undefined,
         });
       }
-      emails.add(member.email);
+    }
 
-      // Validate required fields for each member (rollNumber required)
-      const requiredFields = ['name', 'email', 'phone', 'college', 'role', 'rollNumber'];
-      const missingFields = requiredFields.filter(field => !member[field]);
-      
-      if (missingFields.length > 0) {
-        return res.status(400).json({
+    // Create team with 'Initiated' payment status, claiming its name and emails
+    const created = await createPendingTeam({
+      team_name: teamName,
+      domain: domain,
+      team_size: members.length,
+      razorpay_order_id: razorpayOrder ? razorpayOrder.id : null,
+      amount_in_paise: quote.amountInPaise,
+      original_amount_in_paise: quote.originalAmountInPaise,
+      discount_in_paise: quote.discountInPaise,
+      coupon_code: quote.couponCode,
+      discounts: quote.discounts,
+      payment_status: 'Initiated',
+      payment_initiated_at: new Date().toISOString(),
+      // Validated roster; verify-payment and the webhook register members from this copy
+      pending_members: members.map(toRosterMember),
+    }, { maxTeams: availability.capacity }).catch(async createError => {
+      await releaseRedemption();
+      throw createError;
+    });
+
+    // A concurrent registration got the last seat, the name or an email first; the
+    // order created above is simply never paid.
+    if (created.status !== 'created') {
+      await releaseRedemption();
+      if (created.status === 'domain_full') return waitlistTeam();
+      return res.status(400).json(created.status === 'team_name_taken'
+        ? { success: false, message: 'Team name already exists' }
+        : { success: false, message: 'Some emails are already registered', existingEmails: created.emails });
+    }
+
+    const newTeam = created.team;
+    const teamId = newTeam.id;
+    registrationsCreated.inc({ domain, payment_required: !isFree });
+
+    const paymentDetails = {
+      orderId: razorpayOrder ? razorpayOrder.id : null,
+      amount: quote.amountInPaise / 100,
+      amountInPaise: quote.amountInPaise,
+      originalAmount: quote.originalAmountInPaise / 100,
+      discount: quote.discountInPaise / 100,
+      discounts: quote.discounts,
+      couponCode: quote.couponCode,
+      currency: 'INR',
+      chargePerMember: quote.chargePerMember,
+      pricingType: quote.pricingType,
+    };
+
+    // Nothing to pay (e.g. a free pass): finalize the registration right away
+    if (isFree) {
+      const outcome = await completeTeamPayment(newTeam, null);
+      if (outcome.status !== 'completed') {
+        return res.status(409).json({
           success: false,
-          message: `Member ${memberNum} is missing required fields: ${missingFields.join(', ')}`,
+          message: 'Some registrations already exist (unique constraint)',
+          details: process.env.NODE_ENV === 'development' ? outcome.message : undefined,
         });
       }
 
-      // Validate role
-      if (!['Team Lead', 'Member'].includes(member.role)) {
+      return res.status(201).json({
+        success: true,
+        message: 'Registration completed. No payment required.',
+        data: {
+          teamId,
+          teamName,
+          domain,
+          memberCount: members.length,
+          paymentStatus: 'Completed',
+          paymentRequired: false,
+          paymentDetails,
+        },
+      });
+    }
+
+    // Return payment order details to frontend
+    // Frontend will complete payment and then call /razorpay/verify endpoint
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created. Please complete payment to finalize registration.',
+      data: {
+        teamId,
+        teamName,
+        domain,
+        memberCount: members.length,
+        paymentRequired: true,
+        paymentDetails,
+        // Lets this client poll GET /registration/:teamId/status
+        statusToken: createStatusToken(teamId),
+      },
+    });
+  } catch (error) {
+    logger.error('Registration error', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+function closedResponse(res, domain, registrationWindow) {
+  return res.status(403).json({
+    success: false,
+    message: `Registration for ${domain} is closed`,
+    opensAt: registrationWindow.opensAt,
+    closesAt: registrationWindow.closesAt,
+  });
+}
+
+function quoteDetails(orderId, quote) {
+  return {
+    orderId,
+    amount: quote.amountInPaise / 100,
+    amountInPaise: quote.amountInPaise,
+    originalAmount: quote.originalAmountInPaise / 100,
+    discount: quote.discountInPaise / 100,
+    discounts: quote.discounts,
+    currency: 'INR',
+  };
+}
+
+// Register without a team (POST /registration/solo)
+// Body: { name, email, phone, college, rollNumber, domain, skills: [string], mode: 'pay' | 'reserve' }
+// 'pay' pays the participant's own share now (domains priced per member only); 'reserve'
+// holds a spot in the pool. Organizers later form teams from the pool
+// (POST /admin/solo/teams). Pay with the returned order, then call
+// POST /registration/solo/verify-payment.
+const soloChecks = [
+  rateLimitPolicy('registration'),
+  validateBody(schemas.solo),
+  rateLimitPolicy('registrationEmail'),
+  requireCaptcha,
+  idempotent('solo'),
+];
+
+router.post('/solo', soloChecks, async (req, res) => {
+  const { domain } = req.body;
+
+  try {
+    const registrationWindow = getRegistrationWindow(getDomainConfig(domain));
+    if (!registrationWindow.open) return closedResponse(res, domain, registrationWindow);
+
+    const outcome = await registerSolo(req.body);
+    switch (outcome.status) {
+      case 'created':
+        break;
+      case 'email_taken':
         return res.status(400).json({
           success: false,
-          message: `Invalid role for member ${memberNum}. Must be 'Team Lead' or 'Member'`,
+          message: 'Some emails are already registered',
+          existingEmails: [req.body.email],
         });
-      }
-
-      // Check duplicate roll numbers within the same request
-      if (rollNumbers.has(member.rollNumber)) {
+      case 'pay_unavailable':
         return res.status(400).json({
           success: false,
-          message: `Duplicate roll number found in request: ${member.rollNumber}`,
+          message: `${domain} is priced per team; reserve a spot and pay once your team is formed`,
+        });
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Payment gateway not initialized. Check server configuration.',
         });
-      }
-      rollNumbers.add(member.rollNumber);
     }
 
-    // Check if team name already exists
-    const { data: existingTeam, error: teamError } = await supabase
-      .from('teams')
-      .select('id')
-      .eq('team_name', teamName)
-      .single();
+    const { solo, order, quote } = outcome;
+    logger.info('Solo registration created', { soloId: solo.id, domain, status: solo.status });
+    res.status(201).json({
+      success: true,
+      message: order
+        ? 'Payment order created. Please complete payment to confirm your spot.'
+        : 'You are registered. Organizers will place you in a team.',
+      data: {
+        soloId: solo.id,
+        domain,
+        status: solo.status,
+        paymentRequired: !!order,
+        paymentDetails: quote ? quoteDetails(order ? order.id : null, quote) : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Solo registration error', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during registration',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
-    if (existingTeam) {
+// Confirm a solo participant's payment (POST /registration/solo/verify-payment)
+// Body: { soloId, razorpayPaymentId, razorpayOrderId, razorpaySignature }
+router.post('/solo/verify-payment', rateLimitPolicy('verifyPayment'), validateBody(schemas.soloVerifyPayment), async (req, res) => {
+  const { soloId, razorpayPaymentId, razorpayOrderId, razorpaySignature } = req.body;
+
+  try {
+    if (!isValidCheckoutSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+      logger.warn('Solo verify-payment signature mismatch', { soloId, razorpayOrderId });
       return res.status(400).json({
         success: false,
-        message: 'Team name already exists',
+        message: 'Invalid payment signature. Possible fraud attempt.',
       });
     }
 
-    // Check if any email is already registered
-    const { data: existingMembers, error: membersError } = await supabase
-      .from('registrations')
-      .select('email')
-      .in('email', members.map(m => m.email));
+    const solo = await findSoloById(soloId);
+    if (!solo) {
+      return res.status(404).json({ success: false, message: 'Registration not found' });
+    }
+    if (solo.razorpay_order_id !== razorpayOrderId) {
+      return res.status(400).json({ success: false, message: 'Order ID mismatch' });
+    }
 
-    if (existingMembers && existingMembers.length > 0) {
-      const existingEmails = existingMembers.map(r => r.email);
-      return res.status(400).json({
-        success: false,
-        message: 'Some emails are already registered',
-        existingEmails,
-      });
+    const outcome = await completeSoloPayment(solo, razorpayPaymentId);
+    switch (outcome.status) {
+      case 'paid':
+        break;
+      case 'not_found':
+        return res.status(404).json({ success: false, message: 'Registration not found' });
+      case 'email_taken':
+        // Paid after the checkout was released; organizers refund from the registration
+        logger.error('Solo verify-payment email taken since release', { soloId, razorpayPaymentId });
+        return res.status(409).json({
+          success: false,
+          message: 'This email has been registered elsewhere since this checkout expired',
+        });
+      default:
+        return res.status(409).json({
+          success: false,
+          message: 'Payment already verified for this registration',
+        });
     }
 
-    // Calculate total amount
-    const chargePerMember = parseInt(process.env.REGISTRATION_CHARGE_PER_MEMBER || 100);
-    const totalAmountInRupees = members.length * chargePerMember;
-    const totalAmountInPaise = totalAmountInRupees * 100;
+    logger.info('Solo payment verified', { soloId, razorpayPaymentId });
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified. Organizers will place you in a team.',
+      data: { soloId, status: 'Paid', paymentId: razorpayPaymentId, orderId: razorpayOrderId },
+    });
+  } catch (error) {
+    logger.error('Solo verify-payment error', { err: error, soloId });
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during payment verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
 
-    // Create Razorpay order
-    if (!razorpayInstance) {
-      return res.status(500).json({
-        success: false,
-        message: 'Payment gateway not initialized. Check server configuration.',
-      });
+// Join a registered team with an invite code (POST /registration/join)
+// Body: { name, email, phone, college, rollNumber, inviteCode }
+// The joiner pays what adding them adds to the team's price; when that is nothing
+// (e.g. a flat team price) they are added straight away. Otherwise pay with the
+// returned order, then call POST /registration/join/verify-payment.
+const joinChecks = [
+  rateLimitPolicy('registration'),
+  validateBody(schemas.join),
+  rateLimitPolicy('registrationEmail'),
+  requireCaptcha,
+  idempotent('join'),
+];
+
+router.post('/join', joinChecks, async (req, res) => {
+  try {
+    const outcome = await requestJoin(req.body);
+    switch (outcome.status) {
+      case 'created':
+      case 'completed':
+        break;
+      case 'invalid_invite':
+        return res.status(404).json({ success: false, message: 'Invalid or expired invite code' });
+      case 'registration_closed':
+        return closedResponse(res, outcome.domain, getRegistrationWindow(getDomainConfig(outcome.domain)));
+      case 'team_not_active':
+        return res.status(409).json({ success: false, message: 'This team is not accepting members' });
+      case 'team_full':
+        return res.status(409).json({ success: false, message: 'This team is full' });
+      case 'conflict':
+        return res.status(409).json({
+          success: false,
+          message: 'The team changed while you were joining; please retry',
+        });
+      case 'email_taken':
+        return res.status(400).json({
+          success: false,
+          message: 'Some emails are already registered',
+          existingEmails: [req.body.email],
+        });
+      case 'member_conflict':
+        return res.status(409).json({
+          success: false,
+          message: 'Some registrations already exist (unique constraint)',
+          details: process.env.NODE_ENV === 'development' ? outcome.message : undefined,
+        });
+      default:
+        return res.status(500).json({
+          success: false,
+          message: 'Payment gateway not initialized. Check server configuration.',
+        });
     }
 
-    let razorpayOrder;
-    try {
-      razorpayOrder = await razorpayInstance.orders.create({
-        amount: totalAmountInPaise,
-        currency: 'INR',
-        receipt: `team_${teamName}_${Date.now()}`,
-        payment_capture: 1, // auto-capture
+    const { join, team, order } = outcome;
+    logger.info('Team join requested', { joinId: join.id, teamId: team.id, paymentRequired: !!order });
+    const data = {
+      joinId: join.id,
+      teamId: team.id,
+      teamName: team.team_name,
+      domain: team.domain,
+      paymentRequired: !!order,
+      paymentDetails: order
+        ? { orderId: order.id, amount: join.amount_in_paise / 100, amountInPaise: join.amount_in_paise, currency: 'INR' }
+        : null,
+    };
+
+    if (!order) {
+      return res.status(201).json({
+        success: true,
+        message: 'You have joined the team. No payment required.',
+        data: { ...data, status: 'Completed', registrationId: join.registration_id },
       });
-    } catch (razorpayError) {
-      console.error('Razorpay order creation error:', razorpayError);
-      return res.status(500).json({
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment order created. Please complete payment to join the team.',
+      data: { ...data, status: 'Initiated' },
+    });
+  } catch (error) {
+    logger.error('Team join error', { err: error });
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred while joining the team',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// Confirm a joiner's payment and add them to the team (POST /registration/join/verify-payment)
+// Body: { joinId, razorpayPaymentId, razorpayOrderId, razorpaySignature }
+router.post('/join/verify-payment', rateLimitPolicy('verifyPayment'), validateBody(schemas.joinVerifyPayment), async (req, res) => {
+  const { joinId, razorpayPaymentId, razorpayOrderId, razorpaySignature } = req.body;
+
+  try {
+    if (!isValidCheckoutSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+      logger.warn('Join verify-payment signature mismatch', { joinId, razorpayOrderId });
+      return res.status(400).json({
         success: false,
-        message: 'Failed to create payment order',
-        error: process.env.NODE_ENV === 'development' ? razorpayError.message : undefined,
+        message: 'Invalid payment signature. Possible fraud attempt.',
       });
     }
 
-    // Create team with 'Initiated' payment status
-    const { data: newTeam, error: insertTeamError } = await supabase
-      .from('teams')
-      .insert([
-        {
-          team_name: teamName,
-          domain: domain,
-          team_size: members.length,
-          razorpay_order_id: razorpayOrder.id,
-          amount_in_paise: totalAmountInPaise,
-          payment_status: 'Initiated',
-          payment_initiated_at: new Date().toISOString(),
-        }
-      ])
-      .select()
-      .single();
+    const join = await findJoinById(joinId);
+    if (!join) {
+      return res.status(404).json({ success: false, message: 'Join request not found' });
+    }
+    if (join.razorpay_order_id !== razorpayOrderId) {
+      return res.status(400).json({ success: false, message: 'Order ID mismatch' });
+    }
 
-    if (insertTeamError) throw insertTeamError;
-    const teamId = newTeam.id;
+    const outcome = await completeJoin(join, razorpayPaymentId);
+    switch (outcome.status) {
+      case 'completed':
+        break;
+      case 'already_completed':
+        return res.status(409).json({ success: false, message: 'Payment already verified for this join request' });
+      case 'not_found':
+        return res.status(404).json({ success: false, message: 'Join request not found' });
+      case 'member_conflict':
+        logger.error('Join verify-payment member conflict', { joinId, detail: outcome.message });
+        return res.status(409).json({
+          success: false,
+          message: 'Some registrations already exist (unique constraint)',
+          details: process.env.NODE_ENV === 'development' ? outcome.message : undefined,
+        });
+      default:
+        // Paid, but the team can no longer take the member; organizers refund from the join request
+        logger.error('Join verify-payment could not add the member', { joinId, status: outcome.status });
+        return res.status(409).json({
+          success: false,
+          message: outcome.status === 'team_full' ? 'This team is full' : 'This team is not accepting members',
+        });
+    }
 
-    // Return payment order details to frontend
-    // Frontend will complete payment and then call /razorpay/verify endpoint
-    res.status(201).json({
+    logger.info('Team join completed', { joinId, teamId: join.team_id, registrationId: outcome.registrationId });
+    res.status(200).json({
+      success: true,
+      message: 'Payment verified. You have joined the team.',
+      data: {
+        joinId,
+        teamId: join.team_id,
+        registrationId: outcome.registrationId,
+        status: 'Completed',
+        paymentId: razorpayPaymentId,
+        orderId: razorpayOrderId,
+      },
+    });
+  } catch (error) {
+    logger.error('Join verify-payment error', { err: error, joinId });
+    res.status(500).json({
+      success: false,
+      message: 'An error occurred during payment verification',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+async function findTeam(teamId) {
+  const { data, error } = await supabaseAdmin
+    .from('teams')
+    .select('*')
+    .eq('id', teamId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Payment status of a team, for a client whose checkout was interrupted
+// GET /registration/:teamId/status?orderId=order_xxx
+//   or with the header Authorization: Bearer <statusToken from POST /registration>
+// A team still 'Initiated' is first checked against its Razorpay order and, if it
+// was paid, finalized as verify-payment would. Unknown teams and wrong credentials
+// both get 404.
+router.get('/:teamId/status', rateLimitPolicy('paymentStatus'), async (req, res) => {
+  const teamId = parseInt(req.params.teamId, 10);
+  if (!Number.isInteger(teamId) || teamId <= 0) {
+    return res.status(400).json({ success: false, message: 'Invalid team id' });
+  }
+
+  const header = req.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+  const orderId = typeof req.query.orderId === 'string' ? req.query.orderId : null;
+  if (!token && !orderId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Send the order id or a status token',
+    });
+  }
+
+  try {
+    let team = await findTeam(teamId);
+    const authorized = team && (token
+      ? verifyStatusToken(token, teamId)
+      : !!team.razorpay_order_id && team.razorpay_order_id === orderId);
+
+    if (!authorized) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    // Razorpay being unreachable shouldn't stop us answering with what we know
+    let checkedWithRazorpay = false;
+    if (team.payment_status === 'Initiated' && team.razorpay_order_id && getRazorpay()) {
+      try {
+        const check = await refreshTeamPayment(team);
+        checkedWithRazorpay = true;
+        if (['completed', 'failed', 'already_completed'].includes(check.action)) {
+          team = await findTeam(teamId);
+        }
+        logger.info('Payment status check', { teamId, action: check.action, reason: check.reason });
+      } catch (checkError) {
+        logger.warn('Payment status check against Razorpay failed', { teamId, err: checkError });
+      }
+    }
+
+    res.status(200).json({
       success: true,
-      message: 'Payment order created. Please complete payment to finalize registration.',
       data: {
         teamId,
-        teamName,
-        domain,
-        memberCount: members.length,
-        paymentDetails: {
-          orderId: razorpayOrder.id,
-          amount: totalAmountInRupees,
-          amountInPaise: totalAmountInPaise,
-          currency: 'INR',
-          chargePerMember: chargePerMember,
-        },
+        teamName: team.team_name,
+        domain: team.domain,
+        paymentStatus: team.payment_status,
+        orderId: team.razorpay_order_id,
+        paymentId: team.razorpay_payment_id || null,
+        paymentVerifiedAt: team.payment_verified_at || null,
+        memberCount: team.team_size,
+        checkedWithRazorpay,
       },
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    logger.error('Payment status error', { err: error, teamId });
     res.status(500).json({
       success: false,
-      message: 'An error occurred during registration',
+      message: 'Failed to fetch payment status',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -4,9 +4,19 @@ const razorpayRoute = require('./razorpayRoute');
 
 // Import route modules
 const registration = require('./registration');
+const admin = require('./admin');
+const config = require('./config');
+const portal = require('./portal');
+const passes = require('./passes');
+const checkin = require('./checkin');
 
 // Mount registration router at /registration
 router.use('/registration', registration);
 router.use('/razorpay', razorpayRoute);
+router.use('/admin', admin);
+router.use('/config', config);
+router.use('/portal', portal);
+router.use('/passes', passes);
+router.use('/checkin', checkin);
 
 module.exports = router;
@@ -0,0 +1,88 @@
+// Request bodies for routes/admin.js
+const {
+	optional,
+	nullable,
+	text,
+	name,
+	number,
+	integer,
+	boolean,
+	date,
+	oneOf,
+	array,
+	object,
+} = require('../services/validation');
+const { getDomainNames } = require('../config/event');
+const { couponCode } = require('./registration');
+
+const COUPON_TYPES = ['percentage', 'flat', 'free'];
+
+// POST /admin/teams/:id/refund
+const refund = object({
+	amount: optional(number({ greaterThan: 0 })),
+	reason: text({ max: 500 }),
+	releaseMembers: optional(boolean(), false),
+});
+
+function couponFields({ partial }) {
+	const field = schema => (partial ? optional(schema) : schema);
+	return {
+		code: field(couponCode),
+		type: field(oneOf(COUPON_TYPES)),
+		// Percentage or rupees depending on type; not needed for 'free'
+		value: optional(number({ min: 0 })),
+		description: nullable(optional(text({ max: 200 }))),
+		maxRedemptions: nullable(optional(integer({ min: 0 }))),
+		validFrom: nullable(optional(date())),
+		expiresAt: nullable(optional(date())),
+		domains: nullable(optional(array(name()))),
+		colleges: nullable(optional(array(name({ max: 150 })))),
+		active: optional(boolean()),
+	};
+}
+
+function couponRules({ partial }) {
+	return [
+		(body, issue) => {
+			if (body.type === 'percentage' && body.value > 100) issue(['value'], 'must be at most 100 for percentage coupons');
+		},
+		(body, issue) => {
+			if (!partial && body.type && body.type !== 'free' && body.value === undefined) issue(['value'], 'is required');
+		},
+	];
+}
+
+// POST /admin/coupons
+const couponCreate = object(couponFields({ partial: false }), { rules: couponRules({ partial: false }) });
+
+// PATCH /admin/coupons/:id
+const couponUpdate = object(couponFields({ partial: true }), { strict: true, rules: couponRules({ partial: true }) });
+
+// POST /admin/solo/teams
+const formTeam = object({
+	domain: oneOf(getDomainNames),
+	teamName: name(),
+	soloIds: array(integer({ min: 1 }), { min: 1 }),
+	leadId: integer({ min: 1 }),
+}, {
+	rules: [
+		(body, issue) => {
+			if (!Array.isArray(body.soloIds)) return;
+			if (new Set(body.soloIds).size !== body.soloIds.length) issue(['soloIds'], 'must not repeat a solo registration');
+			if (body.leadId !== undefined && !body.soloIds.includes(body.leadId)) issue(['leadId'], 'must be one of soloIds');
+		},
+	],
+});
+
+// POST /admin/teams/:id/lead
+const promoteLead = object({
+	registrationId: integer({ min: 1 }),
+});
+
+// POST /admin/teams/:id/invites (and POST /portal/invites)
+const invite = object({
+	maxUses: optional(integer({ min: 1, max: 10 }), 1),
+	expiresInHours: optional(integer({ min: 1, max: 24 * 30 })),
+});
+
+module.exports = { refund, couponCreate, couponUpdate, formTeam, promoteLead, invite };
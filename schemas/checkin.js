@@ -0,0 +1,10 @@
+// Request bodies for routes/checkin.js
+const { text, object } = require('../services/validation');
+
+// POST /checkin
+const checkin = object({
+	token: text({ max: 200 }),
+	volunteerId: text({ max: 100 }),
+});
+
+module.exports = { checkin };
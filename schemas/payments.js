@@ -0,0 +1,33 @@
+// Request bodies for routes/razorpayRoute.js
+const { optional, text, integer, array, object } = require('../services/validation');
+const { member } = require('./registration');
+
+// POST /razorpay/create-order
+// Exactly one of teamId and productId; the amount is always priced on the server,
+// so amount, currency and receipt are rejected rather than ignored.
+const createOrder = object({
+	teamId: optional(integer({ min: 1 })),
+	productId: optional(text({ max: 50 })),
+}, {
+	strict: true,
+	rules: [
+		(order, issue) => {
+			if ((order.teamId === undefined) === (order.productId === undefined)) {
+				issue([], 'include either teamId or productId, not both');
+			}
+		},
+	],
+});
+
+// POST /razorpay/verify-payment
+// members is compared with the roster stored at registration, so it is normalized
+// with the same member schema.
+const verifyPayment = object({
+	teamId: integer({ min: 1 }),
+	razorpayPaymentId: text({ max: 100 }),
+	razorpayOrderId: text({ max: 100 }),
+	razorpaySignature: text({ max: 200 }),
+	members: array(member, { min: 1 }),
+});
+
+module.exports = { createOrder, verifyPayment };
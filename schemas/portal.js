@@ -0,0 +1,43 @@
+// Request bodies for routes/portal.js
+const { eventConfig } = require('../config/event');
+const { text, name, email, phone, object } = require('../services/validation');
+const { invite } = require('./admin');
+
+// POST /portal/login
+const login = object({
+	email: email(),
+});
+
+// POST /portal/verify
+const verify = object({
+	token: text({ max: 200 }),
+});
+
+// Fields may be left out, but one that is sent must be valid (an empty phone is not "no change")
+const ifPresent = schema => (value, path, issues) => (value === undefined ? undefined : schema(value, path, issues));
+
+// PATCH /portal/members/:memberId
+// Only the fields listed in portal.editableFields may be sent, and at least one of them.
+const memberUpdate = object({
+	name: ifPresent(name()),
+	email: ifPresent(email()),
+	phone: ifPresent(phone()),
+}, {
+	strict: true,
+	rules: [
+		(body, issue) => {
+			for (const field of Object.keys(body)) {
+				if (!eventConfig.portal.editableFields.includes(field)) issue([field], 'cannot be changed');
+			}
+		},
+		(body, issue, raw) => {
+			if (Object.keys(raw).length === 0) {
+				issue([], `include at least one of: ${eventConfig.portal.editableFields.join(', ')}`);
+			}
+		},
+	],
+});
+
+// POST /portal/invites takes the same body as POST /admin/teams/:id/invites
+
+module.exports = { login, verify, memberUpdate, invite };
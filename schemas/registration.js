@@ -0,0 +1,119 @@
+// Request bodies for routes/registration.js
+const { getDomainNames, getDomainConfig } = require('../config/event');
+const {
+	optional,
+	text,
+	name,
+	email,
+	phone,
+	integer,
+	oneOf,
+	array,
+	object,
+	findDuplicates,
+} = require('../services/validation');
+
+const ROLES = ['Team Lead', 'Member'];
+
+const couponCode = text({
+	max: 64,
+	pattern: /^[A-Za-z0-9_-]+$/,
+	patternMessage: 'may only contain letters, digits, - and _',
+});
+
+const SOLO_MODES = ['pay', 'reserve'];
+
+// A participant's details; roll_number is accepted for rollNumber
+const personFields = {
+	name: name(),
+	email: email(),
+	phone: phone(),
+	college: name({ max: 150 }),
+	rollNumber: text({ max: 50 }),
+};
+const personAliases = { roll_number: 'rollNumber' };
+
+// One team member
+const member = object({ ...personFields, role: oneOf(ROLES) }, { aliases: personAliases });
+
+// Exactly one Team Lead, and no email or roll number used twice within the team
+function teamRules(members, issue) {
+	if (!Array.isArray(members)) return;
+
+	const leads = members
+		.map((m, index) => (m && m.role === 'Team Lead' ? index : -1))
+		.filter(index => index !== -1);
+	if (leads.length === 0 && members.every(m => m && m.role)) {
+		issue(['members'], 'must include a Team Lead');
+	}
+	leads.slice(1).forEach(index => issue(['members', index, 'role'], 'only one Team Lead is allowed per team'));
+
+	findDuplicates(members, 'email').forEach(index => (
+		issue(['members', index, 'email'], 'is already used by another member of this team')
+	));
+	findDuplicates(members, 'rollNumber').forEach(index => (
+		issue(['members', index, 'rollNumber'], 'is already used by another member of this team')
+	));
+}
+
+// POST /registration
+const registration = object({
+	teamName: name(),
+	domain: oneOf(getDomainNames),
+	couponCode: optional(couponCode),
+	members: array(member, { min: 1 }),
+}, {
+	rules: [
+		(body, issue) => {
+			const domainConfig = getDomainConfig(body.domain);
+			if (!domainConfig || !Array.isArray(body.members)) return;
+
+			const { minTeamSize, maxTeamSize } = domainConfig;
+			if (body.members.length < minTeamSize || body.members.length > maxTeamSize) {
+				issue(['members'], `must have ${minTeamSize} to ${maxTeamSize} members for ${body.domain}`);
+			}
+		},
+		(body, issue) => teamRules(body.members, issue),
+	],
+});
+
+// POST /registration/solo
+// mode 'pay' pays the participant's own share now; 'reserve' holds a spot without paying
+const solo = object({
+	...personFields,
+	domain: oneOf(getDomainNames),
+	skills: array(text({ max: 50 }), { min: 1, max: 10 }),
+	mode: oneOf(SOLO_MODES),
+}, { aliases: personAliases });
+
+const inviteCode = text({
+	max: 20,
+	pattern: /^[A-Za-z0-9-]+$/,
+	patternMessage: 'may only contain letters, digits and -',
+});
+
+// POST /registration/join
+const join = object({ ...personFields, inviteCode }, { aliases: personAliases });
+
+// POST /registration/solo/verify-payment and POST /registration/join/verify-payment
+function paymentVerification(idField) {
+	return object({
+		[idField]: integer({ min: 1 }),
+		razorpayPaymentId: text({ max: 100 }),
+		razorpayOrderId: text({ max: 100 }),
+		razorpaySignature: text({ max: 200 }),
+	});
+}
+
+const soloVerifyPayment = paymentVerification('soloId');
+const joinVerifyPayment = paymentVerification('joinId');
+
+module.exports = {
+	member,
+	couponCode,
+	registration,
+	solo,
+	join,
+	soloVerifyPayment,
+	joinVerifyPayment,
+};
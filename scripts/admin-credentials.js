@@ -0,0 +1,63 @@
+// Manage organizer credentials and print the result as JSON.
+//
+// Usage:
+//   node scripts/admin-credentials.js create-key --name=<who> --role=<admin|finance|viewer|checkin> [--expires=<ISO date>]
+//   node scripts/admin-credentials.js revoke-key --id=<key id>
+//   node scripts/admin-credentials.js list-keys
+//   node scripts/admin-credentials.js sign-jwt --sub=<who> --role=<role> [--ttl-hours=8]
+// Keys are stored with SUPABASE_SERVICE_ROLE_KEY; JWTs are signed with ADMIN_JWT_SECRET.
+// A created key is only shown once.
+require('dotenv').config();
+
+const { createApiKey, revokeApiKey, listApiKeys, signAdminJwt } = require('../services/adminAuth');
+const { recordAudit } = require('../services/audit');
+
+const CLI_ACTOR = { type: 'cli', id: process.env.USER || 'cli', name: 'scripts/admin-credentials.js', role: 'admin' };
+
+function parseArgs(argv) {
+	const options = {};
+	for (const arg of argv) {
+		const match = /^--([a-z-]+)=(.*)$/.exec(arg);
+		if (!match) throw new Error(`Unknown argument: ${arg}`);
+		options[match[1]] = match[2];
+	}
+	return options;
+}
+
+const COMMANDS = {
+	'create-key': async ({ name, role, expires }) => {
+		const { key, record } = await createApiKey({ name, role, expiresAt: expires || null });
+		await recordAudit(CLI_ACTOR, 'api_key.create', { targetType: 'api_key', targetId: record.id, details: record });
+		return { key, ...record };
+	},
+	'revoke-key': async ({ id }) => {
+		if (!id) throw new Error('--id is required');
+		const record = await revokeApiKey(id);
+		if (!record) throw new Error(`No active key with id ${id}`);
+		await recordAudit(CLI_ACTOR, 'api_key.revoke', { targetType: 'api_key', targetId: record.id, details: record });
+		return record;
+	},
+	'list-keys': async () => listApiKeys(),
+	'sign-jwt': async ({ sub, role, 'ttl-hours': ttlHours = '8' }) => {
+		if (!sub) throw new Error('--sub is required');
+		const ttlSeconds = Math.round(Number(ttlHours) * 60 * 60);
+		if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) throw new Error('--ttl-hours must be a positive number');
+		return { token: signAdminJwt({ sub, role, ttlSeconds }), sub, role, expiresInSeconds: ttlSeconds };
+	},
+};
+
+async function main([commandName, ...args]) {
+	const command = COMMANDS[commandName];
+	if (!command) throw new Error(`Unknown command: ${commandName || '(none)'}. Use ${Object.keys(COMMANDS).join(', ')}`);
+	return command(parseArgs(args));
+}
+
+main(process.argv.slice(2))
+	.then(result => {
+		console.log(JSON.stringify(result, null, 2));
+		process.exit(0);
+	})
+	.catch(error => {
+		console.error('admin-credentials failed:', error.message);
+		process.exit(1);
+	});
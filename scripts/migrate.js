@@ -0,0 +1,62 @@
+// Apply or revert the SQL migrations in migrations/ and print a JSON report.
+//
+// Usage:
+//   node scripts/migrate.js status
+//   node scripts/migrate.js up [--to=<version>]
+//   node scripts/migrate.js down [--steps=1 | --to=<version>]
+//   node scripts/migrate.js mark-applied --to=<version>
+// Connects with DATABASE_URL (the Postgres connection string from Supabase > Project
+// Settings > Database). For a database whose tables were created by hand, run
+// `mark-applied --to=<last migration applied>` once before the first `up`.
+// `up` stops without running anything when an applied migration's file has changed
+// since it ran; `status` lists them under "changed".
+require('dotenv').config();
+
+const { Client } = require('pg');
+const { createMigrator } = require('../services/migrations');
+
+function parseArgs(argv) {
+	const options = {};
+	for (const arg of argv) {
+		const [flag, value] = arg.split('=');
+		if (flag === '--to') options.to = parseInt(value, 10);
+		else if (flag === '--steps') options.steps = parseInt(value, 10);
+		else throw new Error(`Unknown argument: ${arg}`);
+	}
+	for (const [name, value] of Object.entries(options)) {
+		if (!Number.isInteger(value) || value < 0) throw new Error(`--${name} must be a whole number`);
+	}
+	return options;
+}
+
+const COMMANDS = {
+	status: migrator => migrator.status(),
+	up: (migrator, options) => migrator.up(options),
+	down: (migrator, options) => migrator.down(options),
+	'mark-applied': (migrator, options) => migrator.markApplied(options),
+};
+
+async function main([commandName, ...args]) {
+	const command = COMMANDS[commandName];
+	if (!command) throw new Error(`Unknown command: ${commandName || '(none)'}. Use ${Object.keys(COMMANDS).join(', ')}`);
+	if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is not set');
+	const options = parseArgs(args);
+
+	const client = new Client({ connectionString: process.env.DATABASE_URL });
+	await client.connect();
+	try {
+		return await command(createMigrator(client, { log: message => console.error(message) }), options);
+	} finally {
+		await client.end();
+	}
+}
+
+main(process.argv.slice(2))
+	.then(report => {
+		console.log(JSON.stringify(report, null, 2));
+		process.exit(0);
+	})
+	.catch(error => {
+		console.error('Migration failed:', error.message);
+		process.exit(1);
+	});
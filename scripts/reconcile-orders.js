@@ -0,0 +1,30 @@
+// Reconcile stale 'Initiated' orders with Razorpay and print a JSON report.
+//
+// Usage: node scripts/reconcile-orders.js [--dry-run] [--stale-minutes=30] [--ttl-minutes=1440] [--limit=100]
+// Defaults come from RECONCILE_STALE_MINUTES, INITIATED_ORDER_TTL_MINUTES and RECONCILE_BATCH_LIMIT.
+require('dotenv').config();
+
+const { reconcileStaleOrders } = require('../services/reconciliation');
+
+function parseArgs(argv) {
+	const options = {};
+	for (const arg of argv) {
+		const [flag, value] = arg.split('=');
+		if (flag === '--dry-run') options.dryRun = true;
+		else if (flag === '--stale-minutes') options.staleMinutes = parseInt(value, 10);
+		else if (flag === '--ttl-minutes') options.ttlMinutes = parseInt(value, 10);
+		else if (flag === '--limit') options.limit = parseInt(value, 10);
+		else throw new Error(`Unknown argument: ${arg}`);
+	}
+	return options;
+}
+
+reconcileStaleOrders(parseArgs(process.argv.slice(2)))
+	.then(report => {
+		console.log(JSON.stringify(report, null, 2));
+		process.exit(report.summary.error ? 1 : 0);
+	})
+	.catch(error => {
+		console.error('Reconciliation failed:', error.message);
+		process.exit(1);
+	});
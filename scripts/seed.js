@@ -0,0 +1,195 @@
+// Fill a local development database with sample teams in every payment state and
+// print a JSON summary. Run the migrations first.
+//
+// Usage: node scripts/seed.js [--reset] [--per-state=2]
+//   --reset      empty teams, registrations and everything that references them first
+//   --per-state  teams created for each state in each domain
+// Connects with DATABASE_URL and refuses to run when NODE_ENV=production.
+require('dotenv').config();
+
+const { Client } = require('pg');
+const { eventConfig } = require('../config/event');
+
+const FIRST_NAMES = ['Aarav', 'Diya', 'Ishaan', 'Ananya', 'Kabir', 'Meera', 'Rohan', 'Saanvi', 'Vikram', 'Nisha', 'Arjun', 'Priya', 'Karthik', 'Sneha', 'Aditya', 'Lakshmi'];
+const LAST_NAMES = ['Sharma', 'Reddy', 'Iyer', 'Patel', 'Nair', 'Gupta', 'Rao', 'Menon', 'Das', 'Kulkarni'];
+const COLLEGES = ['KL University', 'VIT Vellore', 'IIIT Hyderabad', 'SRM Institute of Science and Technology', 'Anna University'];
+const TEAM_WORDS = ['Byte', 'Pixel', 'Quantum', 'Neural', 'Stack', 'Vector', 'Orbit', 'Kernel', 'Cipher', 'Lambda', 'Nova', 'Flux'];
+const TEAM_SUFFIXES = ['Builders', 'Crew', 'Labs', 'Squad', 'Collective', 'Works'];
+
+// Every payment_status, plus the variants the admin views and jobs treat differently
+const STATES = [
+	{ label: 'pending', paymentStatus: 'Pending' },
+	{ label: 'initiated', paymentStatus: 'Initiated' },
+	{ label: 'initiated_expired', paymentStatus: 'Initiated', expired: true },
+	{ label: 'failed', paymentStatus: 'Failed' },
+	{ label: 'completed', paymentStatus: 'Completed', registered: true },
+	{ label: 'completed_checked_in', paymentStatus: 'Completed', registered: true, checkedIn: true },
+	{ label: 'finalization_failed', paymentStatus: 'Initiated', finalizationFailed: true },
+	{ label: 'refunded', paymentStatus: 'Refunded', registered: true },
+	{ label: 'refunded_released', paymentStatus: 'Refunded', released: true },
+];
+
+function parseArgs(argv) {
+	const options = { reset: false, perState: 2 };
+	for (const arg of argv) {
+		const [flag, value] = arg.split('=');
+		if (flag === '--reset') options.reset = true;
+		else if (flag === '--per-state') options.perState = parseInt(value, 10);
+		else throw new Error(`Unknown argument: ${arg}`);
+	}
+	if (!Number.isInteger(options.perState) || options.perState < 1) throw new Error('--per-state must be a positive whole number');
+	return options;
+}
+
+function hoursAgo(hours) {
+	return new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function amountInPaise(domain, teamSize) {
+	const { type, amount } = domain.pricing;
+	return Math.round((type === 'per_member' ? amount * teamSize : amount) * 100);
+}
+
+// Deterministic sample data, so repeated seeds produce the same teams
+function buildTeams(perState) {
+	let person = 0;
+	let teamNumber = 0;
+	const teams = [];
+
+	for (const domain of eventConfig.domains) {
+		for (const state of STATES) {
+			for (let i = 0; i < perState; i += 1) {
+				const n = teamNumber;
+				teamNumber += 1;
+				const teamSize = domain.minTeamSize + (n % (domain.maxTeamSize - domain.minTeamSize + 1));
+				const college = COLLEGES[n % COLLEGES.length];
+
+				const members = Array.from({ length: teamSize }, (_, index) => {
+					const first = FIRST_NAMES[person % FIRST_NAMES.length];
+					const last = LAST_NAMES[Math.floor(person / FIRST_NAMES.length) % LAST_NAMES.length];
+					person += 1;
+					return {
+						name: `${first} ${last}`,
+						email: `${first}.${last}.${person}@example.com`.toLowerCase(),
+						phone: `9${String(800000000 + person * 7919).slice(0, 9)}`,
+						college,
+						role: index === 0 ? 'Team Lead' : 'Member',
+						roll_number: `SEED${String(person).padStart(5, '0')}`,
+					};
+				});
+
+				const createdHoursAgo = 24 * 14 - n * 3;
+				const orderId = state.paymentStatus === 'Pending' ? null : `order_seed_${n}`;
+				const amount = amountInPaise(domain, teamSize);
+				const paid = ['Completed', 'Refunded'].includes(state.paymentStatus);
+
+				teams.push({
+					state,
+					members,
+					row: {
+						team_name: `${TEAM_WORDS[n % TEAM_WORDS.length]} ${TEAM_SUFFIXES[Math.floor(n / TEAM_WORDS.length) % TEAM_SUFFIXES.length]} ${n + 1}`,
+						domain: domain.name,
+						payment_status: state.paymentStatus,
+						team_size: teamSize,
+						amount_in_paise: amount,
+						original_amount_in_paise: amount,
+						discount_in_paise: 0,
+						razorpay_order_id: orderId,
+						razorpay_payment_id: paid || state.finalizationFailed ? `pay_seed_${n}` : null,
+						pending_members: JSON.stringify(members),
+						created_at: hoursAgo(createdHoursAgo),
+						payment_initiated_at: orderId ? hoursAgo(createdHoursAgo) : null,
+						payment_verified_at: paid ? hoursAgo(createdHoursAgo - 0.1) : null,
+						expired_at: state.expired ? hoursAgo(createdHoursAgo - 24) : null,
+						finalization_error: state.finalizationFailed ? 'duplicate key value violates unique constraint "registrations_roll_number_unique"' : null,
+						finalization_failed_at: state.finalizationFailed ? hoursAgo(createdHoursAgo - 0.1) : null,
+						refund_status: state.paymentStatus === 'Refunded' ? 'Processed' : null,
+						razorpay_refund_id: state.paymentStatus === 'Refunded' ? `rfnd_seed_${n}` : null,
+						refund_amount_in_paise: state.paymentStatus === 'Refunded' ? amount : null,
+						refund_reason: state.paymentStatus === 'Refunded' ? 'Team withdrew' : null,
+						refund_requested_at: state.paymentStatus === 'Refunded' ? hoursAgo(48) : null,
+						refunded_at: state.paymentStatus === 'Refunded' ? hoursAgo(48) : null,
+						members_released_at: state.released ? hoursAgo(48) : null,
+					},
+				});
+			}
+		}
+	}
+	return teams;
+}
+
+async function insertRow(client, table, row) {
+	const columns = Object.keys(row);
+	const { rows } = await client.query(
+		`insert into public.${table} (${columns.join(', ')}) values (${columns.map((_, i) => `$${i + 1}`).join(', ')}) returning id`,
+		columns.map(column => row[column])
+	);
+	return rows[0] && rows[0].id;
+}
+
+async function seed(client, { reset, perState }) {
+	const { rows: [{ count }] } = await client.query('select count(*)::int as count from public.teams');
+	if (count > 0 && !reset) throw new Error(`teams already has ${count} rows; pass --reset to replace them`);
+
+	const summary = {};
+	await client.query('begin');
+	try {
+		if (reset) await client.query('truncate public.teams, public.registrations restart identity cascade');
+
+		for (const { state, members, row } of buildTeams(perState)) {
+			const teamId = await insertRow(client, 'teams', row);
+			summary[state.label] = (summary[state.label] || 0) + 1;
+
+			const holdsEmails = !row.expired_at && !state.released;
+			if (holdsEmails) {
+				for (const member of members) {
+					await client.query(
+						'insert into public.registration_email_claims (email, team_id) values ($1, $2)',
+						[member.email, teamId]
+					);
+				}
+			}
+
+			if (state.registered) {
+				for (const member of members) {
+					await insertRow(client, 'registrations', {
+						...member,
+						team_id: teamId,
+						checked_in_at: state.checkedIn ? hoursAgo(2) : null,
+						checked_in_by: state.checkedIn ? 'gate-1' : null,
+					});
+				}
+			}
+		}
+
+		await client.query('commit');
+	} catch (error) {
+		await client.query('rollback');
+		throw error;
+	}
+	return { teamsByState: summary };
+}
+
+async function main(argv) {
+	if (process.env.NODE_ENV === 'production') throw new Error('Refusing to seed with NODE_ENV=production');
+	if (!process.env.DATABASE_URL) throw new Error('DATABASE_URL is not set');
+	const options = parseArgs(argv);
+
+	const client = new Client({ connectionString: process.env.DATABASE_URL });
+	await client.connect();
+	try {
+		return await seed(client, options);
+	} finally {
+		await client.end();
+	}
+}
+
+main(process.argv.slice(2))
+	.then(summary => {
+		console.log(JSON.stringify(summary, null, 2));
+		process.exit(0);
+	})
+	.catch(error => {
+		console.error('Seeding failed:', error.message);
+		process.exit(1);
+	});
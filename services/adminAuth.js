@@ -0,0 +1,177 @@
+// Organizer credentials. A caller is identified by one of:
+//   - an API key from admin_api_keys (stored as a SHA-256 hash, shown once when created)
+//   - a JWT signed with ADMIN_JWT_SECRET (HS256) carrying sub, role and exp claims
+//   - ADMIN_API_KEY / CHECKIN_API_KEY from the environment (role admin / checkin),
+//     kept so a deployment can bootstrap before any key exists
+//   - METRICS_API_KEY from the environment, for a Prometheus scraper (role metrics,
+//     which only grants GET /metrics and can't be given to stored keys or JWTs)
+// and resolves to a principal { type, id, name, role }.
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./database');
+const { logger } = require('./logger');
+const { isStrongSecret, MIN_SECRET_LENGTH } = require('../config/secrets');
+
+const ROLES = ['admin', 'finance', 'viewer', 'checkin'];
+const KEY_PREFIX = 'zk_';
+// Don't write last_used_at more often than this per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const ENV_KEYS = [
+	{ env: 'ADMIN_API_KEY', role: 'admin' },
+	{ env: 'CHECKIN_API_KEY', role: 'checkin' },
+	{ env: 'METRICS_API_KEY', role: 'metrics' },
+];
+
+function hashKey(key) {
+	return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Constant-time string comparison, for secrets and signatures
+function safeEqual(a, b) {
+	const expected = Buffer.from(a);
+	const received = Buffer.from(b);
+	return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Create an API key. The key itself is only returned here; store it somewhere safe.
+// Resolves to { key, record }.
+async function createApiKey({ name, role, expiresAt = null }) {
+	if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+	if (!name) throw new Error('name is required');
+
+	const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+	const { data: record, error } = await supabaseAdmin
+		.from('admin_api_keys')
+		.insert([{
+			name,
+			role,
+			key_hash: hashKey(key),
+			key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+			expires_at: expiresAt,
+		}])
+		.select('id, name, role, key_prefix, created_at, expires_at')
+		.single();
+
+	if (error) throw error;
+	return { key, record };
+}
+
+// Resolves to the revoked key's record, or null if there is no active key with that id
+async function revokeApiKey(id) {
+	const { data, error } = await supabaseAdmin
+		.from('admin_api_keys')
+		.update({ revoked_at: new Date().toISOString() })
+		.eq('id', id)
+		.is('revoked_at', null)
+		.select('id, name, role, key_prefix, revoked_at');
+
+	if (error) throw error;
+	return data && data.length > 0 ? data[0] : null;
+}
+
+async function listApiKeys() {
+	const { data, error } = await supabaseAdmin
+		.from('admin_api_keys')
+		.select('id, name, role, key_prefix, created_at, expires_at, last_used_at, revoked_at')
+		.order('created_at', { ascending: true });
+
+	if (error) throw error;
+	return data;
+}
+
+async function findApiKey(key) {
+	const { data: record, error } = await supabaseAdmin
+		.from('admin_api_keys')
+		.select('*')
+		.eq('key_hash', hashKey(key))
+		.is('revoked_at', null)
+		.maybeSingle();
+
+	if (error) throw error;
+	if (!record) return null;
+	if (record.expires_at && new Date(record.expires_at) <= new Date()) return null;
+
+	if (!record.last_used_at || Date.now() - new Date(record.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+		supabaseAdmin
+			.from('admin_api_keys')
+			.update({ last_used_at: new Date().toISOString() })
+			.eq('id', record.id)
+			.then(({ error: updateError }) => {
+				if (updateError) logger.warn('Failed to record API key use', { keyId: record.id, err: updateError });
+			});
+	}
+
+	return { type: 'api_key', id: String(record.id), name: record.name, role: record.role };
+}
+
+function base64urlJson(value) {
+	return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function jwtSignature(signingInput, secret) {
+	return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+// A JWT for `sub` with `role`, valid for `ttlSeconds`
+function signAdminJwt({ sub, role, name, ttlSeconds = 8 * 60 * 60 }, secret = process.env.ADMIN_JWT_SECRET) {
+	if (!isStrongSecret(secret)) throw new Error(`ADMIN_JWT_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+	if (!ROLES.includes(role)) throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+
+	const now = Math.floor(Date.now() / 1000);
+	const claims = { sub, role, name, iat: now, exp: now + ttlSeconds };
+	if (process.env.ADMIN_JWT_ISSUER) claims.iss = process.env.ADMIN_JWT_ISSUER;
+
+	const signingInput = `${base64urlJson({ alg: 'HS256', typ: 'JWT' })}.${base64urlJson(claims)}`;
+	return `${signingInput}.${jwtSignature(signingInput, secret)}`;
+}
+
+// The principal for a valid HS256 JWT, else null
+function verifyAdminJwt(token, secret = process.env.ADMIN_JWT_SECRET) {
+	if (!isStrongSecret(secret)) return null;
+	const parts = token.split('.');
+	if (parts.length !== 3) return null;
+
+	let header;
+	let claims;
+	try {
+		header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+		claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+	} catch {
+		return null;
+	}
+
+	if (!header || header.alg !== 'HS256') return null;
+	if (!safeEqual(jwtSignature(`${parts[0]}.${parts[1]}`, secret), parts[2])) return null;
+
+	const now = Math.floor(Date.now() / 1000);
+	if (!claims || typeof claims.sub !== 'string' || !ROLES.includes(claims.role)) return null;
+	if (typeof claims.exp !== 'number' || claims.exp <= now) return null;
+	if (typeof claims.nbf === 'number' && claims.nbf > now) return null;
+	if (process.env.ADMIN_JWT_ISSUER && claims.iss !== process.env.ADMIN_JWT_ISSUER) return null;
+
+	return { type: 'jwt', id: claims.sub, name: claims.name || claims.sub, role: claims.role };
+}
+
+// The principal for a bearer token, or null when it matches no credential
+async function authenticateToken(token) {
+	if (!token) return null;
+
+	for (const { env, role } of ENV_KEYS) {
+		const key = process.env[env];
+		if (isStrongSecret(key) && safeEqual(key, token)) return { type: 'env', id: env, name: env, role };
+	}
+
+	if (token.startsWith(KEY_PREFIX)) return findApiKey(token);
+	return verifyAdminJwt(token);
+}
+
+module.exports = {
+	ROLES,
+	safeEqual,
+	createApiKey,
+	revokeApiKey,
+	listApiKeys,
+	signAdminJwt,
+	verifyAdminJwt,
+	authenticateToken,
+};
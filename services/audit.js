@@ -0,0 +1,49 @@
+// Audit trail of privileged actions (refunds, coupon changes, exports, orders,
+// check-ins), written to audit_log with the service-role client.
+const { supabaseAdmin } = require('./database');
+const { logger } = require('./logger');
+
+// { column: { from, to } } for every column whose value differs between two rows.
+// A missing `before` (a created row) reports every column of `after`.
+function diffRows(before, after) {
+	const diff = {};
+	const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+	for (const column of columns) {
+		const from = before ? before[column] ?? null : null;
+		const to = after ? after[column] ?? null : null;
+		if (JSON.stringify(from) !== JSON.stringify(to)) diff[column] = { from, to };
+	}
+	return diff;
+}
+
+// Record `action` by the organizer authenticated on `req` (see middleware/adminAuth.js),
+// or by an explicit actor { type, id, name, role } e.g. from a CLI script.
+// The action has already happened when this is called, so a failed write is logged
+// rather than thrown.
+async function recordAudit(reqOrActor, action, { targetType = null, targetId = null, diff = null, details = null } = {}) {
+	const req = reqOrActor && reqOrActor.admin ? reqOrActor : null;
+	const actor = req ? req.admin : reqOrActor;
+
+	const entry = {
+		actor_type: actor.type,
+		actor_id: actor.id,
+		actor_name: actor.name || null,
+		actor_role: actor.role || null,
+		action,
+		target_type: targetType,
+		target_id: targetId === null ? null : String(targetId),
+		diff,
+		details,
+		request_id: req ? req.id || null : null,
+		ip: req ? req.ip || null : null,
+	};
+
+	try {
+		const { error } = await supabaseAdmin.from('audit_log').insert([entry]);
+		if (error) throw error;
+	} catch (error) {
+		logger.error('Failed to write audit log entry', { action, targetType, targetId, err: error });
+	}
+}
+
+module.exports = { diffRows, recordAudit };
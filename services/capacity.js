@@ -0,0 +1,62 @@
+// Per-domain seat limits. A seat is taken by a Completed team or by an Initiated or
+// Failed team whose checkout hasn't expired yet (a Failed team can still pay with a
+// new order). create_pending_team enforces the same count when a team registers.
+const { supabaseAdmin } = require('./database');
+const { getDomainNames, getDomainConfig } = require('../config/event');
+
+async function countTakenSeats(domain) {
+	const { count, error } = await supabaseAdmin
+		.from('teams')
+		.select('id', { count: 'exact', head: true })
+		.eq('domain', domain)
+		.or('payment_status.eq.Completed,and(payment_status.in.(Initiated,Failed),expired_at.is.null)');
+
+	if (error) throw error;
+	return count || 0;
+}
+
+// { domain, capacity, taken, remaining, full } for one domain; capacity/remaining are null
+// when the domain's maxTeams is not set in the event configuration
+async function getDomainAvailability(domain) {
+	const domainConfig = getDomainConfig(domain);
+	const capacity = domainConfig ? domainConfig.maxTeams : null;
+	const taken = await countTakenSeats(domain);
+
+	if (capacity === null) {
+		return { domain, capacity: null, taken, remaining: null, full: false };
+	}
+
+	const remaining = Math.max(capacity - taken, 0);
+	return { domain, capacity, taken, remaining, full: remaining === 0 };
+}
+
+async function getAllDomainAvailability() {
+	return Promise.all(getDomainNames().map(getDomainAvailability));
+}
+
+// Put a team on the domain's waitlist. Returns { id, position }.
+async function addToWaitlist({ teamName, domain, members, contactEmail }) {
+	const { data: entry, error } = await supabaseAdmin
+		.from('waitlist')
+		.insert([{ team_name: teamName, domain, members, contact_email: contactEmail }])
+		.select('id, created_at')
+		.single();
+
+	if (error) throw error;
+
+	const { count, error: countError } = await supabaseAdmin
+		.from('waitlist')
+		.select('id', { count: 'exact', head: true })
+		.eq('domain', domain)
+		.eq('status', 'Waiting')
+		.lte('created_at', entry.created_at);
+
+	if (countError) throw countError;
+	return { id: entry.id, position: count };
+}
+
+module.exports = {
+	getDomainAvailability,
+	getAllDomainAvailability,
+	addToWaitlist,
+};
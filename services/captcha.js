@@ -0,0 +1,65 @@
+// CAPTCHA verification for POST /registration. A verifier is any object with
+//   verify(token, { ip }) -> Promise<{ success: boolean, errorCodes?: string[] }>
+// The built-in one is chosen with CAPTCHA_PROVIDER (recaptcha, hcaptcha or turnstile)
+// and CAPTCHA_SECRET; leave CAPTCHA_PROVIDER empty to turn CAPTCHA off.
+// setCaptchaVerifier() replaces it, e.g. with a stub in tests.
+
+// All three providers share the same siteverify request and response format
+const SITEVERIFY_URLS = {
+	recaptcha: 'https://www.google.com/recaptcha/api/siteverify',
+	hcaptcha: 'https://api.hcaptcha.com/siteverify',
+	turnstile: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+};
+
+const TIMEOUT_MS = 5000;
+
+function siteVerifyVerifier({ url, secret, minScore }) {
+	return {
+		async verify(token, { ip } = {}) {
+			const form = new URLSearchParams({ secret, response: token });
+			if (ip) form.set('remoteip', ip);
+
+			const response = await fetch(url, {
+				method: 'POST',
+				body: form,
+				signal: AbortSignal.timeout(TIMEOUT_MS),
+			});
+			if (!response.ok) throw new Error(`CAPTCHA provider answered ${response.status}`);
+
+			const result = await response.json();
+			// reCAPTCHA v3 also scores the request from 0 (bot) to 1 (human)
+			const scoreOk = minScore === undefined || result.score === undefined || result.score >= minScore;
+			return {
+				success: result.success === true && scoreOk,
+				errorCodes: result['error-codes'] || (scoreOk ? [] : ['score-too-low']),
+			};
+		},
+	};
+}
+
+function verifierFromEnv(env = process.env) {
+	const provider = env.CAPTCHA_PROVIDER;
+	if (!provider) return null;
+
+	const url = SITEVERIFY_URLS[provider];
+	if (!url) {
+		throw new Error(`Unknown CAPTCHA_PROVIDER "${provider}". Use ${Object.keys(SITEVERIFY_URLS).join(', ')}.`);
+	}
+	if (!env.CAPTCHA_SECRET) throw new Error('CAPTCHA_PROVIDER is set but CAPTCHA_SECRET is not');
+
+	const minScore = env.CAPTCHA_MIN_SCORE ? Number(env.CAPTCHA_MIN_SCORE) : undefined;
+	return siteVerifyVerifier({ url, secret: env.CAPTCHA_SECRET, minScore });
+}
+
+let verifier = verifierFromEnv();
+
+function getCaptchaVerifier() {
+	return verifier;
+}
+
+// Pass null to turn CAPTCHA off
+function setCaptchaVerifier(replacement) {
+	verifier = replacement;
+}
+
+module.exports = { siteVerifyVerifier, getCaptchaVerifier, setCaptchaVerifier };
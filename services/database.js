@@ -1,15 +1,90 @@
-// Ensure Supabase connection is established at server start
-const supabase = require('../config/supabase');
+// Supabase client shared by the services, and connection checks for startup and /health/ready
+const { logger } = require('./logger');
 
-// Optionally, test the connection by fetching the current timestamp from the database
-async function testConnection() {
+let client = require('../config/supabase');
+let adminClient = require('../config/supabaseAdmin');
+
+// Modules import `supabase` once at load time, so it forwards every call to the
+// current client. That lets setSupabaseClient() swap in a stand-in (tests) later.
+function forwardTo(getClient, missingMessage) {
+	return new Proxy({}, {
+		get(target, property) {
+			const current = getClient();
+			if (!current) throw new Error(missingMessage);
+			const value = current[property];
+			return typeof value === 'function' ? value.bind(current) : value;
+		},
+	});
+}
+
+// Anon-key client: sees only what a browser holding the public key would. Every
+// table has row level security with no anon policies (migrations/016), so the server
+// reads and writes through supabaseAdmin.
+const supabase = forwardTo(() => client, 'Supabase is not configured. Set SUPABASE_URL and SUPABASE_ANON_KEY.');
+
+// Service-role client (config/supabaseAdmin.js), for every query the server makes:
+// teams, registrations and the waitlist as well as organizer routes, refunds, portal
+// sessions, the email outbox, coupons and the SQL functions (see
+// migrations/016_restrict_anon_access.up.sql). There is no fallback to the anon
+// client; calls fail until SUPABASE_SERVICE_ROLE_KEY is set.
+const supabaseAdmin = forwardTo(
+	() => adminClient,
+	'Supabase service role is not configured. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.'
+);
+
+function setSupabaseClient(replacement) {
+	client = replacement;
+}
+
+function setSupabaseAdminClient(replacement) {
+	adminClient = replacement;
+}
+
+// Both clients are needed to serve requests
+function isSupabaseConfigured() {
+	return !!client && !!adminClient;
+}
+
+// Probe the database with a cheap query against `teams`. Resolves to
+// { ok, latencyMs, error? } and never rejects; gives up after `timeoutMs`.
+async function checkConnection({ timeoutMs = 3000 } = {}) {
+	const start = Date.now();
+	let timer;
 	try {
-		// This will fail if the database is unreachable, but succeed if credentials are correct
-		await supabase.from('pg_catalog.pg_tables').select('tablename').limit(1);
-		console.log('✅ Supabase connection established.');
+		const timeout = new Promise((resolve) => {
+			timer = setTimeout(() => resolve({ error: { message: `No response within ${timeoutMs}ms` } }), timeoutMs);
+		});
+		const { error } = await Promise.race([
+			supabaseAdmin.from('teams').select('id', { count: 'exact', head: true }).limit(1),
+			timeout,
+		]);
+
+		if (error) return { ok: false, latencyMs: Date.now() - start, error: error.message };
+		return { ok: true, latencyMs: Date.now() - start };
 	} catch (error) {
-		console.error('❌ Supabase connection failed:', error.message);
+		return { ok: false, latencyMs: Date.now() - start, error: error.message };
+	} finally {
+		clearTimeout(timer);
+	}
+}
+
+// Log whether the database is reachable (at server start)
+async function testConnection() {
+	const result = await checkConnection();
+	if (result.ok) {
+		logger.info('Supabase connection established', { latencyMs: result.latencyMs });
+	} else {
+		logger.error('Supabase connection failed', { reason: result.error });
 	}
+	return result;
 }
 
-module.exports = { supabase, testConnection };
+module.exports = {
+	supabase,
+	supabaseAdmin,
+	setSupabaseClient,
+	setSupabaseAdminClient,
+	isSupabaseConfigured,
+	checkConnection,
+	testConnection,
+};
@@ -0,0 +1,113 @@
+// Registration pricing with discounts.
+//
+// Automatic discounts from the event configuration are applied first (early-bird,
+// then group), and a coupon code, if given, is applied to what remains. Each step
+// is capped so the amount never goes below zero.
+const { supabaseAdmin } = require('./database');
+const { eventConfig, calculatePrice } = require('../config/event');
+
+// Razorpay rejects orders below ₹1, so a non-zero total is raised to this
+const MIN_ORDER_AMOUNT_IN_PAISE = 100;
+
+function discountAmount(type, value, currentAmountInPaise) {
+	if (type === 'free') return currentAmountInPaise;
+	const raw = type === 'percentage'
+		? Math.round(currentAmountInPaise * (Number(value) / 100))
+		: Math.round(Number(value) * 100);
+	return Math.min(Math.max(raw, 0), currentAmountInPaise);
+}
+
+function matchesAny(list, value) {
+	if (!Array.isArray(list) || list.length === 0) return true;
+	const needle = String(value || '').trim().toLowerCase();
+	return list.some(item => String(item).trim().toLowerCase() === needle);
+}
+
+async function findCoupon(code) {
+	const { data, error } = await supabaseAdmin
+		.from('coupons')
+		.select('*')
+		.ilike('code', code.replace(/[%_\\]/g, '\\$&'))
+		.maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+// Returns an error message when the coupon can't be used for this registration
+function couponIneligibility(coupon, { domain, college, now }) {
+	if (!coupon || !coupon.active) return 'Invalid coupon code';
+	if (coupon.valid_from && now < new Date(coupon.valid_from)) return 'This coupon is not active yet';
+	if (coupon.expires_at && now >= new Date(coupon.expires_at)) return 'This coupon has expired';
+	if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) {
+		return 'This coupon has reached its usage limit';
+	}
+	if (!matchesAny(coupon.domains, domain)) return `This coupon is not valid for ${domain}`;
+	if (!matchesAny(coupon.colleges, college)) return 'This coupon is not valid for your college';
+	return null;
+}
+
+// Price a registration. Returns { quote } or { error } for an unusable coupon.
+// quote: { originalAmountInPaise, amountInPaise, discountInPaise, discounts: [...], couponCode,
+//          chargePerMember, pricingType }
+// The coupon is only checked here; redeemCoupon() takes the actual redemption.
+async function quoteRegistration({ domainConfig, memberCount, college, couponCode, now = new Date() }) {
+	const base = calculatePrice(domainConfig, memberCount);
+	const discounts = [];
+	let amount = base.amountInPaise;
+
+	const apply = (entry, type, value) => {
+		const amountInPaise = discountAmount(type, value, amount);
+		if (amountInPaise <= 0) return;
+		amount -= amountInPaise;
+		discounts.push({ ...entry, type, value, amountInPaise });
+	};
+
+	const earlyBird = eventConfig.discounts.earlyBird.find(tier => now < tier.endsAt);
+	if (earlyBird) apply({ kind: 'early_bird', label: earlyBird.label }, earlyBird.type, earlyBird.value);
+
+	const group = eventConfig.discounts.group.find(tier => memberCount >= tier.minMembers);
+	if (group) apply({ kind: 'group', label: group.label }, group.type, group.value);
+
+	let coupon = null;
+	if (couponCode) {
+		coupon = await findCoupon(couponCode);
+		const ineligible = couponIneligibility(coupon, { domain: domainConfig.name, college, now });
+		if (ineligible) return { error: ineligible };
+		apply({ kind: 'coupon', label: coupon.description || coupon.code, code: coupon.code }, coupon.discount_type, coupon.discount_value);
+	}
+
+	if (amount > 0 && amount < MIN_ORDER_AMOUNT_IN_PAISE) amount = MIN_ORDER_AMOUNT_IN_PAISE;
+
+	return {
+		quote: {
+			originalAmountInPaise: base.amountInPaise,
+			amountInPaise: amount,
+			discountInPaise: base.amountInPaise - amount,
+			discounts,
+			couponCode: coupon ? coupon.code : null,
+			chargePerMember: base.chargePerMember,
+			pricingType: base.pricingType,
+		},
+	};
+}
+
+// Atomically take one redemption. Resolves to false if the code was used up
+// (or expired/deactivated) since it was quoted.
+async function redeemCoupon(code) {
+	const { data, error } = await supabaseAdmin.rpc('redeem_coupon', { p_code: code });
+	if (error) throw error;
+	return Array.isArray(data) ? data.length > 0 : !!data;
+}
+
+// Give back a redemption for a checkout that was abandoned or never created
+async function releaseCoupon(code) {
+	const { error } = await supabaseAdmin.rpc('release_coupon', { p_code: code });
+	if (error) throw error;
+}
+
+module.exports = {
+	quoteRegistration,
+	redeemCoupon,
+	releaseCoupon,
+};
@@ -0,0 +1,122 @@
+// Email templates. Each returns { subject, text, html } for a finalized team.
+const { eventConfig } = require('../config/event');
+
+const EVENT_NAME = eventConfig.name;
+
+function escapeHtml(value) {
+	return String(value ?? '')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+function formatRupees(paise) {
+	return paise == null ? '-' : `₹${(paise / 100).toFixed(2)}`;
+}
+
+function layout(title, bodyHtml) {
+	return `<!doctype html><html><body style="font-family:Arial,sans-serif;color:#222">`
+		+ `<h2>${escapeHtml(title)}</h2>${bodyHtml}`
+		+ `<p style="color:#888;font-size:12px">${escapeHtml(EVENT_NAME)}</p></body></html>`;
+}
+
+// Sent to every registered member once the team's payment is verified.
+// passUrl, when given, links the member's QR pass for event-day check-in.
+function registrationConfirmation({ team, members, recipient, passUrl }) {
+	const subject = `${EVENT_NAME}: registration confirmed for ${team.team_name}`;
+	const memberLines = members.map(m => `- ${m.name} (${m.role})`);
+
+	const text = [
+		`Hi ${recipient.name},`,
+		'',
+		`Your team "${team.team_name}" is registered for ${EVENT_NAME} in the ${team.domain} track.`,
+		'',
+		'Team members:',
+		...memberLines,
+		'',
+		`Payment ID: ${team.razorpay_payment_id || 'Not applicable'}`,
+		'',
+		...(passUrl ? ['Your event pass (show this QR code at check-in):', passUrl, ''] : []),
+		'See you at the event!',
+	].join('\n');
+
+	const html = layout('Registration confirmed', `
+		<p>Hi ${escapeHtml(recipient.name)},</p>
+		<p>Your team <strong>${escapeHtml(team.team_name)}</strong> is registered for ${escapeHtml(EVENT_NAME)}
+		in the <strong>${escapeHtml(team.domain)}</strong> track.</p>
+		<p>Team members:</p>
+		<ul>${members.map(m => `<li>${escapeHtml(m.name)} (${escapeHtml(m.role)})</li>`).join('')}</ul>
+		<p>Payment ID: <code>${escapeHtml(team.razorpay_payment_id || 'Not applicable')}</code></p>
+		${passUrl ? `<p>Your event pass &mdash; show this QR code at check-in:</p>
+		<p><img src="${escapeHtml(passUrl)}" alt="Event pass QR code" width="240" height="240"></p>` : ''}
+		<p>See you at the event!</p>`);
+
+	return { subject, text, html };
+}
+
+// Sent to the Team Lead as the payment receipt
+function paymentReceipt({ team, members, recipient }) {
+	const subject = `${EVENT_NAME}: payment receipt for ${team.team_name}`;
+	const paidAt = team.payment_verified_at ? new Date(team.payment_verified_at).toUTCString() : '-';
+
+	const rows = [
+		['Team', team.team_name],
+		['Domain', team.domain],
+		['Members', String(members.length)],
+		...(team.discount_in_paise > 0 ? [
+			['Original amount', formatRupees(team.original_amount_in_paise)],
+			['Discount', `${formatRupees(team.discount_in_paise)}${team.coupon_code ? ` (code ${team.coupon_code})` : ''}`],
+		] : []),
+		['Amount paid', formatRupees(team.amount_in_paise)],
+		['Order ID', team.razorpay_order_id || 'Not applicable'],
+		['Payment ID', team.razorpay_payment_id || 'Not applicable'],
+		['Paid at', paidAt],
+	];
+
+	const text = [
+		`Hi ${recipient.name},`,
+		'',
+		`Thank you for your payment for ${EVENT_NAME}. Your receipt:`,
+		'',
+		...rows.map(([label, value]) => `${label}: ${value}`),
+	].join('\n');
+
+	const html = layout('Payment receipt', `
+		<p>Hi ${escapeHtml(recipient.name)},</p>
+		<p>Thank you for your payment for ${escapeHtml(EVENT_NAME)}. Your receipt:</p>
+		<table cellpadding="4">${rows.map(([label, value]) => `<tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('')}</table>`);
+
+	return { subject, text, html };
+}
+
+// Sign-in link for the Team Lead portal
+function portalMagicLink({ team, recipient, link, expiresInMinutes }) {
+	const subject = `${EVENT_NAME}: sign in to manage ${team.team_name}`;
+
+	const text = [
+		`Hi ${recipient.name},`,
+		'',
+		`Use this link to sign in and manage your team "${team.team_name}":`,
+		link,
+		'',
+		`The link works once and expires in ${expiresInMinutes} minutes.`,
+		"If you didn't ask to sign in, you can ignore this email.",
+	].join('\n');
+
+	const html = layout('Sign in to your team portal', `
+		<p>Hi ${escapeHtml(recipient.name)},</p>
+		<p>Use this link to sign in and manage your team <strong>${escapeHtml(team.team_name)}</strong>:</p>
+		<p><a href="${escapeHtml(link)}">Sign in</a></p>
+		<p>The link works once and expires in ${escapeHtml(expiresInMinutes)} minutes.
+		If you didn't ask to sign in, you can ignore this email.</p>`);
+
+	return { subject, text, html };
+}
+
+module.exports = {
+	registrationConfirmation,
+	paymentReceipt,
+	portalMagicLink,
+};
@@ -0,0 +1,153 @@
+// Spreadsheet exports of teams joined with their registered members.
+// Teams are read from Supabase in batches and written out as they arrive, so an
+// export never holds more than one batch in memory.
+const ExcelJS = require('exceljs');
+const { supabaseAdmin } = require('./database');
+const { resolveMemberMatches, applyTeamFilters } = require('./teamFilters');
+const { getDomainNames } = require('../config/event');
+
+const BATCH_SIZE = 200;
+
+const COLUMNS = [
+	{ header: 'Team ID', key: 'teamId', width: 10 },
+	{ header: 'Team Name', key: 'teamName', width: 28 },
+	{ header: 'Domain', key: 'domain', width: 14 },
+	{ header: 'Payment Status', key: 'paymentStatus', width: 16 },
+	{ header: 'Amount (INR)', key: 'amountInRupees', width: 14 },
+	{ header: 'Razorpay Order ID', key: 'orderId', width: 24 },
+	{ header: 'Razorpay Payment ID', key: 'paymentId', width: 24 },
+	{ header: 'Paid At', key: 'paidAt', width: 22 },
+	{ header: 'Team Lead Name', key: 'leadName', width: 24 },
+	{ header: 'Team Lead Email', key: 'leadEmail', width: 30 },
+	{ header: 'Team Lead Phone', key: 'leadPhone', width: 16 },
+	{ header: 'Member Name', key: 'memberName', width: 24 },
+	{ header: 'Member Email', key: 'memberEmail', width: 30 },
+	{ header: 'Member Phone', key: 'memberPhone', width: 16 },
+	{ header: 'College', key: 'college', width: 30 },
+	{ header: 'Roll Number', key: 'rollNumber', width: 16 },
+	{ header: 'Role', key: 'role', width: 12 },
+];
+
+// Yields one flat row per registered member of every team matching the filters
+async function* exportRows(filters) {
+	const matches = await resolveMemberMatches(filters);
+
+	for (let offset = 0; ; offset += BATCH_SIZE) {
+		const query = applyTeamFilters(
+			supabaseAdmin.from('teams').select('*, registrations(*)'),
+			filters,
+			matches
+		);
+
+		const { data: teams, error } = await query
+			.order('domain', { ascending: true })
+			.order('id', { ascending: true })
+			.range(offset, offset + BATCH_SIZE - 1);
+
+		if (error) throw error;
+
+		for (const team of teams) {
+			const members = team.registrations || [];
+			const lead = members.find(m => m.role === 'Team Lead') || {};
+			// Team Lead first, then members in registration order
+			const ordered = [...members].sort((a, b) => (a.role === 'Team Lead' ? -1 : b.role === 'Team Lead' ? 1 : a.id - b.id));
+
+			for (const member of ordered) {
+				yield {
+					teamId: team.id,
+					teamName: team.team_name,
+					domain: team.domain,
+					paymentStatus: team.payment_status,
+					amountInRupees: team.amount_in_paise != null ? team.amount_in_paise / 100 : null,
+					orderId: team.razorpay_order_id,
+					paymentId: team.razorpay_payment_id,
+					paidAt: team.payment_verified_at,
+					leadName: lead.name,
+					leadEmail: lead.email,
+					leadPhone: lead.phone,
+					memberName: member.name,
+					memberEmail: member.email,
+					memberPhone: member.phone,
+					college: member.college,
+					rollNumber: member.roll_number,
+					role: member.role,
+				};
+			}
+		}
+
+		if (teams.length < BATCH_SIZE) return;
+	}
+}
+
+function csvCell(value) {
+	if (value === null || value === undefined) return '';
+	const text = String(value);
+	// Quote anything with delimiters, and neutralize spreadsheet formula injection
+	const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+	return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+function csvLine(values) {
+	return values.map(csvCell).join(',') + '\r\n';
+}
+
+function streamClosedError() {
+	return new Error('Export stream closed before the export finished');
+}
+
+// Resolves once the stream can take more data. Rejects if the stream closes or errors
+// first (e.g. the client disconnected), which ends the export instead of leaving it
+// waiting for a drain that never comes.
+function writeChunk(stream, chunk) {
+	if (stream.destroyed) return Promise.reject(streamClosedError());
+	if (stream.write(chunk)) return Promise.resolve();
+
+	return new Promise((resolve, reject) => {
+		const settle = error => {
+			stream.off('drain', onDrain);
+			stream.off('close', onClose);
+			stream.off('error', settle);
+			if (error) reject(error);
+			else resolve();
+		};
+		const onDrain = () => settle();
+		const onClose = () => settle(streamClosedError());
+		stream.on('drain', onDrain);
+		stream.on('close', onClose);
+		stream.on('error', settle);
+	});
+}
+
+// Write a single CSV (all domains, ordered by domain then team) to a writable stream
+async function writeCsv(stream, filters) {
+	await writeChunk(stream, csvLine(COLUMNS.map(c => c.header)));
+	for await (const row of exportRows(filters)) {
+		await writeChunk(stream, csvLine(COLUMNS.map(c => row[c.key])));
+	}
+	stream.end();
+}
+
+// Write an XLSX workbook with one sheet per domain to a writable stream
+async function writeXlsx(stream, filters) {
+	const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useSharedStrings: false, useStyles: true });
+	const domains = filters.domain ? [filters.domain] : getDomainNames();
+
+	for (const domain of domains) {
+		// Sheet names can't contain '/', e.g. 'UI/UX'
+		const sheet = workbook.addWorksheet(domain.replace(/[\\/?*[\]:]/g, '-'));
+		sheet.columns = COLUMNS;
+		sheet.getRow(1).font = { bold: true };
+		sheet.getRow(1).commit();
+
+		for await (const row of exportRows({ ...filters, domain })) {
+			// Stop reading batches once nobody is reading the workbook
+			if (stream.destroyed) throw streamClosedError();
+			sheet.addRow(row).commit();
+		}
+		sheet.commit();
+	}
+
+	await workbook.commit();
+}
+
+module.exports = { writeCsv, writeXlsx };
@@ -0,0 +1,102 @@
+// Stored responses for requests sent with an Idempotency-Key header
+// (migrations/011_idempotency_keys.up.sql)
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./database');
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || 24, 10);
+
+// JSON with object keys sorted, so the same payload always hashes the same
+function canonicalJson(value) {
+	if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+function hashRequest(body) {
+	return crypto.createHash('sha256').update(canonicalJson(body)).digest('hex');
+}
+
+async function findKey(scope, key) {
+	const { data, error } = await supabaseAdmin
+		.from('idempotency_keys')
+		.select('*')
+		.eq('scope', scope)
+		.eq('key', key)
+		.maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+// Reserve a key for a request. Resolves to one of:
+//   { status: 'claimed' }                   - first use; process the request
+//   { status: 'replay', responseStatus, responseBody }
+//   { status: 'in_progress' }               - the first request hasn't finished yet
+//   { status: 'mismatch' }                  - the key was used for a different payload
+async function claimKey(scope, key, requestHash) {
+	const expiresAt = new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+	// An expired key is free to be used again
+	const { error: purgeError } = await supabaseAdmin
+		.from('idempotency_keys')
+		.delete()
+		.eq('scope', scope)
+		.eq('key', key)
+		.lt('expires_at', new Date().toISOString());
+	if (purgeError) throw purgeError;
+
+	const { error } = await supabaseAdmin
+		.from('idempotency_keys')
+		.insert([{ scope, key, request_hash: requestHash, status: 'processing', expires_at: expiresAt }]);
+
+	if (!error) return { status: 'claimed' };
+	if (error.code !== '23505') throw error;
+
+	const existing = await findKey(scope, key);
+	// Deleted between our insert and read (its request failed); the client can simply retry
+	if (!existing) return { status: 'in_progress' };
+	if (existing.request_hash !== requestHash) return { status: 'mismatch' };
+	if (existing.status !== 'completed') return { status: 'in_progress' };
+
+	return {
+		status: 'replay',
+		responseStatus: existing.response_status,
+		responseBody: existing.response_body,
+	};
+}
+
+async function completeKey(scope, key, responseStatus, responseBody) {
+	const { error } = await supabaseAdmin
+		.from('idempotency_keys')
+		.update({
+			status: 'completed',
+			response_status: responseStatus,
+			response_body: responseBody,
+			completed_at: new Date().toISOString(),
+		})
+		.eq('scope', scope)
+		.eq('key', key);
+
+	if (error) throw error;
+}
+
+// Forget a key whose request failed, so a retry is processed afresh
+async function releaseKey(scope, key) {
+	const { error } = await supabaseAdmin
+		.from('idempotency_keys')
+		.delete()
+		.eq('scope', scope)
+		.eq('key', key)
+		.eq('status', 'processing');
+
+	if (error) throw error;
+}
+
+module.exports = {
+	hashRequest,
+	claimKey,
+	completeKey,
+	releaseKey,
+};
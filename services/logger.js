@@ -0,0 +1,127 @@
+// Structured JSON logger.
+//
+// Each entry is one JSON line with time, level, msg and any extra fields. Inside a
+// request, the request id set by middleware/requestId.js is added automatically.
+// Values under sensitive keys (emails, phones, roll numbers, signatures, auth
+// headers, tokens) are redacted, as are email addresses appearing inside strings.
+//
+// LOG_LEVEL picks the minimum level (debug, info, warn, error, silent); it defaults
+// to debug in development, silent under test and info everywhere else.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVELS = {
+	development: 'debug',
+	test: 'silent',
+};
+
+const REDACTED = '[REDACTED]';
+
+// Matched against lower-cased keys with '-' and '_' removed
+const SENSITIVE_KEYS = new Set([
+	'email',
+	'contactemail',
+	'toemail',
+	'actoremail',
+	'leademail',
+	'memberemail',
+	'phone',
+	'leadphone',
+	'memberphone',
+	'rollnumber',
+	'signature',
+	'razorpaysignature',
+	'xrazorpaysignature',
+	'authorization',
+	'cookie',
+	'setcookie',
+	'token',
+	'sessiontoken',
+	'password',
+	'secret',
+	'keysecret',
+	'apikey',
+]);
+
+const EMAIL_IN_TEXT = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g;
+
+const context = new AsyncLocalStorage();
+
+function normalizeKey(key) {
+	return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+function serializeError(error) {
+	return {
+		name: error.name,
+		message: redact(error.message),
+		code: error.code,
+		stack: process.env.NODE_ENV === 'production' ? undefined : error.stack,
+	};
+}
+
+// Deep copy of `value` with sensitive data replaced
+function redact(value, depth = 0) {
+	if (value === null || value === undefined) return value;
+	if (typeof value === 'string') return value.replace(EMAIL_IN_TEXT, REDACTED);
+	if (typeof value !== 'object') return value;
+	if (depth > 8) return '[Truncated]';
+	if (value instanceof Error) return serializeError(value);
+	if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+	if (value instanceof Date) return value.toISOString();
+	if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+	const result = {};
+	for (const [key, item] of Object.entries(value)) {
+		result[key] = SENSITIVE_KEYS.has(normalizeKey(key)) ? REDACTED : redact(item, depth + 1);
+	}
+	return result;
+}
+
+function resolveLevel() {
+	const configured = (process.env.LOG_LEVEL || '').toLowerCase();
+	if (LEVELS[configured] !== undefined) return configured;
+	return DEFAULT_LEVELS[process.env.NODE_ENV] || 'info';
+}
+
+function createLogger(bindings = {}) {
+	const threshold = LEVELS[resolveLevel()];
+
+	const write = (level, msg, fields) => {
+		if (LEVELS[level] < threshold) return;
+
+		const store = context.getStore();
+		const entry = {
+			time: new Date().toISOString(),
+			level,
+			msg,
+			...(store && store.requestId ? { requestId: store.requestId } : {}),
+			...redact(bindings),
+			...redact(fields instanceof Error ? { err: fields } : fields || {}),
+		};
+
+		const line = JSON.stringify(entry) + '\n';
+		(LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+	};
+
+	return {
+		debug: (msg, fields) => write('debug', msg, fields),
+		info: (msg, fields) => write('info', msg, fields),
+		warn: (msg, fields) => write('warn', msg, fields),
+		error: (msg, fields) => write('error', msg, fields),
+		child: (extra) => createLogger({ ...bindings, ...extra }),
+	};
+}
+
+// Run `fn` with `store` (e.g. { requestId }) attached to every log entry it produces
+function runWithContext(store, fn) {
+	return context.run(store, fn);
+}
+
+module.exports = {
+	logger: createLogger(),
+	createLogger,
+	runWithContext,
+	redact,
+};
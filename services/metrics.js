@@ -0,0 +1,160 @@
+// Process-local metrics, served in the Prometheus text format by GET /metrics.
+// Counters and histograms are kept per label set; label values must come from a
+// small, fixed set (route patterns, statuses, domains), never from user input.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (entries.length === 0) return '';
+	return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function labelKey(labelNames, labels) {
+	return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+	return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+class Counter {
+	constructor(name, help, labelNames = []) {
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.values = new Map();
+	}
+
+	inc(labels = {}, amount = 1) {
+		const key = labelKey(this.labelNames, labels);
+		const entry = this.values.get(key) || { labels: pickLabels(this.labelNames, labels), value: 0 };
+		entry.value += amount;
+		this.values.set(key, entry);
+	}
+
+	reset() {
+		this.values.clear();
+	}
+
+	render() {
+		const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+		for (const { labels, value } of this.values.values()) {
+			lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+		}
+		return lines.join('\n');
+	}
+}
+
+class Histogram {
+	constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.buckets = buckets;
+		this.values = new Map();
+	}
+
+	observe(labels, value) {
+		const key = labelKey(this.labelNames, labels);
+		let entry = this.values.get(key);
+		if (!entry) {
+			entry = { labels: pickLabels(this.labelNames, labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+			this.values.set(key, entry);
+		}
+
+		this.buckets.forEach((bound, i) => {
+			if (value <= bound) entry.counts[i] += 1;
+		});
+		entry.sum += value;
+		entry.count += 1;
+	}
+
+	reset() {
+		this.values.clear();
+	}
+
+	render() {
+		const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+		for (const { labels, counts, sum, count } of this.values.values()) {
+			this.buckets.forEach((bound, i) => {
+				lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+			});
+			lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+		}
+		return lines.join('\n');
+	}
+}
+
+const httpRequests = new Counter(
+	'http_requests_total',
+	'HTTP requests handled, by route pattern and response status',
+	['method', 'route', 'status']
+);
+
+const httpRequestDuration = new Histogram(
+	'http_request_duration_seconds',
+	'Time to send the response, by route pattern',
+	['method', 'route']
+);
+
+const registrationsCreated = new Counter(
+	'registrations_created_total',
+	'Teams created by POST /registration (awaiting payment, or completed when free)',
+	['domain', 'payment_required']
+);
+
+const paymentsVerified = new Counter(
+	'payments_verified_total',
+	'Payments that completed a team, by how the payment was confirmed',
+	['source']
+);
+
+const paymentsFailed = new Counter(
+	'payments_failed_total',
+	'Checkouts marked Failed, by how the failure was learned',
+	['source']
+);
+
+const signatureMismatches = new Counter(
+	'payment_signature_mismatches_total',
+	'Razorpay signatures that did not verify',
+	['type']
+);
+
+const registry = [httpRequests, httpRequestDuration, registrationsCreated, paymentsVerified, paymentsFailed, signatureMismatches];
+
+function renderMetrics() {
+	const processLines = [
+		'# HELP process_uptime_seconds Seconds since the process started',
+		'# TYPE process_uptime_seconds gauge',
+		`process_uptime_seconds ${process.uptime()}`,
+		'# HELP process_resident_memory_bytes Resident memory size in bytes',
+		'# TYPE process_resident_memory_bytes gauge',
+		`process_resident_memory_bytes ${process.memoryUsage().rss}`,
+	];
+	return `${[...registry.map(metric => metric.render()), ...processLines].join('\n')}\n`;
+}
+
+function resetMetrics() {
+	registry.forEach(metric => metric.reset());
+}
+
+module.exports = {
+	Counter,
+	Histogram,
+	httpRequests,
+	httpRequestDuration,
+	registrationsCreated,
+	paymentsVerified,
+	paymentsFailed,
+	signatureMismatches,
+	renderMetrics,
+	resetMetrics,
+};
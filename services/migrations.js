@@ -0,0 +1,158 @@
+// Applies the SQL files in migrations/ to Postgres and records them in schema_version.
+// Migrations are named NNN_description.up.sql with a matching NNN_description.down.sql
+// and run in version order, each in its own transaction.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+// Held for the whole run so two deploys can't migrate the same database at once
+const ADVISORY_LOCK_ID = 720413;
+
+const CREATE_VERSION_TABLE = `
+create table if not exists public.schema_version (
+  version integer not null,
+  name text not null,
+  checksum text not null,
+  applied_at timestamp without time zone not null default now(),
+  constraint schema_version_pkey primary key (version)
+)`;
+
+// Every migration in `dir`, sorted by version: [{ version, name, up, down, checksum }]
+function loadMigrations(dir = MIGRATIONS_DIR) {
+	const byVersion = new Map();
+	for (const file of fs.readdirSync(dir)) {
+		const match = FILE_PATTERN.exec(file);
+		if (!match) continue;
+
+		const version = parseInt(match[1], 10);
+		const name = `${match[1]}_${match[2]}`;
+		const migration = byVersion.get(version) || { version, name };
+		if (migration.name !== name) {
+			throw new Error(`Migrations ${migration.name} and ${name} share version ${version}`);
+		}
+		migration[match[3]] = fs.readFileSync(path.join(dir, file), 'utf8');
+		byVersion.set(version, migration);
+	}
+
+	const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+	for (const migration of migrations) {
+		if (migration.up === undefined) throw new Error(`${migration.name} has no .up.sql file`);
+		if (migration.down === undefined) throw new Error(`${migration.name} has no .down.sql file`);
+		migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+	}
+	return migrations;
+}
+
+async function appliedVersions(client) {
+	const { rows } = await client.query('select version, name, checksum, applied_at from public.schema_version order by version');
+	return new Map(rows.map(row => [Number(row.version), row]));
+}
+
+async function inTransaction(client, migration, direction, work) {
+	await client.query('begin');
+	try {
+		await work();
+		await client.query('commit');
+	} catch (error) {
+		await client.query('rollback');
+		error.message = `${migration.name}.${direction}.sql failed: ${error.message}`;
+		throw error;
+	}
+}
+
+// Runs a migrator command against a connected pg client (anything with
+// `query(text, params)` resolving to { rows }). Each command resolves to a report:
+//   status()               { applied: [...], pending: [...], changed: [...] }
+//   up({ to })             { applied: [names] }  - every pending migration up to version `to`;
+//                                                  refuses to run while any applied one is changed
+//   down({ steps, to })    { reverted: [names] } - the last `steps` (default 1), or all above `to`
+//   markApplied({ to })    { marked: [names] }   - record migrations as applied without
+//                                                  running them, for databases set up by hand
+function createMigrator(client, { dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+	const migrations = loadMigrations(dir);
+
+	async function withLock(work) {
+		await client.query(CREATE_VERSION_TABLE);
+		await client.query('select pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+		try {
+			return await work(await appliedVersions(client));
+		} finally {
+			await client.query('select pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]);
+		}
+	}
+
+	function pendingUpTo(applied, to) {
+		return migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to));
+	}
+
+	// Applied migrations whose .up.sql no longer matches the recorded checksum
+	function changedSince(applied) {
+		return migrations.filter(m => applied.has(m.version) && applied.get(m.version).checksum !== m.checksum);
+	}
+
+	async function record(migration) {
+		await client.query(
+			'insert into public.schema_version (version, name, checksum) values ($1, $2, $3)',
+			[migration.version, migration.name, migration.checksum]
+		);
+	}
+
+	return {
+		status: () => withLock(async applied => ({
+			applied: migrations.filter(m => applied.has(m.version)).map(m => m.name),
+			pending: pendingUpTo(applied).map(m => m.name),
+			changed: changedSince(applied).map(m => m.name),
+		})),
+
+		up: ({ to } = {}) => withLock(async applied => {
+			// Later migrations were written against the applied files as they were;
+			// an edited one means this database doesn't match what they expect
+			const changed = changedSince(applied);
+			if (changed.length > 0) {
+				throw new Error(`Applied migrations changed since they ran: ${changed.map(m => m.name).join(', ')}. `
+					+ 'Restore the original files and add a new migration instead.');
+			}
+
+			const done = [];
+			for (const migration of pendingUpTo(applied, to)) {
+				log(`Applying ${migration.name}`);
+				await inTransaction(client, migration, 'up', async () => {
+					await client.query(migration.up);
+					await record(migration);
+				});
+				done.push(migration.name);
+			}
+			return { applied: done };
+		}),
+
+		down: ({ steps, to } = {}) => withLock(async applied => {
+			let targets = migrations.filter(m => applied.has(m.version)).reverse();
+			targets = to !== undefined ? targets.filter(m => m.version > to) : targets.slice(0, steps ?? 1);
+
+			const done = [];
+			for (const migration of targets) {
+				log(`Reverting ${migration.name}`);
+				await inTransaction(client, migration, 'down', async () => {
+					await client.query(migration.down);
+					await client.query('delete from public.schema_version where version = $1', [migration.version]);
+				});
+				done.push(migration.name);
+			}
+			return { reverted: done };
+		}),
+
+		markApplied: ({ to }) => withLock(async applied => {
+			if (to === undefined) throw new Error('markApplied needs the last version to mark');
+			const done = [];
+			for (const migration of pendingUpTo(applied, to)) {
+				await record(migration);
+				done.push(migration.name);
+			}
+			return { marked: done };
+		}),
+	};
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, createMigrator };
@@ -0,0 +1,102 @@
+// Razorpay orders created on an organizer's request (POST /razorpay/create-order).
+// Amounts always come from our own records: the team's quoted amount or a product
+// in the event configuration, never from the caller.
+const { supabaseAdmin } = require('./database');
+const { getRazorpay } = require('../config/razorpay');
+const { eventConfig, getProduct } = require('../config/event');
+
+function orderSummary(order) {
+	return {
+		orderId: order.id,
+		amountInPaise: order.amount,
+		currency: order.currency,
+		receipt: order.receipt,
+	};
+}
+
+// A new order for a team whose checkout hasn't been paid, e.g. when its first order
+// can no longer be used. The team is pointed at the new order so verify-payment and
+// the webhook accept it. Resolves to one of:
+//   { status: 'created', order }
+//   { status: 'already_paid', paymentStatus }  - Completed/Refunded, or the current order was captured
+//   { status: 'payment_pending' }              - a payment on the current order is authorized but not captured yet
+//   { status: 'expired' }                      - the checkout expired; the team must register again
+//   { status: 'nothing_to_pay' }
+//   { status: 'conflict' }                     - the team changed while the order was being created
+//   { status: 'not_found' }
+async function createTeamOrder(teamId) {
+	const { data: team, error: teamError } = await supabaseAdmin
+		.from('teams')
+		.select('*')
+		.eq('id', teamId)
+		.maybeSingle();
+
+	if (teamError) throw teamError;
+	if (!team) return { status: 'not_found' };
+
+	if (!['Initiated', 'Failed'].includes(team.payment_status)) {
+		return { status: 'already_paid', paymentStatus: team.payment_status };
+	}
+	if (team.expired_at) return { status: 'expired' };
+	if (!team.amount_in_paise) return { status: 'nothing_to_pay' };
+
+	// A payment captured on the current order must be finalized, not paid again. An
+	// authorized one is about to be captured (orders use payment_capture: 1), and the
+	// webhook only matches the team's current order, so moving the team to a new
+	// order now would leave that payment unrecorded.
+	if (team.razorpay_order_id) {
+		const { items: payments = [] } = await getRazorpay().orders.fetchPayments(team.razorpay_order_id);
+		if (payments.some(p => p.status === 'captured')) {
+			return { status: 'already_paid', paymentStatus: team.payment_status };
+		}
+		if (payments.some(p => p.status === 'authorized')) return { status: 'payment_pending' };
+	}
+
+	const order = await getRazorpay().orders.create({
+		amount: team.amount_in_paise,
+		currency: eventConfig.currency,
+		receipt: `team_${team.id}_${Date.now()}`,
+		notes: { teamId: String(team.id), teamName: team.team_name },
+		payment_capture: 1,
+	});
+
+	let update = supabaseAdmin
+		.from('teams')
+		.update({
+			razorpay_order_id: order.id,
+			payment_status: 'Initiated',
+			payment_initiated_at: new Date().toISOString(),
+		})
+		.eq('id', team.id)
+		.eq('payment_status', team.payment_status)
+		.is('expired_at', null);
+	update = team.razorpay_order_id
+		? update.eq('razorpay_order_id', team.razorpay_order_id)
+		: update.is('razorpay_order_id', null);
+
+	const { data: updated, error: updateError } = await update.select('id');
+
+	if (updateError) throw updateError;
+	if (!updated || updated.length === 0) return { status: 'conflict' };
+
+	return { status: 'created', order: { ...orderSummary(order), teamId: team.id } };
+}
+
+// An order for a product from the event configuration. Resolves to
+// { status: 'created', order } or { status: 'not_found' }.
+async function createProductOrder(productId) {
+	const product = getProduct(productId);
+	if (!product) return { status: 'not_found' };
+
+	const order = await getRazorpay().orders.create({
+		amount: Math.round(product.amount * 100),
+		currency: eventConfig.currency,
+		receipt: `product_${product.id}_${Date.now()}`,
+		notes: { productId: product.id },
+		payment_capture: 1,
+	});
+
+	return { status: 'created', order: { ...orderSummary(order), productId: product.id, productName: product.name } };
+}
+
+module.exports = { createTeamOrder, createProductOrder };
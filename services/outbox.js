@@ -0,0 +1,159 @@
+// Email outbox: messages are queued in the email_outbox table and delivered with retries.
+// Queueing never throws into the caller's flow, so a mail problem can't undo a registration.
+const { supabaseAdmin } = require('./database');
+const mailer = require('../config/mailer');
+const templates = require('./emailTemplates');
+const { isPassSigningConfigured, createPassToken, passUrl } = require('./passes');
+const { logger } = require('./logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || 5, 10);
+const BATCH_SIZE = 20;
+// A row left in 'sending' this long (e.g. the process died mid-send) is picked up again
+const STALE_CLAIM_MINUTES = 10;
+
+function backoffSeconds(attempts) {
+	return Math.min(60 * 2 ** (attempts - 1), 6 * 60 * 60);
+}
+
+// Queue the confirmation for every member and the receipt for the Team Lead
+async function enqueueRegistrationEmails(teamId) {
+	const { data: team, error } = await supabaseAdmin
+		.from('teams')
+		.select('*, registrations(*)')
+		.eq('id', teamId)
+		.single();
+
+	if (error) throw error;
+
+	const members = team.registrations || [];
+	const rows = members.map(member => ({
+		template: 'registrationConfirmation',
+		recipient: member,
+	}));
+
+	const lead = members.find(m => m.role === 'Team Lead');
+	if (lead) rows.push({ template: 'paymentReceipt', recipient: lead });
+
+	const messages = rows.map(({ template, recipient }) => {
+		const pass = template === 'registrationConfirmation' && isPassSigningConfigured()
+			? passUrl(createPassToken(recipient.id))
+			: null;
+		const { subject, text, html } = templates[template]({ team, members, recipient, passUrl: pass });
+		return {
+			team_id: team.id,
+			dedupe_key: `team:${team.id}:${template}:${recipient.email.toLowerCase()}`,
+			template,
+			to_email: recipient.email,
+			subject,
+			text_body: text,
+			html_body: html,
+		};
+	});
+
+	if (messages.length === 0) return 0;
+
+	const { data: inserted, error: insertError } = await supabaseAdmin
+		.from('email_outbox')
+		.upsert(messages, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+		.select('id');
+
+	if (insertError) throw insertError;
+	return inserted ? inserted.length : 0;
+}
+
+async function deliver(row) {
+	// Claim the row; the attempts check makes this a no-op if another worker got it first
+	const { data: claimed, error: claimError } = await supabaseAdmin
+		.from('email_outbox')
+		.update({ status: 'sending', attempts: row.attempts + 1, claimed_at: new Date().toISOString() })
+		.eq('id', row.id)
+		.eq('attempts', row.attempts)
+		.in('status', ['pending', 'sending'])
+		.select('id');
+
+	if (claimError) throw claimError;
+	if (!claimed || claimed.length === 0) return 'skipped';
+
+	const attempts = row.attempts + 1;
+	try {
+		await mailer.sendMail({
+			to: row.to_email,
+			subject: row.subject,
+			text: row.text_body,
+			html: row.html_body || undefined,
+		});
+	} catch (sendError) {
+		const exhausted = attempts >= MAX_ATTEMPTS;
+		await supabaseAdmin
+			.from('email_outbox')
+			.update({
+				status: exhausted ? 'failed' : 'pending',
+				last_error: String(sendError.message || sendError).slice(0, 1000),
+				next_attempt_at: new Date(Date.now() + backoffSeconds(attempts) * 1000).toISOString(),
+			})
+			.eq('id', row.id);
+		return exhausted ? 'failed' : 'retrying';
+	}
+
+	await supabaseAdmin
+		.from('email_outbox')
+		.update({ status: 'sent', sent_at: new Date().toISOString(), last_error: null })
+		.eq('id', row.id);
+	return 'sent';
+}
+
+// Deliver due messages. Returns counts per outcome.
+async function processOutbox({ limit = BATCH_SIZE } = {}) {
+	const now = new Date();
+	const staleClaim = new Date(now.getTime() - STALE_CLAIM_MINUTES * 60 * 1000).toISOString();
+
+	const { data: rows, error } = await supabaseAdmin
+		.from('email_outbox')
+		.select('*')
+		.or(`and(status.eq.pending,next_attempt_at.lte.${now.toISOString()}),and(status.eq.sending,claimed_at.lt.${staleClaim})`)
+		.order('next_attempt_at', { ascending: true })
+		.limit(limit);
+
+	if (error) throw error;
+
+	const counts = {};
+	for (const row of rows) {
+		const outcome = await deliver(row);
+		counts[outcome] = (counts[outcome] || 0) + 1;
+	}
+	return counts;
+}
+
+// Queue a finalized team's emails and try to deliver them right away, without
+// letting any failure reach the caller. Anything undelivered stays in the outbox.
+function notifyTeamRegistered(teamId) {
+	enqueueRegistrationEmails(teamId)
+		.then(() => processOutbox())
+		.catch(error => logger.error('Failed to queue registration emails', { teamId, err: error }));
+}
+
+// Periodically retry pending messages. Returns the timer.
+function startOutboxInterval(intervalSeconds) {
+	let running = false;
+	const timer = setInterval(async () => {
+		if (running) return;
+		running = true;
+		try {
+			await processOutbox();
+		} catch (error) {
+			logger.error('Email outbox processing failed', { err: error });
+		} finally {
+			running = false;
+		}
+	}, intervalSeconds * 1000);
+
+	timer.unref();
+	return timer;
+}
+
+module.exports = {
+	enqueueRegistrationEmails,
+	processOutbox,
+	notifyTeamRegistered,
+	startOutboxInterval,
+};
@@ -0,0 +1,58 @@
+// Event passes: each registration gets a token `<registrationId>.<hmac>` signed with
+// PASS_SIGNING_SECRET, shown to volunteers as a QR code and checked by the check-in API.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { isStrongSecret, MIN_SECRET_LENGTH } = require('../config/secrets');
+
+const TOKEN_PATTERN = /^(\d+)\.([A-Za-z0-9_-]{43})$/;
+
+function signingSecret() {
+	const secret = process.env.PASS_SIGNING_SECRET;
+	if (!isStrongSecret(secret)) throw new Error(`PASS_SIGNING_SECRET must be set to at least ${MIN_SECRET_LENGTH} characters`);
+	return secret;
+}
+
+function isPassSigningConfigured() {
+	return isStrongSecret(process.env.PASS_SIGNING_SECRET);
+}
+
+function sign(registrationId) {
+	return crypto.createHmac('sha256', signingSecret()).update(`pass:${registrationId}`).digest('base64url');
+}
+
+function createPassToken(registrationId) {
+	return `${registrationId}.${sign(registrationId)}`;
+}
+
+// Resolves the registration id for a well-formed, correctly signed token, else null
+function verifyPassToken(token) {
+	const match = TOKEN_PATTERN.exec(String(token || ''));
+	if (!match) return null;
+
+	const registrationId = Number(match[1]);
+	const expected = Buffer.from(sign(registrationId));
+	const received = Buffer.from(match[2]);
+	if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+	return registrationId;
+}
+
+// Public URL of a pass image, for emails and the portal
+function passUrl(token, format = 'png') {
+	const base = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3000}`;
+	return `${base}/passes/${encodeURIComponent(token)}?format=${format}`;
+}
+
+// QR code of the token as a PNG Buffer or an SVG string
+async function renderPass(token, format = 'png') {
+	const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+	if (format === 'svg') return QRCode.toString(token, { ...options, type: 'svg' });
+	return QRCode.toBuffer(token, { ...options, type: 'png' });
+}
+
+module.exports = {
+	isPassSigningConfigured,
+	createPassToken,
+	verifyPassToken,
+	passUrl,
+	renderPass,
+};
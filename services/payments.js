@@ -0,0 +1,49 @@
+// Payment finalization shared by verify-payment and the Razorpay webhook
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./database');
+const { notifyTeamRegistered } = require('./outbox');
+
+// Marks the team as paid and inserts its members in one transaction through the
+// finalize_team_payment SQL function (migrations/002_finalize_team_payment.up.sql).
+// `members` must be in roster shape (see services/roster.js); when omitted the
+// team's stored pending_members are used. Resolves to one of:
+//   { status: 'completed', memberCount }      - team completed and members inserted
+//   { status: 'already_completed' }           - another request/webhook finished this payment
+//   { status: 'invalid_status', paymentStatus } - team is not awaiting payment (e.g. Refunded)
+//   { status: 'member_conflict', message }    - a unique constraint failed; nothing was changed
+//                                              except teams.finalization_error, so a retry is safe
+//   { status: 'not_found' }
+async function completeTeamPayment(team, paymentId, members) {
+	const { data, error } = await supabaseAdmin.rpc('finalize_team_payment', {
+		p_team_id: team.id,
+		p_payment_id: paymentId,
+		p_members: Array.isArray(members) && members.length > 0 ? members : null,
+	});
+
+	if (error) throw error;
+
+	// Confirmation emails go through the outbox; failures there never affect the registration
+	if (data.status === 'completed' && data.member_count > 0) {
+		notifyTeamRegistered(team.id);
+	}
+
+	return {
+		status: data.status,
+		memberCount: data.member_count,
+		paymentStatus: data.payment_status,
+		message: data.message,
+	};
+}
+
+// True when `signature` is the checkout signature Razorpay returns for this order and payment
+function isValidCheckoutSignature(orderId, paymentId, signature) {
+	const expected = crypto
+		.createHmac('sha256', process.env.RAZORPAY_SECRET)
+		.update(`${orderId}|${paymentId}`)
+		.digest('hex');
+	const expectedBuf = Buffer.from(expected);
+	const receivedBuf = Buffer.from(String(signature));
+	return expectedBuf.length === receivedBuf.length && crypto.timingSafeEqual(expectedBuf, receivedBuf);
+}
+
+module.exports = { completeTeamPayment, isValidCheckoutSignature };
@@ -0,0 +1,179 @@
+// Magic-link authentication and sessions for the Team Lead portal.
+// Tokens are random, sent only by email or cookie, and stored as SHA-256 hashes.
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./database');
+const mailer = require('../config/mailer');
+const { portalMagicLink } = require('./emailTemplates');
+
+const LOGIN_TOKEN_TTL_MINUTES = parseInt(process.env.PORTAL_LOGIN_TTL_MINUTES || 15, 10);
+const SESSION_TTL_HOURS = parseInt(process.env.PORTAL_SESSION_TTL_HOURS || 12, 10);
+
+function hashToken(token) {
+	return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A value matched literally by ilike()
+function escapeLike(value) {
+	return value.replace(/[%_\\]/g, '\\$&');
+}
+
+function newToken() {
+	return crypto.randomBytes(32).toString('base64url');
+}
+
+// The Team Lead registration for an email on a Completed team, if any
+async function findTeamLead(email) {
+	const { data, error } = await supabaseAdmin
+		.from('registrations')
+		.select('*, team:teams!inner(id, team_name, payment_status)')
+		.ilike('email', escapeLike(email))
+		.eq('role', 'Team Lead')
+		.eq('team.payment_status', 'Completed')
+		.limit(1)
+		.maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+// Email a one-time sign-in link if the address belongs to a Team Lead.
+// Resolves to true when a link was sent; callers shouldn't reveal the result.
+// The link is sent directly rather than through the outbox so the token is never stored in clear.
+async function requestLoginLink(email) {
+	const lead = await findTeamLead(email);
+	if (!lead) return false;
+
+	const token = newToken();
+	const expiresAt = new Date(Date.now() + LOGIN_TOKEN_TTL_MINUTES * 60 * 1000);
+
+	const { error } = await supabaseAdmin
+		.from('portal_login_tokens')
+		.insert([{
+			token_hash: hashToken(token),
+			team_id: lead.team.id,
+			email: lead.email,
+			expires_at: expiresAt.toISOString(),
+		}]);
+
+	if (error) throw error;
+
+	const baseUrl = process.env.PORTAL_LOGIN_URL || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/portal/verify`;
+	const link = `${baseUrl}?token=${encodeURIComponent(token)}`;
+	const { subject, text, html } = portalMagicLink({
+		team: lead.team,
+		recipient: lead,
+		link,
+		expiresInMinutes: LOGIN_TOKEN_TTL_MINUTES,
+	});
+
+	await mailer.sendMail({ to: lead.email, subject, text, html });
+	return true;
+}
+
+// Exchange a login token for a session. Resolves to { sessionToken, expiresAt, teamId, email }
+// or null when the token is unknown, used or expired.
+async function redeemLoginToken(token) {
+	const now = new Date().toISOString();
+
+	// Mark it used in the same statement that checks it, so a link only works once
+	const { data: used, error } = await supabaseAdmin
+		.from('portal_login_tokens')
+		.update({ used_at: now })
+		.eq('token_hash', hashToken(token))
+		.is('used_at', null)
+		.gt('expires_at', now)
+		.select('team_id, email');
+
+	if (error) throw error;
+	if (!used || used.length === 0) return null;
+
+	const { team_id: teamId, email } = used[0];
+	const sessionToken = newToken();
+	const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+	const { error: sessionError } = await supabaseAdmin
+		.from('portal_sessions')
+		.insert([{
+			token_hash: hashToken(sessionToken),
+			team_id: teamId,
+			email,
+			expires_at: expiresAt.toISOString(),
+		}]);
+
+	if (sessionError) throw sessionError;
+	return { sessionToken, expiresAt, teamId, email };
+}
+
+// True while the team is Completed and `email` is still its Team Lead's
+async function isCurrentTeamLead(teamId, email) {
+	const { data: team, error: teamError } = await supabaseAdmin
+		.from('teams')
+		.select('payment_status')
+		.eq('id', teamId)
+		.maybeSingle();
+
+	if (teamError) throw teamError;
+	if (!team || team.payment_status !== 'Completed') return false;
+
+	const { data: leads, error } = await supabaseAdmin
+		.from('registrations')
+		.select('id')
+		.eq('team_id', teamId)
+		.eq('role', 'Team Lead')
+		.ilike('email', escapeLike(email))
+		.limit(1);
+
+	if (error) throw error;
+	return leads.length > 0;
+}
+
+// Resolves to { sessionId, teamId, email } for a live session token, else null.
+// A session ends early once its team is refunded or its email stops being the Team
+// Lead's (e.g. an organizer promoted another member).
+async function findSession(sessionToken) {
+	const { data, error } = await supabaseAdmin
+		.from('portal_sessions')
+		.select('id, team_id, email')
+		.eq('token_hash', hashToken(sessionToken))
+		.gt('expires_at', new Date().toISOString())
+		.maybeSingle();
+
+	if (error) throw error;
+	if (!data) return null;
+
+	if (!(await isCurrentTeamLead(data.team_id, data.email))) {
+		const { error: deleteError } = await supabaseAdmin.from('portal_sessions').delete().eq('id', data.id);
+		if (deleteError) throw deleteError;
+		return null;
+	}
+	return { sessionId: data.id, teamId: data.team_id, email: data.email };
+}
+
+// Keep the team's sessions signed in when the Team Lead changes their own email
+async function renameSessionEmail(teamId, fromEmail, toEmail) {
+	const { error } = await supabaseAdmin
+		.from('portal_sessions')
+		.update({ email: toEmail })
+		.eq('team_id', teamId)
+		.ilike('email', escapeLike(fromEmail));
+
+	if (error) throw error;
+}
+
+async function endSession(sessionToken) {
+	const { error } = await supabaseAdmin
+		.from('portal_sessions')
+		.delete()
+		.eq('token_hash', hashToken(sessionToken));
+
+	if (error) throw error;
+}
+
+module.exports = {
+	requestLoginLink,
+	redeemLoginToken,
+	findSession,
+	renameSessionEmail,
+	endSession,
+	SESSION_TTL_HOURS,
+};
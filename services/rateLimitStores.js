@@ -0,0 +1,221 @@
+// Hit-count stores for the rate limiters in middleware/rateLimit.js, chosen with
+// RATE_LIMIT_STORE:
+//   memory - per process, lost on restart (default)
+//   file   - per process, saved under RATE_LIMIT_FILE_DIR so counts survive restarts
+//   redis  - shared by every process; uses the client given to setRedisClient(), or
+//            one created from REDIS_URL with the `redis` package if it is installed
+// Every store implements express-rate-limit's Store interface.
+const fs = require('fs');
+const path = require('path');
+const { MemoryStore } = require('express-rate-limit');
+const { logger } = require('./logger');
+
+const FLUSH_DELAY_MS = 1000;
+
+// Counts kept in memory and written to `<dir>/<prefix>.json` shortly after they change
+class FileStore {
+	constructor({ dir, prefix }) {
+		this.file = path.join(dir, `${prefix}.json`);
+		this.prefix = prefix;
+		this.localKeys = true;
+		this.hits = new Map();
+		this.timer = null;
+	}
+
+	init({ windowMs }) {
+		this.windowMs = windowMs;
+		try {
+			const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+			const now = Date.now();
+			for (const [key, entry] of Object.entries(saved)) {
+				if (entry.resetAt > now) this.hits.set(key, entry);
+			}
+		} catch (error) {
+			if (error.code !== 'ENOENT') logger.warn('Could not read saved rate limit counts', { file: this.file, err: error });
+		}
+	}
+
+	current(key) {
+		const entry = this.hits.get(key);
+		if (entry && entry.resetAt > Date.now()) return entry;
+		this.hits.delete(key);
+		return null;
+	}
+
+	get(key) {
+		const entry = this.current(key);
+		return entry ? { totalHits: entry.totalHits, resetTime: new Date(entry.resetAt) } : undefined;
+	}
+
+	increment(key) {
+		const entry = this.current(key) || { totalHits: 0, resetAt: Date.now() + this.windowMs };
+		entry.totalHits += 1;
+		this.hits.set(key, entry);
+		this.scheduleFlush();
+		return { totalHits: entry.totalHits, resetTime: new Date(entry.resetAt) };
+	}
+
+	decrement(key) {
+		const entry = this.current(key);
+		if (entry && entry.totalHits > 0) entry.totalHits -= 1;
+		this.scheduleFlush();
+	}
+
+	resetKey(key) {
+		this.hits.delete(key);
+		this.scheduleFlush();
+	}
+
+	resetAll() {
+		this.hits.clear();
+		this.scheduleFlush();
+	}
+
+	scheduleFlush() {
+		if (this.timer) return;
+		this.timer = setTimeout(() => {
+			this.timer = null;
+			this.flush();
+		}, FLUSH_DELAY_MS);
+		this.timer.unref();
+	}
+
+	flush() {
+		const now = Date.now();
+		const live = Object.fromEntries([...this.hits].filter(([, entry]) => entry.resetAt > now));
+		try {
+			fs.mkdirSync(path.dirname(this.file), { recursive: true });
+			const temporary = `${this.file}.${process.pid}.tmp`;
+			fs.writeFileSync(temporary, JSON.stringify(live));
+			fs.renameSync(temporary, this.file);
+		} catch (error) {
+			logger.error('Could not save rate limit counts', { file: this.file, err: error });
+		}
+	}
+
+	shutdown() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.flush();
+	}
+}
+
+// ioredis names commands in lower case, node-redis v4 in camel case
+const REDIS_METHODS = {
+	get: ['get'],
+	incr: ['incr'],
+	decr: ['decr'],
+	del: ['del'],
+	pexpire: ['pexpire', 'pExpire'],
+	pttl: ['pttl', 'pTTL'],
+};
+
+function command(client, name, ...args) {
+	const method = REDIS_METHODS[name].find(candidate => typeof client[candidate] === 'function');
+	if (!method) throw new Error(`Redis client has no ${name} command`);
+	return client[method](...args);
+}
+
+// Counts in Redis (or anything answering incr, decr, del, pexpire and pttl), shared by
+// every process using the same server. Keys expire with the window.
+class RedisStore {
+	constructor({ client, prefix }) {
+		this.client = client;
+		this.prefix = `rl:${prefix}:`;
+		this.localKeys = false;
+	}
+
+	init({ windowMs }) {
+		this.windowMs = windowMs;
+	}
+
+	async resetTime(redisKey) {
+		let ttl = Number(await command(this.client, 'pttl', redisKey));
+		// A key left without an expiry (e.g. the process stopped between incr and pexpire)
+		if (ttl < 0) {
+			await command(this.client, 'pexpire', redisKey, this.windowMs);
+			ttl = this.windowMs;
+		}
+		return new Date(Date.now() + ttl);
+	}
+
+	async get(key) {
+		const redisKey = this.prefix + key;
+		const hits = await command(this.client, 'get', redisKey);
+		if (hits === null || hits === undefined) return undefined;
+		return { totalHits: Number(hits), resetTime: await this.resetTime(redisKey) };
+	}
+
+	async increment(key) {
+		const redisKey = this.prefix + key;
+		const totalHits = Number(await command(this.client, 'incr', redisKey));
+		if (totalHits === 1) await command(this.client, 'pexpire', redisKey, this.windowMs);
+		return { totalHits, resetTime: await this.resetTime(redisKey) };
+	}
+
+	async decrement(key) {
+		await command(this.client, 'decr', this.prefix + key);
+	}
+
+	async resetKey(key) {
+		await command(this.client, 'del', this.prefix + key);
+	}
+}
+
+let redisClient = null;
+
+function setRedisClient(client) {
+	redisClient = client;
+}
+
+function getRedisClient() {
+	if (redisClient) return redisClient;
+	if (!process.env.REDIS_URL) {
+		throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL or a client passed to setRedisClient()');
+	}
+
+	let redis;
+	try {
+		redis = require('redis');
+	} catch (error) {
+		throw new Error('RATE_LIMIT_STORE=redis with REDIS_URL needs the `redis` package (npm install redis)');
+	}
+
+	redisClient = redis.createClient({ url: process.env.REDIS_URL });
+	redisClient.on('error', error => logger.error('Redis client error', { err: error }));
+	redisClient.connect().catch(error => logger.error('Redis connection failed', { err: error }));
+	return redisClient;
+}
+
+// Replaces the store type chosen by RATE_LIMIT_STORE, e.g. with a custom store in tests.
+// `factory(prefix)` must return an express-rate-limit Store.
+let storeFactory = null;
+
+function setRateLimitStoreFactory(factory) {
+	storeFactory = factory;
+}
+
+// A new store for the limiter named `prefix`
+function createRateLimitStore(prefix) {
+	if (storeFactory) return storeFactory(prefix);
+
+	const type = process.env.RATE_LIMIT_STORE || 'memory';
+	switch (type) {
+		case 'memory':
+			return new MemoryStore();
+		case 'file':
+			return new FileStore({ dir: path.resolve(process.env.RATE_LIMIT_FILE_DIR || 'data/rate-limits'), prefix });
+		case 'redis':
+			return new RedisStore({ client: getRedisClient(), prefix });
+		default:
+			throw new Error(`Unknown RATE_LIMIT_STORE "${type}". Use memory, file or redis.`);
+	}
+}
+
+module.exports = {
+	FileStore,
+	RedisStore,
+	setRedisClient,
+	setRateLimitStoreFactory,
+	createRateLimitStore,
+};
@@ -0,0 +1,311 @@
+// Reconciles teams stuck in 'Initiated'/'Failed' with the order status in Razorpay.
+// Used by the interval started in index.js, by scripts/reconcile-orders.js and,
+// one team at a time, by GET /registration/:teamId/status. The job also settles
+// solo and team-join checkouts the same way.
+const { supabaseAdmin } = require('./database');
+const { getRazorpay } = require('../config/razorpay');
+const { completeTeamPayment } = require('./payments');
+const { releaseCoupon } = require('./discounts');
+const { completeSoloPayment, failSoloPayment } = require('./solo');
+const { completeJoin, failJoinPayment } = require('./teamInvites');
+const { logger } = require('./logger');
+const { paymentsVerified, paymentsFailed } = require('./metrics');
+
+const DEFAULT_STALE_MINUTES = 30;
+const DEFAULT_TTL_MINUTES = 24 * 60;
+const DEFAULT_LIMIT = 100;
+
+// Solo and team-join checkouts: what the job needs to complete or release each kind
+const CHECKOUTS = [
+	{ table: 'solo_registrations', idKey: 'soloId', complete: completeSoloPayment, completed: 'paid', release: failSoloPayment },
+	{ table: 'team_join_requests', idKey: 'joinId', complete: completeJoin, completed: 'completed', release: failJoinPayment },
+];
+
+function minutesAgo(minutes) {
+	return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+// An unset or empty variable is undefined, so the default applies; anything else is
+// left for checkOption to validate (0 is a valid value)
+function envNumber(value) {
+	return value === undefined || value === '' ? undefined : Number(value);
+}
+
+function reconcileOptionsFromEnv(env = process.env) {
+	return {
+		staleMinutes: envNumber(env.RECONCILE_STALE_MINUTES) ?? DEFAULT_STALE_MINUTES,
+		ttlMinutes: envNumber(env.INITIATED_ORDER_TTL_MINUTES) ?? DEFAULT_TTL_MINUTES,
+		limit: envNumber(env.RECONCILE_BATCH_LIMIT) ?? DEFAULT_LIMIT,
+	};
+}
+
+function checkOption(name, value) {
+	if (!Number.isInteger(value) || value < 0) {
+		throw new Error(`${name} must be a non-negative integer, got ${value}`);
+	}
+	return value;
+}
+
+async function updateTeam(teamId, fromStatus, changes) {
+	const { data, error } = await supabaseAdmin
+		.from('teams')
+		.update({ ...changes, reconciled_at: new Date().toISOString() })
+		.eq('id', teamId)
+		.eq('payment_status', fromStatus)
+		.select('id');
+
+	if (error) throw error;
+	return data && data.length > 0;
+}
+
+// Decide and apply the outcome for a single stale team
+async function reconcileTeam(team, { ttlCutoff, dryRun }) {
+	const entry = {
+		teamId: team.id,
+		teamName: team.team_name,
+		orderId: team.razorpay_order_id,
+		from: team.payment_status,
+	};
+
+	const { items: payments = [] } = await getRazorpay().orders.fetchPayments(team.razorpay_order_id);
+	const captured = payments.find(p => p.status === 'captured');
+	const expired = new Date(team.payment_initiated_at || team.created_at) < ttlCutoff;
+	// The bank approved it but Razorpay hasn't captured it yet: the money may still arrive
+	const authorized = payments.some(p => p.status === 'authorized');
+
+	if (captured) {
+		if (team.amount_in_paise && captured.amount !== team.amount_in_paise) {
+			return { ...entry, action: 'skipped', reason: `Captured amount ${captured.amount} does not match ${team.amount_in_paise}` };
+		}
+		if (dryRun) return { ...entry, action: 'complete', paymentId: captured.id };
+
+		const outcome = await completeTeamPayment(team, captured.id);
+		if (outcome.status === 'completed') paymentsVerified.inc({ source: 'reconciliation' });
+		return {
+			...entry,
+			action: outcome.status === 'completed' ? 'completed' : outcome.status,
+			paymentId: captured.id,
+			reason: outcome.message,
+		};
+	}
+
+	if (authorized) return { ...entry, action: 'unchanged', reason: 'Payment authorized, not captured yet' };
+
+	if (expired) {
+		if (dryRun) return { ...entry, action: 'expire' };
+		const changed = await updateTeam(team.id, team.payment_status, {
+			payment_status: 'Failed',
+			expired_at: new Date().toISOString(),
+		});
+		// The checkout never completed, so its coupon redemption goes back to the pool
+		if (changed && team.coupon_code) await releaseCoupon(team.coupon_code);
+		if (changed) paymentsFailed.inc({ source: 'expired' });
+		return { ...entry, action: changed ? 'expired' : 'unchanged', to: changed ? 'Failed' : undefined };
+	}
+
+	const allFailed = payments.length > 0 && payments.every(p => p.status === 'failed');
+	if (allFailed && team.payment_status === 'Initiated') {
+		if (dryRun) return { ...entry, action: 'fail' };
+		const changed = await updateTeam(team.id, 'Initiated', { payment_status: 'Failed' });
+		if (changed) paymentsFailed.inc({ source: 'reconciliation' });
+		return { ...entry, action: changed ? 'failed' : 'unchanged', to: changed ? 'Failed' : undefined };
+	}
+
+	return { ...entry, action: 'unchanged', reason: payments.length ? 'Payment still pending' : 'No payment attempts yet' };
+}
+
+// Decide and apply the outcome for a single stale solo or join checkout. Expiring one
+// releases its email claim (and a join's invite use) so the person can register again.
+async function reconcileCheckout(kind, row, { ttlCutoff, dryRun }) {
+	const entry = { [kind.idKey]: row.id, orderId: row.razorpay_order_id, from: row.status };
+
+	const { items: payments = [] } = await getRazorpay().orders.fetchPayments(row.razorpay_order_id);
+	const captured = payments.find(p => p.status === 'captured');
+
+	if (captured) {
+		if (row.amount_in_paise && captured.amount !== row.amount_in_paise) {
+			return { ...entry, action: 'skipped', reason: `Captured amount ${captured.amount} does not match ${row.amount_in_paise}` };
+		}
+		if (dryRun) return { ...entry, action: 'complete', paymentId: captured.id };
+
+		const outcome = await kind.complete(row, captured.id);
+		if (outcome.status === kind.completed) paymentsVerified.inc({ source: 'reconciliation' });
+		return {
+			...entry,
+			action: outcome.status === kind.completed ? 'completed' : outcome.status,
+			paymentId: captured.id,
+			reason: outcome.message,
+		};
+	}
+
+	if (payments.some(p => p.status === 'authorized')) {
+		return { ...entry, action: 'unchanged', reason: 'Payment authorized, not captured yet' };
+	}
+
+	if (new Date(row.created_at) < ttlCutoff) {
+		if (dryRun) return { ...entry, action: 'expire' };
+		const changed = await kind.release(row);
+		if (changed) paymentsFailed.inc({ source: 'expired' });
+		return { ...entry, action: changed ? 'expired' : 'unchanged', to: changed ? 'Failed' : undefined };
+	}
+
+	return { ...entry, action: 'unchanged', reason: payments.length ? 'Payment still pending' : 'No payment attempts yet' };
+}
+
+// Check one 'Initiated' team's order in Razorpay right away, for a client polling its
+// status. A captured payment is finalized under the rules verify-payment applies: the
+// amount must match and the members come from the roster stored at registration (teams
+// registered before rosters were stored are left for verify-payment, which gets the
+// roster from the client). Unpaid orders are not expired here; that stays with the job.
+// Resolves to { action, paymentId?, reason? } like the entries of a reconcile report.
+async function refreshTeamPayment(team) {
+	if (team.payment_status !== 'Initiated' || !team.razorpay_order_id) {
+		return { action: 'unchanged' };
+	}
+
+	const { items: payments = [] } = await getRazorpay().orders.fetchPayments(team.razorpay_order_id);
+	const captured = payments.find(p => p.status === 'captured');
+
+	if (captured) {
+		if (team.amount_in_paise && captured.amount !== team.amount_in_paise) {
+			logger.warn('Captured amount does not match the team', {
+				teamId: team.id,
+				expected: team.amount_in_paise,
+				received: captured.amount,
+			});
+			return { action: 'skipped', reason: 'Amount mismatch' };
+		}
+		if (!Array.isArray(team.pending_members) || team.pending_members.length === 0) {
+			return { action: 'skipped', reason: 'Roster not stored' };
+		}
+
+		const outcome = await completeTeamPayment(team, captured.id, team.pending_members);
+		if (outcome.status === 'member_conflict') {
+			logger.error('Status check members insert conflict', { teamId: team.id, detail: outcome.message });
+		}
+		if (outcome.status === 'completed') paymentsVerified.inc({ source: 'status_check' });
+		return {
+			action: outcome.status === 'completed' ? 'completed' : outcome.status,
+			paymentId: captured.id,
+			reason: outcome.message,
+		};
+	}
+
+	const allFailed = payments.length > 0 && payments.every(p => p.status === 'failed');
+	if (allFailed) {
+		const changed = await updateTeam(team.id, 'Initiated', { payment_status: 'Failed' });
+		if (changed) paymentsFailed.inc({ source: 'status_check' });
+		return { action: changed ? 'failed' : 'unchanged' };
+	}
+
+	return { action: 'unchanged', reason: payments.length ? 'Payment still pending' : 'No payment attempts yet' };
+}
+
+// Reconcile up to `limit` teams whose checkout started more than `staleMinutes` ago,
+// and up to `limit` each of unreleased solo and join checkouts. Unpaid teams older
+// than `ttlMinutes` are expired, which frees their team name; unpaid solos and joins
+// that old are released. Returns a report of every checkout looked at.
+async function reconcileStaleOrders(options = {}) {
+	const defaults = reconcileOptionsFromEnv();
+	const staleMinutes = checkOption('staleMinutes', options.staleMinutes ?? defaults.staleMinutes);
+	const ttlMinutes = checkOption('ttlMinutes', options.ttlMinutes ?? defaults.ttlMinutes);
+	const limit = checkOption('limit', options.limit ?? defaults.limit);
+	const dryRun = options.dryRun === true;
+
+	if (!getRazorpay()) {
+		throw new Error('Razorpay not initialized. Check server environment variables.');
+	}
+
+	const { data: teams, error } = await supabaseAdmin
+		.from('teams')
+		.select('*')
+		.in('payment_status', ['Initiated', 'Failed'])
+		.is('expired_at', null)
+		.not('razorpay_order_id', 'is', null)
+		.lt('payment_initiated_at', minutesAgo(staleMinutes))
+		.order('payment_initiated_at', { ascending: true })
+		.limit(limit);
+
+	if (error) throw error;
+
+	const ttlCutoff = new Date(minutesAgo(ttlMinutes));
+	const results = [];
+	for (const team of teams) {
+		try {
+			results.push(await reconcileTeam(team, { ttlCutoff, dryRun }));
+		} catch (teamError) {
+			results.push({
+				teamId: team.id,
+				orderId: team.razorpay_order_id,
+				from: team.payment_status,
+				action: 'error',
+				reason: teamError.message || (teamError.error && teamError.error.description),
+			});
+		}
+	}
+
+	for (const kind of CHECKOUTS) {
+		const { data: rows, error: rowsError } = await supabaseAdmin
+			.from(kind.table)
+			.select('*')
+			.in('status', ['Initiated', 'Failed'])
+			.is('released_at', null)
+			.not('razorpay_order_id', 'is', null)
+			.lt('created_at', minutesAgo(staleMinutes))
+			.order('created_at', { ascending: true })
+			.limit(limit);
+
+		if (rowsError) throw rowsError;
+
+		for (const row of rows) {
+			try {
+				results.push(await reconcileCheckout(kind, row, { ttlCutoff, dryRun }));
+			} catch (rowError) {
+				results.push({
+					[kind.idKey]: row.id,
+					orderId: row.razorpay_order_id,
+					from: row.status,
+					action: 'error',
+					reason: rowError.message || (rowError.error && rowError.error.description),
+				});
+			}
+		}
+	}
+
+	const summary = results.reduce((counts, r) => {
+		counts[r.action] = (counts[r.action] || 0) + 1;
+		return counts;
+	}, {});
+
+	return {
+		startedAt: new Date().toISOString(),
+		dryRun,
+		staleMinutes,
+		ttlMinutes,
+		checked: results.length,
+		summary,
+		results,
+	};
+}
+
+// Runs reconcileStaleOrders every `intervalMinutes`, logging each report. Returns the timer.
+function startReconciliationInterval(intervalMinutes) {
+	let running = false;
+	const timer = setInterval(async () => {
+		if (running) return;
+		running = true;
+		try {
+			const report = await reconcileStaleOrders();
+			if (report.checked > 0) logger.info('Order reconciliation report', report);
+		} catch (error) {
+			logger.error('Order reconciliation failed', { err: error });
+		} finally {
+			running = false;
+		}
+	}, intervalMinutes * 60 * 1000);
+
+	timer.unref();
+	return timer;
+}
+
+module.exports = { reconcileStaleOrders, refreshTeamPayment, startReconciliationInterval };
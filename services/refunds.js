@@ -0,0 +1,173 @@
+// Organizer-initiated refunds through Razorpay
+const { supabaseAdmin } = require('./database');
+const { getRazorpay } = require('../config/razorpay');
+const { logger } = require('./logger');
+
+function refundSummary(team) {
+	return {
+		teamId: team.id,
+		paymentStatus: team.payment_status,
+		refundId: team.razorpay_refund_id,
+		amountInPaise: team.refund_amount_in_paise,
+		reason: team.refund_reason,
+		refundedAt: team.refunded_at,
+		membersReleasedAt: team.members_released_at,
+	};
+}
+
+async function findTeam(teamId) {
+	const { data: team, error } = await supabaseAdmin
+		.from('teams')
+		.select('*')
+		.eq('id', teamId)
+		.maybeSingle();
+
+	if (error) throw error;
+	return team;
+}
+
+// Deletes the team's registrations so those emails and roll numbers can register again.
+// The roster is still kept on teams.pending_members for the record.
+async function releaseMembers(teamId) {
+	const { error: deleteError } = await supabaseAdmin
+		.from('registrations')
+		.delete()
+		.eq('team_id', teamId);
+	if (deleteError) throw deleteError;
+
+	const { data: team, error: updateError } = await supabaseAdmin
+		.from('teams')
+		.update({ members_released_at: new Date().toISOString() })
+		.eq('id', teamId)
+		.select('*')
+		.single();
+	if (updateError) throw updateError;
+	return team;
+}
+
+// Record a processed refund on a Completed team, whether it was issued by refundTeam()
+// or reported by the refund.processed webhook. `amountInPaise` is this refund's amount.
+// Refunds add up: once they cover everything paid the team becomes 'Refunded', and
+// until then it stays Completed and registered. Each refund id is counted once
+// (teams.refund_ids), so redelivered or out-of-order webhooks can't add a refund twice.
+// Resolves to the updated row, or null when the refund was already recorded, the team
+// is no longer Completed, or another refund was recorded since `team` was read.
+async function recordRefund(team, { refundId, amountInPaise, reason }) {
+	const refundIds = team.refund_ids || [];
+	if (refundIds.includes(refundId)) return null;
+
+	const earlier = team.refund_status === 'Processed' ? team.refund_amount_in_paise || 0 : 0;
+	const total = earlier + amountInPaise;
+	const full = !team.amount_in_paise || total >= team.amount_in_paise;
+	const values = {
+		refund_status: 'Processed',
+		razorpay_refund_id: refundId,
+		refund_ids: [...refundIds, refundId],
+		refund_amount_in_paise: total,
+		refunded_at: new Date().toISOString(),
+	};
+	if (full) values.payment_status = 'Refunded';
+	if (reason !== undefined) values.refund_reason = reason;
+
+	let update = supabaseAdmin
+		.from('teams')
+		.update(values)
+		.eq('id', team.id)
+		.eq('payment_status', 'Completed');
+	update = team.refund_amount_in_paise === null || team.refund_amount_in_paise === undefined
+		? update.is('refund_amount_in_paise', null)
+		: update.eq('refund_amount_in_paise', team.refund_amount_in_paise);
+
+	const { data, error } = await update.select('*').maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+// Refund a Completed team, fully or partially (see recordRefund() for what each does).
+// A team is refunded once: repeating the call returns the recorded refund without
+// contacting Razorpay again (and still releases members of a fully refunded team if
+// asked). Resolves to one of:
+//   { status: 'refunded', refund }       - refund issued now
+//   { status: 'already_refunded', refund }
+//   { status: 'in_progress' }            - another refund request holds the team
+//   { status: 'not_refundable', paymentStatus }
+//   { status: 'invalid_amount', maxAmountInPaise }
+//   { status: 'release_needs_full_refund' } - releaseMembers with a partial refund
+//   { status: 'not_found' }
+async function refundTeam(teamId, { amountInPaise, reason, releaseMembers: release = false }) {
+	const team = await findTeam(teamId);
+	if (!team) return { status: 'not_found' };
+
+	if (team.payment_status === 'Refunded') {
+		const current = release && !team.members_released_at ? await releaseMembers(team.id) : team;
+		return { status: 'already_refunded', refund: refundSummary(current) };
+	}
+
+	if (team.payment_status !== 'Completed' || !team.razorpay_payment_id) {
+		return { status: 'not_refundable', paymentStatus: team.payment_status };
+	}
+
+	// Partially refunded: the team stays registered, so its members can't be released
+	if (team.refund_status === 'Processed') {
+		return release ? { status: 'release_needs_full_refund' } : { status: 'already_refunded', refund: refundSummary(team) };
+	}
+
+	const amount = amountInPaise === undefined ? team.amount_in_paise : amountInPaise;
+	if (!Number.isInteger(amount) || amount <= 0 || (team.amount_in_paise && amount > team.amount_in_paise)) {
+		return { status: 'invalid_amount', maxAmountInPaise: team.amount_in_paise };
+	}
+	if (release && team.amount_in_paise && amount < team.amount_in_paise) {
+		return { status: 'release_needs_full_refund' };
+	}
+
+	const razorpayInstance = getRazorpay();
+	if (!razorpayInstance) {
+		throw new Error('Razorpay not initialized. Check server environment variables.');
+	}
+
+	// Claim the team so a concurrent request can't issue a second refund
+	const { data: claimed, error: claimError } = await supabaseAdmin
+		.from('teams')
+		.update({ refund_status: 'Processing', refund_requested_at: new Date().toISOString() })
+		.eq('id', team.id)
+		.eq('payment_status', 'Completed')
+		.is('refund_status', null)
+		.select('id');
+
+	if (claimError) throw claimError;
+	if (!claimed || claimed.length === 0) return { status: 'in_progress' };
+
+	let refund;
+	try {
+		refund = await razorpayInstance.payments.refund(team.razorpay_payment_id, {
+			amount,
+			notes: { team_id: String(team.id), reason },
+		});
+	} catch (razorpayError) {
+		// Nothing was refunded; release the claim so the request can be retried
+		await supabaseAdmin.from('teams').update({ refund_status: null }).eq('id', team.id);
+		throw razorpayError;
+	}
+
+	let refunded;
+	try {
+		refunded = await recordRefund(team, { refundId: refund.id, amountInPaise: refund.amount ?? amount, reason });
+	} catch (updateError) {
+		// refund_status stays 'Processing' until the refund.processed webhook records the
+		// refund (routes/razorpayRoute.js); the reason travels in the refund's notes
+		logger.error('Refund issued but not recorded; waiting for the refund.processed webhook', {
+			teamId: team.id,
+			refundId: refund.id,
+			err: updateError,
+		});
+		throw updateError;
+	}
+
+	// Null when the refund.processed webhook recorded this refund first
+	const recorded = refunded || await findTeam(team.id);
+	const current = release ? await releaseMembers(team.id) : recorded;
+	return { status: 'refunded', refund: refundSummary(current) };
+}
+
+module.exports = { refundTeam, recordRefund };
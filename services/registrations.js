@@ -0,0 +1,45 @@
+// Creating Initiated teams without racing other registrations (see
+// migrations/012_registration_claims.up.sql), and changing a team's Team Lead
+const { supabaseAdmin } = require('./database');
+
+// Emails (lower-cased) already claimed by a registered or in-flight team
+async function findTakenEmails(emails) {
+	const { data, error } = await supabaseAdmin
+		.from('registration_email_claims')
+		.select('email')
+		.in('email', emails.map(email => email.toLowerCase()));
+
+	if (error) throw error;
+	return data.map(row => row.email);
+}
+
+// Insert the team and claim its members' emails in one transaction through the
+// create_pending_team SQL function, which also holds the domain to `maxTeams` teams
+// (null for no limit; see migrations/017_domain_capacity_lock.up.sql). `team` is the
+// teams row to insert, with the roster in pending_members. Resolves to one of:
+//   { status: 'created', team }
+//   { status: 'domain_full' }
+//   { status: 'team_name_taken' }
+//   { status: 'emails_taken', emails }
+async function createPendingTeam(team, { maxTeams = null } = {}) {
+	const { data, error } = await supabaseAdmin.rpc('create_pending_team', { p_team: team, p_max_teams: maxTeams });
+	if (error) throw error;
+	return data;
+}
+
+// Make registration `registrationId` the Team Lead of team `teamId` through the
+// promote_team_lead SQL function; the previous lead becomes a Member. Resolves to one of:
+//   { status: 'promoted', previousLeadId }
+//   { status: 'already_lead' }
+//   { status: 'member_not_found' }
+//   { status: 'not_found' }
+async function promoteTeamLead(teamId, registrationId) {
+	const { data, error } = await supabaseAdmin.rpc('promote_team_lead', {
+		p_team_id: teamId,
+		p_registration_id: registrationId,
+	});
+	if (error) throw error;
+	return data.status === 'promoted' ? { status: 'promoted', previousLeadId: data.previous_lead_id } : data;
+}
+
+module.exports = { findTakenEmails, createPendingTeam, promoteTeamLead };
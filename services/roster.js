@@ -0,0 +1,36 @@
+// Helpers for the pending roster stored on teams.pending_members
+
+const ROSTER_FIELDS = ['name', 'email', 'phone', 'college', 'role', 'roll_number'];
+
+function clean(value) {
+	return typeof value === 'string' ? value.trim() : value;
+}
+
+// Normalize a member from a request body (camelCase or snake_case roll number)
+// into the shape stored in the roster and inserted into registrations.
+function toRosterMember(member) {
+	return {
+		name: clean(member.name),
+		email: clean(member.email),
+		phone: clean(member.phone),
+		college: clean(member.college),
+		role: member.role,
+		roll_number: clean(member.rollNumber || member.roll_number),
+	};
+}
+
+function rosterKey(member) {
+	return ROSTER_FIELDS.map(field => String(member[field] ?? '').toLowerCase()).join('|');
+}
+
+// True when both rosters contain the same people with the same details, in any order
+function rostersMatch(stored, submitted) {
+	if (!Array.isArray(stored) || !Array.isArray(submitted)) return false;
+	if (stored.length !== submitted.length) return false;
+
+	const storedKeys = stored.map(m => rosterKey(toRosterMember(m))).sort();
+	const submittedKeys = submitted.map(m => rosterKey(toRosterMember(m))).sort();
+	return storedKeys.every((key, i) => key === submittedKeys[i]);
+}
+
+module.exports = { toRosterMember, rostersMatch };
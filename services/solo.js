@@ -0,0 +1,294 @@
+// Solo participants looking for a team, and the teams organizers form from them
+// (migrations/015_solo_registration.up.sql).
+//
+// A solo either pays their own share upfront or only reserves a spot. A team formed
+// from the pool is charged its full price less what its members already paid; when
+// nothing is left to pay it is completed straight away.
+const { supabaseAdmin } = require('./database');
+const { getRazorpay } = require('../config/razorpay');
+const { eventConfig, getDomainConfig } = require('../config/event');
+const { quoteRegistration } = require('./discounts');
+const { getDomainAvailability } = require('./capacity');
+const { completeTeamPayment } = require('./payments');
+const { toRosterMember } = require('./roster');
+
+const MATCHABLE_STATUSES = ['Paid', 'Reserved'];
+// Razorpay rejects orders below ₹1
+const MIN_ORDER_AMOUNT_IN_PAISE = 100;
+
+function soloSummary(solo) {
+	return {
+		soloId: solo.id,
+		name: solo.name,
+		email: solo.email,
+		college: solo.college,
+		domain: solo.domain,
+		skills: solo.skills,
+		status: solo.status,
+		amountPaidInPaise: solo.paid_at ? solo.amount_in_paise : 0,
+		teamId: solo.team_id,
+		createdAt: solo.created_at,
+	};
+}
+
+// Add a participant to the pool. `person` is a validated schemas/registration.js solo
+// body. Paying is only possible for domains priced per member; a flat team price
+// can't be split before the team exists. Resolves to one of:
+//   { status: 'created', solo, order }  - order is null for a reservation
+//   { status: 'email_taken' }
+//   { status: 'pay_unavailable' }       - the domain is priced per team
+//   { status: 'gateway_unavailable' }   - Razorpay is not configured
+async function registerSolo(person) {
+	const domainConfig = getDomainConfig(person.domain);
+	let quote = null;
+	let order = null;
+
+	if (person.mode === 'pay') {
+		if (domainConfig.pricing.type !== 'per_member') return { status: 'pay_unavailable' };
+		({ quote } = await quoteRegistration({ domainConfig, memberCount: 1, college: person.college }));
+	}
+
+	if (quote && quote.amountInPaise > 0) {
+		if (!getRazorpay()) return { status: 'gateway_unavailable' };
+		order = await getRazorpay().orders.create({
+			amount: quote.amountInPaise,
+			currency: eventConfig.currency,
+			receipt: `solo_${Date.now()}`,
+			notes: { domain: person.domain, email: person.email },
+			payment_capture: 1,
+		});
+	}
+
+	const roster = toRosterMember(person);
+	const { data, error } = await supabaseAdmin.rpc('create_solo_registration', {
+		p_solo: {
+			name: roster.name,
+			email: roster.email,
+			phone: roster.phone,
+			college: roster.college,
+			roll_number: roster.roll_number,
+			domain: person.domain,
+			skills: person.skills,
+			// A free share (e.g. an early-bird discount of 100%) counts as paid
+			status: order ? 'Initiated' : quote ? 'Paid' : 'Reserved',
+			amount_in_paise: quote ? quote.amountInPaise : 0,
+			razorpay_order_id: order ? order.id : null,
+		},
+	});
+
+	if (error) throw error;
+	if (data.status !== 'created') return data;
+	return { status: 'created', solo: data.solo, order, quote };
+}
+
+async function findSolo(column, value) {
+	const { data, error } = await supabaseAdmin
+		.from('solo_registrations')
+		.select('*')
+		.eq(column, value)
+		.maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+function findSoloById(soloId) {
+	return findSolo('id', soloId);
+}
+
+function findSoloByOrderId(orderId) {
+	return orderId ? findSolo('razorpay_order_id', orderId) : null;
+}
+
+// Record a captured payment for a solo through the complete_solo_payment SQL function,
+// which claims the email again if the checkout was released. Resolves to
+// { status: 'paid' | 'already_paid' | 'invalid_status' | 'email_taken' | 'not_found' }.
+async function completeSoloPayment(solo, paymentId) {
+	const { data, error } = await supabaseAdmin.rpc('complete_solo_payment', {
+		p_solo_id: solo.id,
+		p_payment_id: paymentId,
+	});
+
+	if (error) throw error;
+	return { status: data.status };
+}
+
+// Mark a solo's checkout Failed and give its email back (release_solo_checkout).
+// Razorpay still accepts a retry on the same order; completeSoloPayment claims the
+// email again then. Resolves to true when the checkout was released.
+async function failSoloPayment(solo) {
+	const { data, error } = await supabaseAdmin.rpc('release_solo_checkout', { p_solo_id: solo.id });
+
+	if (error) throw error;
+	return data.status === 'released';
+}
+
+async function listSolos({ domain, status } = {}) {
+	let query = supabaseAdmin
+		.from('solo_registrations')
+		.select('*')
+		.order('created_at', { ascending: true });
+	if (domain) query = query.eq('domain', domain);
+	if (status) query = query.eq('status', status);
+
+	const { data, error } = await query;
+	if (error) throw error;
+	return data.map(soloSummary);
+}
+
+// Proposed teams for a domain's pool: as many teams as the size limits allow, the
+// longest-waiting participants first, with people who share a main skill spread
+// across teams. Nothing is changed; organizers confirm a team with formTeam().
+// Resolves to { teams: [{ soloIds, suggestedLeadId }], unmatched: [soloIds] }.
+async function suggestTeams(domain) {
+	const { minTeamSize, maxTeamSize } = getDomainConfig(domain);
+	const { data: pool, error } = await supabaseAdmin
+		.from('solo_registrations')
+		.select('*')
+		.eq('domain', domain)
+		.in('status', MATCHABLE_STATUSES)
+		.order('created_at', { ascending: true });
+
+	if (error) throw error;
+
+	const teamCount = Math.min(Math.ceil(pool.length / maxTeamSize), Math.floor(pool.length / minTeamSize));
+	const placed = pool.slice(0, Math.min(pool.length, teamCount * maxTeamSize));
+	const teams = Array.from({ length: teamCount }, () => []);
+
+	const mainSkill = solo => String((solo.skills && solo.skills[0]) || '').toLowerCase();
+	[...placed]
+		.sort((a, b) => mainSkill(a).localeCompare(mainSkill(b)))
+		.forEach((solo, index) => teams[index % teamCount].push(solo));
+
+	return {
+		teams: teams.map(members => {
+			const byAge = [...members].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+			return { soloIds: byAge.map(solo => solo.id), suggestedLeadId: byAge[0].id };
+		}),
+		unmatched: pool.slice(placed.length).map(solo => solo.id),
+	};
+}
+
+// Undo form_solo_team for a team that didn't complete, putting `solos` (as they were
+// before the team was formed) back in the pool
+async function dissolveTeam(team, solos) {
+	const { error } = await supabaseAdmin.rpc('dissolve_solo_team', {
+		p_team_id: team.id,
+		p_solos: solos.map(solo => ({ id: solo.id, status: solo.status })),
+	});
+
+	if (error) throw error;
+}
+
+// Form a team from solo registrations, with `leadId` as its Team Lead. Resolves to one of:
+//   { status: 'created', team, order, quote, prepaidInPaise } - order is null when
+//                                         nothing is left to pay and the team is Completed
+//   { status: 'invalid_size', minTeamSize, maxTeamSize }
+//   { status: 'unavailable', soloIds }  - not in the pool (any more) or another domain
+//   { status: 'domain_full' }
+//   { status: 'team_name_taken' }
+//   { status: 'gateway_unavailable' }    - there is something to pay but Razorpay is not configured
+//   { status: 'member_conflict', team, message } - completing a team with nothing to pay
+//                                         failed on a unique constraint (recorded on
+//                                         teams.finalization_error); the team is expired
+//                                         and its solos are back in the pool
+async function formTeam({ domain, teamName, soloIds, leadId }) {
+	const domainConfig = getDomainConfig(domain);
+	const { minTeamSize, maxTeamSize } = domainConfig;
+	if (soloIds.length < minTeamSize || soloIds.length > maxTeamSize) {
+		return { status: 'invalid_size', minTeamSize, maxTeamSize };
+	}
+
+	const { data: solos, error } = await supabaseAdmin
+		.from('solo_registrations')
+		.select('*')
+		.in('id', soloIds);
+
+	if (error) throw error;
+
+	const unavailable = soloIds.filter(id => !solos.some(solo => (
+		solo.id === id && solo.domain === domain && MATCHABLE_STATUSES.includes(solo.status)
+	)));
+	if (unavailable.length > 0) return { status: 'unavailable', soloIds: unavailable };
+
+	// form_solo_team checks again under a lock, in case the last seat goes meanwhile
+	if ((await getDomainAvailability(domain)).full) return { status: 'domain_full' };
+
+	// Team Lead first, then everyone else in the order given
+	const ordered = soloIds.map(id => solos.find(solo => solo.id === id));
+	ordered.sort((a, b) => (b.id === leadId) - (a.id === leadId));
+	const members = ordered.map(solo => toRosterMember({
+		...solo,
+		role: solo.id === leadId ? 'Team Lead' : 'Member',
+	}));
+
+	const { quote } = await quoteRegistration({
+		domainConfig,
+		memberCount: members.length,
+		college: ordered[0].college,
+	});
+	const prepaidInPaise = ordered
+		.filter(solo => solo.status === 'Paid')
+		.reduce((sum, solo) => sum + solo.amount_in_paise, 0);
+	let amountInPaise = Math.max(quote.amountInPaise - prepaidInPaise, 0);
+	if (amountInPaise > 0 && amountInPaise < MIN_ORDER_AMOUNT_IN_PAISE) amountInPaise = MIN_ORDER_AMOUNT_IN_PAISE;
+
+	if (amountInPaise > 0 && !getRazorpay()) return { status: 'gateway_unavailable' };
+	const order = amountInPaise > 0
+		? await getRazorpay().orders.create({
+			amount: amountInPaise,
+			currency: eventConfig.currency,
+			receipt: `team_${teamName}_${Date.now()}`,
+			notes: { teamName, formedFromSolos: 'true' },
+			payment_capture: 1,
+		})
+		: null;
+
+	const { data: formed, error: formError } = await supabaseAdmin.rpc('form_solo_team', {
+		p_team: {
+			team_name: teamName,
+			domain,
+			team_size: members.length,
+			razorpay_order_id: order ? order.id : null,
+			amount_in_paise: amountInPaise,
+			original_amount_in_paise: quote.originalAmountInPaise,
+			discount_in_paise: quote.discountInPaise,
+			discounts: quote.discounts,
+			prepaid_in_paise: prepaidInPaise,
+			pending_members: members,
+		},
+		p_solo_ids: soloIds,
+		p_max_teams: domainConfig.maxTeams,
+	});
+
+	if (formError) throw formError;
+	if (formed.status === 'unavailable') return { status: 'unavailable', soloIds: formed.solo_ids };
+	if (formed.status !== 'created') return formed;
+
+	let team = formed.team;
+	if (!order) {
+		// Nothing was charged, so a team that can't complete is undone rather than left holding its solos
+		const outcome = await completeTeamPayment(team, null).catch(async completeError => {
+			await dissolveTeam(team, ordered);
+			throw completeError;
+		});
+		if (outcome.status !== 'completed') {
+			await dissolveTeam(team, ordered);
+			return { status: 'member_conflict', team, message: outcome.message };
+		}
+		team = { ...team, payment_status: 'Completed' };
+	}
+
+	return { status: 'created', team, order, quote, prepaidInPaise };
+}
+
+module.exports = {
+	registerSolo,
+	findSoloById,
+	findSoloByOrderId,
+	completeSoloPayment,
+	failSoloPayment,
+	listSolos,
+	suggestTeams,
+	formTeam,
+};
@@ -0,0 +1,218 @@
+// Dashboard metrics for organizers (GET /admin/stats), computed from `teams`,
+// `registrations` and `team_join_requests`. Results are cached for STATS_CACHE_SECONDS so a dashboard that
+// refreshes often (or many open dashboards) doesn't re-read every team each time.
+const { supabaseAdmin } = require('./database');
+const { getDomainNames } = require('../config/event');
+const { PAYMENT_STATUSES } = require('./teamFilters');
+
+const BATCH_SIZE = 1000;
+const ID_CHUNK_SIZE = 200;
+const CACHE_SECONDS = parseInt(process.env.STATS_CACHE_SECONDS || 30, 10);
+// Day boundaries for registrationsPerDay
+const TIMEZONE = process.env.STATS_TIMEZONE || 'Asia/Kolkata';
+
+const TEAM_COLUMNS = 'id, domain, payment_status, team_size, amount_in_paise, discount_in_paise, refund_amount_in_paise, prepaid_in_paise, created_at, expired_at';
+
+// Statuses of teams that paid (a refunded team paid before it was refunded)
+const PAID_STATUSES = ['Completed', 'Refunded'];
+
+const cache = new Map();
+
+async function fetchTeams({ from, to }) {
+	const teams = [];
+	for (let offset = 0; ; offset += BATCH_SIZE) {
+		let query = supabaseAdmin.from('teams').select(TEAM_COLUMNS);
+		if (from) query = query.gte('created_at', from);
+		if (to) query = query.lte('created_at', to);
+
+		const { data, error } = await query
+			.order('id', { ascending: true })
+			.range(offset, offset + BATCH_SIZE - 1);
+
+		if (error) throw error;
+		teams.push(...data);
+		if (data.length < BATCH_SIZE) return teams;
+	}
+}
+
+async function fetchColleges(teamIds) {
+	const rows = [];
+	for (let i = 0; i < teamIds.length; i += ID_CHUNK_SIZE) {
+		const { data, error } = await supabaseAdmin
+			.from('registrations')
+			.select('team_id, college')
+			.in('team_id', teamIds.slice(i, i + ID_CHUNK_SIZE));
+
+		if (error) throw error;
+		rows.push(...data);
+	}
+	return rows;
+}
+
+// Amounts paid by members who joined a team through an invite, keyed by team id
+async function fetchJoinPayments(teamIds) {
+	const byTeam = new Map();
+	for (let i = 0; i < teamIds.length; i += ID_CHUNK_SIZE) {
+		const { data, error } = await supabaseAdmin
+			.from('team_join_requests')
+			.select('team_id, amount_in_paise')
+			.eq('status', 'Completed')
+			.in('team_id', teamIds.slice(i, i + ID_CHUNK_SIZE));
+
+		if (error) throw error;
+		for (const join of data) {
+			byTeam.set(join.team_id, (byTeam.get(join.team_id) || 0) + (join.amount_in_paise || 0));
+		}
+	}
+	return byTeam;
+}
+
+function ratio(part, whole) {
+	return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null;
+}
+
+function dayOf(timestamp) {
+	return new Intl.DateTimeFormat('en-CA', { timeZone: TIMEZONE }).format(new Date(timestamp));
+}
+
+// A checkout was started once the team got past validation and capacity checks;
+// Pending rows predate payment orders and never started one.
+function startedCheckout(team) {
+	return team.payment_status !== 'Pending';
+}
+
+// Checkouts that ended without payment: failed or expired by reconciliation
+function abandonedCheckout(team) {
+	if (PAID_STATUSES.includes(team.payment_status)) return false;
+	return team.payment_status === 'Failed' || !!team.expired_at;
+}
+
+function topColleges(registrations, limit) {
+	const byCollege = new Map();
+	for (const { college, team_id: teamId } of registrations) {
+		const name = (college || '').trim();
+		if (!name) continue;
+		const key = name.toLowerCase();
+		const entry = byCollege.get(key) || { college: name, members: 0, teams: new Set() };
+		entry.members += 1;
+		entry.teams.add(teamId);
+		byCollege.set(key, entry);
+	}
+
+	return [...byCollege.values()]
+		.map(({ college, members, teams }) => ({ college, members, teams: teams.size }))
+		.sort((a, b) => b.members - a.members || b.teams - a.teams || a.college.localeCompare(b.college))
+		.slice(0, limit);
+}
+
+async function computeStats({ from, to, collegeLimit }) {
+	const teams = await fetchTeams({ from, to });
+	const paid = teams.filter(team => PAID_STATUSES.includes(team.payment_status));
+	const completed = teams.filter(team => team.payment_status === 'Completed');
+	const started = teams.filter(startedCheckout);
+	const abandoned = teams.filter(abandonedCheckout);
+
+	const byStatus = Object.fromEntries(PAYMENT_STATUSES.map(status => [status, 0]));
+	for (const team of teams) byStatus[team.payment_status] = (byStatus[team.payment_status] || 0) + 1;
+
+	const sum = (rows, column) => rows.reduce((total, row) => total + (row[column] || 0), 0);
+
+	// A team's revenue is its own checkout plus what its members paid as solos
+	// before being matched and what joiners paid to be added later
+	const joinPayments = await fetchJoinPayments(paid.map(team => team.id));
+	const collected = rows => rows.reduce((total, team) => (
+		total + (team.amount_in_paise || 0) + (team.prepaid_in_paise || 0) + (joinPayments.get(team.id) || 0)
+	), 0);
+
+	const domains = [...new Set([...getDomainNames(), ...teams.map(team => team.domain)])];
+	const byDomain = domains.map(domain => {
+		const inDomain = teams.filter(team => team.domain === domain);
+		const completedInDomain = inDomain.filter(team => team.payment_status === 'Completed');
+		return {
+			domain,
+			teams: inDomain.length,
+			completedTeams: completedInDomain.length,
+			members: sum(completedInDomain, 'team_size'),
+			revenueInPaise: collected(completedInDomain),
+		};
+	});
+
+	const days = new Map();
+	for (const team of teams) {
+		const date = dayOf(team.created_at);
+		const day = days.get(date) || { date, teams: 0, completedTeams: 0, members: 0 };
+		day.teams += 1;
+		if (team.payment_status === 'Completed') {
+			day.completedTeams += 1;
+			day.members += team.team_size || 0;
+		}
+		days.set(date, day);
+	}
+
+	const registrations = await fetchColleges(completed.map(team => team.id));
+	const collectedInPaise = collected(paid);
+	const refundedInPaise = sum(paid, 'refund_amount_in_paise');
+
+	return {
+		range: { from: from || null, to: to || null },
+		teams: {
+			total: teams.length,
+			byStatus,
+			completed: completed.length,
+			members: sum(completed, 'team_size'),
+			averageTeamSize: completed.length > 0
+				? Math.round((sum(completed, 'team_size') / completed.length) * 100) / 100
+				: null,
+		},
+		revenue: {
+			collectedInPaise,
+			refundedInPaise,
+			netInPaise: collectedInPaise - refundedInPaise,
+			discountsInPaise: sum(paid, 'discount_in_paise'),
+		},
+		checkouts: {
+			started: started.length,
+			paid: paid.length,
+			abandoned: abandoned.length,
+			inProgress: started.length - paid.length - abandoned.length,
+			conversionRate: ratio(paid.length, started.length),
+			abandonedRate: ratio(abandoned.length, started.length),
+		},
+		byDomain,
+		topColleges: topColleges(registrations, collegeLimit),
+		registrationsPerDay: [...days.values()].sort((a, b) => a.date.localeCompare(b.date)),
+		timezone: TIMEZONE,
+	};
+}
+
+// Stats for teams created between `from` and `to` (ISO strings, both optional).
+// Concurrent calls with the same options share one computation. Resolves to
+// { stats, generatedAt, cached }.
+async function getStats({ from, to, collegeLimit = 10 } = {}) {
+	const key = JSON.stringify([from || null, to || null, collegeLimit]);
+	const now = Date.now();
+
+	for (const [cachedKey, entry] of cache) {
+		if (entry.expiresAt <= now) cache.delete(cachedKey);
+	}
+
+	const hit = cache.get(key);
+	if (hit) {
+		const { stats, generatedAt } = await hit.promise;
+		return { stats, generatedAt, cached: true };
+	}
+
+	const promise = computeStats({ from, to, collegeLimit })
+		.then(stats => ({ stats, generatedAt: new Date().toISOString() }));
+	cache.set(key, { promise, expiresAt: now + CACHE_SECONDS * 1000 });
+	// Failures aren't cached
+	promise.catch(() => cache.delete(key));
+
+	return { ...(await promise), cached: false };
+}
+
+function clearStatsCache() {
+	cache.clear();
+}
+
+module.exports = { getStats, clearStatsCache };
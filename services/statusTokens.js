@@ -0,0 +1,40 @@
+// Short-lived tokens that let the browser that started a checkout poll its team's
+// payment status: `<teamId>.<expiresAt>.<hmac>`, with expiresAt in Unix seconds,
+// signed with STATUS_TOKEN_SECRET and returned by POST /registration.
+const crypto = require('crypto');
+const { isStrongSecret } = require('../config/secrets');
+
+const TOKEN_PATTERN = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]{43})$/;
+const TTL_MINUTES = parseInt(process.env.STATUS_TOKEN_TTL_MINUTES || 120, 10);
+
+function isStatusTokenConfigured() {
+	return isStrongSecret(process.env.STATUS_TOKEN_SECRET);
+}
+
+function sign(teamId, expiresAt) {
+	return crypto
+		.createHmac('sha256', process.env.STATUS_TOKEN_SECRET)
+		.update(`status:${teamId}:${expiresAt}`)
+		.digest('base64url');
+}
+
+// Null when STATUS_TOKEN_SECRET is not set; clients can still poll with the order id
+function createStatusToken(teamId) {
+	if (!isStatusTokenConfigured()) return null;
+	const expiresAt = Math.floor(Date.now() / 1000) + TTL_MINUTES * 60;
+	return `${teamId}.${expiresAt}.${sign(teamId, expiresAt)}`;
+}
+
+// True for an unexpired token correctly signed for this team
+function verifyStatusToken(token, teamId) {
+	if (!isStatusTokenConfigured()) return false;
+	const match = TOKEN_PATTERN.exec(String(token || ''));
+	if (!match || Number(match[1]) !== teamId) return false;
+	if (Number(match[2]) * 1000 <= Date.now()) return false;
+
+	const expected = Buffer.from(sign(teamId, match[2]));
+	const received = Buffer.from(match[3]);
+	return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { isStatusTokenConfigured, createStatusToken, verifyStatusToken };
@@ -0,0 +1,134 @@
+// Query-string filters shared by the admin listings and exports
+const { supabaseAdmin } = require('./database');
+const { getDomainNames } = require('../config/event');
+const PAYMENT_STATUSES = ['Pending', 'Initiated', 'Completed', 'Failed', 'Refunded'];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+function parseDate(value, name) {
+	if (value === undefined || value === '') return { value: undefined };
+	const date = new Date(value);
+	if (Number.isNaN(date.getTime())) return { error: `Invalid ${name} date` };
+	return { value: date.toISOString() };
+}
+
+// PostgREST `or=(...)` filters are comma/paren delimited, so strip those from user input
+function sanitizeSearch(value) {
+	if (typeof value !== 'string') return undefined;
+	const cleaned = value.replace(/[,()*%\\]/g, ' ').trim();
+	return cleaned.length > 0 ? cleaned : undefined;
+}
+
+// Parse ?domain=&paymentStatus=&college=&from=&to=&search= into a filters object.
+// Returns { filters } or { error } with a message suitable for a 400 response.
+function parseTeamFilters(query = {}) {
+	const filters = {};
+
+	if (query.domain) {
+		const domains = getDomainNames();
+		if (!domains.includes(query.domain)) {
+			return { error: `Invalid domain. Must be one of: ${domains.join(', ')}` };
+		}
+		filters.domain = query.domain;
+	}
+
+	if (query.paymentStatus) {
+		if (!PAYMENT_STATUSES.includes(query.paymentStatus)) {
+			return { error: `Invalid paymentStatus. Must be one of: ${PAYMENT_STATUSES.join(', ')}` };
+		}
+		filters.paymentStatus = query.paymentStatus;
+	}
+
+	const from = parseDate(query.from, 'from');
+	if (from.error) return { error: from.error };
+	const to = parseDate(query.to, 'to');
+	if (to.error) return { error: to.error };
+	filters.from = from.value;
+	filters.to = to.value;
+
+	filters.college = sanitizeSearch(query.college);
+	filters.search = sanitizeSearch(query.search);
+
+	return { filters };
+}
+
+// Parse ?page=&pageSize=&sort=&order= against an allow-list of sortable columns
+function parsePagination(query = {}, sortFields, defaultSort = 'created_at') {
+	const page = Math.max(parseInt(query.page, 10) || 1, 1);
+	const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+	const sort = query.sort || defaultSort;
+	if (!sortFields.includes(sort)) {
+		return { error: `Invalid sort. Must be one of: ${sortFields.join(', ')}` };
+	}
+
+	const order = (query.order || 'desc').toLowerCase();
+	if (!['asc', 'desc'].includes(order)) {
+		return { error: "Invalid order. Must be 'asc' or 'desc'" };
+	}
+
+	return {
+		pagination: {
+			page,
+			pageSize,
+			sort,
+			ascending: order === 'asc',
+			rangeFrom: (page - 1) * pageSize,
+			rangeTo: page * pageSize - 1,
+		},
+	};
+}
+
+// Team ids with at least one registered member matching `column ilike %term%` (any of columns)
+async function findTeamIdsByMembers(columns, term) {
+	const { data, error } = await supabaseAdmin
+		.from('registrations')
+		.select('team_id')
+		.or(columns.map(column => `${column}.ilike.%${term}%`).join(','));
+
+	if (error) throw error;
+	return [...new Set(data.map(r => r.team_id).filter(id => id !== null))];
+}
+
+// College and member searches live on `registrations`; resolve them to team ids up front.
+// Kept separate from applyTeamFilters because awaiting a Supabase builder runs the query.
+async function resolveMemberMatches(filters) {
+	const matches = {};
+	if (filters.college) {
+		matches.collegeTeamIds = await findTeamIdsByMembers(['college'], filters.college);
+	}
+	if (filters.search) {
+		matches.searchTeamIds = await findTeamIdsByMembers(['email', 'phone', 'roll_number'], filters.search);
+	}
+	return matches;
+}
+
+// Apply parsed filters to a query on `teams`, using the ids from resolveMemberMatches
+function applyTeamFilters(builder, filters, matches = {}) {
+	let query = builder;
+
+	if (filters.domain) query = query.eq('domain', filters.domain);
+	if (filters.paymentStatus) query = query.eq('payment_status', filters.paymentStatus);
+	if (filters.from) query = query.gte('created_at', filters.from);
+	if (filters.to) query = query.lte('created_at', filters.to);
+
+	if (filters.college) query = query.in('id', matches.collegeTeamIds || []);
+
+	if (filters.search) {
+		const conditions = [`team_name.ilike.%${filters.search}%`];
+		const ids = matches.searchTeamIds || [];
+		if (ids.length > 0) conditions.push(`id.in.(${ids.join(',')})`);
+		query = query.or(conditions.join(','));
+	}
+
+	return query;
+}
+
+module.exports = {
+	PAYMENT_STATUSES,
+	parseTeamFilters,
+	parsePagination,
+	resolveMemberMatches,
+	applyTeamFilters,
+};
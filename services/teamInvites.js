@@ -0,0 +1,216 @@
+// Invite codes that let a registered team add members
+// (migrations/015_solo_registration.up.sql). A joiner pays the difference between
+// the team's list price with and without them, through a Razorpay order of its own.
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./database');
+const { getRazorpay } = require('../config/razorpay');
+const { eventConfig, getDomainConfig, getRegistrationWindow, calculatePrice } = require('../config/event');
+const { toRosterMember } = require('./roster');
+const { notifyTeamRegistered } = require('./outbox');
+
+const INVITE_TTL_HOURS = parseInt(process.env.TEAM_INVITE_TTL_HOURS || 72, 10);
+// How long an unpaid join keeps a seat on the team
+const JOIN_HOLD_MINUTES = parseInt(process.env.TEAM_JOIN_HOLD_MINUTES || 30, 10);
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateCode() {
+	const chars = Array.from(crypto.randomBytes(8), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+	return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+function inviteSummary(invite) {
+	return {
+		inviteId: invite.id,
+		code: invite.code,
+		maxUses: invite.max_uses,
+		useCount: invite.use_count,
+		expiresAt: invite.expires_at,
+		revokedAt: invite.revoked_at,
+		createdBy: invite.created_by,
+		createdAt: invite.created_at,
+	};
+}
+
+// Create an invite for a Completed team with room left. Resolves to one of:
+//   { status: 'created', invite }
+//   { status: 'not_found' }
+//   { status: 'team_not_active', paymentStatus }
+//   { status: 'team_full' }
+async function createInvite(teamId, { createdBy, maxUses = 1, expiresInHours = INVITE_TTL_HOURS }) {
+	const { data: team, error: teamError } = await supabaseAdmin
+		.from('teams')
+		.select('id, domain, team_size, payment_status')
+		.eq('id', teamId)
+		.maybeSingle();
+
+	if (teamError) throw teamError;
+	if (!team) return { status: 'not_found' };
+	if (team.payment_status !== 'Completed') return { status: 'team_not_active', paymentStatus: team.payment_status };
+	if (team.team_size >= getDomainConfig(team.domain).maxTeamSize) return { status: 'team_full' };
+
+	const { data: invite, error } = await supabaseAdmin
+		.from('team_invites')
+		.insert([{
+			team_id: team.id,
+			code: generateCode(),
+			created_by: createdBy,
+			max_uses: maxUses,
+			expires_at: new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString(),
+		}])
+		.select()
+		.single();
+
+	if (error) throw error;
+	return { status: 'created', invite: inviteSummary(invite) };
+}
+
+async function listInvites(teamId) {
+	const { data, error } = await supabaseAdmin
+		.from('team_invites')
+		.select('*')
+		.eq('team_id', teamId)
+		.order('created_at', { ascending: false });
+
+	if (error) throw error;
+	return data.map(inviteSummary);
+}
+
+async function findInvite(code) {
+	const { data: invite, error } = await supabaseAdmin
+		.from('team_invites')
+		.select('*')
+		.eq('code', code.toUpperCase())
+		.maybeSingle();
+
+	if (error) throw error;
+	return invite;
+}
+
+// request_team_join checks this again under a lock; checking first here keeps
+// revoked, expired and used-up codes from creating Razorpay orders nobody can pay
+function isInviteUsable(invite) {
+	return !invite.revoked_at
+		&& new Date(invite.expires_at) > new Date()
+		&& invite.use_count < invite.max_uses;
+}
+
+async function findJoin(column, value) {
+	const { data, error } = await supabaseAdmin
+		.from('team_join_requests')
+		.select('*')
+		.eq(column, value)
+		.maybeSingle();
+
+	if (error) throw error;
+	return data;
+}
+
+function findJoinById(joinId) {
+	return findJoin('id', joinId);
+}
+
+function findJoinByOrderId(orderId) {
+	return orderId ? findJoin('razorpay_order_id', orderId) : null;
+}
+
+async function fetchTeam(teamId) {
+	const { data, error } = await supabaseAdmin
+		.from('teams')
+		.select('id, team_name, domain, team_size, payment_status')
+		.eq('id', teamId)
+		.single();
+
+	if (error) throw error;
+	return data;
+}
+
+// Add the member to their team through the complete_team_join SQL function.
+// Resolves to the function's outcome ({ status: 'completed', registrationId } etc.).
+async function completeJoin(join, paymentId) {
+	const team = await fetchTeam(join.team_id);
+	const { data, error } = await supabaseAdmin.rpc('complete_team_join', {
+		p_join_id: join.id,
+		p_payment_id: paymentId,
+		p_max_size: getDomainConfig(team.domain).maxTeamSize,
+	});
+
+	if (error) throw error;
+	if (data.status === 'completed') notifyTeamRegistered(team.id);
+	return { status: data.status, registrationId: data.registration_id, message: data.message };
+}
+
+// Mark a join's checkout Failed, giving back the joiner's email claim and the invite
+// use (release_team_join). A payment captured afterwards takes both again in
+// completeJoin. Resolves to true when the checkout was released.
+async function failJoinPayment(join) {
+	const { data, error } = await supabaseAdmin.rpc('release_team_join', { p_join_id: join.id });
+
+	if (error) throw error;
+	return data.status === 'released';
+}
+
+// Start joining a team with an invite code. `person` is a validated
+// schemas/registration.js join body. When the team's price doesn't change (e.g. a
+// flat team price) the member is added straight away. Resolves to one of:
+//   { status: 'created', join, team, order }   - pay `order` to complete the join
+//   { status: 'completed', join, team }
+//   { status: 'invalid_invite' | 'team_not_active' | 'team_full' | 'conflict' | 'email_taken' }
+//   { status: 'registration_closed', domain }
+//   { status: 'gateway_unavailable' }
+//   { status: 'member_conflict', message }
+async function requestJoin(person) {
+	const invite = await findInvite(person.inviteCode);
+	if (!invite || !isInviteUsable(invite)) return { status: 'invalid_invite' };
+
+	const team = await fetchTeam(invite.team_id);
+	const domainConfig = getDomainConfig(team.domain);
+	if (!getRegistrationWindow(domainConfig).open) return { status: 'registration_closed', domain: team.domain };
+	if (team.payment_status !== 'Completed') return { status: 'team_not_active' };
+	if (team.team_size >= domainConfig.maxTeamSize) return { status: 'team_full' };
+
+	const amountInPaise = calculatePrice(domainConfig, team.team_size + 1).amountInPaise
+		- calculatePrice(domainConfig, team.team_size).amountInPaise;
+
+	if (amountInPaise > 0 && !getRazorpay()) return { status: 'gateway_unavailable' };
+	const order = amountInPaise > 0
+		? await getRazorpay().orders.create({
+			amount: amountInPaise,
+			currency: eventConfig.currency,
+			receipt: `join_${team.id}_${Date.now()}`,
+			notes: { teamId: String(team.id), teamName: team.team_name },
+			payment_capture: 1,
+		})
+		: null;
+
+	const member = { ...toRosterMember(person), role: 'Member' };
+	const { data, error } = await supabaseAdmin.rpc('request_team_join', {
+		p_code: person.inviteCode,
+		p_member: member,
+		p_expected_size: team.team_size,
+		p_max_size: domainConfig.maxTeamSize,
+		p_amount_in_paise: amountInPaise,
+		p_order_id: order ? order.id : null,
+		p_hold_minutes: JOIN_HOLD_MINUTES,
+	});
+
+	if (error) throw error;
+	if (data.status !== 'created') return data;
+
+	const join = data.join;
+	if (order) return { status: 'created', join, team, order };
+
+	const outcome = await completeJoin(join, null);
+	if (outcome.status !== 'completed') return outcome;
+	return { status: 'completed', join: { ...join, registration_id: outcome.registrationId }, team };
+}
+
+module.exports = {
+	createInvite,
+	listInvites,
+	requestJoin,
+	findJoinById,
+	findJoinByOrderId,
+	completeJoin,
+	failJoinPayment,
+};
@@ -0,0 +1,211 @@
+// Declarative request validation.
+//
+// A schema is a function (value, path, issues) => normalizedValue. Instead of stopping
+// at the first problem it records an issue for every invalid field, so one response
+// can point the frontend at each form input that needs fixing. Build schemas from the
+// helpers below and run them with validate():
+//
+//   const member = object({ name: name(), email: email() });
+//   validate(object({ members: array(member, { min: 1 }) }), body)
+//   // => { value, errors: [{ path: 'members[2].email', message: 'must be a valid email address' }] }
+//
+// Values come back normalized (trimmed text, lower-cased emails, phones without
+// separators) and objects keep only the keys their schema declares.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Optional leading +, then 10-15 digits once spaces, dashes, dots and brackets are removed
+const PHONE_PATTERN = /^\+?\d{10,15}$/;
+
+function formatPath(path) {
+	return path.reduce((text, key) => (
+		typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key
+	), '');
+}
+
+function isEmpty(value) {
+	return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function fail(issues, path, message) {
+	issues.push({ path: formatPath(path), message });
+	return undefined;
+}
+
+// Runs a schema over a value: { value, errors: [{ path, message }] }
+function validate(schema, value) {
+	const issues = [];
+	const normalized = schema(value, [], issues);
+	return { value: normalized, errors: issues };
+}
+
+// Accept undefined, null or '' as "not given" (normalized to `fallback`)
+function optional(schema, fallback = undefined) {
+	return (value, path, issues) => (isEmpty(value) ? fallback : schema(value, path, issues));
+}
+
+// Accept an explicit null (e.g. to clear a column). Wrap optional() schemas, not the reverse.
+function nullable(schema) {
+	return (value, path, issues) => (value === null ? null : schema(value, path, issues));
+}
+
+// Free text: trimmed, required unless wrapped in optional()
+function text({ max = 500, pattern, patternMessage = 'has an invalid format', collapseSpaces = false } = {}) {
+	return (value, path, issues) => {
+		if (isEmpty(value)) return fail(issues, path, 'is required');
+		if (typeof value !== 'string') return fail(issues, path, 'must be a string');
+
+		let normalized = value.trim();
+		if (collapseSpaces) normalized = normalized.replace(/\s+/g, ' ');
+
+		if (normalized.length > max) return fail(issues, path, `must be at most ${max} characters`);
+		if (pattern && !pattern.test(normalized)) return fail(issues, path, patternMessage);
+		return normalized;
+	};
+}
+
+// A person's, team's or college's name: trimmed with inner whitespace collapsed
+function name({ max = 100 } = {}) {
+	return text({ max, collapseSpaces: true });
+}
+
+function email() {
+	const base = text({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'must be a valid email address' });
+	return (value, path, issues) => {
+		const normalized = base(value, path, issues);
+		return normalized === undefined ? undefined : normalized.toLowerCase();
+	};
+}
+
+function phone() {
+	return (value, path, issues) => {
+		if (isEmpty(value)) return fail(issues, path, 'is required');
+		if (typeof value !== 'string' && typeof value !== 'number') return fail(issues, path, 'must be a string');
+
+		const normalized = String(value).trim().replace(/[\s().-]/g, '');
+		if (!PHONE_PATTERN.test(normalized)) return fail(issues, path, 'must be a valid phone number');
+		return normalized;
+	};
+}
+
+// Numbers, also accepted as numeric strings
+function number({ min, max, greaterThan, integer = false } = {}) {
+	return (value, path, issues) => {
+		if (isEmpty(value)) return fail(issues, path, 'is required');
+
+		const normalized = typeof value === 'string' ? Number(value.trim()) : value;
+		if (typeof normalized !== 'number' || !Number.isFinite(normalized)) return fail(issues, path, 'must be a number');
+		if (integer && !Number.isInteger(normalized)) return fail(issues, path, 'must be a whole number');
+		if (greaterThan !== undefined && normalized <= greaterThan) return fail(issues, path, `must be greater than ${greaterThan}`);
+		if (min !== undefined && normalized < min) return fail(issues, path, `must be at least ${min}`);
+		if (max !== undefined && normalized > max) return fail(issues, path, `must be at most ${max}`);
+		return normalized;
+	};
+}
+
+function integer(options = {}) {
+	return number({ ...options, integer: true });
+}
+
+function boolean() {
+	return (value, path, issues) => {
+		if (value === undefined || value === null) return fail(issues, path, 'is required');
+		if (typeof value !== 'boolean') return fail(issues, path, 'must be true or false');
+		return value;
+	};
+}
+
+// ISO string of any value Date can parse
+function date() {
+	return (value, path, issues) => {
+		if (isEmpty(value)) return fail(issues, path, 'is required');
+
+		const parsed = new Date(value);
+		if (typeof value === 'boolean' || Number.isNaN(parsed.getTime())) return fail(issues, path, 'must be a valid date');
+		return parsed.toISOString();
+	};
+}
+
+// One of a fixed list, or of a list computed per request (e.g. from the event config)
+function oneOf(values) {
+	return (value, path, issues) => {
+		const allowed = typeof values === 'function' ? values() : values;
+		if (isEmpty(value)) return fail(issues, path, 'is required');
+		if (!allowed.includes(value)) return fail(issues, path, `must be one of: ${allowed.join(', ')}`);
+		return value;
+	};
+}
+
+function array(item, { min = 0, max } = {}) {
+	return (value, path, issues) => {
+		if (value === undefined || value === null) return fail(issues, path, 'is required');
+		if (!Array.isArray(value)) return fail(issues, path, 'must be a list');
+		if (value.length < min) return fail(issues, path, `must have at least ${min} item${min === 1 ? '' : 's'}`);
+		if (max !== undefined && value.length > max) return fail(issues, path, `must have at most ${max} items`);
+		return value.map((entry, index) => item(entry, [...path, index], issues));
+	};
+}
+
+// shape:   { key: schema }
+// aliases: { alternativeKey: key } - read key from alternativeKey when key is absent
+//          (e.g. { roll_number: 'rollNumber' })
+// strict:  report keys that aren't in the shape instead of dropping them
+// rules:   [(value, issue, raw) => void] cross-field checks run on the normalized object
+//          (raw is the object as received); issue(relativePath, message) with
+//          relativePath an array of keys/indexes
+function object(shape, { aliases = {}, strict = false, rules = [] } = {}) {
+	return (value, path, issues) => {
+		if (value === undefined || value === null) return fail(issues, path, 'is required');
+		if (typeof value !== 'object' || Array.isArray(value)) return fail(issues, path, 'must be an object');
+
+		const normalized = {};
+		for (const [key, schema] of Object.entries(shape)) {
+			const alias = Object.keys(aliases).find(alternative => aliases[alternative] === key);
+			const raw = value[key] === undefined && alias ? value[alias] : value[key];
+			const result = schema(raw, [...path, key], issues);
+			if (result !== undefined) normalized[key] = result;
+		}
+
+		if (strict) {
+			for (const key of Object.keys(value)) {
+				if (!(key in shape) && !(key in aliases)) fail(issues, [...path, key], 'is not allowed');
+			}
+		}
+
+		const issue = (relativePath, message) => fail(issues, [...path, ...relativePath], message);
+		for (const rule of rules) rule(normalized, issue, value);
+
+		return normalized;
+	};
+}
+
+// Flags the second and later entries of `items` that repeat a value of `field`
+function findDuplicates(items, field) {
+	const seen = new Set();
+	const duplicates = [];
+	items.forEach((item, index) => {
+		const value = item && item[field];
+		if (value === undefined) return;
+		const key = String(value).toLowerCase();
+		if (seen.has(key)) duplicates.push(index);
+		seen.add(key);
+	});
+	return duplicates;
+}
+
+module.exports = {
+	validate,
+	optional,
+	nullable,
+	text,
+	name,
+	email,
+	phone,
+	number,
+	integer,
+	boolean,
+	date,
+	oneOf,
+	array,
+	object,
+	findDuplicates,
+};
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, reset } = require('./helpers/app');
+const { createApiKey, revokeApiKey, signAdminJwt } = require('../services/adminAuth');
+const { weakSecrets } = require('../config/secrets');
+
+function as(credential, req) {
+	return credential ? req.set('Authorization', `Bearer ${credential}`) : req;
+}
+
+const newCoupon = { code: 'EARLY10', type: 'percentage', value: 10 };
+
+describe('organizer roles', () => {
+	beforeEach(reset);
+
+	it('rejects requests without a known credential', async () => {
+		const missing = await request(app).get('/admin/teams');
+		const unknown = await as('zk_not_a_key', request(app).get('/admin/teams'));
+
+		assert.equal(missing.status, 401);
+		assert.equal(unknown.status, 401);
+	});
+
+	it('ignores environment keys that are placeholders or too short', async (t) => {
+		process.env.CHECKIN_API_KEY = 'change-me';
+		t.after(() => { delete process.env.CHECKIN_API_KEY; });
+
+		const res = await as('change-me', request(app).get('/checkin/attendance'));
+
+		assert.equal(res.status, 401);
+		assert.deepEqual(weakSecrets({ ADMIN_API_KEY: 'short', METRICS_API_KEY: 'change-me', STATUS_TOKEN_SECRET: '' }), [
+			'ADMIN_API_KEY',
+			'METRICS_API_KEY',
+		]);
+	});
+
+	it('lets a viewer read but not change anything', async () => {
+		const { key } = await createApiKey({ name: 'Dashboard', role: 'viewer' });
+
+		const list = await as(key, request(app).get('/admin/coupons'));
+		const create = await as(key, request(app).post('/admin/coupons')).send(newCoupon);
+		const checkin = await as(key, request(app).get('/checkin/attendance'));
+
+		assert.equal(list.status, 200);
+		assert.equal(create.status, 403);
+		assert.equal(create.body.message, 'Forbidden');
+		assert.equal(checkin.status, 403);
+		assert.equal(db.rows('coupons').length, 0);
+	});
+
+	it('limits check-in volunteers to /checkin', async () => {
+		const { key } = await createApiKey({ name: 'Gate 1', role: 'checkin' });
+
+		const attendance = await as(key, request(app).get('/checkin/attendance'));
+		const teams = await as(key, request(app).get('/admin/teams'));
+
+		assert.equal(attendance.status, 200);
+		assert.equal(teams.status, 403);
+	});
+
+	it('rejects revoked and expired keys', async () => {
+		const { key: revoked, record } = await createApiKey({ name: 'Old laptop', role: 'admin' });
+		await revokeApiKey(record.id);
+		const { key: expired } = await createApiKey({ name: 'Temp', role: 'admin', expiresAt: '2020-01-01T00:00:00.000Z' });
+
+		assert.equal((await as(revoked, request(app).get('/admin/teams'))).status, 401);
+		assert.equal((await as(expired, request(app).get('/admin/teams'))).status, 401);
+	});
+
+	it('stores only a hash of each key', async () => {
+		const { key } = await createApiKey({ name: 'Finance', role: 'finance' });
+
+		const [stored] = db.rows('admin_api_keys');
+		assert.notEqual(stored.key_hash, key);
+		assert.ok(key.startsWith(stored.key_prefix));
+		assert.ok(!JSON.stringify(stored).includes(key));
+	});
+
+	it('accepts signed JWTs and rejects tampered or expired ones', async () => {
+		const token = signAdminJwt({ sub: 'asha@example.com', role: 'finance' });
+		const [header, , signature] = token.split('.');
+		const forgedClaims = Buffer.from(JSON.stringify({ sub: 'asha@example.com', role: 'admin', exp: 4102444800 })).toString('base64url');
+		const expired = signAdminJwt({ sub: 'asha@example.com', role: 'finance', ttlSeconds: -60 });
+
+		assert.equal((await as(token, request(app).post('/admin/coupons')).send(newCoupon)).status, 201);
+		assert.equal((await as(`${header}.${forgedClaims}.${signature}`, request(app).get('/admin/teams'))).status, 401);
+		assert.equal((await as(expired, request(app).get('/admin/teams'))).status, 401);
+	});
+});
+
+describe('audit log', () => {
+	beforeEach(reset);
+
+	it('records coupon changes with the actor and a diff', async () => {
+		const { key, record } = await createApiKey({ name: 'Finance', role: 'finance' });
+
+		const created = await as(key, request(app).post('/admin/coupons')).send(newCoupon);
+		await as(key, request(app).patch(`/admin/coupons/${created.body.data.id}`)).send({ active: false });
+
+		const [createEntry, updateEntry] = db.rows('audit_log');
+		assert.equal(createEntry.action, 'coupon.create');
+		assert.equal(createEntry.actor_type, 'api_key');
+		assert.equal(createEntry.actor_id, String(record.id));
+		assert.equal(createEntry.actor_role, 'finance');
+		assert.equal(createEntry.diff.code.to, 'EARLY10');
+
+		assert.equal(updateEntry.action, 'coupon.update');
+		assert.equal(updateEntry.target_type, 'coupon');
+		assert.equal(updateEntry.target_id, String(created.body.data.id));
+		assert.deepEqual(updateEntry.diff, { active: { from: true, to: false } });
+	});
+
+	it('records orders created by a JWT holder', async () => {
+		const token = signAdminJwt({ sub: 'asha@example.com', name: 'Asha', role: 'finance' });
+
+		const res = await as(token, request(app).post('/razorpay/create-order')).send({ productId: 'tshirt' });
+
+		assert.equal(res.status, 201);
+		const [entry] = db.rows('audit_log');
+		assert.equal(entry.action, 'order.create');
+		assert.equal(entry.actor_type, 'jwt');
+		assert.equal(entry.actor_id, 'asha@example.com');
+		assert.equal(entry.actor_name, 'Asha');
+		assert.equal(entry.target_type, 'product');
+		assert.equal(entry.target_id, 'tshirt');
+		assert.equal(entry.details.orderId, res.body.data.orderId);
+	});
+
+	it('does not fail the action when the audit write fails', async () => {
+		db.failNext('audit_log', { message: 'audit table unavailable' });
+
+		const res = await as('test_admin_key_0123456789abcdefghij', request(app).post('/admin/coupons')).send(newCoupon);
+
+		assert.equal(res.status, 201);
+		assert.equal(db.rows('coupons').length, 1);
+	});
+});
@@ -0,0 +1,95 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, razorpay, reset } = require('./helpers/app');
+const { buildInitiatedTeam } = require('./helpers/factories');
+
+function createOrder(body, key = 'test_admin_key_0123456789abcdefghij') {
+	const req = request(app).post('/razorpay/create-order');
+	if (key) req.set('Authorization', `Bearer ${key}`);
+	return req.send(body);
+}
+
+function seedTeam(overrides) {
+	return db.seed('teams', [buildInitiatedTeam(overrides)])[0];
+}
+
+describe('POST /razorpay/create-order', () => {
+	beforeEach(reset);
+
+	it('requires the admin key', async () => {
+		const res = await createOrder({ productId: 'tshirt' }, null);
+
+		assert.equal(res.status, 401);
+		assert.equal(razorpay.calls.length, 0);
+	});
+
+	it('rejects client-supplied amounts', async () => {
+		const res = await createOrder({ amount: 1, currency: 'USD' });
+
+		assert.equal(res.status, 400);
+		assert.deepEqual(res.body.errors, [
+			{ path: 'amount', message: 'is not allowed' },
+			{ path: 'currency', message: 'is not allowed' },
+			{ path: '', message: 'include either teamId or productId, not both' },
+		]);
+	});
+
+	it('prices a product from the event configuration', async () => {
+		const res = await createOrder({ productId: 'tshirt' });
+
+		assert.equal(res.status, 201, JSON.stringify(res.body));
+		assert.equal(res.body.data.amountInPaise, 35000);
+		assert.equal(res.body.data.currency, 'INR');
+		assert.equal(res.body.data.productId, 'tshirt');
+	});
+
+	it('creates a new order for an unpaid team and points the team at it', async () => {
+		const team = seedTeam({ payment_status: 'Failed' });
+
+		const res = await createOrder({ teamId: team.id });
+
+		assert.equal(res.status, 201, JSON.stringify(res.body));
+		assert.equal(res.body.data.amountInPaise, team.amount_in_paise);
+		const [stored] = db.rows('teams');
+		assert.equal(stored.razorpay_order_id, res.body.data.orderId);
+		assert.equal(stored.payment_status, 'Initiated');
+	});
+
+	it('refuses teams that already paid', async () => {
+		const completed = seedTeam({ payment_status: 'Completed' });
+		const captured = seedTeam({ team_name: 'Captured', razorpay_order_id: 'order_captured' });
+		razorpay.orderPayments.order_captured = [{ id: 'pay_1', status: 'captured', amount: 20000 }];
+
+		assert.equal((await createOrder({ teamId: completed.id })).status, 409);
+		assert.equal((await createOrder({ teamId: captured.id })).status, 409);
+		assert.equal(db.rows('teams').find(t => t.id === captured.id).razorpay_order_id, 'order_captured');
+	});
+
+	it('keeps the current order while a payment on it is authorized', async () => {
+		const team = seedTeam({ razorpay_order_id: 'order_authorized' });
+		razorpay.orderPayments.order_authorized = [{ id: 'pay_1', status: 'authorized', amount: 20000 }];
+
+		const res = await createOrder({ teamId: team.id });
+
+		assert.equal(res.status, 409);
+		assert.equal(db.rows('teams')[0].razorpay_order_id, 'order_authorized');
+		assert.equal(razorpay.calls.filter(call => call.method === 'orders.create').length, 0);
+	});
+
+	it('refuses expired checkouts', async () => {
+		const team = seedTeam({ expired_at: new Date().toISOString() });
+
+		const res = await createOrder({ teamId: team.id });
+
+		assert.equal(res.status, 409);
+		assert.equal(razorpay.calls.length, 0);
+	});
+
+	it('allows 10 requests per window', async () => {
+		const statuses = [];
+		for (let i = 0; i < 11; i++) statuses.push((await createOrder({ productId: 'unknown' })).status);
+
+		assert.deepEqual(statuses, [...Array(10).fill(404), 429]);
+	});
+});
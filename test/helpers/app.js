@@ -0,0 +1,56 @@
+// Loads the Express app wired to in-memory Supabase and Razorpay stand-ins.
+//
+//   const { app, db, razorpay, reset } = require('./helpers/app');
+//
+// Call reset() in beforeEach to start every test from empty tables.
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.EVENT_CONFIG_PATH = path.join(__dirname, '..', 'fixtures', 'event.json');
+process.env.RAZORPAY_SECRET = 'test_razorpay_secret';
+process.env.RAZORPAY_WEBHOOK_SECRET = 'test_webhook_secret';
+process.env.STATUS_TOKEN_SECRET = 'test_status_secret_0123456789abcdefghij';
+process.env.ADMIN_API_KEY = 'test_admin_key_0123456789abcdefghij';
+process.env.ADMIN_JWT_SECRET = 'test_jwt_secret_0123456789abcdefghij';
+
+const { setSupabaseClient, setSupabaseAdminClient } = require('../../services/database');
+const { setRazorpay } = require('../../config/razorpay');
+const { FakeSupabase } = require('./fakeSupabase');
+const { FakeRazorpay } = require('./fakeRazorpay');
+const { installDatabaseFunctions } = require('./databaseFunctions');
+const { clearStatsCache } = require('../../services/stats');
+const { resetMetrics } = require('../../services/metrics');
+const { resetRateLimits } = require('../../middleware/rateLimit');
+
+const db = installDatabaseFunctions(new FakeSupabase())
+	.unique('teams', ['razorpay_order_id'])
+	.unique('registrations', ['email', 'roll_number'])
+	.unique('email_outbox', ['dedupe_key'])
+	.unique('registration_email_claims', ['email'])
+	.unique('idempotency_keys', [['scope', 'key']])
+	.unique('admin_api_keys', ['key_hash'])
+	.unique('solo_registrations', ['razorpay_order_id'])
+	.unique('team_invites', ['code'])
+	.unique('team_join_requests', ['razorpay_order_id'])
+	.defaultsFor('teams', { payment_status: 'Pending', team_size: 0, expired_at: null })
+	.defaultsFor('waitlist', { status: 'Waiting' })
+	.defaultsFor('team_invites', { use_count: 0, revoked_at: null })
+	.defaultsFor('coupons', { active: true, redemption_count: 0, max_redemptions: null, domains: null, colleges: null });
+
+const razorpay = new FakeRazorpay();
+
+setSupabaseClient(db);
+setSupabaseAdminClient(db);
+setRazorpay(razorpay);
+
+const app = require('../../app');
+
+async function reset() {
+	await resetRateLimits();
+	db.reset();
+	razorpay.reset();
+	clearStatsCache();
+	resetMetrics();
+}
+
+module.exports = { app, db, razorpay, reset };
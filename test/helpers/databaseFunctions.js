@@ -0,0 +1,356 @@
+// JavaScript versions of the SQL functions in migrations/, registered on a FakeSupabase.
+// Keep these in step with the migrations they mirror; sqlFunctions.test.js compares the
+// two when TEST_DATABASE_URL is set.
+
+// migrations/002_finalize_team_payment.up.sql
+function finalizeTeamPayment({ p_team_id, p_payment_id, p_members }, db) {
+	const team = db.table('teams').find(row => String(row.id) === String(p_team_id));
+	if (!team) return { status: 'not_found' };
+
+	const registrations = db.table('registrations');
+	if (team.payment_status === 'Completed') {
+		const memberCount = registrations.filter(row => row.team_id === team.id).length;
+		if (team.razorpay_payment_id !== p_payment_id || memberCount > 0) {
+			return { status: 'already_completed', member_count: memberCount };
+		}
+	} else if (!['Initiated', 'Failed'].includes(team.payment_status)) {
+		return { status: 'invalid_status', payment_status: team.payment_status };
+	}
+
+	const members = p_members || team.pending_members || [];
+	const rows = members.map(m => ({
+		team_id: team.id,
+		name: m.name,
+		email: m.email,
+		phone: m.phone,
+		college: m.college,
+		role: m.role,
+		roll_number: m.roll_number,
+	}));
+
+	const conflict = db.checkUnique('registrations', rows);
+	if (conflict) {
+		Object.assign(team, {
+			razorpay_payment_id: p_payment_id,
+			finalization_error: conflict.message,
+			finalization_failed_at: new Date().toISOString(),
+		});
+		return { status: 'member_conflict', message: conflict.message };
+	}
+
+	Object.assign(team, {
+		payment_status: 'Completed',
+		razorpay_payment_id: p_payment_id,
+		payment_verified_at: new Date().toISOString(),
+		finalization_error: null,
+		finalization_failed_at: null,
+	});
+	db.insertRows('registrations', rows);
+
+	return { status: 'completed', member_count: rows.length };
+}
+
+// The seat count both functions take behind the per-domain advisory lock
+function isDomainFull(db, domain, maxTeams) {
+	if (maxTeams == null) return false;
+	const seats = db.table('teams').filter(row => row.domain === domain && (
+		row.payment_status === 'Completed' || (['Initiated', 'Failed'].includes(row.payment_status) && !row.expired_at)
+	)).length;
+	return seats >= maxTeams;
+}
+
+// migrations/017_domain_capacity_lock.up.sql
+function createPendingTeam({ p_team, p_max_teams }, db) {
+	if (isDomainFull(db, p_team.domain, p_max_teams)) return { status: 'domain_full' };
+
+	const nameTaken = db.table('teams').some(row => (
+		row.team_name === p_team.team_name && (!row.expired_at || row.payment_status === 'Completed')
+	));
+	if (nameTaken) return { status: 'team_name_taken' };
+
+	const emails = [...new Set((p_team.pending_members || []).map(m => m.email.toLowerCase()))];
+	const taken = db.table('registration_email_claims').filter(row => emails.includes(row.email)).map(row => row.email);
+	if (taken.length > 0) return { status: 'emails_taken', emails: taken.sort() };
+
+	const [team] = db.insertRows('teams', [{ payment_status: 'Initiated', ...p_team }]).rows;
+	db.insertRows('registration_email_claims', emails.map(email => ({ email, team_id: team.id })));
+	return { status: 'created', team };
+}
+
+// migrations/015_solo_registration.up.sql
+function createSoloRegistration({ p_solo }, db) {
+	const email = p_solo.email.toLowerCase();
+	if (db.table('registration_email_claims').some(row => row.email === email)) return { status: 'email_taken' };
+
+	const [solo] = db.insertRows('solo_registrations', [{
+		status: 'Reserved',
+		amount_in_paise: 0,
+		razorpay_order_id: null,
+		razorpay_payment_id: null,
+		team_id: null,
+		...p_solo,
+		skills: p_solo.skills || [],
+	}]).rows;
+	db.insertRows('registration_email_claims', [{ email, team_id: null, solo_id: solo.id }]);
+	return { status: 'created', solo };
+}
+
+// migrations/020_form_solo_team_capacity_lock.up.sql
+function formSoloTeam({ p_team, p_solo_ids, p_max_teams }, db) {
+	const solos = db.table('solo_registrations');
+	const unavailable = p_solo_ids.filter(id => !solos.some(row => (
+		row.id === id && ['Paid', 'Reserved'].includes(row.status) && row.domain === p_team.domain
+	)));
+	if (unavailable.length > 0) return { status: 'unavailable', solo_ids: unavailable.sort((a, b) => a - b) };
+	if (isDomainFull(db, p_team.domain, p_max_teams)) return { status: 'domain_full' };
+
+	const nameTaken = db.table('teams').some(row => (
+		row.team_name === p_team.team_name && (!row.expired_at || row.payment_status === 'Completed')
+	));
+	if (nameTaken) return { status: 'team_name_taken' };
+
+	const [team] = db.insertRows('teams', [{
+		...p_team,
+		payment_status: 'Initiated',
+		payment_initiated_at: new Date().toISOString(),
+	}]).rows;
+
+	for (const claim of db.table('registration_email_claims')) {
+		if (p_solo_ids.includes(claim.solo_id)) Object.assign(claim, { team_id: team.id, solo_id: null });
+	}
+	for (const solo of solos) {
+		if (p_solo_ids.includes(solo.id)) {
+			Object.assign(solo, { status: 'Matched', team_id: team.id, matched_at: new Date().toISOString() });
+		}
+	}
+	return { status: 'created', team };
+}
+
+// migrations/021_dissolve_solo_team.up.sql
+function dissolveSoloTeam({ p_team_id, p_solos }, db) {
+	const team = db.table('teams').find(row => String(row.id) === String(p_team_id));
+	if (!team) return { status: 'not_found' };
+	if (team.payment_status === 'Completed') return { status: 'invalid_status' };
+
+	const restored = [];
+	for (const solo of db.table('solo_registrations')) {
+		const previous = p_solos.find(entry => entry.id === solo.id);
+		if (!previous || solo.team_id !== team.id || solo.status !== 'Matched') continue;
+
+		const claim = db.table('registration_email_claims').find(row => (
+			row.email === solo.email.toLowerCase() && row.team_id === team.id
+		));
+		if (claim) Object.assign(claim, { solo_id: solo.id, team_id: null });
+		Object.assign(solo, { status: previous.status, team_id: null, matched_at: null });
+		restored.push(solo.id);
+	}
+
+	Object.assign(team, { payment_status: 'Failed', expired_at: new Date().toISOString() });
+	const claims = db.table('registration_email_claims');
+	claims.splice(0, claims.length, ...claims.filter(row => row.team_id !== team.id));
+	return { status: 'dissolved', solo_ids: restored.sort((a, b) => a - b) };
+}
+
+// migrations/015_solo_registration.up.sql
+function requestTeamJoin(params, db) {
+	const { p_code, p_member, p_expected_size, p_max_size, p_amount_in_paise, p_order_id, p_hold_minutes } = params;
+	const invite = db.table('team_invites').find(row => row.code === p_code.toUpperCase());
+	if (!invite || invite.revoked_at || new Date(invite.expires_at) <= new Date() || invite.use_count >= invite.max_uses) {
+		return { status: 'invalid_invite' };
+	}
+
+	const team = db.table('teams').find(row => row.id === invite.team_id);
+	if (team.payment_status !== 'Completed') return { status: 'team_not_active' };
+
+	const holdStart = Date.now() - p_hold_minutes * 60 * 1000;
+	const held = db.table('team_join_requests').filter(row => (
+		row.team_id === team.id && row.status === 'Initiated' && new Date(row.created_at).getTime() > holdStart
+	)).length;
+	if (team.team_size + held >= p_max_size) return { status: 'team_full' };
+	if (team.team_size !== p_expected_size) return { status: 'conflict' };
+
+	const email = p_member.email.toLowerCase();
+	if (db.table('registration_email_claims').some(row => row.email === email)) return { status: 'email_taken' };
+	db.insertRows('registration_email_claims', [{ email, team_id: team.id, solo_id: null }]);
+
+	const [join] = db.insertRows('team_join_requests', [{
+		team_id: team.id,
+		invite_id: invite.id,
+		member: p_member,
+		amount_in_paise: p_amount_in_paise,
+		razorpay_order_id: p_order_id,
+		razorpay_payment_id: null,
+		status: 'Initiated',
+		registration_id: null,
+		error: null,
+	}]).rows;
+	invite.use_count += 1;
+	return { status: 'created', join };
+}
+
+// migrations/019_release_checkout_holds.up.sql (replaces the 015 version)
+function completeTeamJoin({ p_join_id, p_payment_id, p_max_size }, db) {
+	const join = db.table('team_join_requests').find(row => String(row.id) === String(p_join_id));
+	if (!join) return { status: 'not_found' };
+	if (join.status === 'Completed') return { status: 'already_completed', registration_id: join.registration_id };
+
+	const team = db.table('teams').find(row => row.id === join.team_id);
+	if (team.payment_status !== 'Completed') {
+		Object.assign(join, { razorpay_payment_id: p_payment_id, error: 'Team is not active' });
+		return { status: 'team_not_active' };
+	}
+	if (team.team_size >= p_max_size) {
+		Object.assign(join, { razorpay_payment_id: p_payment_id, error: 'Team is full' });
+		return { status: 'team_full' };
+	}
+
+	const { member } = join;
+	const row = {
+		team_id: team.id,
+		name: member.name,
+		email: member.email,
+		phone: member.phone,
+		college: member.college,
+		role: 'Member',
+		roll_number: member.roll_number,
+	};
+	const conflict = (join.released_at && claimEmail(db, member.email, { team_id: team.id }))
+		|| db.checkUnique('registrations', [row]);
+	if (conflict) {
+		Object.assign(join, { razorpay_payment_id: p_payment_id, error: conflict.message });
+		return { status: 'member_conflict', message: conflict.message };
+	}
+
+	const [registration] = db.insertRows('registrations', [row]).rows;
+	if (join.released_at) db.table('team_invites').find(invite => invite.id === join.invite_id).use_count += 1;
+	team.team_size += 1;
+	team.pending_members = [...(team.pending_members || []), member];
+	Object.assign(join, {
+		status: 'Completed',
+		razorpay_payment_id: p_payment_id,
+		registration_id: registration.id,
+		error: null,
+		released_at: null,
+		completed_at: new Date().toISOString(),
+	});
+	return { status: 'completed', registration_id: registration.id };
+}
+
+function promoteTeamLead({ p_team_id, p_registration_id }, db) {
+	const team = db.table('teams').find(row => row.id === p_team_id);
+	if (!team) return { status: 'not_found' };
+
+	const members = db.table('registrations').filter(row => row.team_id === p_team_id);
+	const promoted = members.find(row => row.id === p_registration_id);
+	if (!promoted) return { status: 'member_not_found' };
+	if (promoted.role === 'Team Lead') return { status: 'already_lead' };
+
+	const previous = members.find(row => row.role === 'Team Lead');
+	if (previous) previous.role = 'Member';
+	promoted.role = 'Team Lead';
+	if (Array.isArray(team.pending_members) && team.pending_members.length > 0) {
+		team.pending_members = team.pending_members.map(member => ({
+			...member,
+			role: member.email.toLowerCase() === promoted.email.toLowerCase() ? 'Team Lead' : 'Member',
+		}));
+	}
+	return { status: 'promoted', previous_lead_id: previous ? previous.id : null };
+}
+
+// migrations/019_release_checkout_holds.up.sql
+function claimEmail(db, address, owner) {
+	const email = address.toLowerCase();
+	const claims = db.table('registration_email_claims');
+	const claim = claims.find(row => row.email === email);
+	if (!claim) {
+		db.insertRows('registration_email_claims', [{ email, team_id: null, solo_id: null, ...owner }]);
+		return null;
+	}
+	const ownKey = Object.keys(owner)[0];
+	if (claim[ownKey] === owner[ownKey]) return null;
+	return { message: 'Email is already registered elsewhere' };
+}
+
+function releaseSoloCheckout({ p_solo_id }, db) {
+	const solo = db.table('solo_registrations').find(row => String(row.id) === String(p_solo_id));
+	if (!solo || !['Initiated', 'Failed'].includes(solo.status) || solo.released_at) return { status: 'unchanged' };
+
+	Object.assign(solo, { status: 'Failed', released_at: new Date().toISOString() });
+	const claims = db.table('registration_email_claims');
+	claims.splice(0, claims.length, ...claims.filter(row => row.solo_id !== solo.id));
+	return { status: 'released' };
+}
+
+function releaseTeamJoin({ p_join_id }, db) {
+	const join = db.table('team_join_requests').find(row => String(row.id) === String(p_join_id));
+	if (!join || !['Initiated', 'Failed'].includes(join.status) || join.released_at) return { status: 'unchanged' };
+
+	Object.assign(join, { status: 'Failed', released_at: new Date().toISOString() });
+	const email = join.member.email.toLowerCase();
+	const claims = db.table('registration_email_claims');
+	claims.splice(0, claims.length, ...claims.filter(row => !(row.email === email && row.team_id === join.team_id)));
+	const invite = db.table('team_invites').find(row => row.id === join.invite_id);
+	if (invite) invite.use_count = Math.max(invite.use_count - 1, 0);
+	return { status: 'released' };
+}
+
+function completeSoloPayment({ p_solo_id, p_payment_id }, db) {
+	const solo = db.table('solo_registrations').find(row => String(row.id) === String(p_solo_id));
+	if (!solo) return { status: 'not_found' };
+	if (solo.status === 'Paid' || solo.paid_at) return { status: 'already_paid' };
+	if (!['Initiated', 'Failed'].includes(solo.status)) return { status: 'invalid_status' };
+
+	if (solo.released_at && claimEmail(db, solo.email, { solo_id: solo.id })) {
+		solo.razorpay_payment_id = p_payment_id;
+		return { status: 'email_taken' };
+	}
+	Object.assign(solo, {
+		status: 'Paid',
+		razorpay_payment_id: p_payment_id,
+		paid_at: new Date().toISOString(),
+		released_at: null,
+	});
+	return { status: 'paid' };
+}
+
+function findCoupon(db, code) {
+	return db.table('coupons').find(row => row.code.toLowerCase() === String(code).toLowerCase());
+}
+
+// migrations/008_coupons.up.sql
+function redeemCoupon({ p_code }, db) {
+	const coupon = findCoupon(db, p_code);
+	const now = new Date();
+	if (!coupon || !coupon.active) return [];
+	if (coupon.max_redemptions !== null && coupon.redemption_count >= coupon.max_redemptions) return [];
+	if (coupon.valid_from && new Date(coupon.valid_from) > now) return [];
+	if (coupon.expires_at && new Date(coupon.expires_at) <= now) return [];
+
+	coupon.redemption_count += 1;
+	return [coupon];
+}
+
+function releaseCoupon({ p_code }, db) {
+	const coupon = findCoupon(db, p_code);
+	if (coupon && coupon.redemption_count > 0) coupon.redemption_count -= 1;
+	return null;
+}
+
+function installDatabaseFunctions(db) {
+	return db
+		.onRpc('finalize_team_payment', finalizeTeamPayment)
+		.onRpc('create_pending_team', createPendingTeam)
+		.onRpc('create_solo_registration', createSoloRegistration)
+		.onRpc('form_solo_team', formSoloTeam)
+		.onRpc('dissolve_solo_team', dissolveSoloTeam)
+		.onRpc('request_team_join', requestTeamJoin)
+		.onRpc('complete_team_join', completeTeamJoin)
+		.onRpc('promote_team_lead', promoteTeamLead)
+		.onRpc('release_solo_checkout', releaseSoloCheckout)
+		.onRpc('release_team_join', releaseTeamJoin)
+		.onRpc('complete_solo_payment', completeSoloPayment)
+		.onRpc('redeem_coupon', redeemCoupon)
+		.onRpc('release_coupon', releaseCoupon);
+}
+
+module.exports = { installDatabaseFunctions };
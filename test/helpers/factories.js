@@ -0,0 +1,62 @@
+// Request bodies and rows shared by the test files
+const crypto = require('crypto');
+const { toRosterMember } = require('../../services/roster');
+
+function buildMember(index, overrides = {}) {
+	return {
+		name: `Member ${index + 1}`,
+		email: `member${index + 1}@example.com`,
+		phone: `98765432${String(index).padStart(2, '0')}`,
+		college: 'Test College',
+		role: index === 0 ? 'Team Lead' : 'Member',
+		rollNumber: `ROLL${index + 1}`,
+		...overrides,
+	};
+}
+
+function buildMembers(count) {
+	return Array.from({ length: count }, (_, index) => buildMember(index));
+}
+
+function buildRegistration(overrides = {}) {
+	return {
+		teamName: 'Team Rocket',
+		domain: 'Web Dev',
+		members: buildMembers(2),
+		...overrides,
+	};
+}
+
+// A team row as POST /registration leaves it: Initiated with its roster stored
+function buildInitiatedTeam({ members = buildMembers(2), ...overrides } = {}) {
+	return {
+		team_name: 'Team Rocket',
+		domain: 'Web Dev',
+		team_size: members.length,
+		razorpay_order_id: 'order_test_1',
+		amount_in_paise: members.length * 100 * 100,
+		payment_status: 'Initiated',
+		payment_initiated_at: new Date().toISOString(),
+		pending_members: members.map(toRosterMember),
+		...overrides,
+	};
+}
+
+// Checkout signature as Razorpay's client returns it
+function signPayment(orderId, paymentId, secret = process.env.RAZORPAY_SECRET) {
+	return crypto.createHmac('sha256', secret).update(`${orderId}|${paymentId}`).digest('hex');
+}
+
+// X-Razorpay-Signature for a webhook's raw body
+function signWebhook(rawBody, secret = process.env.RAZORPAY_WEBHOOK_SECRET) {
+	return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+module.exports = {
+	buildMember,
+	buildMembers,
+	buildRegistration,
+	buildInitiatedTeam,
+	signPayment,
+	signWebhook,
+};
@@ -0,0 +1,50 @@
+// Stand-in for the Razorpay SDK instance. Records every call and returns
+// canned objects; set `nextError` to make the next call reject.
+class FakeRazorpay {
+	constructor() {
+		this.reset();
+
+		this.orders = {
+			create: async options => this.call('orders.create', options, () => ({
+				id: `order_test_${++this.sequence}`,
+				entity: 'order',
+				amount: options.amount,
+				currency: options.currency,
+				receipt: options.receipt,
+				status: 'created',
+			})),
+			fetchPayments: async orderId => this.call('orders.fetchPayments', orderId, () => ({
+				items: this.orderPayments[orderId] || [],
+			})),
+		};
+
+		this.payments = {
+			refund: async (paymentId, options) => this.call('payments.refund', { paymentId, ...options }, () => ({
+				id: `rfnd_test_${++this.sequence}`,
+				payment_id: paymentId,
+				amount: options.amount,
+				status: 'processed',
+			})),
+		};
+	}
+
+	reset() {
+		this.calls = [];
+		this.sequence = 0;
+		this.nextError = null;
+		// orderId -> payments returned by orders.fetchPayments
+		this.orderPayments = {};
+	}
+
+	async call(method, args, result) {
+		this.calls.push({ method, args });
+		if (this.nextError) {
+			const error = this.nextError;
+			this.nextError = null;
+			throw error;
+		}
+		return result();
+	}
+}
+
+module.exports = { FakeRazorpay };
@@ -0,0 +1,434 @@
+// In-memory stand-in for the Supabase client.
+//
+// Supports the parts of the query builder the app uses (select/insert/update/delete,
+// eq/neq/gt/gte/lt/lte/in/is/ilike/not/or filters, order/limit/range, single/maybeSingle,
+// exact counts) plus rpc() with handlers registered per function. Column lists in
+// select() are ignored: whole rows are returned. Embedded resources (`registrations(*)`,
+// `registrations(count)`, `team:teams!inner(...)`) are joined through `<singular>_id`
+// columns, and filters can reach into them (`team.domain`).
+
+function clone(value) {
+	return value === undefined ? undefined : structuredClone(value);
+}
+
+function compare(a, b) {
+	if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+	return String(a).localeCompare(String(b));
+}
+
+function sameValue(a, b) {
+	if (a === null || a === undefined || b === null || b === undefined) return a == b;
+	return String(a) === String(b);
+}
+
+function likeToRegExp(pattern, flags) {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '\\' && i + 1 < pattern.length) {
+			source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		} else if (char === '%') {
+			source += '.*';
+		} else if (char === '_') {
+			source += '.';
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${source}$`, flags);
+}
+
+function parseLiteral(value) {
+	if (value === 'null') return null;
+	if (value === 'true') return true;
+	if (value === 'false') return false;
+	return value;
+}
+
+function valueAt(row, column) {
+	return column.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), row);
+}
+
+function test(row, column, operator, value) {
+	const actual = valueAt(row, column);
+	switch (operator) {
+		case 'eq': return sameValue(actual, value);
+		case 'neq': return !sameValue(actual, value);
+		case 'gt': return actual !== null && actual !== undefined && compare(actual, value) > 0;
+		case 'gte': return actual !== null && actual !== undefined && compare(actual, value) >= 0;
+		case 'lt': return actual !== null && actual !== undefined && compare(actual, value) < 0;
+		case 'lte': return actual !== null && actual !== undefined && compare(actual, value) <= 0;
+		case 'in': return value.some(item => sameValue(actual, item));
+		case 'is': return value === null ? actual === null || actual === undefined : actual === value;
+		case 'like': return typeof actual === 'string' && likeToRegExp(value, '').test(actual);
+		case 'ilike': return typeof actual === 'string' && likeToRegExp(value, 'i').test(actual);
+		default: throw new Error(`fakeSupabase: unsupported operator "${operator}"`);
+	}
+}
+
+function singular(table) {
+	return table.replace(/s$/, '');
+}
+
+// Embedded resources in a select() column list, e.g. "*, team:teams!inner(id, domain)"
+function parseEmbeds(columns) {
+	if (typeof columns !== 'string') return [];
+	return splitTopLevel(columns)
+		.map(part => part.trim().match(/^(?:(\w+):)?(\w+)(!inner)?\((.*)\)$/))
+		.filter(Boolean)
+		.map(([, alias, table, inner, fields]) => ({
+			alias: alias || table,
+			table,
+			inner: !!inner,
+			count: fields.trim() === 'count',
+		}));
+}
+
+// Split "a,b(c,d),e" on top-level commas
+function splitTopLevel(text) {
+	const parts = [];
+	let depth = 0;
+	let current = '';
+	for (const char of text) {
+		if (char === '(') depth++;
+		if (char === ')') depth--;
+		if (char === ',' && depth === 0) {
+			parts.push(current);
+			current = '';
+		} else {
+			current += char;
+		}
+	}
+	if (current) parts.push(current);
+	return parts;
+}
+
+// Compile a PostgREST logic string such as "a.eq.1,and(b.is.null,c.lt.2)" into a row predicate
+function compileCondition(text) {
+	const group = text.match(/^(and|or)\((.*)\)$/);
+	if (group) {
+		const conditions = splitTopLevel(group[2]).map(compileCondition);
+		return group[1] === 'and'
+			? row => conditions.every(condition => condition(row))
+			: row => conditions.some(condition => condition(row));
+	}
+
+	const [column, ...rest] = text.split('.');
+	let operator = rest.shift();
+	let negate = false;
+	if (operator === 'not') {
+		negate = true;
+		operator = rest.shift();
+	}
+	const raw = rest.join('.');
+	const value = operator === 'in'
+		? raw.replace(/^\(|\)$/g, '').split(',').map(parseLiteral)
+		: parseLiteral(raw);
+
+	return row => test(row, column, operator, value) !== negate;
+}
+
+class QueryBuilder {
+	constructor(db, table) {
+		this.db = db;
+		this.table = table;
+		this.action = 'select';
+		this.filters = [];
+		this.orders = [];
+		this.returning = false;
+		this.countMode = null;
+		this.head = false;
+		this.singleMode = null;
+		this.limitCount = null;
+		this.rangeBounds = null;
+		this.embeds = [];
+	}
+
+	select(columns, { count = null, head = false } = {}) {
+		if (this.action === 'select') {
+			this.countMode = count;
+			this.head = head;
+			this.embeds = parseEmbeds(columns);
+		} else {
+			this.returning = true;
+		}
+		return this;
+	}
+
+	insert(rows) {
+		this.action = 'insert';
+		this.payload = Array.isArray(rows) ? rows : [rows];
+		return this;
+	}
+
+	update(values) {
+		this.action = 'update';
+		this.payload = values;
+		return this;
+	}
+
+	delete() {
+		this.action = 'delete';
+		return this;
+	}
+
+	filter(column, operator, value) {
+		this.filters.push(row => test(row, column, operator, value));
+		return this;
+	}
+
+	eq(column, value) { return this.filter(column, 'eq', value); }
+	neq(column, value) { return this.filter(column, 'neq', value); }
+	gt(column, value) { return this.filter(column, 'gt', value); }
+	gte(column, value) { return this.filter(column, 'gte', value); }
+	lt(column, value) { return this.filter(column, 'lt', value); }
+	lte(column, value) { return this.filter(column, 'lte', value); }
+	in(column, values) { return this.filter(column, 'in', values); }
+	is(column, value) { return this.filter(column, 'is', value); }
+	like(column, pattern) { return this.filter(column, 'like', pattern); }
+	ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+	not(column, operator, value) {
+		this.filters.push(row => !test(row, column, operator, value));
+		return this;
+	}
+
+	or(conditions) {
+		this.filters.push(compileCondition(`or(${conditions})`));
+		return this;
+	}
+
+	order(column, { ascending = true } = {}) {
+		this.orders.push({ column, ascending });
+		return this;
+	}
+
+	limit(count) {
+		this.limitCount = count;
+		return this;
+	}
+
+	range(from, to) {
+		this.rangeBounds = [from, to];
+		return this;
+	}
+
+	single() {
+		this.singleMode = 'single';
+		return this;
+	}
+
+	maybeSingle() {
+		this.singleMode = 'maybe';
+		return this;
+	}
+
+	then(resolve, reject) {
+		return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+	}
+
+	matching() {
+		return this.db.table(this.table).filter(row => this.filters.every(filter => filter(row)));
+	}
+
+	// A copy of `row` with its embedded resources, or null when an !inner embed has no match
+	withEmbeds(row) {
+		const joined = { ...row };
+		for (const embed of this.embeds) {
+			const parentKey = `${singular(embed.table)}_id`;
+			if (parentKey in row) {
+				// Many-to-one, e.g. registrations -> team:teams
+				const parent = this.db.table(embed.table).find(other => sameValue(other.id, row[parentKey]));
+				if (!parent && embed.inner) return null;
+				joined[embed.alias] = parent ? clone(parent) : null;
+			} else {
+				// One-to-many, e.g. teams -> registrations
+				const childKey = `${singular(this.table)}_id`;
+				const children = this.db.table(embed.table).filter(other => sameValue(other[childKey], row.id));
+				if (children.length === 0 && embed.inner) return null;
+				joined[embed.alias] = embed.count ? [{ count: children.length }] : clone(children);
+			}
+		}
+		return joined;
+	}
+
+	execute() {
+		const injected = this.db.takeFailure(this.table, this.action);
+		if (injected) return { data: null, error: injected, count: null };
+
+		let rows;
+		if (this.action === 'insert') {
+			const result = this.db.insertRows(this.table, this.payload);
+			if (result.error) return { data: null, error: result.error, count: null };
+			rows = result.rows;
+		} else if (this.action === 'update') {
+			rows = this.matching();
+			const error = this.db.checkUnique(this.table, rows.map(row => ({ ...row, ...this.payload })), rows);
+			if (error) return { data: null, error, count: null };
+			rows.forEach(row => Object.assign(row, clone(this.payload)));
+		} else if (this.action === 'delete') {
+			rows = this.matching();
+			this.db.tables[this.table] = this.db.table(this.table).filter(row => !rows.includes(row));
+		} else if (this.embeds.length > 0) {
+			rows = this.db.table(this.table)
+				.map(row => this.withEmbeds(row))
+				.filter(row => row && this.filters.every(filter => filter(row)));
+		} else {
+			rows = this.matching();
+		}
+
+		for (const { column, ascending } of [...this.orders].reverse()) {
+			rows = [...rows].sort((a, b) => (ascending ? 1 : -1) * compare(a[column] ?? '', b[column] ?? ''));
+		}
+
+		const count = rows.length;
+		if (this.rangeBounds) rows = rows.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+		if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+
+		if (this.action !== 'select' && !this.returning) {
+			return { data: null, error: null, count: null };
+		}
+		if (this.head) return { data: null, error: null, count };
+
+		const data = clone(rows);
+		const withCount = this.countMode ? count : null;
+
+		if (this.singleMode === 'single' && data.length !== 1) {
+			return {
+				data: null,
+				error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned (${data.length})` },
+				count: withCount,
+			};
+		}
+		if (this.singleMode === 'maybe' && data.length > 1) {
+			return { data: null, error: { code: 'PGRST116', message: 'Multiple rows returned' }, count: withCount };
+		}
+		if (this.singleMode) return { data: data[0] || null, error: null, count: withCount };
+
+		return { data, error: null, count: withCount };
+	}
+}
+
+class FakeSupabase {
+	constructor() {
+		this.uniqueColumns = {};
+		this.defaults = {};
+		this.rpcHandlers = {};
+		this.reset();
+	}
+
+	// Clear all rows, failures and RPC calls (constraints, defaults and handlers are kept)
+	reset() {
+		this.tables = {};
+		this.sequences = {};
+		this.failures = [];
+		this.rpcCalls = [];
+	}
+
+	table(name) {
+		if (!this.tables[name]) this.tables[name] = [];
+		return this.tables[name];
+	}
+
+	// Rows of a table (copies, for assertions)
+	rows(name) {
+		return clone(this.table(name));
+	}
+
+	seed(name, rows) {
+		const result = this.insertRows(name, rows);
+		if (result.error) throw new Error(result.error.message);
+		return clone(result.rows);
+	}
+
+	// Unique constraints: each entry is a column, or an array of columns unique together
+	unique(name, constraints) {
+		this.uniqueColumns[name] = constraints;
+		return this;
+	}
+
+	// Values filled in for inserted rows that leave the column out
+	defaultsFor(name, values) {
+		this.defaults[name] = values;
+		return this;
+	}
+
+	onRpc(name, handler) {
+		this.rpcHandlers[name] = handler;
+		return this;
+	}
+
+	// Make the next matching query (table and optional action) resolve with `error`
+	failNext(name, error, action = null) {
+		this.failures.push({ name, action, error });
+		return this;
+	}
+
+	takeFailure(name, action) {
+		const index = this.failures.findIndex(f => f.name === name && (!f.action || f.action === action));
+		if (index === -1) return null;
+		return this.failures.splice(index, 1)[0].error;
+	}
+
+	checkUnique(name, candidates, replacing = []) {
+		const others = this.table(name).filter(row => !replacing.includes(row));
+		for (const constraint of this.uniqueColumns[name] || []) {
+			const columns = Array.isArray(constraint) ? constraint : [constraint];
+			const keyOf = row => {
+				const values = columns.map(column => row[column]);
+				return values.some(value => value === null || value === undefined) ? null : JSON.stringify(values);
+			};
+
+			const seen = new Set(others.map(keyOf).filter(Boolean));
+			for (const candidate of candidates) {
+				const key = keyOf(candidate);
+				if (!key) continue;
+				if (seen.has(key)) {
+					return {
+						code: '23505',
+						message: `duplicate key value violates unique constraint "${name}_${columns.join('_')}_key"`,
+						details: `Key (${columns.join(', ')})=(${JSON.parse(key).join(', ')}) already exists.`,
+					};
+				}
+				seen.add(key);
+			}
+		}
+		return null;
+	}
+
+	insertRows(name, rows) {
+		const prepared = rows.map(row => {
+			const id = row.id ?? (this.sequences[name] = (this.sequences[name] || 0) + 1);
+			return {
+				created_at: new Date().toISOString(),
+				...clone(this.defaults[name] || {}),
+				...clone(row),
+				id,
+			};
+		});
+
+		const error = this.checkUnique(name, prepared);
+		if (error) return { error };
+
+		this.table(name).push(...prepared);
+		return { rows: prepared };
+	}
+
+	from(name) {
+		return new QueryBuilder(this, name);
+	}
+
+	async rpc(name, args = {}) {
+		this.rpcCalls.push({ name, args: clone(args) });
+		const injected = this.takeFailure(`rpc:${name}`, null);
+		if (injected) return { data: null, error: injected };
+
+		const handler = this.rpcHandlers[name];
+		if (!handler) {
+			return { data: null, error: { code: 'PGRST202', message: `Could not find the function public.${name}` } };
+		}
+		return { data: clone(await handler(args, this)), error: null };
+	}
+}
+
+module.exports = { FakeSupabase };
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, razorpay, reset } = require('./helpers/app');
+const { buildMember, buildMembers, buildRegistration } = require('./helpers/factories');
+
+function register(body, key) {
+	const req = request(app).post('/registration');
+	if (key) req.set('Idempotency-Key', key);
+	return req.send(body);
+}
+
+describe('POST /registration with an Idempotency-Key', () => {
+	beforeEach(reset);
+
+	it('replays the first response for a retry with the same payload', async () => {
+		const first = await register(buildRegistration(), 'checkout-0001');
+		const retry = await register(buildRegistration(), 'checkout-0001');
+
+		assert.equal(first.status, 201, JSON.stringify(first.body));
+		assert.equal(first.headers['idempotent-replayed'], undefined);
+		assert.equal(retry.status, 201);
+		assert.equal(retry.headers['idempotent-replayed'], 'true');
+		assert.deepEqual(retry.body, first.body);
+		assert.equal(db.rows('teams').length, 1);
+		assert.equal(razorpay.calls.length, 1, 'only one order is created');
+	});
+
+	it('treats payloads that normalize the same as the same request', async () => {
+		await register(buildRegistration(), 'checkout-0001');
+		const members = buildMembers(2).map(m => ({ ...m, email: m.email.toUpperCase() }));
+
+		const retry = await register(buildRegistration({ members }), 'checkout-0001');
+
+		assert.equal(retry.status, 201);
+		assert.equal(retry.headers['idempotent-replayed'], 'true');
+	});
+
+	it('replays rejections too', async () => {
+		db.seed('registration_email_claims', [{ email: 'member2@example.com', team_id: 99 }]);
+
+		await register(buildRegistration(), 'checkout-0001');
+		db.tables.registration_email_claims = [];
+		const retry = await register(buildRegistration(), 'checkout-0001');
+
+		assert.equal(retry.status, 400);
+		assert.equal(retry.body.message, 'Some emails are already registered');
+		assert.equal(db.rows('teams').length, 0);
+	});
+
+	it('rejects a key reused for a different payload', async () => {
+		await register(buildRegistration(), 'checkout-0001');
+
+		const res = await register(buildRegistration({ teamName: 'Team Magma' }), 'checkout-0001');
+
+		assert.equal(res.status, 422);
+		assert.equal(res.body.message, 'This Idempotency-Key was already used for a different request');
+		assert.equal(db.rows('teams').length, 1);
+	});
+
+	it('answers 409 while the first request is still being processed', async () => {
+		await register(buildRegistration(), 'checkout-0001');
+		Object.assign(db.tables.idempotency_keys[0], { status: 'processing', response_status: null, response_body: null });
+
+		const res = await register(buildRegistration(), 'checkout-0001');
+
+		assert.equal(res.status, 409);
+		assert.equal(res.headers['retry-after'], '2');
+		assert.equal(db.rows('teams').length, 1);
+		assert.equal(razorpay.calls.length, 1);
+	});
+
+	it('does not store server errors, so the request can be retried', async () => {
+		db.failNext('rpc:create_pending_team', { message: 'connection reset' });
+
+		const failed = await register(buildRegistration(), 'checkout-0001');
+		const retry = await register(buildRegistration(), 'checkout-0001');
+
+		assert.equal(failed.status, 500);
+		assert.equal(retry.status, 201, JSON.stringify(retry.body));
+		assert.equal(retry.headers['idempotent-replayed'], undefined);
+		assert.equal(db.rows('teams').length, 1);
+	});
+
+	it('processes an expired key afresh', async () => {
+		await register(buildRegistration(), 'checkout-0001');
+		db.tables.idempotency_keys[0].expires_at = new Date(Date.now() - 1000).toISOString();
+		db.tables.teams = [];
+		db.tables.registration_email_claims = [];
+
+		const res = await register(buildRegistration(), 'checkout-0001');
+
+		assert.equal(res.status, 201);
+		assert.equal(res.headers['idempotent-replayed'], undefined);
+		assert.equal(razorpay.calls.length, 2);
+	});
+
+	it('rejects a malformed key', async () => {
+		const res = await register(buildRegistration(), 'short');
+
+		assert.equal(res.status, 400);
+		assert.equal(db.rows('teams').length, 0);
+	});
+});
+
+describe('POST /registration uniqueness under concurrency', () => {
+	beforeEach(reset);
+
+	it('creates only one of two teams submitted with the same name at once', async () => {
+		const other = buildRegistration({ members: [buildMember(2, { role: 'Team Lead' }), buildMember(3)] });
+
+		const results = await Promise.all([register(buildRegistration()), register(other)]);
+
+		assert.deepEqual(results.map(r => r.status).sort(), [201, 400]);
+		assert.equal(results.find(r => r.status === 400).body.message, 'Team name already exists');
+		assert.equal(db.rows('teams').length, 1);
+	});
+
+	it('creates only one of two teams sharing a member submitted at once', async () => {
+		const other = buildRegistration({ teamName: 'Team Magma', members: [buildMember(2, { role: 'Team Lead' }), buildMember(1)] });
+
+		const results = await Promise.all([register(buildRegistration()), register(other)]);
+
+		assert.deepEqual(results.map(r => r.status).sort(), [201, 400]);
+		assert.deepEqual(results.find(r => r.status === 400).body.existingEmails, ['member2@example.com']);
+		assert.equal(db.rows('teams').length, 1);
+	});
+
+	it('claims the emails of a new team', async () => {
+		await register(buildRegistration());
+
+		const [team] = db.rows('teams');
+		assert.deepEqual(
+			db.rows('registration_email_claims').map(c => [c.email, c.team_id]),
+			[['member1@example.com', team.id], ['member2@example.com', team.id]],
+		);
+	});
+});
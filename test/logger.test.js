@@ -0,0 +1,94 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app } = require('./helpers/app');
+const { createLogger, runWithContext } = require('../services/logger');
+
+// Run `fn` and return the entries it logged, parsed
+function captureLogs(fn) {
+	const lines = [];
+	const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+	process.stdout.write = process.stderr.write = chunk => lines.push(String(chunk));
+	try {
+		fn();
+	} finally {
+		process.stdout.write = writes.stdout;
+		process.stderr.write = writes.stderr;
+	}
+	return lines.map(line => JSON.parse(line));
+}
+
+describe('services/logger', () => {
+	const logLevel = process.env.LOG_LEVEL;
+	before(() => { process.env.LOG_LEVEL = 'debug'; });
+	after(() => {
+		if (logLevel === undefined) delete process.env.LOG_LEVEL;
+		else process.env.LOG_LEVEL = logLevel;
+	});
+
+	it('redacts emails, phones, roll numbers, signatures and auth headers', () => {
+		const [entry] = captureLogs(() => createLogger().info('Verify payment', {
+			teamId: 7,
+			email: 'lead@example.com',
+			members: [{ name: 'Asha', phone: '9876543210', roll_number: 'R1', leadEmail: 'lead@example.com' }],
+			razorpaySignature: 'abc123',
+			headers: { Authorization: 'Bearer secret', 'X-Razorpay-Signature': 'def456', 'user-agent': 'curl' },
+		}));
+
+		assert.deepEqual(entry.members, [{ name: 'Asha', phone: '[REDACTED]', roll_number: '[REDACTED]', leadEmail: '[REDACTED]' }]);
+		assert.equal(entry.email, '[REDACTED]');
+		assert.equal(entry.razorpaySignature, '[REDACTED]');
+		assert.deepEqual(entry.headers, { Authorization: '[REDACTED]', 'X-Razorpay-Signature': '[REDACTED]', 'user-agent': 'curl' });
+		assert.equal(entry.teamId, 7);
+	});
+
+	it('redacts email addresses inside messages and errors', () => {
+		const [entry] = captureLogs(() => createLogger().error('Mail failed', {
+			detail: 'Key (email)=(lead@example.com) already exists.',
+			err: new Error('Could not deliver to lead@example.com'),
+		}));
+
+		assert.equal(entry.level, 'error');
+		assert.equal(entry.detail, 'Key (email)=([REDACTED]) already exists.');
+		assert.equal(entry.err.message, 'Could not deliver to [REDACTED]');
+	});
+
+	it('adds the request id of the surrounding request', () => {
+		const entries = captureLogs(() => {
+			runWithContext({ requestId: 'req-12345678' }, () => createLogger().info('inside'));
+			createLogger().info('outside');
+		});
+
+		assert.equal(entries[0].requestId, 'req-12345678');
+		assert.equal(entries[1].requestId, undefined);
+	});
+
+	it('writes nothing below LOG_LEVEL', () => {
+		process.env.LOG_LEVEL = 'warn';
+		const entries = captureLogs(() => {
+			const logger = createLogger();
+			logger.info('quiet');
+			logger.warn('loud');
+		});
+		process.env.LOG_LEVEL = 'debug';
+
+		assert.deepEqual(entries.map(entry => entry.msg), ['loud']);
+	});
+});
+
+describe('X-Request-Id', () => {
+	it('echoes a valid incoming id', async () => {
+		const res = await request(app).get('/health').set('X-Request-Id', 'client-req-0001');
+
+		assert.equal(res.headers['x-request-id'], 'client-req-0001');
+	});
+
+	it('replaces a missing or malformed id with a generated one', async () => {
+		const missing = await request(app).get('/health');
+		const malformed = await request(app).get('/health').set('X-Request-Id', 'bad id <script>');
+
+		assert.match(missing.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+		assert.match(malformed.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+		assert.notEqual(missing.headers['x-request-id'], malformed.headers['x-request-id']);
+	});
+});
@@ -0,0 +1,37 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MAILER = require.resolve('../config/mailer');
+const env = { NODE_ENV: process.env.NODE_ENV, MAIL_TRANSPORT: process.env.MAIL_TRANSPORT };
+
+function loadMailer(overrides) {
+	for (const [key, value] of Object.entries(overrides)) {
+		if (value === undefined) delete process.env[key];
+		else process.env[key] = value;
+	}
+	delete require.cache[MAILER];
+	return require(MAILER);
+}
+
+describe('config/mailer', () => {
+	afterEach(() => loadMailer(env));
+
+	it('refuses to start in production without an explicit transport', () => {
+		assert.throws(
+			() => loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined }),
+			/MAIL_TRANSPORT must be set when NODE_ENV=production/
+		);
+	});
+
+	it('falls back to the console transport outside production', () => {
+		const mailer = loadMailer({ NODE_ENV: 'development', MAIL_TRANSPORT: undefined });
+
+		assert.equal(mailer.transportName, 'console');
+	});
+
+	it('accepts an explicit transport in production', () => {
+		const mailer = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+
+		assert.equal(mailer.transportName, 'console');
+	});
+});
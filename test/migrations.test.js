@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMigrations, createMigrator } = require('../services/migrations');
+
+// Answers the migrator's bookkeeping queries from an in-memory schema_version and
+// records every other statement it is asked to run
+class FakePostgres {
+	constructor() {
+		this.versions = new Map();
+		this.statements = [];
+		this.failOn = null;
+	}
+
+	async query(text, params = []) {
+		const sql = text.trim();
+		if (sql.startsWith('select version, name, checksum')) {
+			return { rows: [...this.versions.values()] };
+		}
+		if (sql.startsWith('insert into public.schema_version')) {
+			const [version, name, checksum] = params;
+			this.versions.set(version, { version, name, checksum });
+			return { rows: [] };
+		}
+		if (sql.startsWith('delete from public.schema_version')) {
+			this.versions.delete(params[0]);
+			return { rows: [] };
+		}
+		if (/^(create table if not exists public\.schema_version|select pg_advisory)/.test(sql)) {
+			return { rows: [] };
+		}
+
+		this.statements.push(sql);
+		if (this.failOn && sql.includes(this.failOn)) throw new Error('syntax error');
+		return { rows: [] };
+	}
+}
+
+describe('migrations directory', () => {
+	it('pairs every up migration with a down migration, numbered from 000', () => {
+		const migrations = loadMigrations();
+
+		assert.equal(migrations[0].name, '000_baseline');
+		migrations.forEach((migration, index) => assert.equal(migration.version, index));
+	});
+
+	it('declares the columns the code writes to registrations', () => {
+		const [baseline] = loadMigrations();
+
+		assert.match(baseline.up, /roll_number text/);
+	});
+});
+
+describe('createMigrator', () => {
+	let dir;
+	let db;
+
+	function writeMigration(name, up, down = `-- revert ${name}`) {
+		fs.writeFileSync(path.join(dir, `${name}.up.sql`), up);
+		fs.writeFileSync(path.join(dir, `${name}.down.sql`), down);
+	}
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+		db = new FakePostgres();
+		writeMigration('000_first', 'create table one ();');
+		writeMigration('001_second', 'create table two ();');
+		writeMigration('002_third', 'create table three ();');
+	});
+
+	afterEach(() => {
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('applies pending migrations in order, each in a transaction', async () => {
+		const report = await createMigrator(db, { dir }).up();
+
+		assert.deepEqual(report.applied, ['000_first', '001_second', '002_third']);
+		assert.deepEqual([...db.versions.keys()], [0, 1, 2]);
+		assert.deepEqual(db.statements.slice(0, 3), ['begin', 'create table one ();', 'commit']);
+	});
+
+	it('skips applied migrations and stops at --to', async () => {
+		const migrator = createMigrator(db, { dir });
+		await migrator.up({ to: 0 });
+
+		const report = await migrator.up({ to: 1 });
+
+		assert.deepEqual(report.applied, ['001_second']);
+		assert.deepEqual((await migrator.status()).pending, ['002_third']);
+	});
+
+	it('reverts the latest migrations', async () => {
+		const migrator = createMigrator(db, { dir });
+		await migrator.up();
+
+		assert.deepEqual((await migrator.down()).reverted, ['002_third']);
+		assert.deepEqual((await migrator.down({ to: 0 })).reverted, ['001_second']);
+		assert.deepEqual([...db.versions.keys()], [0]);
+	});
+
+	it('rolls back and stops at a failing migration', async () => {
+		db.failOn = 'two';
+
+		await assert.rejects(createMigrator(db, { dir }).up(), /001_second\.up\.sql failed: syntax error/);
+
+		assert.deepEqual([...db.versions.keys()], [0]);
+		assert.equal(db.statements.at(-1), 'rollback');
+	});
+
+	it('marks migrations as applied without running them', async () => {
+		const report = await createMigrator(db, { dir }).markApplied({ to: 1 });
+
+		assert.deepEqual(report.marked, ['000_first', '001_second']);
+		assert.equal(db.statements.length, 0);
+	});
+
+	it('reports applied migrations whose file has since changed', async () => {
+		await createMigrator(db, { dir }).up();
+		writeMigration('001_second', 'create table two (id bigint);');
+
+		assert.deepEqual((await createMigrator(db, { dir }).status()).changed, ['001_second']);
+	});
+
+	it('refuses to migrate up while an applied migration has changed', async () => {
+		await createMigrator(db, { dir }).up({ to: 1 });
+		writeMigration('000_first', 'create table one (id bigint);');
+
+		await assert.rejects(createMigrator(db, { dir }).up(), /Applied migrations changed since they ran: 000_first\./);
+
+		assert.deepEqual([...db.versions.keys()], [0, 1]);
+	});
+
+	it('rejects a migration without a down file', () => {
+		fs.writeFileSync(path.join(dir, '003_fourth.up.sql'), 'select 1;');
+
+		assert.throws(() => loadMigrations(dir), /003_fourth has no \.down\.sql file/);
+	});
+});
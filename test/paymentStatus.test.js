@@ -0,0 +1,153 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, razorpay, reset } = require('./helpers/app');
+const { buildInitiatedTeam, buildRegistration } = require('./helpers/factories');
+const { createStatusToken } = require('../services/statusTokens');
+
+const ORDER_ID = 'order_test_1';
+
+function status(teamId, { orderId, token } = {}) {
+	const req = request(app).get(`/registration/${teamId}/status`);
+	if (orderId) req.query({ orderId });
+	if (token) req.set('Authorization', `Bearer ${token}`);
+	return req;
+}
+
+function seedTeam(overrides) {
+	return db.seed('teams', [buildInitiatedTeam(overrides)])[0];
+}
+
+function capturedPayment(overrides = {}) {
+	return { id: 'pay_test_1', status: 'captured', amount: 20000, order_id: ORDER_ID, ...overrides };
+}
+
+describe('GET /registration/:teamId/status', () => {
+	beforeEach(reset);
+
+	describe('authorization', () => {
+		it('requires the order id or a token', async () => {
+			const team = seedTeam();
+
+			const res = await status(team.id);
+
+			assert.equal(res.status, 401);
+		});
+
+		it("answers 404 for another team's order id", async () => {
+			const team = seedTeam();
+
+			const res = await status(team.id, { orderId: 'order_someone_else' });
+
+			assert.equal(res.status, 404);
+			assert.equal(res.body.message, 'Team not found');
+		});
+
+		it('answers 404 for an unknown team', async () => {
+			const res = await status(404, { orderId: ORDER_ID });
+
+			assert.equal(res.status, 404);
+		});
+
+		it('accepts the status token returned at registration', async () => {
+			const registered = await request(app).post('/registration').send(buildRegistration());
+			const { teamId, statusToken } = registered.body.data;
+
+			const res = await status(teamId, { token: statusToken });
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentStatus, 'Initiated');
+		});
+
+		it('rejects a token issued for another team', async () => {
+			const [team, other] = db.seed('teams', [buildInitiatedTeam(), buildInitiatedTeam({ team_name: 'Other', razorpay_order_id: 'order_test_2' })]);
+
+			const res = await status(team.id, { token: createStatusToken(other.id) });
+
+			assert.equal(res.status, 404);
+		});
+
+		it('rejects an expired token', async (t) => {
+			const team = seedTeam();
+			const token = createStatusToken(team.id);
+			t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 3 * 60 * 60 * 1000 });
+
+			const res = await status(team.id, { token });
+
+			assert.equal(res.status, 404);
+		});
+	});
+
+	describe('reconciling with Razorpay', () => {
+		it('finalizes a team whose payment was captured', async () => {
+			const team = seedTeam();
+			razorpay.orderPayments[ORDER_ID] = [capturedPayment()];
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentStatus, 'Completed');
+			assert.equal(res.body.data.paymentId, 'pay_test_1');
+			assert.equal(res.body.data.checkedWithRazorpay, true);
+			assert.deepEqual(db.rows('registrations').map(r => r.roll_number), ['ROLL1', 'ROLL2']);
+		});
+
+		it('does not finalize a payment for a different amount', async () => {
+			const team = seedTeam();
+			razorpay.orderPayments[ORDER_ID] = [capturedPayment({ amount: 100 })];
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.body.data.paymentStatus, 'Initiated');
+			assert.equal(db.rows('registrations').length, 0);
+		});
+
+		it('leaves teams without a stored roster to verify-payment', async () => {
+			const team = seedTeam({ pending_members: null });
+			razorpay.orderPayments[ORDER_ID] = [capturedPayment()];
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.body.data.paymentStatus, 'Initiated');
+			assert.equal(db.rows('registrations').length, 0);
+		});
+
+		it('marks the team failed when every attempt failed', async () => {
+			const team = seedTeam();
+			razorpay.orderPayments[ORDER_ID] = [{ id: 'pay_test_1', status: 'failed', amount: 20000 }];
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.body.data.paymentStatus, 'Failed');
+		});
+
+		it('reports Initiated while no payment was made', async () => {
+			const team = seedTeam();
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.body.data.paymentStatus, 'Initiated');
+			assert.equal(res.body.data.checkedWithRazorpay, true);
+		});
+
+		it('answers with the stored status when Razorpay is unreachable', async () => {
+			const team = seedTeam();
+			razorpay.nextError = new Error('ETIMEDOUT');
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.status, 200);
+			assert.equal(res.body.data.paymentStatus, 'Initiated');
+			assert.equal(res.body.data.checkedWithRazorpay, false);
+		});
+
+		it('does not call Razorpay for a completed team', async () => {
+			const team = seedTeam({ payment_status: 'Completed', razorpay_payment_id: 'pay_test_1' });
+
+			const res = await status(team.id, { orderId: ORDER_ID });
+
+			assert.equal(res.body.data.paymentStatus, 'Completed');
+			assert.equal(razorpay.calls.length, 0);
+		});
+	});
+});
@@ -0,0 +1,56 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, razorpay, reset } = require('./helpers/app');
+const { buildInitiatedTeam } = require('./helpers/factories');
+const { reconcileStaleOrders } = require('../services/reconciliation');
+
+const ORDER_ID = 'order_test_1';
+
+// An Initiated team whose checkout started `minutes` ago
+function seedStaleTeam(minutes, overrides) {
+	const startedAt = new Date(Date.now() - minutes * 60 * 1000).toISOString();
+	return db.seed('teams', [buildInitiatedTeam({ payment_initiated_at: startedAt, ...overrides })])[0];
+}
+
+describe('reconcileStaleOrders', () => {
+	beforeEach(reset);
+
+	it('expires an unpaid team past the TTL and releases its coupon', async () => {
+		db.seed('coupons', [{ code: 'SAVE50', discount_type: 'flat', discount_value: 50, redemption_count: 1 }]);
+		const team = seedStaleTeam(120, { coupon_code: 'SAVE50' });
+
+		const report = await reconcileStaleOrders({ staleMinutes: 30, ttlMinutes: 60 });
+
+		assert.deepEqual(report.summary, { expired: 1 });
+		assert.equal(db.rows('teams')[0].payment_status, 'Failed');
+		assert.ok(db.rows('teams')[0].expired_at);
+		assert.equal(db.rows('coupons')[0].redemption_count, 0);
+		assert.equal(report.results[0].teamId, team.id);
+	});
+
+	it('honours an explicit 0 and rejects negative options', async () => {
+		seedStaleTeam(1);
+
+		const report = await reconcileStaleOrders({ staleMinutes: 0, ttlMinutes: 0 });
+
+		assert.equal(report.staleMinutes, 0);
+		assert.equal(report.ttlMinutes, 0);
+		assert.deepEqual(report.summary, { expired: 1 });
+		await assert.rejects(reconcileStaleOrders({ limit: -1 }), /limit must be a non-negative integer/);
+		await assert.rejects(reconcileStaleOrders({ staleMinutes: Number.NaN }), /staleMinutes/);
+	});
+
+	it('leaves a team whose payment is authorized but not captured', async () => {
+		db.seed('coupons', [{ code: 'SAVE50', discount_type: 'flat', discount_value: 50, redemption_count: 1 }]);
+		seedStaleTeam(120, { coupon_code: 'SAVE50' });
+		razorpay.orderPayments[ORDER_ID] = [{ id: 'pay_test_1', status: 'authorized', amount: 20000, order_id: ORDER_ID }];
+
+		const report = await reconcileStaleOrders({ staleMinutes: 30, ttlMinutes: 60 });
+
+		assert.equal(report.results[0].action, 'unchanged');
+		assert.equal(report.results[0].reason, 'Payment authorized, not captured yet');
+		assert.equal(db.rows('teams')[0].payment_status, 'Initiated');
+		assert.equal(db.rows('teams')[0].expired_at, null);
+		assert.equal(db.rows('coupons')[0].redemption_count, 1);
+	});
+});
@@ -0,0 +1,378 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, razorpay, reset } = require('./helpers/app');
+const { buildMember, buildMembers, buildRegistration, signPayment } = require('./helpers/factories');
+const { setRazorpay } = require('../config/razorpay');
+const { setSupabaseClient } = require('../services/database');
+
+function register(body) {
+	return request(app).post('/registration').send(body);
+}
+
+async function expectRejected(body, status, message) {
+	const res = await register(body);
+	assert.equal(res.status, status, JSON.stringify(res.body));
+	assert.equal(res.body.success, false);
+	assert.equal(res.body.message, message);
+	assert.equal(db.rows('teams').length, 0, 'no team should be created');
+	assert.equal(razorpay.calls.length, 0, 'no order should be created');
+	return res;
+}
+
+// 400 with exactly these field errors, and nothing created
+async function expectInvalid(body, errors) {
+	const res = await expectRejected(body, 400, 'Validation failed');
+	assert.deepEqual(res.body.errors, errors);
+	return res;
+}
+
+describe('POST /registration', () => {
+	beforeEach(reset);
+
+	describe('validation', () => {
+		it('rejects a missing team name', async () => {
+			await expectInvalid(buildRegistration({ teamName: '  ' }), [{ path: 'teamName', message: 'is required' }]);
+		});
+
+		it('rejects a malformed coupon code', async () => {
+			await expectInvalid(buildRegistration({ couponCode: 'not a code!' }), [
+				{ path: 'couponCode', message: 'may only contain letters, digits, - and _' },
+			]);
+		});
+
+		it('rejects an unknown domain', async () => {
+			await expectInvalid(buildRegistration({ domain: 'Robotics' }), [
+				{ path: 'domain', message: 'must be one of: Web Dev, UI/UX, Agentic AI' },
+			]);
+		});
+
+		it('rejects a domain whose registration window has closed', async () => {
+			const res = await expectRejected(buildRegistration({ domain: 'Agentic AI' }), 403, 'Registration for Agentic AI is closed');
+			assert.equal(res.body.closesAt, '2020-01-01T00:00:00.000Z');
+		});
+
+		it('rejects teams smaller than the domain minimum', async () => {
+			await expectInvalid(buildRegistration({ members: buildMembers(1) }), [
+				{ path: 'members', message: 'must have 2 to 4 members for Web Dev' },
+			]);
+		});
+
+		it('rejects teams larger than the domain maximum', async () => {
+			await expectInvalid(buildRegistration({ members: buildMembers(5) }), [
+				{ path: 'members', message: 'must have 2 to 4 members for Web Dev' },
+			]);
+		});
+
+		it('rejects a missing members array', async () => {
+			await expectInvalid(buildRegistration({ members: undefined }), [{ path: 'members', message: 'is required' }]);
+		});
+
+		it('requires a Team Lead', async () => {
+			const members = [buildMember(0, { role: 'Member' }), buildMember(1)];
+			await expectInvalid(buildRegistration({ members }), [{ path: 'members', message: 'must include a Team Lead' }]);
+		});
+
+		it('allows only one Team Lead', async () => {
+			const members = [buildMember(0), buildMember(1, { role: 'Team Lead' })];
+			await expectInvalid(buildRegistration({ members }), [
+				{ path: 'members[1].role', message: 'only one Team Lead is allowed per team' },
+			]);
+		});
+
+		it('rejects duplicate emails within the team, ignoring case', async () => {
+			const members = [buildMember(0), buildMember(1, { email: 'Member1@Example.com' })];
+			await expectInvalid(buildRegistration({ members }), [
+				{ path: 'members[1].email', message: 'is already used by another member of this team' },
+			]);
+		});
+
+		it('rejects duplicate roll numbers within the team', async () => {
+			const members = [buildMember(0), buildMember(1, { rollNumber: 'ROLL1' })];
+			await expectInvalid(buildRegistration({ members }), [
+				{ path: 'members[1].rollNumber', message: 'is already used by another member of this team' },
+			]);
+		});
+
+		it('rejects an unknown role', async () => {
+			const members = [buildMember(0), buildMember(1, { role: 'Mentor' })];
+			await expectInvalid(buildRegistration({ members }), [
+				{ path: 'members[1].role', message: 'must be one of: Team Lead, Member' },
+			]);
+		});
+
+		it('checks email and phone formats', async () => {
+			const members = [buildMember(0, { email: 'not-an-email' }), buildMember(1, { phone: '12345' })];
+			await expectInvalid(buildRegistration({ members }), [
+				{ path: 'members[0].email', message: 'must be a valid email address' },
+				{ path: 'members[1].phone', message: 'must be a valid phone number' },
+			]);
+		});
+
+		it('reports every invalid field at once', async () => {
+			const members = [
+				buildMember(0),
+				buildMember(1, { name: '', phone: '' }),
+				buildMember(2, { rollNumber: undefined, email: 'bad' }),
+			];
+
+			await expectInvalid({ domain: 'Web Dev', couponCode: '%%', members }, [
+				{ path: 'teamName', message: 'is required' },
+				{ path: 'couponCode', message: 'may only contain letters, digits, - and _' },
+				{ path: 'members[1].name', message: 'is required' },
+				{ path: 'members[1].phone', message: 'is required' },
+				{ path: 'members[2].email', message: 'must be a valid email address' },
+				{ path: 'members[2].rollNumber', message: 'is required' },
+			]);
+		});
+
+		it('normalizes names, emails and phones before storing them', async () => {
+			const members = [
+				buildMember(0, { name: '  Asha   Rao ', email: ' Asha.Rao@Example.COM ', phone: '+91 98765-43210' }),
+				{ ...buildMember(1, { rollNumber: undefined }), roll_number: ' ROLL2 ' },
+			];
+
+			const res = await register(buildRegistration({ teamName: '  Team   Rocket ', members }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+			const [team] = db.rows('teams');
+			assert.equal(team.team_name, 'Team Rocket');
+			assert.deepEqual(team.pending_members[0], {
+				name: 'Asha Rao',
+				email: 'asha.rao@example.com',
+				phone: '+919876543210',
+				college: 'Test College',
+				role: 'Team Lead',
+				roll_number: 'ROLL1',
+			});
+			assert.equal(team.pending_members[1].roll_number, 'ROLL2');
+		});
+	});
+
+	describe('conflicts with existing registrations', () => {
+		it('rejects a team name that is already taken', async () => {
+			db.seed('teams', [{ team_name: 'Team Rocket', domain: 'Web Dev', payment_status: 'Initiated' }]);
+
+			const res = await register(buildRegistration());
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Team name already exists');
+			assert.equal(db.rows('teams').length, 1);
+		});
+
+		it('frees the name of a team whose checkout expired', async () => {
+			db.seed('teams', [{
+				team_name: 'Team Rocket',
+				domain: 'Web Dev',
+				payment_status: 'Failed',
+				expired_at: new Date().toISOString(),
+			}]);
+
+			const res = await register(buildRegistration());
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+		});
+
+		it('lists emails that are already registered', async () => {
+			db.seed('registration_email_claims', [{ email: 'member2@example.com', team_id: 99 }]);
+
+			const res = await register(buildRegistration());
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Some emails are already registered');
+			assert.deepEqual(res.body.existingEmails, ['member2@example.com']);
+			assert.equal(db.rows('teams').length, 0);
+		});
+	});
+
+	describe('capacity', () => {
+		it('waitlists the team when the domain is full', async () => {
+			db.seed('teams', [{ team_name: 'First', domain: 'UI/UX', payment_status: 'Completed' }]);
+
+			const res = await register(buildRegistration({ domain: 'UI/UX' }));
+
+			assert.equal(res.status, 202, JSON.stringify(res.body));
+			assert.equal(res.body.waitlisted, true);
+			assert.equal(res.body.data.position, 1);
+			assert.equal(db.rows('teams').length, 1);
+			assert.equal(razorpay.calls.length, 0);
+
+			const [entry] = db.rows('waitlist');
+			assert.equal(entry.team_name, 'Team Rocket');
+			assert.equal(entry.contact_email, 'member1@example.com');
+		});
+
+		it('does not count expired checkouts against capacity', async () => {
+			db.seed('teams', [{
+				team_name: 'Abandoned',
+				domain: 'UI/UX',
+				payment_status: 'Initiated',
+				expired_at: new Date().toISOString(),
+			}]);
+
+			const res = await register(buildRegistration({ domain: 'UI/UX' }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+		});
+
+		it('counts failed checkouts that can still be paid against capacity', async () => {
+			db.seed('teams', [{ team_name: 'Retrying', domain: 'UI/UX', payment_status: 'Failed' }]);
+
+			const res = await register(buildRegistration({ domain: 'UI/UX' }));
+
+			assert.equal(res.status, 202, JSON.stringify(res.body));
+		});
+
+		it('waitlists the team when the last seat goes while its order is created', async (t) => {
+			const createOrder = razorpay.orders.create;
+			razorpay.orders.create = async options => {
+				db.seed('teams', [{ team_name: 'Faster', domain: 'UI/UX', payment_status: 'Initiated' }]);
+				return createOrder(options);
+			};
+			t.after(() => { razorpay.orders.create = createOrder; });
+
+			const res = await register(buildRegistration({ domain: 'UI/UX' }));
+
+			assert.equal(res.status, 202, JSON.stringify(res.body));
+			assert.equal(res.body.waitlisted, true);
+			assert.deepEqual(db.rows('teams').map(team => team.team_name), ['Faster']);
+			assert.equal(db.rows('registration_email_claims').length, 0);
+		});
+	});
+
+	describe('payment orders', () => {
+		it('creates an Initiated team and a Razorpay order for the quoted amount', async () => {
+			const res = await register(buildRegistration({ members: buildMembers(3) }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentRequired, true);
+			assert.equal(res.body.data.paymentDetails.amount, 300);
+			assert.equal(res.body.data.paymentDetails.amountInPaise, 30000);
+
+			const [order] = razorpay.calls;
+			assert.equal(order.method, 'orders.create');
+			assert.equal(order.args.amount, 30000);
+			assert.equal(res.body.data.paymentDetails.orderId, 'order_test_1');
+
+			const [team] = db.rows('teams');
+			assert.equal(team.id, res.body.data.teamId);
+			assert.equal(team.payment_status, 'Initiated');
+			assert.equal(team.razorpay_order_id, 'order_test_1');
+			assert.equal(team.amount_in_paise, 30000);
+			assert.equal(team.team_size, 3);
+			assert.deepEqual(team.pending_members.map(m => m.roll_number), ['ROLL1', 'ROLL2', 'ROLL3']);
+			assert.equal(db.rows('registrations').length, 0, 'members are only registered after payment');
+		});
+
+		it('charges flat-priced domains once per team', async () => {
+			const res = await register(buildRegistration({ domain: 'UI/UX', members: buildMembers(3) }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentDetails.amountInPaise, 25000);
+			assert.equal(res.body.data.paymentDetails.pricingType, 'flat');
+		});
+
+		it('fails cleanly when Razorpay is not configured', async () => {
+			setRazorpay(null);
+			try {
+				const res = await register(buildRegistration());
+
+				assert.equal(res.status, 500);
+				assert.equal(res.body.message, 'Payment gateway not initialized. Check server configuration.');
+				assert.equal(db.rows('teams').length, 0);
+			} finally {
+				setRazorpay(razorpay);
+			}
+		});
+
+		it('does not create the team when order creation fails', async () => {
+			razorpay.nextError = new Error('Gateway timeout');
+
+			const res = await register(buildRegistration());
+
+			assert.equal(res.status, 500);
+			assert.equal(res.body.message, 'Failed to create payment order');
+			assert.equal(db.rows('teams').length, 0);
+		});
+
+		it('reports a database failure while saving the team', async () => {
+			db.failNext('rpc:create_pending_team', { message: 'connection reset' });
+
+			const res = await register(buildRegistration());
+
+			assert.equal(res.status, 500);
+			assert.equal(res.body.message, 'An error occurred during registration');
+		});
+	});
+
+	describe('database access', () => {
+		it('registers and pays without the anon client', async (t) => {
+			setSupabaseClient(null);
+			t.after(() => setSupabaseClient(db));
+			const body = buildRegistration();
+
+			const { body: { data } } = await register(body);
+			const verify = await request(app).post('/razorpay/verify-payment').send({
+				teamId: data.teamId,
+				razorpayOrderId: data.paymentDetails.orderId,
+				razorpayPaymentId: 'pay_service_role',
+				razorpaySignature: signPayment(data.paymentDetails.orderId, 'pay_service_role'),
+				members: body.members,
+			});
+
+			assert.equal(verify.status, 200, JSON.stringify(verify.body));
+			assert.equal(db.rows('teams')[0].payment_status, 'Completed');
+		});
+	});
+
+	describe('coupons', () => {
+		it('rejects an unknown coupon', async () => {
+			await expectRejected(buildRegistration({ couponCode: 'NOPE' }), 400, 'Invalid coupon code');
+		});
+
+		it('applies a percentage coupon and takes a redemption', async () => {
+			db.seed('coupons', [{ code: 'HALF', discount_type: 'percentage', discount_value: 50, max_redemptions: 10 }]);
+
+			const res = await register(buildRegistration({ couponCode: 'half' }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentDetails.amountInPaise, 10000);
+			assert.equal(res.body.data.paymentDetails.discount, 100);
+			assert.equal(res.body.data.paymentDetails.couponCode, 'HALF');
+			assert.equal(razorpay.calls[0].args.amount, 10000);
+			assert.equal(db.rows('coupons')[0].redemption_count, 1);
+		});
+
+		it('rejects a coupon that has reached its usage limit', async () => {
+			db.seed('coupons', [{ code: 'USED', discount_type: 'flat', discount_value: 50, max_redemptions: 1, redemption_count: 1 }]);
+
+			await expectRejected(buildRegistration({ couponCode: 'USED' }), 400, 'This coupon has reached its usage limit');
+		});
+
+		it('gives the redemption back when order creation fails', async () => {
+			db.seed('coupons', [{ code: 'HALF', discount_type: 'percentage', discount_value: 50 }]);
+			razorpay.nextError = new Error('Gateway timeout');
+
+			const res = await register(buildRegistration({ couponCode: 'HALF' }));
+
+			assert.equal(res.status, 500);
+			assert.equal(db.rows('coupons')[0].redemption_count, 0);
+		});
+
+		it('completes a free registration without a payment order', async () => {
+			db.seed('coupons', [{ code: 'FREEPASS', discount_type: 'free', discount_value: 0 }]);
+
+			const res = await register(buildRegistration({ couponCode: 'FREEPASS' }));
+
+			assert.equal(res.status, 201, JSON.stringify(res.body));
+			assert.equal(res.body.data.paymentRequired, false);
+			assert.equal(res.body.data.paymentStatus, 'Completed');
+			assert.equal(razorpay.calls.length, 0);
+
+			const [team] = db.rows('teams');
+			assert.equal(team.payment_status, 'Completed');
+			assert.equal(team.razorpay_order_id, null);
+			assert.deepEqual(db.rows('registrations').map(r => r.email), ['member1@example.com', 'member2@example.com']);
+		});
+	});
+});
@@ -0,0 +1,338 @@
+// Runs the migrations against a real Postgres and checks that each SQL function
+// returns what its JavaScript mirror in helpers/databaseFunctions.js returns for the
+// same rows. Skipped unless TEST_DATABASE_URL is set, e.g.
+//
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/hackathon_test npm test
+//
+// Point it at a disposable database: every migration is reverted and applied again,
+// and the tables are truncated before each test.
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('pg');
+const { db, reset } = require('./helpers/app');
+const { loadMigrations, createMigrator } = require('../services/migrations');
+
+const DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// The roles Supabase provides, which the grants in the migrations refer to
+const SUPABASE_ROLES = ['anon', 'authenticated', 'service_role'];
+
+const TABLES = [
+	'teams',
+	'registrations',
+	'registration_email_claims',
+	'solo_registrations',
+	'team_invites',
+	'team_join_requests',
+	'coupons',
+];
+
+// jsonb arguments and columns go over the wire as JSON; arrays of scalars as Postgres arrays
+function toParam(value) {
+	const isJson = value !== null && typeof value === 'object'
+		&& !(Array.isArray(value) && value.every(item => item === null || typeof item !== 'object'));
+	return isJson ? JSON.stringify(value) : value;
+}
+
+function member(name, overrides = {}) {
+	const handle = name.toLowerCase();
+	return {
+		name,
+		email: `${handle}@example.com`,
+		phone: '9876543210',
+		college: 'North College',
+		role: 'Member',
+		roll_number: `R-${handle}`,
+		...overrides,
+	};
+}
+
+function solo(name, overrides = {}) {
+	const { role, ...details } = member(name);
+	return { ...details, domain: 'Web Dev', skills: ['js'], status: 'Reserved', ...overrides };
+}
+
+describe('SQL functions against Postgres', { skip: !DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+	let client;
+
+	// Insert the same rows into Postgres and the fake, so both assign the same ids
+	async function seed(table, rows) {
+		for (const row of rows) {
+			const columns = Object.keys(row);
+			await client.query(
+				`insert into public.${table} (${columns.join(', ')}) values (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+				columns.map(column => toParam(row[column]))
+			);
+		}
+		return db.seed(table, rows);
+	}
+
+	// Call `name` with the same named arguments on both sides
+	async function call(name, args) {
+		const names = Object.keys(args);
+		const { rows: [{ result }] } = await client.query(
+			`select public.${name}(${names.map((arg, i) => `${arg} => $${i + 1}`).join(', ')}) as result`,
+			names.map(arg => toParam(args[arg]))
+		);
+		const { data, error } = await db.rpc(name, args);
+		if (error) throw new Error(error.message);
+		return { sql: result, js: data };
+	}
+
+	// Assert both sides answered with the same status and `keys`
+	async function assertSame(name, args, keys = []) {
+		const { sql, js } = await call(name, args);
+		const pick = result => Object.fromEntries(['status', ...keys].map(key => [key, result[key] ?? null]));
+		assert.deepEqual(pick(sql), pick(js), `${name}(${JSON.stringify(args)})`);
+		return sql;
+	}
+
+	// Assert a table holds the same `columns` on both sides
+	async function assertRows(table, columns, orderBy = 'id') {
+		const { rows } = await client.query(`select ${columns.join(', ')} from public.${table} order by ${orderBy}`);
+		const normalize = row => Object.fromEntries(columns.map(column => {
+			const value = row[column] ?? null;
+			return [column, typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value];
+		}));
+		const fake = db.rows(table).sort((a, b) => (a[orderBy] < b[orderBy] ? -1 : a[orderBy] > b[orderBy] ? 1 : 0));
+		assert.deepEqual(rows.map(normalize), fake.map(normalize), `${table} rows differ`);
+	}
+
+	function assertClaims() {
+		return assertRows('registration_email_claims', ['email', 'team_id', 'solo_id'], 'email');
+	}
+
+	before(async () => {
+		client = new Client({ connectionString: DATABASE_URL });
+		await client.connect();
+		for (const role of SUPABASE_ROLES) {
+			await client.query(`do $$ begin create role ${role} nologin; exception when duplicate_object then null; end $$`);
+		}
+		await createMigrator(client).up();
+	});
+
+	after(async () => {
+		if (client) await client.end();
+	});
+
+	beforeEach(async () => {
+		await reset();
+		await client.query(`truncate ${TABLES.map(table => `public.${table}`).join(', ')} restart identity cascade`);
+	});
+
+	it('reverts every migration and applies them again', async () => {
+		const migrator = createMigrator(client);
+
+		const { reverted } = await migrator.down({ to: -1 });
+		const { applied } = await migrator.up();
+
+		assert.equal(reverted.length, loadMigrations().length);
+		assert.deepEqual(applied, [...reverted].reverse());
+		assert.deepEqual((await migrator.status()).pending, []);
+	});
+
+	it('creates and finalizes pending teams', async () => {
+		const rockets = { team_name: 'Rockets', domain: 'Web Dev', team_size: 2, pending_members: [member('Asha', { role: 'Team Lead' }), member('Ben')] };
+		const pixels = { team_name: 'Pixels', domain: 'Web Dev', team_size: 1, pending_members: [member('Chen', { role: 'Team Lead' })] };
+
+		await assertSame('create_pending_team', { p_team: rockets, p_max_teams: 2 });
+		await assertSame('create_pending_team', { p_team: pixels, p_max_teams: 2 });
+		await assertSame('create_pending_team', { p_team: { ...pixels, team_name: 'Late' }, p_max_teams: 2 });
+		await assertSame('finalize_team_payment', { p_team_id: 1, p_payment_id: 'pay_1' }, ['member_count']);
+		await assertSame('finalize_team_payment', { p_team_id: 1, p_payment_id: 'pay_1' }, ['member_count']);
+		await assertSame('finalize_team_payment', { p_team_id: 2, p_payment_id: 'pay_2', p_members: [member('Chen', { roll_number: 'R-asha' })] });
+		await assertSame('finalize_team_payment', { p_team_id: 99, p_payment_id: 'pay_3' });
+
+		await assertRows('teams', ['team_name', 'payment_status', 'razorpay_payment_id']);
+		await assertRows('registrations', ['team_id', 'email', 'role']);
+		await assertClaims();
+	});
+
+	it('refuses a taken team name or member email', async () => {
+		await seed('teams', [{ team_name: 'Rockets', domain: 'Web Dev', payment_status: 'Completed', team_size: 1 }]);
+		await seed('registration_email_claims', [{ email: 'asha@example.com', team_id: 1 }]);
+
+		await assertSame('create_pending_team', { p_team: { team_name: 'Rockets', domain: 'UI/UX', team_size: 1, pending_members: [member('Ben')] } });
+		await assertSame('create_pending_team', {
+			p_team: { team_name: 'Pixels', domain: 'UI/UX', team_size: 2, pending_members: [member('Asha', { email: 'ASHA@example.com' }), member('Ben')] },
+		}, ['emails']);
+
+		await assertClaims();
+	});
+
+	it('forms a team from solos and dissolves it again', async () => {
+		for (const name of ['Asha', 'Ben', 'Chen']) {
+			await assertSame('create_solo_registration', { p_solo: solo(name) });
+		}
+		await assertSame('create_solo_registration', { p_solo: solo('Dev', { domain: 'UI/UX' }) });
+		await seed('teams', [{ team_name: 'Pixels', domain: 'Web Dev', payment_status: 'Completed', team_size: 1 }]);
+		await client.query("update public.solo_registrations set status = 'Paid' where id = 2");
+		db.table('solo_registrations').find(row => row.id === 2).status = 'Paid';
+
+		const team = { team_name: 'Rockets', domain: 'Web Dev', team_size: 2, pending_members: [member('Asha'), member('Ben')] };
+		await assertSame('form_solo_team', { p_team: team, p_solo_ids: [1, 4], p_max_teams: 2 }, ['solo_ids']);
+		await assertSame('form_solo_team', { p_team: team, p_solo_ids: [1, 2], p_max_teams: 1 });
+		await assertSame('form_solo_team', { p_team: team, p_solo_ids: [1, 2], p_max_teams: 2 });
+		await assertSame('form_solo_team', { p_team: { ...team, team_name: 'Pixels' }, p_solo_ids: [3] });
+		await assertRows('solo_registrations', ['status', 'team_id']);
+		await assertClaims();
+
+		await assertSame('dissolve_solo_team', {
+			p_team_id: 2,
+			p_solos: [{ id: 1, status: 'Reserved' }, { id: 2, status: 'Paid' }],
+		}, ['solo_ids']);
+		await assertSame('dissolve_solo_team', { p_team_id: 1, p_solos: [] });
+		await assertSame('dissolve_solo_team', { p_team_id: 99, p_solos: [] });
+
+		await assertRows('solo_registrations', ['status', 'team_id']);
+		await assertRows('teams', ['team_name', 'payment_status']);
+		await assertClaims();
+		await assertSame('create_solo_registration', { p_solo: solo('Asha') });
+	});
+
+	it('releases a solo checkout and claims the email again on a late payment', async () => {
+		await assertSame('create_solo_registration', { p_solo: solo('Asha', { status: 'Initiated', razorpay_order_id: 'order_1' }) });
+		await assertSame('create_solo_registration', { p_solo: solo('Ben', { status: 'Initiated', razorpay_order_id: 'order_2' }) });
+		await assertSame('create_solo_registration', { p_solo: solo('Chen') });
+
+		await assertSame('release_solo_checkout', { p_solo_id: 1 });
+		await assertSame('release_solo_checkout', { p_solo_id: 1 });
+		await assertSame('release_solo_checkout', { p_solo_id: 2 });
+		await assertSame('release_solo_checkout', { p_solo_id: 3 });
+		await assertClaims();
+
+		await assertSame('create_pending_team', { p_team: { team_name: 'Rockets', domain: 'Web Dev', team_size: 1, pending_members: [member('Ben')] } });
+		await assertSame('complete_solo_payment', { p_solo_id: 1, p_payment_id: 'pay_1' });
+		await assertSame('complete_solo_payment', { p_solo_id: 1, p_payment_id: 'pay_1' });
+		await assertSame('complete_solo_payment', { p_solo_id: 2, p_payment_id: 'pay_2' });
+		await assertSame('complete_solo_payment', { p_solo_id: 3, p_payment_id: 'pay_3' });
+		await assertSame('complete_solo_payment', { p_solo_id: 99, p_payment_id: 'pay_4' });
+
+		await assertRows('solo_registrations', ['status', 'razorpay_payment_id']);
+		await assertClaims();
+	});
+
+	it('holds, releases and completes team joins', async () => {
+		const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+		await seed('teams', [
+			{ team_name: 'Rockets', domain: 'Web Dev', payment_status: 'Completed', team_size: 1 },
+			{ team_name: 'Pixels', domain: 'Web Dev', payment_status: 'Initiated', team_size: 1 },
+		]);
+		await seed('registrations', [{ team_id: 1, ...member('Asha', { role: 'Team Lead' }) }]);
+		await seed('registration_email_claims', [{ email: 'asha@example.com', team_id: 1 }]);
+		await seed('team_invites', [
+			{ team_id: 1, code: 'ROCKETS1', created_by: 'asha@example.com', max_uses: 2, expires_at: expiresAt },
+			{ team_id: 2, code: 'PIXELS01', created_by: 'lead@example.com', max_uses: 1, expires_at: expiresAt },
+		]);
+
+		const join = (code, person, orderId) => ({
+			p_code: code,
+			p_member: person,
+			p_expected_size: 1,
+			p_max_size: 3,
+			p_amount_in_paise: 10000,
+			p_order_id: orderId,
+			p_hold_minutes: 30,
+		});
+		await assertSame('request_team_join', join('pixels01', member('Ben'), 'order_0'));
+		await assertSame('request_team_join', join('NOPE0000', member('Ben'), 'order_0'));
+		await assertSame('request_team_join', join('rockets1', member('Asha'), 'order_0'));
+		await assertSame('request_team_join', join('rockets1', member('Ben'), 'order_1'));
+		await assertSame('request_team_join', join('rockets1', member('Chen'), 'order_2'));
+		await assertSame('request_team_join', join('rockets1', member('Dev'), 'order_3'));
+		await assertRows('team_invites', ['code', 'use_count']);
+
+		await assertSame('release_team_join', { p_join_id: 1 });
+		await assertSame('release_team_join', { p_join_id: 1 });
+		await assertSame('release_team_join', { p_join_id: 2 });
+		await assertRows('team_invites', ['code', 'use_count']);
+		await assertClaims();
+
+		await assertSame('create_solo_registration', { p_solo: solo('Chen') });
+		await assertSame('complete_team_join', { p_join_id: 1, p_payment_id: 'pay_1', p_max_size: 3 }, ['registration_id']);
+		await assertSame('complete_team_join', { p_join_id: 1, p_payment_id: 'pay_1', p_max_size: 3 }, ['registration_id']);
+		await assertSame('complete_team_join', { p_join_id: 2, p_payment_id: 'pay_2', p_max_size: 3 });
+		await assertSame('complete_team_join', { p_join_id: 99, p_payment_id: 'pay_3', p_max_size: 3 });
+
+		await assertRows('team_join_requests', ['status', 'razorpay_payment_id', 'registration_id']);
+		await assertRows('team_invites', ['code', 'use_count']);
+		await assertRows('teams', ['team_name', 'team_size']);
+		await assertClaims();
+	});
+
+	it('refuses a join to a full or inactive team', async () => {
+		await seed('teams', [
+			{ team_name: 'Rockets', domain: 'Web Dev', payment_status: 'Completed', team_size: 2 },
+			{ team_name: 'Pixels', domain: 'Web Dev', payment_status: 'Completed', team_size: 1 },
+		]);
+		await seed('team_invites', [{ team_id: 2, code: 'PIXELS01', created_by: 'lead@example.com', max_uses: 3, expires_at: '2999-01-01T00:00:00.000Z' }]);
+		await seed('team_join_requests', [
+			{ team_id: 1, invite_id: 1, member: member('Ben'), amount_in_paise: 0, status: 'Initiated' },
+			{ team_id: 2, invite_id: 1, member: member('Chen'), amount_in_paise: 0, status: 'Initiated' },
+		]);
+
+		await assertSame('complete_team_join', { p_join_id: 1, p_payment_id: 'pay_1', p_max_size: 2 });
+		await assertSame('request_team_join', {
+			p_code: 'PIXELS01',
+			p_member: member('Dev'),
+			p_expected_size: 1,
+			p_max_size: 2,
+			p_amount_in_paise: 0,
+			p_order_id: null,
+			p_hold_minutes: 30,
+		});
+		await client.query("update public.teams set payment_status = 'Refunded' where id = 2");
+		db.table('teams').find(row => row.id === 2).payment_status = 'Refunded';
+		await assertSame('complete_team_join', { p_join_id: 2, p_payment_id: 'pay_2', p_max_size: 3 });
+
+		await assertRows('team_join_requests', ['status', 'razorpay_payment_id']);
+	});
+
+	it('promotes a team lead', async () => {
+		await seed('teams', [{
+			team_name: 'Rockets',
+			domain: 'Web Dev',
+			payment_status: 'Completed',
+			team_size: 2,
+			pending_members: [member('Asha', { role: 'Team Lead' }), member('Ben')],
+		}]);
+		await seed('registrations', [
+			{ team_id: 1, ...member('Asha', { role: 'Team Lead' }) },
+			{ team_id: 1, ...member('Ben') },
+		]);
+
+		await assertSame('promote_team_lead', { p_team_id: 1, p_registration_id: 1 });
+		await assertSame('promote_team_lead', { p_team_id: 1, p_registration_id: 2 }, ['previous_lead_id']);
+		await assertSame('promote_team_lead', { p_team_id: 1, p_registration_id: 99 });
+		await assertSame('promote_team_lead', { p_team_id: 99, p_registration_id: 1 });
+
+		await assertRows('registrations', ['email', 'role']);
+		await assertRows('teams', ['pending_members']);
+	});
+
+	it('redeems coupons up to their limit and releases them', async () => {
+		await seed('coupons', [
+			{ code: 'EARLY', discount_type: 'flat', discount_value: 100, max_redemptions: 1 },
+			{ code: 'LATER', discount_type: 'flat', discount_value: 100, valid_from: '2999-01-01T00:00:00.000Z' },
+			{ code: 'PAUSED', discount_type: 'flat', discount_value: 100, active: false },
+		]);
+
+		const redeem = async code => {
+			const { rows } = await client.query('select * from public.redeem_coupon($1)', [code]);
+			const { data } = await db.rpc('redeem_coupon', { p_code: code });
+			assert.equal(rows.length, data.length, `redeem_coupon(${code})`);
+		};
+		await redeem('early');
+		await redeem('EARLY');
+		await redeem('LATER');
+		await redeem('PAUSED');
+		await redeem('MISSING');
+		await assertRows('coupons', ['code', 'redemption_count']);
+
+		for (const code of ['early', 'EARLY', 'LATER']) {
+			await client.query('select public.release_coupon($1)', [code]);
+			await db.rpc('release_coupon', { p_code: code });
+		}
+		await assertRows('coupons', ['code', 'redemption_count']);
+	});
+});
@@ -0,0 +1,241 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, reset } = require('./helpers/app');
+const { buildMember, buildMembers, buildInitiatedTeam, signPayment } = require('./helpers/factories');
+
+const ORDER_ID = 'order_test_1';
+const PAYMENT_ID = 'pay_test_1';
+
+function verify(body) {
+	return request(app).post('/razorpay/verify-payment').send(body);
+}
+
+function verificationFor(team, overrides = {}) {
+	return {
+		teamId: team.id,
+		razorpayOrderId: ORDER_ID,
+		razorpayPaymentId: PAYMENT_ID,
+		razorpaySignature: signPayment(ORDER_ID, PAYMENT_ID),
+		members: buildMembers(2),
+		...overrides,
+	};
+}
+
+function seedTeam(overrides) {
+	return db.seed('teams', [buildInitiatedTeam(overrides)])[0];
+}
+
+describe('POST /razorpay/verify-payment', () => {
+	beforeEach(reset);
+
+	describe('request validation', () => {
+		it('requires the payment fields', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team, { razorpaySignature: undefined, razorpayOrderId: '' }));
+
+			assert.equal(res.status, 400);
+			assert.deepEqual(res.body.errors, [
+				{ path: 'razorpayOrderId', message: 'is required' },
+				{ path: 'razorpaySignature', message: 'is required' },
+			]);
+		});
+
+		it('requires the members', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team, { members: [] }));
+
+			assert.equal(res.status, 400);
+			assert.deepEqual(res.body.errors, [{ path: 'members', message: 'must have at least 1 item' }]);
+		});
+
+		it('requires a roll number for every member', async () => {
+			const team = seedTeam();
+			const members = [buildMember(0), buildMember(1, { rollNumber: undefined })];
+
+			const res = await verify(verificationFor(team, { members }));
+
+			assert.equal(res.status, 400);
+			assert.deepEqual(res.body.errors, [{ path: 'members[1].rollNumber', message: 'is required' }]);
+		});
+
+		it('matches members sent with roll_number and different formatting', async () => {
+			const team = seedTeam();
+			const members = buildMembers(2).map(({ rollNumber, ...m }) => ({
+				...m,
+				email: m.email.toUpperCase(),
+				phone: m.phone.replace(/(\d{5})(\d{5})/, '$1 $2'),
+				roll_number: rollNumber,
+			}));
+
+			const res = await verify(verificationFor(team, { members }));
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+		});
+	});
+
+	describe('signature and order checks', () => {
+		it('rejects a signature made with another secret', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team, {
+				razorpaySignature: signPayment(ORDER_ID, PAYMENT_ID, 'not-the-secret'),
+			}));
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Invalid payment signature. Possible fraud attempt.');
+			assert.equal(db.rows('teams')[0].payment_status, 'Initiated');
+		});
+
+		it('rejects a signature for a different payment', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team, {
+				razorpaySignature: signPayment(ORDER_ID, 'pay_other'),
+			}));
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Invalid payment signature. Possible fraud attempt.');
+		});
+
+		it('returns 404 for an unknown team', async () => {
+			const res = await verify(verificationFor({ id: 404 }));
+
+			assert.equal(res.status, 404);
+			assert.equal(res.body.message, 'Team not found');
+		});
+
+		it("rejects a payment for another team's order", async () => {
+			const team = seedTeam({ razorpay_order_id: 'order_someone_else' });
+
+			const res = await verify(verificationFor(team));
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Order ID mismatch');
+			assert.equal(db.rows('registrations').length, 0);
+		});
+
+		it('rejects members that differ from the registered roster', async () => {
+			const team = seedTeam();
+			const members = [buildMember(0), buildMember(1, { email: 'swapped@example.com' })];
+
+			const res = await verify(verificationFor(team, { members }));
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Members do not match the registered team');
+			assert.equal(db.rows('registrations').length, 0);
+		});
+	});
+
+	describe('finalization', () => {
+		it('completes the team and registers its members', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team));
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+			assert.deepEqual(res.body.data, {
+				teamId: team.id,
+				paymentStatus: 'Completed',
+				paymentId: PAYMENT_ID,
+				orderId: ORDER_ID,
+				memberCount: 2,
+			});
+
+			const [stored] = db.rows('teams');
+			assert.equal(stored.payment_status, 'Completed');
+			assert.equal(stored.razorpay_payment_id, PAYMENT_ID);
+
+			const registrations = db.rows('registrations');
+			assert.deepEqual(registrations.map(r => r.roll_number), ['ROLL1', 'ROLL2']);
+			assert.ok(registrations.every(r => r.team_id === team.id));
+		});
+
+		it('registers the stored roster, whatever order the client sends it in', async () => {
+			const team = seedTeam();
+
+			const res = await verify(verificationFor(team, { members: buildMembers(2).reverse() }));
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+			assert.deepEqual(db.rows('registrations').map(r => r.role), ['Team Lead', 'Member']);
+		});
+
+		it('answers a second verification of the same payment with 409', async () => {
+			const team = seedTeam();
+
+			const first = await verify(verificationFor(team));
+			const second = await verify(verificationFor(team));
+
+			assert.equal(first.status, 200);
+			assert.equal(second.status, 409);
+			assert.equal(second.body.message, 'Payment already verified for this team');
+			assert.equal(db.rows('registrations').length, 2, 'members are not inserted twice');
+		});
+
+		it('answers concurrent verifications with exactly one success', async () => {
+			const team = seedTeam();
+
+			const results = await Promise.all([verify(verificationFor(team)), verify(verificationFor(team))]);
+
+			assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+			assert.equal(db.rows('registrations').length, 2);
+		});
+
+		it('rejects verification of a refunded team', async () => {
+			const team = seedTeam({ payment_status: 'Refunded' });
+
+			const res = await verify(verificationFor(team));
+
+			assert.equal(res.status, 409);
+			assert.equal(db.rows('registrations').length, 0);
+		});
+
+		it('rolls back when a member is already registered elsewhere, and can be retried', async () => {
+			const [other] = db.seed('registrations', [{ team_id: 99, email: 'elsewhere@example.com', roll_number: 'ROLL2' }]);
+			const team = seedTeam();
+
+			const conflict = await verify(verificationFor(team));
+
+			assert.equal(conflict.status, 409);
+			assert.equal(conflict.body.message, 'Some registrations already exist (unique constraint)');
+
+			let [stored] = db.rows('teams');
+			assert.equal(stored.payment_status, 'Initiated', 'the team is not marked paid');
+			assert.equal(stored.razorpay_payment_id, PAYMENT_ID, 'the payment is kept for the retry');
+			assert.match(stored.finalization_error, /roll_number/);
+			assert.deepEqual(db.rows('registrations').map(r => r.id), [other.id], 'no members were inserted');
+
+			// Organizers remove the conflicting registration; the retry then succeeds
+			db.tables.registrations = [];
+			const retry = await verify(verificationFor(team));
+
+			assert.equal(retry.status, 200, JSON.stringify(retry.body));
+			[stored] = db.rows('teams');
+			assert.equal(stored.payment_status, 'Completed');
+			assert.equal(stored.finalization_error, null);
+			assert.equal(db.rows('registrations').length, 2);
+		});
+	});
+
+	describe('teams registered before rosters were stored', () => {
+		it('registers the members sent by the client', async () => {
+			const team = seedTeam({ pending_members: null });
+
+			const res = await verify(verificationFor(team));
+
+			assert.equal(res.status, 200, JSON.stringify(res.body));
+			assert.equal(db.rows('registrations').length, 2);
+		});
+
+		it('still holds the client to the paid team size', async () => {
+			const team = seedTeam({ pending_members: null });
+
+			const res = await verify(verificationFor(team, { members: buildMembers(3) }));
+
+			assert.equal(res.status, 400);
+			assert.equal(res.body.message, 'Members do not match the registered team size');
+		});
+	});
+});
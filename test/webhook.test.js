@@ -0,0 +1,136 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const { app, db, reset } = require('./helpers/app');
+const { buildInitiatedTeam, signWebhook } = require('./helpers/factories');
+
+const ORDER_ID = 'order_test_1';
+
+function send(body, signature) {
+	const raw = JSON.stringify(body);
+	return request(app)
+		.post('/razorpay/webhook')
+		.set('Content-Type', 'application/json')
+		.set('X-Razorpay-Signature', signature === undefined ? signWebhook(raw) : signature)
+		.send(raw);
+}
+
+function paymentEvent(event, payment = {}) {
+	return {
+		event,
+		payload: { payment: { entity: { id: 'pay_test_1', order_id: ORDER_ID, amount: 20000, ...payment } } },
+	};
+}
+
+function refundEvent(amount) {
+	return {
+		event: 'refund.processed',
+		payload: {
+			refund: { entity: { id: 'rfnd_test_1', payment_id: 'pay_test_1', amount } },
+			payment: { entity: { id: 'pay_test_1', order_id: ORDER_ID } },
+		},
+	};
+}
+
+function seedTeam(overrides) {
+	return db.seed('teams', [buildInitiatedTeam(overrides)])[0];
+}
+
+function teamRow() {
+	return db.rows('teams')[0];
+}
+
+describe('POST /razorpay/webhook', () => {
+	beforeEach(reset);
+
+	it('rejects a bad signature without touching the team', async () => {
+		seedTeam();
+
+		const forged = await send(paymentEvent('payment.captured'), signWebhook('{}'));
+		const unsigned = await send(paymentEvent('payment.captured'), '');
+
+		assert.equal(forged.status, 400);
+		assert.equal(unsigned.status, 400);
+		assert.equal(teamRow().payment_status, 'Initiated');
+		assert.equal(db.rows('registrations').length, 0);
+	});
+
+	it('completes the team on payment.captured and ignores a replay', async () => {
+		seedTeam();
+
+		const first = await send(paymentEvent('payment.captured'));
+		const replay = await send(paymentEvent('payment.captured'));
+
+		assert.equal(first.status, 200);
+		assert.equal(first.body.data.result, 'updated');
+		assert.equal(teamRow().payment_status, 'Completed');
+		assert.equal(teamRow().razorpay_payment_id, 'pay_test_1');
+		assert.equal(replay.status, 200);
+		assert.equal(replay.body.data.result, 'unchanged');
+		assert.equal(db.rows('registrations').length, 2);
+	});
+
+	it('completes the team on order.paid', async () => {
+		seedTeam();
+
+		const res = await send({
+			event: 'order.paid',
+			payload: {
+				order: { entity: { id: ORDER_ID } },
+				payment: { entity: { id: 'pay_test_1', amount: 20000 } },
+			},
+		});
+
+		assert.equal(res.status, 200);
+		assert.equal(teamRow().payment_status, 'Completed');
+	});
+
+	it('ignores a payment for a different amount', async () => {
+		seedTeam();
+
+		const res = await send(paymentEvent('payment.captured', { amount: 100 }));
+
+		assert.equal(res.body.data.reason, 'Amount mismatch');
+		assert.equal(teamRow().payment_status, 'Initiated');
+	});
+
+	it('marks the team Failed on payment.failed and ignores a replay', async () => {
+		seedTeam();
+
+		const first = await send(paymentEvent('payment.failed'));
+		const replay = await send(paymentEvent('payment.failed'));
+
+		assert.equal(first.body.data.result, 'updated');
+		assert.equal(teamRow().payment_status, 'Failed');
+		assert.equal(replay.body.data.result, 'unchanged');
+	});
+
+	it('marks a Completed team Refunded on a full refund.processed and ignores a replay', async () => {
+		seedTeam({ payment_status: 'Completed', razorpay_payment_id: 'pay_test_1' });
+
+		const first = await send(refundEvent(20000));
+		const replay = await send(refundEvent(20000));
+
+		assert.equal(first.body.data.result, 'updated');
+		assert.equal(teamRow().payment_status, 'Refunded');
+		assert.equal(teamRow().razorpay_refund_id, 'rfnd_test_1');
+		assert.equal(replay.body.data.result, 'unchanged');
+	});
+
+	it('keeps the team registered on a partial refund', async () => {
+		seedTeam({ payment_status: 'Completed', razorpay_payment_id: 'pay_test_1' });
+
+		const res = await send(refundEvent(5000));
+
+		assert.equal(res.status, 200);
+		assert.equal(teamRow().payment_status, 'Completed');
+		assert.equal(teamRow().refund_amount_in_paise, 5000);
+	});
+
+	it('acknowledges events it does not handle', async () => {
+		const res = await send({ event: 'payment.authorized', payload: {} });
+
+		assert.equal(res.status, 200);
+		assert.equal(res.body.message, 'Event payment.authorized ignored');
+	});
+});